@@ -2,6 +2,7 @@ import Navbar from "./components/common/Navbar";
 import Footer from "./components/common/Footer";
 import AppRoutes from "./routes/AppRoutes";
 import CartInitializer from "./components/cart/CartInitializer";
+import WishlistInitializer from "./components/wishlist/WishlistInitializer";
 import { useLocation } from "react-router-dom";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
@@ -25,6 +26,7 @@ function App() {
         theme={isAdminRoute ? "dark" : "light"}
       />
       <CartInitializer />
+      <WishlistInitializer />
       {!isAdminRoute && <Navbar />}
       <AppRoutes />
       {!isAdminRoute && <Footer />}
@@ -1,10 +1,14 @@
 import { configureStore } from "@reduxjs/toolkit";
 import productReducer from "../features/products/productSlice";
-import authReducer from "../features/auth/authSlice";
+import authReducer, { sessionRefreshed } from "../features/auth/authSlice";
 import userReducer from "../features/user/userSlice";
 import cartReducer from "../features/cart/cartSlice";
 import adminReducer from "../features/admin/adminSlice";
 import orderReducer from "../features/orders/orderSlice";
+import wishlistReducer from "../features/wishlist/wishlistSlice";
+import reviewReducer from "../features/reviews/reviewSlice";
+import returnReducer from "../features/returns/returnSlice";
+import { onSessionRefreshed } from "../services/axios";
 
 export const store = configureStore({
   reducer: {
@@ -14,6 +18,9 @@ export const store = configureStore({
     cart: cartReducer,
     admin: adminReducer,
     orders: orderReducer,
+    wishlist: wishlistReducer,
+    reviews: reviewReducer,
+    returns: returnReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -21,4 +28,7 @@ export const store = configureStore({
         ignoredActions: ["persist/PERSIST"],
       },
     }),
-});
\ No newline at end of file
+});
+
+// Keep the signed-in user in sync when the API interceptor renews the session
+onSessionRefreshed((session) => store.dispatch(sessionRefreshed(session)));
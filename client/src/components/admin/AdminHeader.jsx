@@ -7,17 +7,19 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import { useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
+import { logoutUser } from '../../features/auth/authSlice';
 
 const AdminHeader = ({ onMenuClick }) => {
+    const dispatch = useDispatch();
     const navigate = useNavigate();
 
     // Get user from localStorage
     const user = JSON.parse(localStorage.getItem('buyzzie_user') || '{}');
 
-    const handleLogout = () => {
-        localStorage.removeItem('buyzzie_user');
-        localStorage.removeItem('buyzzie_token');
+    const handleLogout = async () => {
+        await dispatch(logoutUser());
         navigate('/login');
     };
 
@@ -22,17 +22,21 @@ const AdminLayout = () => {
     };
 
     return (
-        <div className="min-h-screen bg-gray-900">
-            {/* Sidebar */}
-            <AdminSidebar isOpen={isSidebarOpen} onClose={closeSidebar} />
+        <div className="min-h-screen bg-gray-900 print:bg-white">
+            {/* Sidebar (left out when printing, e.g. packing slips) */}
+            <div className="print:hidden">
+                <AdminSidebar isOpen={isSidebarOpen} onClose={closeSidebar} />
+            </div>
 
             {/* Main Content Area */}
-            <div className="lg:pl-64">
+            <div className="lg:pl-64 print:pl-0">
                 {/* Header */}
-                <AdminHeader onMenuClick={toggleSidebar} />
+                <div className="print:hidden">
+                    <AdminHeader onMenuClick={toggleSidebar} />
+                </div>
 
                 {/* Page Content */}
-                <main className="py-8 px-4 sm:px-6 lg:px-8">
+                <main className="py-8 px-4 sm:px-6 lg:px-8 print:p-0">
                     <Outlet />
                 </main>
             </div>
@@ -8,12 +8,16 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { NavLink } from 'react-router-dom';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
 
 const AdminSidebar = ({ isOpen, onClose }) => {
-    const navItems = [
+    const user = getStoredUser();
+
+    const allNavItems = [
         {
             name: 'Dashboard',
             path: '/admin',
+            permission: PERMISSIONS.DASHBOARD_READ,
             icon: (
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
@@ -23,6 +27,7 @@ const AdminSidebar = ({ isOpen, onClose }) => {
         {
             name: 'Products',
             path: '/admin/products',
+            permission: PERMISSIONS.PRODUCTS_READ,
             icon: (
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
@@ -32,6 +37,7 @@ const AdminSidebar = ({ isOpen, onClose }) => {
         {
             name: 'Orders',
             path: '/admin/orders',
+            permission: PERMISSIONS.ORDERS_READ,
             icon: (
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
@@ -41,14 +47,48 @@ const AdminSidebar = ({ isOpen, onClose }) => {
         {
             name: 'Customers',
             path: '/admin/customers',
+            permission: PERMISSIONS.CUSTOMERS_READ,
             icon: (
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
                 </svg>
             ),
         },
+        {
+            name: 'Promotions',
+            path: '/admin/promotions',
+            permission: PERMISSIONS.PROMOTIONS_READ,
+            icon: (
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                </svg>
+            ),
+        },
+        {
+            name: 'Reviews',
+            path: '/admin/reviews',
+            permission: PERMISSIONS.REVIEWS_READ,
+            icon: (
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                </svg>
+            ),
+        },
+        {
+            name: 'Returns',
+            path: '/admin/returns',
+            permission: PERMISSIONS.RETURNS_READ,
+            icon: (
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 15v-1a4 4 0 00-4-4H8m0 0l3 3m-3-3l3-3m9 14V5a2 2 0 00-2-2H6a2 2 0 00-2 2v16l4-2 4 2 4-2 4 2z" />
+                </svg>
+            ),
+        },
     ];
 
+    // Only show sections the current user's role can open
+    const navItems = allNavItems.filter((item) => hasPermission(user, item.permission));
+
     return (
         <>
             {/* Desktop Sidebar */}
@@ -0,0 +1,118 @@
+/**
+ * AssignRoleDialog.jsx
+ *
+ * Modal for changing a user's role. Lists every role with the permissions it
+ * grants so the admin can see exactly what access they are handing out.
+ */
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+const AssignRoleDialog = ({ isOpen, user, roles, onConfirm, onCancel, isSaving = false }) => {
+    const [selectedRoleId, setSelectedRoleId] = useState(user?.role || '');
+
+    // Reset the selection whenever the dialog is opened for another user
+    useEffect(() => {
+        setSelectedRoleId(user?.role || '');
+    }, [user]);
+
+    if (!isOpen || !user) return null;
+
+    const isUnchanged = selectedRoleId === user.role;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="assign-role-title" role="dialog" aria-modal="true">
+            <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+
+                {/* Background overlay */}
+                <div
+                    className="fixed inset-0 bg-gray-900 bg-opacity-75 transition-opacity"
+                    aria-hidden="true"
+                    onClick={onCancel}
+                ></div>
+
+                {/* Modal panel */}
+                <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+
+                <div className="inline-block align-bottom bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full border border-gray-700">
+                    <div className="bg-gray-800 px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                        <h3 className="text-lg leading-6 font-medium text-gray-200" id="assign-role-title">
+                            Change role for {user.name || user.email}
+                        </h3>
+                        <fieldset className="mt-4 space-y-3">
+                            <legend className="sr-only">Role</legend>
+                            {roles.map((role) => (
+                                <label
+                                    key={role.id}
+                                    className={`block p-3 rounded-md border cursor-pointer transition-colors ${selectedRoleId === role.id
+                                            ? 'border-blue-500 bg-blue-900 bg-opacity-20'
+                                            : 'border-gray-700 hover:bg-gray-750'
+                                        }`}
+                                >
+                                    <div className="flex items-center gap-3">
+                                        <input
+                                            type="radio"
+                                            name="role"
+                                            value={role.id}
+                                            checked={selectedRoleId === role.id}
+                                            onChange={() => setSelectedRoleId(role.id)}
+                                            className="text-blue-600 focus:ring-blue-500"
+                                        />
+                                        <span className="text-sm font-medium text-gray-200">{role.name}</span>
+                                    </div>
+                                    <p className="mt-1 ml-7 text-xs text-gray-400">{role.description}</p>
+                                    {role.permissions.length > 0 && (
+                                        <div className="mt-2 ml-7 flex flex-wrap gap-1">
+                                            {role.permissions.map((permission) => (
+                                                <span key={permission} className="px-1.5 py-0.5 rounded bg-gray-700 text-gray-300 text-xs font-mono">
+                                                    {permission}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </label>
+                            ))}
+                        </fieldset>
+                    </div>
+                    <div className="bg-gray-750 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse border-t border-gray-700">
+                        <button
+                            type="button"
+                            disabled={isUnchanged || isSaving}
+                            className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 hover:bg-blue-700 text-base font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed sm:ml-3 sm:w-auto sm:text-sm"
+                            onClick={() => onConfirm(selectedRoleId)}
+                        >
+                            {isSaving ? 'Saving...' : 'Save Role'}
+                        </button>
+                        <button
+                            type="button"
+                            className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-600 shadow-sm px-4 py-2 bg-gray-700 text-base font-medium text-gray-200 hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
+                            onClick={onCancel}
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+AssignRoleDialog.propTypes = {
+    isOpen: PropTypes.bool.isRequired,
+    user: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string,
+        email: PropTypes.string,
+        role: PropTypes.string,
+    }),
+    roles: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        description: PropTypes.string,
+        permissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })).isRequired,
+    onConfirm: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    isSaving: PropTypes.bool,
+};
+
+export default AssignRoleDialog;
@@ -1,13 +1,14 @@
 /**
  * CustomerTable.jsx
  * 
- * View-only table component to display registered customers.
+ * Table component to display registered customers.
+ * Shows a "Change role" action when `onChangeRole` is provided.
  * Follows Rule 14 (Visual Feedback) with role badges and Rule 19 (A11y).
  */
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const CustomerTable = ({ customers }) => {
+const CustomerTable = ({ customers, roles = [], currentUserId, onChangeRole }) => {
     // Rule 2: Meaningful Naming
     const formatDate = (dateString) => {
         if (!dateString) return 'N/A';
@@ -22,6 +23,8 @@ const CustomerTable = ({ customers }) => {
         }
     };
 
+    const getRoleName = (roleId) => roles.find(r => r.id === roleId)?.name || roleId;
+
     // Rule 14: Visual Feedback - Empty State
     if (!customers || customers.length === 0) {
         return (
@@ -48,6 +51,9 @@ const CustomerTable = ({ customers }) => {
                             <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Role</th>
                             <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Joined Date</th>
                             <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Phone</th>
+                            {onChangeRole && (
+                                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Actions</th>
+                            )}
                         </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-700">
@@ -69,11 +75,11 @@ const CustomerTable = ({ customers }) => {
                                     {user.email}
                                 </td>
                                 <td className="px-6 py-4 text-sm">
-                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${user.role === 'admin'
-                                            ? 'bg-purple-900 text-purple-200 border border-purple-700'
-                                            : 'bg-green-900 text-green-200 border border-green-700'
+                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${user.role === 'user'
+                                            ? 'bg-green-900 text-green-200 border border-green-700'
+                                            : 'bg-purple-900 text-purple-200 border border-purple-700'
                                         }`}>
-                                        {user.role}
+                                        {getRoleName(user.role)}
                                     </span>
                                 </td>
                                 <td className="px-6 py-4 text-sm text-gray-400">
@@ -82,6 +88,19 @@ const CustomerTable = ({ customers }) => {
                                 <td className="px-6 py-4 text-sm text-gray-400">
                                     {user.phone || '-'}
                                 </td>
+                                {onChangeRole && (
+                                    <td className="px-6 py-4 text-right text-sm font-medium">
+                                        {/* The API refuses self-demotion, so don't offer it */}
+                                        {user.id !== currentUserId && (
+                                            <button
+                                                onClick={() => onChangeRole(user)}
+                                                className="text-blue-400 hover:text-blue-300"
+                                            >
+                                                Change role
+                                            </button>
+                                        )}
+                                    </td>
+                                )}
                             </tr>
                         ))}
                     </tbody>
@@ -101,6 +120,12 @@ CustomerTable.propTypes = {
         createdAt: PropTypes.string,
         phone: PropTypes.string,
     })).isRequired,
+    roles: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+    })),
+    currentUserId: PropTypes.string,
+    onChangeRole: PropTypes.func,
 };
 
 export default CustomerTable;
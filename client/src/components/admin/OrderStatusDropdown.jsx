@@ -3,21 +3,33 @@
  * 
  * Component to update order status with visual feedback.
  * Uses optimistic UI updates for better user experience.
+ * Only the statuses the order lifecycle allows next are offered.
  */
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { getNextOrderStatuses, normalizeOrderStatus } from '../../utils/orderStatus';
 
-const OrderStatusDropdown = ({ orderId, currentStatus, onStatusChange }) => {
-    const [status, setStatus] = useState(currentStatus);
+const statusOptions = [
+    { value: 'pending', label: 'Pending', color: 'bg-yellow-900 text-yellow-200' },
+    { value: 'processing', label: 'Processing', color: 'bg-blue-900 text-blue-200' },
+    { value: 'shipped', label: 'Shipped', color: 'bg-purple-900 text-purple-200' },
+    { value: 'delivered', label: 'Delivered', color: 'bg-green-900 text-green-200' },
+    { value: 'cancelled', label: 'Cancelled', color: 'bg-red-900 text-red-200' },
+    { value: 'returned', label: 'Returned', color: 'bg-orange-900 text-orange-200' },
+    { value: 'refunded', label: 'Refunded', color: 'bg-gray-700 text-gray-200' },
+];
+
+const OrderStatusDropdown = ({ orderId, currentStatus, onStatusChange, disabled = false }) => {
+    const [status, setStatus] = useState(normalizeOrderStatus(currentStatus) ?? 'pending');
     const [loading, setLoading] = useState(false);
 
-    const statusOptions = [
-        { value: 'pending', label: 'Pending', color: 'bg-yellow-900 text-yellow-200' },
-        { value: 'processing', label: 'Processing', color: 'bg-blue-900 text-blue-200' },
-        { value: 'shipped', label: 'Shipped', color: 'bg-purple-900 text-purple-200' },
-        { value: 'delivered', label: 'Delivered', color: 'bg-green-900 text-green-200' },
-    ];
+    const nextStatuses = getNextOrderStatuses(status);
+    const availableOptions = statusOptions.filter(
+        (option) => option.value === status || nextStatuses.includes(option.value)
+    );
+    const isFinal = nextStatuses.length === 0;
 
     const handleChange = async (e) => {
         const newStatus = e.target.value;
@@ -29,15 +41,15 @@ const OrderStatusDropdown = ({ orderId, currentStatus, onStatusChange }) => {
         setLoading(true);
 
         try {
-            await api.put(`/api/admin/orders/${orderId}/status`, { status: newStatus });
+            const response = await api.put(`/api/admin/orders/${orderId}/status`, { status: newStatus });
             if (onStatusChange) {
-                onStatusChange(orderId, newStatus);
+                onStatusChange(orderId, newStatus, response.data);
             }
         } catch (error) {
             console.error('Failed to update status:', error);
             // Revert on failure
             setStatus(oldStatus);
-            alert('Failed to update status. Please try again.');
+            alert(getAdminErrorMessage(error, 'Failed to update status. Please try again.'));
         } finally {
             setLoading(false);
         }
@@ -50,11 +62,14 @@ const OrderStatusDropdown = ({ orderId, currentStatus, onStatusChange }) => {
             <select
                 value={status}
                 onChange={handleChange}
-                disabled={loading}
+                disabled={loading || disabled || isFinal}
+                title={disabled
+                    ? 'You do not have permission to update order status'
+                    : isFinal ? 'This order can no longer change status' : undefined}
                 className={`block w-full px-1 sm:px-2 py-1.5 sm:py-2 text-[10px] sm:text-xs font-semibold rounded-full border-0 overflow-hidden truncate focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-800 focus:ring-blue-500 cursor-pointer transition-colors ${currentOption.color} appearance-none`}
                 aria-label={`Change status for order ${orderId}`}
             >
-                {statusOptions.map((option) => (
+                {availableOptions.map((option) => (
                     <option key={option.value} value={option.value} className="bg-gray-800 text-gray-200">
                         {option.label}
                     </option>
@@ -76,6 +91,7 @@ OrderStatusDropdown.propTypes = {
     orderId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     currentStatus: PropTypes.string.isRequired,
     onStatusChange: PropTypes.func,
+    disabled: PropTypes.bool,
 };
 
 export default OrderStatusDropdown;
@@ -8,7 +8,7 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import OrderStatusDropdown from './OrderStatusDropdown';
 
-const OrderTable = ({ orders, onStatusChange }) => {
+const OrderTable = ({ orders, onStatusChange, onRefund, canUpdateStatus = true, canRefund = false }) => {
     const formatCurrency = (amount) => {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
@@ -75,14 +75,21 @@ const OrderTable = ({ orders, onStatusChange }) => {
                                         orderId={order.id}
                                         currentStatus={order.status || 'pending'}
                                         onStatusChange={onStatusChange}
+                                        disabled={!canUpdateStatus}
                                     />
                                 </td>
                                 <td className="px-6 py-4 text-right text-sm font-medium">
+                                    {canRefund && onRefund && (
+                                        <button
+                                            onClick={() => onRefund(order)}
+                                            className="mr-4 text-red-400 hover:text-red-300"
+                                        >
+                                            Refund
+                                        </button>
+                                    )}
                                     <Link
-                                        to={`/order-confirmation/${order.id}`}
+                                        to={`/admin/orders/${order.id}`}
                                         className="text-blue-400 hover:text-blue-300"
-                                        target="_blank"
-                                        rel="noopener noreferrer"
                                     >
                                         View Details
                                     </Link>
@@ -106,6 +113,9 @@ OrderTable.propTypes = {
         status: PropTypes.string,
     })).isRequired,
     onStatusChange: PropTypes.func,
+    onRefund: PropTypes.func,
+    canUpdateStatus: PropTypes.bool,
+    canRefund: PropTypes.bool,
 };
 
 export default OrderTable;
@@ -0,0 +1,110 @@
+/**
+ * PackingSlip.jsx
+ *
+ * Printable packing slip for an order: ship-to address and the items with
+ * their SKUs and quantities, but no prices. Hidden on screen; the order
+ * detail page calls window.print() to print it on its own.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getCarrierLabel } from '../../utils/tracking';
+
+const PackingSlip = ({ order }) => {
+    const address = order.shippingAddress || {};
+    const totalUnits = order.items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+    return (
+        <section className="hidden print:block text-black bg-white p-8 text-sm" aria-hidden="true">
+            <div className="flex justify-between items-start border-b border-gray-400 pb-4">
+                <div>
+                    <h1 className="text-2xl font-bold">Buyzzie</h1>
+                    <p>Packing Slip</p>
+                </div>
+                <div className="text-right">
+                    <p className="font-mono">Order #{order.id}</p>
+                    <p>
+                        Placed {new Date(order.createdAt).toLocaleDateString('en-US', {
+                            year: 'numeric',
+                            month: 'short',
+                            day: 'numeric',
+                        })}
+                    </p>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-8 py-4 border-b border-gray-400">
+                <div>
+                    <h2 className="font-semibold uppercase text-xs mb-1">Ship To</h2>
+                    <p>{address.fullName}</p>
+                    <p>{address.address}</p>
+                    <p>{[address.city, address.state, address.zipCode].filter(Boolean).join(', ')}</p>
+                    {address.country && <p>{address.country}</p>}
+                    {address.phone && <p>{address.phone}</p>}
+                </div>
+                {order.tracking && (
+                    <div>
+                        <h2 className="font-semibold uppercase text-xs mb-1">Shipment</h2>
+                        <p>{getCarrierLabel(order.tracking.carrier)}</p>
+                        <p className="font-mono">{order.tracking.trackingNumber}</p>
+                    </div>
+                )}
+            </div>
+
+            <table className="w-full mt-4">
+                <thead>
+                    <tr className="border-b border-gray-400 text-left">
+                        <th className="py-2">Item</th>
+                        <th className="py-2">SKU</th>
+                        <th className="py-2">Options</th>
+                        <th className="py-2 text-right">Qty</th>
+                        <th className="py-2 w-16 text-center">Packed</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {order.items.map(item => (
+                        <tr key={item.cartItemId ?? item.id} className="border-b border-gray-200">
+                            <td className="py-2">{item.title}</td>
+                            <td className="py-2 font-mono">{item.sku || '—'}</td>
+                            <td className="py-2">{[item.size, item.color].filter(Boolean).join(' / ') || '—'}</td>
+                            <td className="py-2 text-right">{item.quantity}</td>
+                            <td className="py-2 text-center">☐</td>
+                        </tr>
+                    ))}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colSpan={3} className="py-2 font-semibold">Total units</td>
+                        <td className="py-2 text-right font-semibold">{totalUnits}</td>
+                        <td></td>
+                    </tr>
+                </tfoot>
+            </table>
+
+            <p className="mt-8 text-xs">
+                Questions about your order? Reply to your order confirmation email and quote order #{order.id}.
+            </p>
+        </section>
+    );
+};
+
+PackingSlip.propTypes = {
+    order: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        createdAt: PropTypes.string,
+        shippingAddress: PropTypes.object,
+        tracking: PropTypes.shape({
+            carrier: PropTypes.string,
+            trackingNumber: PropTypes.string,
+        }),
+        items: PropTypes.arrayOf(PropTypes.shape({
+            cartItemId: PropTypes.string,
+            title: PropTypes.string,
+            sku: PropTypes.string,
+            size: PropTypes.string,
+            color: PropTypes.string,
+            quantity: PropTypes.number,
+        })).isRequired,
+    }).isRequired,
+};
+
+export default PackingSlip;
@@ -7,7 +7,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 
-const ProductTable = ({ products, onDelete }) => {
+const ProductTable = ({ products, onDelete, canEdit = true }) => {
     const formatCurrency = (amount) => {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
@@ -69,20 +69,24 @@ const ProductTable = ({ products, onDelete }) => {
                                     </span>
                                 </td>
                                 <td className="px-6 py-4 text-right text-sm font-medium">
-                                    <div className="flex justify-end gap-3">
-                                        <Link
-                                            to={`/admin/products/${product.id}/edit`}
-                                            className="text-blue-400 hover:text-blue-300"
-                                        >
-                                            Edit
-                                        </Link>
-                                        <button
-                                            onClick={() => onDelete(product)}
-                                            className="text-red-400 hover:text-red-300"
-                                        >
-                                            Delete
-                                        </button>
-                                    </div>
+                                    {canEdit ? (
+                                        <div className="flex justify-end gap-3">
+                                            <Link
+                                                to={`/admin/products/${product.id}/edit`}
+                                                className="text-blue-400 hover:text-blue-300"
+                                            >
+                                                Edit
+                                            </Link>
+                                            <button
+                                                onClick={() => onDelete(product)}
+                                                className="text-red-400 hover:text-red-300"
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <span className="text-gray-500">View only</span>
+                                    )}
                                 </td>
                             </tr>
                         ))}
@@ -106,6 +110,7 @@ ProductTable.propTypes = {
         images: PropTypes.arrayOf(PropTypes.string),
     })).isRequired,
     onDelete: PropTypes.func.isRequired,
+    canEdit: PropTypes.bool,
 };
 
 export default ProductTable;
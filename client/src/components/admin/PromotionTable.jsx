@@ -0,0 +1,165 @@
+/**
+ * PromotionTable.jsx
+ *
+ * Table component to display promo codes with their schedule, usage and actions.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { PROMOTION_TYPES, getPromotionState } from '../../utils/pricing';
+
+const STATE_STYLES = {
+    active: 'bg-green-900 text-green-200',
+    scheduled: 'bg-blue-900 text-blue-200',
+    paused: 'bg-yellow-900 text-yellow-200',
+    expired: 'bg-gray-700 text-gray-300',
+};
+
+const PromotionTable = ({ promotions, onToggleStatus, onDelete, canEdit = true }) => {
+    const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+        }).format(amount);
+    };
+
+    const formatDate = (dateString) => {
+        if (!dateString) return null;
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+        });
+    };
+
+    const describeDiscount = (promotion) => {
+        if (promotion.type === PROMOTION_TYPES.PERCENTAGE) return `${promotion.value}% off`;
+        if (promotion.type === PROMOTION_TYPES.FIXED) return `${formatCurrency(promotion.value)} off`;
+        return 'Free shipping';
+    };
+
+    const describeScope = ({ appliesTo }) => {
+        const parts = [];
+        if (appliesTo?.categories?.length) parts.push(`Categories: ${appliesTo.categories.join(', ')}`);
+        if (appliesTo?.productIds?.length) parts.push(`Products: #${appliesTo.productIds.join(', #')}`);
+        return parts.length ? parts.join(' · ') : 'Whole order';
+    };
+
+    if (!promotions || promotions.length === 0) {
+        return (
+            <div className="bg-gray-800 rounded-lg shadow p-8 text-center border border-gray-700">
+                <p className="text-gray-400">No promotions found.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-gray-800 rounded-lg shadow overflow-hidden border border-gray-700">
+            <div className="overflow-x-auto">
+                <table className="w-full whitespace-nowrap">
+                    <thead className="bg-gray-900 border-b border-gray-700">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Code</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Discount</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Schedule</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Status</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Usage</th>
+                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {promotions.map((promotion) => {
+                            const state = getPromotionState(promotion);
+
+                            return (
+                                <tr key={promotion.id} className="hover:bg-gray-750 transition-colors">
+                                    <td className="px-6 py-4">
+                                        <div className="text-sm font-mono font-semibold text-gray-200">{promotion.code}</div>
+                                        <div className="text-xs text-gray-500 truncate max-w-xs" title={promotion.description}>
+                                            {promotion.description}
+                                        </div>
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        <div className="text-sm text-gray-300">{describeDiscount(promotion)}</div>
+                                        <div className="text-xs text-gray-500">
+                                            {describeScope(promotion)}
+                                            {promotion.minSpend > 0 && ` · Min ${formatCurrency(promotion.minSpend)}`}
+                                        </div>
+                                    </td>
+                                    <td className="px-6 py-4 text-xs text-gray-400">
+                                        <div>Starts: {formatDate(promotion.startsAt) || 'Immediately'}</div>
+                                        <div>Ends: {formatDate(promotion.expiresAt) || 'Never'}</div>
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATE_STYLES[state]}`}>
+                                            {state}
+                                        </span>
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-gray-300">
+                                        <div>{promotion.usage?.redemptions ?? 0} redemptions</div>
+                                        <div className="text-xs text-gray-500">
+                                            {formatCurrency(promotion.usage?.discountTotal ?? 0)} discounted
+                                        </div>
+                                    </td>
+                                    <td className="px-6 py-4 text-right text-sm font-medium">
+                                        {canEdit ? (
+                                            <div className="flex justify-end gap-3">
+                                                {state !== 'expired' && (
+                                                    <button
+                                                        onClick={() => onToggleStatus(promotion)}
+                                                        className="text-yellow-400 hover:text-yellow-300"
+                                                    >
+                                                        {promotion.status === 'paused' ? 'Resume' : 'Pause'}
+                                                    </button>
+                                                )}
+                                                <Link
+                                                    to={`/admin/promotions/${promotion.id}/edit`}
+                                                    className="text-blue-400 hover:text-blue-300"
+                                                >
+                                                    Edit
+                                                </Link>
+                                                <button
+                                                    onClick={() => onDelete(promotion)}
+                                                    className="text-red-400 hover:text-red-300"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <span className="text-gray-500">View only</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+PromotionTable.propTypes = {
+    promotions: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            code: PropTypes.string.isRequired,
+            description: PropTypes.string,
+            type: PropTypes.string.isRequired,
+            value: PropTypes.number,
+            minSpend: PropTypes.number,
+            startsAt: PropTypes.string,
+            expiresAt: PropTypes.string,
+            status: PropTypes.string,
+            usage: PropTypes.shape({
+                redemptions: PropTypes.number,
+                discountTotal: PropTypes.number,
+            }),
+        })
+    ).isRequired,
+    onToggleStatus: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+    canEdit: PropTypes.bool,
+};
+
+export default PromotionTable;
@@ -0,0 +1,275 @@
+/**
+ * RefundDialog.jsx
+ *
+ * Modal for refunding part or all of an order. Shows the order's ledger
+ * (what was captured and every refund so far) and lets staff enter an amount
+ * per line and for shipping, up to what is still refundable. Tax on the
+ * merchandise is added automatically, the same way the API works it out.
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { toast } from 'react-toastify';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { REFUND_SOURCES, getLedgerSummary } from '../../utils/ledger';
+import { calculateTax, roundCurrency } from '../../utils/pricing';
+
+const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+    }).format(amount || 0);
+};
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+        });
+    } catch {
+        return '';
+    }
+};
+
+const RefundDialog = ({ order, isOpen, onClose, onRefunded }) => {
+    // cartItemId -> amount typed in, plus shipping
+    const [lineAmounts, setLineAmounts] = useState({});
+    const [shipping, setShipping] = useState('');
+    const [note, setNote] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    // Start fresh each time the dialog opens
+    useEffect(() => {
+        if (isOpen) {
+            setLineAmounts({});
+            setShipping('');
+            setNote('');
+        }
+    }, [isOpen]);
+
+    const summary = useMemo(() => getLedgerSummary(order), [order]);
+
+    if (!isOpen || !order) return null;
+
+    const merchandise = roundCurrency(
+        Object.values(lineAmounts).reduce((sum, amount) => sum + (Number(amount) || 0), 0)
+    );
+    const tax = Math.min(calculateTax(merchandise), summary.tax.refundable);
+    const total = roundCurrency(merchandise + (Number(shipping) || 0) + tax);
+    const canSubmit = total > 0 && total <= summary.balance && !submitting;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        setSubmitting(true);
+        try {
+            const response = await api.post(`/api/admin/orders/${order.id}/refunds`, {
+                lines: Object.entries(lineAmounts)
+                    .filter(([, amount]) => Number(amount) > 0)
+                    .map(([cartItemId, amount]) => ({ cartItemId, amount: Number(amount) })),
+                shipping: Number(shipping) || 0,
+                note,
+            });
+            toast.success(`Refunded ${formatCurrency(response.data.refund.amount)}`);
+            onRefunded(response.data.order);
+            onClose();
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to refund order'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const inputClassName = 'w-28 px-2 py-1 text-right bg-gray-700 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4" role="dialog" aria-modal="true" aria-labelledby="refund-title">
+            <div className="fixed inset-0 bg-gray-900 bg-opacity-75" aria-hidden="true" onClick={() => !submitting && onClose()}></div>
+
+            <form
+                onSubmit={handleSubmit}
+                className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-gray-800 rounded-lg shadow-xl border border-gray-700 p-6 space-y-6"
+            >
+                <div>
+                    <h3 id="refund-title" className="text-lg font-medium text-gray-200">Refund order #{order.id}</h3>
+                    <div className="mt-2 grid grid-cols-3 gap-4 text-sm">
+                        <div>
+                            <div className="text-gray-400">Captured</div>
+                            <div className="text-gray-200 font-medium">{formatCurrency(summary.captured)}</div>
+                        </div>
+                        <div>
+                            <div className="text-gray-400">Refunded</div>
+                            <div className="text-gray-200 font-medium">{formatCurrency(summary.refunded)}</div>
+                        </div>
+                        <div>
+                            <div className="text-gray-400">Balance</div>
+                            <div className="text-gray-200 font-medium">{formatCurrency(summary.balance)}</div>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Ledger */}
+                {order.ledger?.length > 0 && (
+                    <div>
+                        <h4 className="text-sm font-medium text-gray-300 mb-2">Ledger</h4>
+                        <ul className="divide-y divide-gray-700 text-sm border border-gray-700 rounded-md">
+                            {order.ledger.map(entry => (
+                                <li key={entry.id} className="flex justify-between gap-4 px-3 py-2">
+                                    <div>
+                                        <span className="text-gray-200">
+                                            {entry.type === 'capture' ? 'Payment captured' : REFUND_SOURCES[entry.source] ?? 'Refund'}
+                                        </span>
+                                        <span className="text-gray-500"> · {formatDate(entry.at)} · {entry.actor?.name}</span>
+                                        {entry.note && <div className="text-xs text-gray-400">{entry.note}</div>}
+                                    </div>
+                                    <span className={entry.type === 'capture' ? 'text-green-400' : 'text-red-400'}>
+                                        {entry.type === 'capture' ? '+' : '-'}{formatCurrency(entry.amount)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {summary.balance > 0 ? (
+                    <>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-xs text-gray-400 uppercase tracking-wider">
+                                    <th className="text-left pb-2">Line</th>
+                                    <th className="text-right pb-2">Paid</th>
+                                    <th className="text-right pb-2">Refunded</th>
+                                    <th className="text-right pb-2">Refund</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-700">
+                                {summary.lines.map(line => (
+                                    <tr key={line.cartItemId}>
+                                        <td className="py-2 text-gray-200">{line.title}</td>
+                                        <td className="py-2 text-right text-gray-400">{formatCurrency(line.paid)}</td>
+                                        <td className="py-2 text-right text-gray-400">{formatCurrency(line.refunded)}</td>
+                                        <td className="py-2 text-right">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max={line.refundable}
+                                                step="0.01"
+                                                aria-label={`Refund for ${line.title}`}
+                                                disabled={line.refundable <= 0}
+                                                className={inputClassName}
+                                                placeholder={line.refundable.toFixed(2)}
+                                                value={lineAmounts[line.cartItemId] ?? ''}
+                                                onChange={(e) => setLineAmounts(prev => ({ ...prev, [line.cartItemId]: e.target.value }))}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <td className="py-2 text-gray-200">Shipping</td>
+                                    <td className="py-2 text-right text-gray-400">{formatCurrency(summary.shipping.paid)}</td>
+                                    <td className="py-2 text-right text-gray-400">{formatCurrency(summary.shipping.refunded)}</td>
+                                    <td className="py-2 text-right">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={summary.shipping.refundable}
+                                            step="0.01"
+                                            aria-label="Shipping refund"
+                                            disabled={summary.shipping.refundable <= 0}
+                                            className={inputClassName}
+                                            placeholder={summary.shipping.refundable.toFixed(2)}
+                                            value={shipping}
+                                            onChange={(e) => setShipping(e.target.value)}
+                                        />
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <td className="py-2 text-gray-200">Tax</td>
+                                    <td className="py-2 text-right text-gray-400">{formatCurrency(summary.tax.paid)}</td>
+                                    <td className="py-2 text-right text-gray-400">{formatCurrency(summary.tax.refunded)}</td>
+                                    <td className="py-2 text-right text-gray-300">{formatCurrency(tax)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+
+                        <div>
+                            <label htmlFor="refund-note" className="block text-sm font-medium text-gray-300">Note (optional)</label>
+                            <textarea
+                                id="refund-note"
+                                rows={2}
+                                maxLength={500}
+                                className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                            />
+                        </div>
+
+                        <div className="flex justify-between text-sm">
+                            <span className="text-gray-400">Refund total</span>
+                            <span className={total > summary.balance ? 'text-red-400 font-semibold' : 'text-gray-100 font-semibold'}>
+                                {formatCurrency(total)}
+                            </span>
+                        </div>
+                        {total > summary.balance && (
+                            <p className="text-sm text-red-400" role="alert">
+                                Only {formatCurrency(summary.balance)} has been paid and not yet refunded.
+                            </p>
+                        )}
+                    </>
+                ) : (
+                    <p className="text-sm text-gray-400">
+                        {summary.captured > 0
+                            ? 'This order has been refunded in full.'
+                            : 'Nothing has been paid for this order yet.'}
+                    </p>
+                )}
+
+                <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="px-4 py-2 border border-gray-600 rounded-md text-sm font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                    >
+                        Close
+                    </button>
+                    {summary.balance > 0 && (
+                        <button
+                            type="submit"
+                            disabled={!canSubmit}
+                            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {submitting ? 'Refunding...' : `Refund ${formatCurrency(total)}`}
+                        </button>
+                    )}
+                </div>
+            </form>
+        </div>
+    );
+};
+
+RefundDialog.propTypes = {
+    order: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        items: PropTypes.array,
+        shipping: PropTypes.number,
+        tax: PropTypes.number,
+        ledger: PropTypes.arrayOf(PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            type: PropTypes.oneOf(['capture', 'refund']).isRequired,
+            amount: PropTypes.number.isRequired,
+            source: PropTypes.string,
+            note: PropTypes.string,
+            at: PropTypes.string,
+        })),
+    }),
+    isOpen: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    onRefunded: PropTypes.func.isRequired,
+};
+
+export default RefundDialog;
@@ -0,0 +1,161 @@
+/**
+ * ReturnTable.jsx
+ *
+ * Table component for the returns queue: what is coming back from which
+ * order and why, with the next actions the return's status allows.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { RETURN_REASONS, RETURN_STATUS_LABELS, RETURN_TRANSITIONS } from '../../utils/returns';
+
+const STATUS_STYLES = {
+    requested: 'bg-yellow-900 text-yellow-200',
+    approved: 'bg-blue-900 text-blue-200',
+    rejected: 'bg-red-900 text-red-200',
+    received: 'bg-purple-900 text-purple-200',
+    refunded: 'bg-green-900 text-green-200',
+};
+
+// Button for each status a return can be moved to
+const ACTIONS = {
+    approved: { label: 'Approve', className: 'text-green-400 hover:text-green-300' },
+    rejected: { label: 'Reject', className: 'text-red-400 hover:text-red-300' },
+    received: { label: 'Mark received', className: 'text-purple-400 hover:text-purple-300' },
+    refunded: { label: 'Refund', className: 'text-blue-400 hover:text-blue-300' },
+};
+
+const getReasonLabel = (reason) =>
+    RETURN_REASONS.find(option => option.value === reason)?.label ?? reason;
+
+const ReturnTable = ({ returns, onAction, canManage = true }) => {
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+        });
+    };
+
+    const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+        }).format(amount || 0);
+    };
+
+    if (!returns || returns.length === 0) {
+        return (
+            <div className="bg-gray-800 rounded-lg shadow p-8 text-center border border-gray-700">
+                <p className="text-gray-400">No returns found.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-gray-800 rounded-lg shadow overflow-hidden border border-gray-700">
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead className="bg-gray-900 border-b border-gray-700">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Return</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Items</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Reason</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Refund</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Status</th>
+                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {returns.map((rma) => (
+                            <tr key={rma.id} className="hover:bg-gray-750 transition-colors align-top">
+                                <td className="px-6 py-4 whitespace-nowrap">
+                                    <div className="text-sm font-mono text-gray-200">{rma.id}</div>
+                                    <div className="text-xs text-gray-400 mt-1">Order #{rma.orderId}</div>
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        {rma.customerName} · {formatDate(rma.createdAt)}
+                                    </div>
+                                </td>
+                                <td className="px-6 py-4 text-sm text-gray-300">
+                                    <ul className="space-y-1">
+                                        {rma.items.map(line => (
+                                            <li key={line.cartItemId}>
+                                                {line.quantity} × {line.title}
+                                                {(line.size || line.color) && (
+                                                    <span className="text-gray-500">
+                                                        {' '}({[line.size, line.color].filter(Boolean).join(' / ')})
+                                                    </span>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </td>
+                                <td className="px-6 py-4 text-sm text-gray-300 max-w-xs">
+                                    <div>{getReasonLabel(rma.reason)}</div>
+                                    {rma.comment && (
+                                        <p className="text-xs text-gray-500 mt-1 whitespace-pre-line break-words">{rma.comment}</p>
+                                    )}
+                                </td>
+                                <td className="px-6 py-4 text-sm text-gray-200 whitespace-nowrap">
+                                    {formatCurrency(rma.status === 'refunded' ? rma.refundedAmount : rma.refundAmount)}
+                                </td>
+                                <td className="px-6 py-4">
+                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[rma.status]}`}>
+                                        {RETURN_STATUS_LABELS[rma.status] ?? rma.status}
+                                    </span>
+                                </td>
+                                <td className="px-6 py-4 text-right text-sm font-medium whitespace-nowrap">
+                                    {!canManage ? (
+                                        <span className="text-gray-500">View only</span>
+                                    ) : RETURN_TRANSITIONS[rma.status]?.length > 0 ? (
+                                        <div className="flex justify-end gap-3">
+                                            {RETURN_TRANSITIONS[rma.status].map(status => (
+                                                <button
+                                                    key={status}
+                                                    onClick={() => onAction(rma, status)}
+                                                    className={ACTIONS[status].className}
+                                                >
+                                                    {ACTIONS[status].label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <span className="text-gray-500">Closed</span>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+ReturnTable.propTypes = {
+    returns: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            orderId: PropTypes.string.isRequired,
+            customerName: PropTypes.string,
+            items: PropTypes.arrayOf(
+                PropTypes.shape({
+                    cartItemId: PropTypes.string.isRequired,
+                    title: PropTypes.string,
+                    quantity: PropTypes.number.isRequired,
+                    size: PropTypes.string,
+                    color: PropTypes.string,
+                })
+            ).isRequired,
+            reason: PropTypes.string.isRequired,
+            comment: PropTypes.string,
+            refundAmount: PropTypes.number,
+            refundedAmount: PropTypes.number,
+            status: PropTypes.string.isRequired,
+            createdAt: PropTypes.string,
+        })
+    ).isRequired,
+    onAction: PropTypes.func.isRequired,
+    canManage: PropTypes.bool,
+};
+
+export default ReturnTable;
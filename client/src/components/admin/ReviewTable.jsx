@@ -0,0 +1,182 @@
+/**
+ * ReviewTable.jsx
+ *
+ * Table component for the review moderation queue, with row selection for
+ * bulk actions and per-review approve/reject/flag buttons.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const STATUS_STYLES = {
+    pending: 'bg-yellow-900 text-yellow-200',
+    flagged: 'bg-orange-900 text-orange-200',
+    approved: 'bg-green-900 text-green-200',
+    rejected: 'bg-red-900 text-red-200',
+};
+
+const ReviewTable = ({ reviews, selectedIds, onToggleSelect, onToggleSelectAll, onModerate, canModerate = true }) => {
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+        });
+    };
+
+    if (!reviews || reviews.length === 0) {
+        return (
+            <div className="bg-gray-800 rounded-lg shadow p-8 text-center border border-gray-700">
+                <p className="text-gray-400">No reviews found.</p>
+            </div>
+        );
+    }
+
+    const allSelected = reviews.every(review => selectedIds.includes(review.id));
+
+    return (
+        <div className="bg-gray-800 rounded-lg shadow overflow-hidden border border-gray-700">
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead className="bg-gray-900 border-b border-gray-700">
+                        <tr>
+                            {canModerate && (
+                                <th className="px-4 py-3 w-10">
+                                    <input
+                                        type="checkbox"
+                                        aria-label="Select all reviews"
+                                        className="h-4 w-4 bg-gray-700 border-gray-500 rounded"
+                                        checked={allSelected}
+                                        onChange={() => onToggleSelectAll(!allSelected)}
+                                    />
+                                </th>
+                            )}
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Review</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Product</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Status</th>
+                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                        {reviews.map((review) => (
+                            <tr key={review.id} className="hover:bg-gray-750 transition-colors align-top">
+                                {canModerate && (
+                                    <td className="px-4 py-4">
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`Select review by ${review.author}`}
+                                            className="h-4 w-4 bg-gray-700 border-gray-500 rounded"
+                                            checked={selectedIds.includes(review.id)}
+                                            onChange={() => onToggleSelect(review.id)}
+                                        />
+                                    </td>
+                                )}
+                                <td className="px-6 py-4 max-w-md">
+                                    <div className="text-sm text-yellow-400">
+                                        {'★'.repeat(review.rating)}
+                                        <span className="text-gray-600">{'★'.repeat(5 - review.rating)}</span>
+                                    </div>
+                                    {review.title && (
+                                        <div className="text-sm font-semibold text-gray-200 mt-1">{review.title}</div>
+                                    )}
+                                    <p className="text-sm text-gray-300 mt-1 whitespace-pre-line break-words">{review.body}</p>
+                                    <div className="text-xs text-gray-500 mt-2">
+                                        {review.author} · {formatDate(review.createdAt)}
+                                    </div>
+                                </td>
+                                <td className="px-6 py-4 text-sm text-gray-300">
+                                    {review.product ? (
+                                        <div className="flex items-center gap-3">
+                                            {review.product.image && (
+                                                <img
+                                                    src={review.product.image}
+                                                    alt=""
+                                                    className="w-10 h-10 rounded object-cover"
+                                                />
+                                            )}
+                                            <span>{review.product.title}</span>
+                                        </div>
+                                    ) : (
+                                        <span className="text-gray-500">Deleted product</span>
+                                    )}
+                                </td>
+                                <td className="px-6 py-4">
+                                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[review.status]}`}>
+                                        {review.status}
+                                    </span>
+                                    {review.flags?.length > 0 && (
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {review.flags.map(flag => (
+                                                <span key={flag} className="px-2 text-xs rounded bg-gray-700 text-orange-300">
+                                                    {flag}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </td>
+                                <td className="px-6 py-4 text-right text-sm font-medium whitespace-nowrap">
+                                    {canModerate ? (
+                                        <div className="flex justify-end gap-3">
+                                            {review.status !== 'approved' && (
+                                                <button
+                                                    onClick={() => onModerate(review, 'approved')}
+                                                    className="text-green-400 hover:text-green-300"
+                                                >
+                                                    Approve
+                                                </button>
+                                            )}
+                                            {review.status !== 'rejected' && (
+                                                <button
+                                                    onClick={() => onModerate(review, 'rejected')}
+                                                    className="text-red-400 hover:text-red-300"
+                                                >
+                                                    Reject
+                                                </button>
+                                            )}
+                                            {review.status !== 'flagged' && (
+                                                <button
+                                                    onClick={() => onModerate(review, 'flagged')}
+                                                    className="text-orange-400 hover:text-orange-300"
+                                                >
+                                                    Flag
+                                                </button>
+                                            )}
+                                        </div>
+                                    ) : (
+                                        <span className="text-gray-500">View only</span>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+ReviewTable.propTypes = {
+    reviews: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            rating: PropTypes.number.isRequired,
+            title: PropTypes.string,
+            body: PropTypes.string.isRequired,
+            author: PropTypes.string,
+            status: PropTypes.string.isRequired,
+            flags: PropTypes.arrayOf(PropTypes.string),
+            createdAt: PropTypes.string,
+            product: PropTypes.shape({
+                id: PropTypes.number,
+                title: PropTypes.string,
+                image: PropTypes.string,
+            }),
+        })
+    ).isRequired,
+    selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onToggleSelect: PropTypes.func.isRequired,
+    onToggleSelectAll: PropTypes.func.isRequired,
+    onModerate: PropTypes.func.isRequired,
+    canModerate: PropTypes.bool,
+};
+
+export default ReviewTable;
@@ -2,13 +2,13 @@
  * StatsCard.jsx
  * 
  * Reusable card component for displaying dashboard metrics.
- * Features icon, title, value, and optional color customization.
+ * Features icon, title, value, optional caption and color customization.
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
 
-const StatsCard = ({ title, value, icon, color = 'blue' }) => {
+const StatsCard = ({ title, value, icon, color = 'blue', caption }) => {
     const colorClasses = {
         blue: 'bg-blue-500',
         green: 'bg-green-500',
@@ -25,6 +25,7 @@ const StatsCard = ({ title, value, icon, color = 'blue' }) => {
                 <div className="flex-1">
                     <p className="text-sm font-medium text-gray-400 mb-1">{title}</p>
                     <p className="text-3xl font-bold text-gray-200">{value}</p>
+                    {caption && <p className="text-xs text-gray-500 mt-1">{caption}</p>}
                 </div>
                 <div className={`${bgColor} rounded-full p-3`}>
                     {icon}
@@ -39,6 +40,7 @@ StatsCard.propTypes = {
     value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
     icon: PropTypes.node.isRequired,
     color: PropTypes.oneOf(['blue', 'green', 'purple', 'yellow', 'red']),
+    caption: PropTypes.string,
 };
 
 StatsCard.defaultProps = {
@@ -0,0 +1,113 @@
+/**
+ * VariantMatrix.jsx
+ *
+ * Editable grid of a product's variants, one row per size/colour combination,
+ * with its SKU, stock, price override and image.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const VariantMatrix = ({ variants, basePrice, onChange }) => {
+    const inputClassName = 'w-full bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+    const totalStock = variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0);
+
+    if (variants.length === 0) {
+        return (
+            <p className="text-sm text-gray-500">
+                Pick sizes or enter colors to sell this product as separate variants.
+            </p>
+        );
+    }
+
+    return (
+        <div className="overflow-x-auto border border-gray-700 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-700">
+                <thead className="bg-gray-900">
+                    <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Variant</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">SKU</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Stock</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Price ($)</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Image URL</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-700">
+                    {variants.map((variant, index) => (
+                        <tr key={`${variant.size ?? ''}|${variant.color ?? ''}`}>
+                            <td className="px-3 py-2 text-sm text-gray-200 whitespace-nowrap">
+                                {[variant.size, variant.color].filter(Boolean).join(' / ')}
+                            </td>
+                            <td className="px-3 py-2">
+                                <input
+                                    type="text"
+                                    placeholder="Auto"
+                                    className={`${inputClassName} font-mono`}
+                                    value={variant.sku}
+                                    onChange={(e) => onChange(index, 'sku', e.target.value.toUpperCase())}
+                                />
+                            </td>
+                            <td className="px-3 py-2 w-24">
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    required
+                                    className={`${inputClassName} ${Number(variant.stock) === 0 ? 'text-red-300' : ''}`}
+                                    value={variant.stock}
+                                    onChange={(e) => onChange(index, 'stock', e.target.value)}
+                                />
+                            </td>
+                            <td className="px-3 py-2 w-28">
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    placeholder={basePrice ? String(basePrice) : 'Base'}
+                                    className={inputClassName}
+                                    value={variant.price ?? ''}
+                                    onChange={(e) => onChange(index, 'price', e.target.value)}
+                                />
+                            </td>
+                            <td className="px-3 py-2">
+                                <input
+                                    type="text"
+                                    placeholder="Product images"
+                                    className={inputClassName}
+                                    value={variant.image ?? ''}
+                                    onChange={(e) => onChange(index, 'image', e.target.value)}
+                                />
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+                <tfoot className="bg-gray-900">
+                    <tr>
+                        <td colSpan="2" className="px-3 py-2 text-xs text-gray-400">
+                            Leave price empty to use the base price
+                        </td>
+                        <td colSpan="3" className="px-3 py-2 text-sm text-gray-300">
+                            Total stock: <span className="font-semibold">{totalStock}</span>
+                        </td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+    );
+};
+
+VariantMatrix.propTypes = {
+    variants: PropTypes.arrayOf(
+        PropTypes.shape({
+            sku: PropTypes.string,
+            size: PropTypes.string,
+            color: PropTypes.string,
+            stock: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+            price: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+            image: PropTypes.string,
+        })
+    ).isRequired,
+    basePrice: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    onChange: PropTypes.func.isRequired,
+};
+
+export default VariantMatrix;
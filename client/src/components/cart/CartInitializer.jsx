@@ -1,21 +1,64 @@
 import { useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { initializeCart } from "../../features/cart/cartSlice";
-import { isUserAuthenticated } from "../../features/cart/cartUtils";
+import { toast } from "react-toastify";
+import { fetchCart, mergeGuestCart } from "../../features/cart/cartSlice";
+import { isUserAuthenticated, getGuestCartId } from "../../features/cart/cartUtils";
+
+// Describe a guest cart merge, e.g. "Added 3 items from your guest cart.
+// Hoodie was limited to 2 (stock). Removed: Lamp (out of stock)."
+const describeMerge = ({ merged, dropped }) => {
+  const parts = [];
+  // Only what the guest cart brought, not units already in the account cart
+  const mergedCount = merged.reduce((sum, line) => sum + line.added, 0);
+  if (mergedCount > 0) {
+    parts.push(`Added ${mergedCount} ${mergedCount === 1 ? "item" : "items"} from your guest cart.`);
+  }
+
+  merged
+    .filter((line) => line.quantity < line.requested)
+    .forEach((line) => {
+      parts.push(`${line.title} was limited to ${line.quantity} (stock).`);
+    });
+
+  if (dropped.length > 0) {
+    const droppedText = dropped
+      .map((line) => `${line.title || "An item"} (${line.reason})`)
+      .join(", ");
+    parts.push(`Removed: ${droppedText}.`);
+  }
+
+  return parts.join(" ");
+};
 
 const CartInitializer = () => {
   const dispatch = useDispatch();
   const token = useSelector((state) => state.auth.token);
 
   useEffect(() => {
-    // Initialize cart when user is authenticated
-    if (isUserAuthenticated() || token) {
-      dispatch(initializeCart());
-      console.log("Cart initialized on app load");
+    // Right after login/signup, fold in anything added as a guest
+    if ((isUserAuthenticated() || token) && getGuestCartId()) {
+      dispatch(mergeGuestCart())
+        .unwrap()
+        .then((summary) => {
+          const message = describeMerge(summary);
+          if (!message) return;
+          const adjusted =
+            summary.dropped.length > 0 ||
+            summary.merged.some((line) => line.quantity < line.requested);
+          (adjusted ? toast.warning : toast.info)(message);
+        })
+        .catch(() => {
+          // Keep the guest cart for the next attempt; load the user's own
+          dispatch(fetchCart());
+        });
+      return;
     }
+
+    // Load the signed-in user's (or guest's) cart from the server
+    dispatch(fetchCart());
   }, [dispatch, token]);
 
   return null; // This component doesn't render anything
 };
 
-export default CartInitializer;
\ No newline at end of file
+export default CartInitializer;
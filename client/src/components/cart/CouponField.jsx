@@ -0,0 +1,92 @@
+/**
+ * CouponField Component
+ *
+ * Apply/remove a promo code for the current cart. The code is validated by
+ * the server before it is kept; `couponError` shows why a previously applied
+ * code no longer applies (e.g. the cart dropped below its minimum spend).
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+import {
+  applyCoupon,
+  removeCoupon,
+  selectCouponCode,
+  selectCouponLoading,
+  selectCouponError,
+} from '../../features/cart/cartSlice';
+
+const CouponField = ({ couponError }) => {
+  const dispatch = useDispatch();
+  const couponCode = useSelector(selectCouponCode);
+  const isApplying = useSelector(selectCouponLoading);
+  const applyError = useSelector(selectCouponError);
+  const [code, setCode] = useState('');
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    try {
+      const cart = await dispatch(applyCoupon(code.trim())).unwrap();
+      toast.success(`Promo code ${cart.couponCode} applied`);
+      setCode('');
+    } catch {
+      // Message is shown under the field from the store
+    }
+  };
+
+  if (couponCode) {
+    return (
+      <div className="space-y-1">
+        <div className="flex items-center justify-between p-3 rounded-md bg-green-900 bg-opacity-30 border border-green-700">
+          <span className="text-sm text-green-300 font-mono font-semibold">
+            {couponCode}
+          </span>
+          <button
+            type="button"
+            onClick={() => dispatch(removeCoupon())}
+            className="text-sm text-gray-300 hover:text-white underline"
+          >
+            Remove
+          </button>
+        </div>
+        {couponError && <p className="text-xs text-yellow-400">{couponError}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleApply} className="space-y-1">
+      <label htmlFor="promo-code" className="sr-only">
+        Promo code
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="promo-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          placeholder="Promo code"
+          className="flex-1 min-w-0 px-3 py-2 rounded-md bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isApplying || !code.trim()}
+          className="px-4 py-2 rounded-md bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isApplying ? 'Applying...' : 'Apply'}
+        </button>
+      </div>
+      {applyError && <p className="text-xs text-red-400">{applyError}</p>}
+    </form>
+  );
+};
+
+CouponField.propTypes = {
+  couponError: PropTypes.string,
+};
+
+export default CouponField;
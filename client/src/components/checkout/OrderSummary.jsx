@@ -5,22 +5,33 @@ import {
   selectCartSubtotal,
   selectCartLoading,
 } from "../../features/cart/cartSlice";
+import {
+  FREE_SHIPPING_THRESHOLD,
+  calculateShipping,
+  calculateTax,
+  roundCurrency,
+} from "../../utils/pricing";
+import CouponField from "../cart/CouponField";
 
 const OrderSummary = ({
   overrideItems,
   overrideSubtotal,
   overrideShipping,
+  overrideDiscount,
   overrideTax,
   overrideTotal,
+  promotion,
+  couponError,
 }) => {
   const items = overrideItems ?? useSelector(selectCartItems) ?? [];
   const subtotal = overrideSubtotal ?? useSelector(selectCartSubtotal) ?? 0;
   const isLoading = useSelector(selectCartLoading);
 
-  // Simple & Clear Calculations
-  const shipping = overrideShipping ?? (subtotal >= 50 ? 0 : 5.99);
-  const tax = overrideTax ?? Number((subtotal * 0.08).toFixed(2));
-  const total = overrideTotal ?? Number((subtotal + shipping + tax).toFixed(2));
+  // Estimates unless the caller passes server-quoted amounts
+  const discount = overrideDiscount ?? 0;
+  const shipping = overrideShipping ?? calculateShipping(subtotal);
+  const tax = overrideTax ?? calculateTax(subtotal - discount);
+  const total = overrideTotal ?? roundCurrency(subtotal - discount + shipping + tax);
 
   const totalItems = useMemo(() => {
     return items.reduce((sum, item) => sum + (item?.quantity || 0), 0);
@@ -137,12 +148,27 @@ const OrderSummary = ({
         })}
       </div>
 
+      {/* Promo Code */}
+      <div className="mb-4">
+        <CouponField couponError={couponError} />
+      </div>
+
       {/* Price Breakdown */}
       <div className="space-y-3 pt-4 border-t border-gray-200">
         <div className="flex justify-between text-sm">
           <span className="text-gray-300">Subtotal</span>
           <span className="font-medium">{format(subtotal)}</span>
         </div>
+        {discount > 0 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-300">
+              Discount{promotion ? ` (${promotion.code})` : ""}
+            </span>
+            <span className="font-medium text-green-400">
+              -{format(discount)}
+            </span>
+          </div>
+        )}
         <div className="flex justify-between text-sm">
           <span className="text-gray-300">Shipping</span>
           <span className="font-medium">
@@ -167,9 +193,9 @@ const OrderSummary = ({
       </div>
 
       {/* Free Shipping Notice */}
-      {subtotal > 0 && subtotal < 50 && (
+      {subtotal > 0 && subtotal < FREE_SHIPPING_THRESHOLD && (
         <div className="mt-4 p-3 bg-blue-50 rounded-md text-xs text-blue-700">
-          Add {format(50 - subtotal)} more for free shipping!
+          Add {format(FREE_SHIPPING_THRESHOLD - subtotal)} more for free shipping!
         </div>
       )}
     </div>
@@ -0,0 +1,57 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * One multi-select facet in the filter sidebar: a checkbox per value with
+ * the number of products it would show. Values with no matches are
+ * disabled unless already selected, so a selection can always be undone.
+ */
+const FacetGroup = ({ title, options, selected, onToggle }) => {
+  if (options.length === 0) return null;
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-50 mb-2">
+        {title}
+      </legend>
+      <div className="space-y-1 max-h-48 overflow-y-auto pr-1">
+        {options.map((option) => {
+          const isSelected = selected.includes(option.value);
+          const isEmpty = option.count === 0 && !isSelected;
+          return (
+            <label
+              key={option.value}
+              className={`flex items-center text-sm ${isEmpty ? "text-gray-500 cursor-not-allowed" : "text-gray-50 cursor-pointer"
+                }`}
+            >
+              <input
+                type="checkbox"
+                checked={isSelected}
+                disabled={isEmpty}
+                onChange={() => onToggle(option.value)}
+                className="mr-2"
+              />
+              <span className="flex-1">{option.label}</span>
+              <span className="text-xs text-gray-400">{option.count}</span>
+            </label>
+          );
+        })}
+      </div>
+    </fieldset>
+  );
+};
+
+FacetGroup.propTypes = {
+  title: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onToggle: PropTypes.func.isRequired,
+};
+
+export default FacetGroup;
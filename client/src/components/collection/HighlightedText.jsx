@@ -0,0 +1,32 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Text from search highlights: matched words are wrapped in <mark>.
+ * Segments come from the search API as `{ text, match }`.
+ */
+const HighlightedText = ({ segments, className = "" }) => (
+  <span className={className}>
+    {segments.map((segment, index) =>
+      segment.match ? (
+        <mark key={index} className="bg-yellow-300/30 text-inherit rounded px-0.5">
+          {segment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    )}
+  </span>
+);
+
+HighlightedText.propTypes = {
+  segments: PropTypes.arrayOf(
+    PropTypes.shape({
+      text: PropTypes.string.isRequired,
+      match: PropTypes.bool.isRequired,
+    })
+  ).isRequired,
+  className: PropTypes.string,
+};
+
+export default HighlightedText;
@@ -1,9 +1,10 @@
 import React from "react";
-import { useDispatch, useSelector } from "react-redux";
-import { setPage, fetchProducts } from "../../features/products/productSlice";
+import { useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { getCollectionUrl } from "../../features/products/collectionParams";
 
 const Pagination = () => {
-  const dispatch = useDispatch();
+  const navigate = useNavigate();
   const { meta, filters } = useSelector((state) => state.products);
 
   // Ensure meta and filters are defined
@@ -17,9 +18,9 @@ const Pagination = () => {
   
   const safeFilters = filters || {};
 
+  // The collection page loads whatever page the URL asks for
   const handlePageChange = (newPage) => {
-    dispatch(setPage(newPage));
-    dispatch(fetchProducts({ ...safeFilters, page: newPage }));
+    navigate(getCollectionUrl(safeFilters, newPage));
   };
 
   const renderPageNumbers = () => {
@@ -0,0 +1,50 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Bar chart of how many products fall in each price bucket. Clicking a bar
+ * narrows the price range to that bucket; bars inside the current range
+ * are highlighted.
+ */
+const PriceHistogram = ({ buckets, minPrice, maxPrice, onSelect }) => {
+  if (buckets.length === 0) return null;
+
+  const highest = Math.max(...buckets.map((bucket) => bucket.count), 1);
+  const low = minPrice ? Number(minPrice) : -Infinity;
+  const high = maxPrice ? Number(maxPrice) : Infinity;
+
+  return (
+    <div className="flex items-end gap-1 h-16 mb-2" role="group" aria-label="Price distribution">
+      {buckets.map((bucket) => {
+        const inRange = bucket.max > low && bucket.min < high;
+        return (
+          <button
+            key={bucket.min}
+            type="button"
+            title={`$${bucket.min} - $${bucket.max}: ${bucket.count} products`}
+            aria-label={`$${bucket.min} to $${bucket.max}, ${bucket.count} products`}
+            onClick={() => onSelect(bucket.min, bucket.max)}
+            className={`flex-1 rounded-t ${inRange ? "bg-indigo-500 hover:bg-indigo-400" : "bg-gray-700 hover:bg-gray-600"
+              }`}
+            style={{ height: `${Math.max(4, (bucket.count / highest) * 100)}%` }}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+PriceHistogram.propTypes = {
+  buckets: PropTypes.arrayOf(
+    PropTypes.shape({
+      min: PropTypes.number.isRequired,
+      max: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  minPrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  maxPrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default PriceHistogram;
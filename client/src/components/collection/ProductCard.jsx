@@ -1,13 +1,14 @@
 import React, { useState, useEffect } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link } from "react-router-dom";
 import { useDispatch } from "react-redux";
 import { toast } from "react-toastify";
 import { addToCart } from "../../features/cart/cartSlice";
-import { isUserAuthenticated } from "../../features/cart/cartUtils";
+import WishlistButton from "../wishlist/WishlistButton";
+import { getDefaultVariant } from "../../utils/variants";
+import HighlightedText from "./HighlightedText";
 
 const ProductCard = ({ product }) => {
   const dispatch = useDispatch();
-  const navigate = useNavigate();
   const [isAdding, setIsAdding] = useState(false);
 
 
@@ -16,13 +17,6 @@ const ProductCard = ({ product }) => {
     e.stopPropagation();
 
     try {
-      // Check if user is authenticated
-      if (!isUserAuthenticated()) {
-        console.log('User not authenticated, redirecting to signup');
-        navigate('/signup', { state: { from: `/product/${product.id}` } });
-        return;
-      }
-
       // Validate product exists and has stock
       if (!product) {
         toast.error('Product not available');
@@ -37,22 +31,23 @@ const ProductCard = ({ product }) => {
 
       setIsAdding(true);
 
-      // Dispatch add to cart action
-      dispatch(
+      // Add the first in-stock size/color; the server checks stock
+      const { size, color } = getDefaultVariant(product);
+      await dispatch(
         addToCart({
           product,
-          size: product.sizes && product.sizes.length > 0 ? product.sizes[0] : null,
-          color: product.colors && product.colors.length > 0 ? product.colors[0] : null,
+          size,
+          color,
           quantity: 1,
         })
-      );
+      ).unwrap();
 
       toast.success('Product added to cart');
 
       console.log('Product added to cart from card:', product.id);
     } catch (error) {
       console.error('Error adding to cart:', error);
-      toast.error('Failed to add to cart');
+      toast.error(typeof error === 'string' ? error : 'Failed to add to cart');
     } finally {
       setIsAdding(false);
     }
@@ -75,16 +70,28 @@ const ProductCard = ({ product }) => {
             <div className="absolute top-2 right-2 bg-yellow-400 text-black px-2 py-1 rounded-full text-xs font-semibold">
               ⭐ {product.rating}
             </div>
+            <WishlistButton productId={product.id} className="absolute top-2 left-2 w-9 h-9" />
           </div>
         </Link>
 
         <div className="p-4">
           <Link to={`/product/${product.id}`}>
             <h3 className="text-lg font-semibold text-gray-100 mb-2 hover:text-blue-600 transition-colors">
-              {product.title}
+              {product.highlights?.title ? (
+                <HighlightedText segments={product.highlights.title} />
+              ) : (
+                product.title
+              )}
             </h3>
           </Link>
 
+          {/* Only present on search results: where the query matched */}
+          {product.highlights?.description && (
+            <p className="text-xs text-gray-400 mb-3 line-clamp-3">
+              <HighlightedText segments={product.highlights.description} />
+            </p>
+          )}
+
           <div className="flex items-center justify-between mb-3">
             <span className="text-xl font-bold text-green-600">
               ${product.price}
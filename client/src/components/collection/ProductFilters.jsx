@@ -1,19 +1,32 @@
 import React, { useState, useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import {
-  setFilters,
-  clearFilters,
-  fetchCategories,
-} from "../../features/products/productSlice";
+import { useNavigate } from "react-router-dom";
+import { fetchCategories } from "../../features/products/productSlice";
+import { getCollectionUrl } from "../../features/products/collectionParams";
+import FacetGroup from "./FacetGroup";
+import PriceHistogram from "./PriceHistogram";
+
+// Sidebar facets besides categories, in display order
+const FACET_GROUPS = [
+  { key: "size", title: "Size" },
+  { key: "color", title: "Colour" },
+  { key: "rating", title: "Rating" },
+  { key: "availability", title: "Availability" },
+];
 
 const ProductFilters = () => {
   const dispatch = useDispatch();
-  const { categories, filters, categoriesLoading } = useSelector((state) => state.products);
+  const navigate = useNavigate();
+  const { categories, filters, facets, categoriesLoading } = useSelector((state) => state.products);
 
   // Ensure filters and categories are defined
   const safeFilters = filters || {
     q: "",
     category: [],
+    size: [],
+    color: [],
+    rating: [],
+    availability: [],
     minPrice: null,
     maxPrice: null,
     sortBy: "createdAt",
@@ -26,6 +39,10 @@ const ProductFilters = () => {
   const [localFilters, setLocalFilters] = useState({
     q: safeFilters.q,
     category: safeFilters.category,
+    size: safeFilters.size,
+    color: safeFilters.color,
+    rating: safeFilters.rating,
+    availability: safeFilters.availability,
     minPrice: safeFilters.minPrice,
     maxPrice: safeFilters.maxPrice,
     sortBy: safeFilters.sortBy,
@@ -49,12 +66,39 @@ const ProductFilters = () => {
     }));
   };
 
-  const handleCategoryChange = (categorySlug) => {
-    const newCategories = localFilters.category.includes(categorySlug)
-      ? localFilters.category.filter((cat) => cat !== categorySlug)
-      : [...localFilters.category, categorySlug];
+  // Searching switches the default sort to best match, and back when cleared
+  const handleSearchChange = (value) => {
+    setLocalFilters((prev) => {
+      const next = { ...prev, q: value };
+      if (value.trim() && prev.sortBy === "createdAt") {
+        next.sortBy = "relevance";
+        next.sortOrder = "desc";
+      } else if (!value.trim() && prev.sortBy === "relevance") {
+        next.sortBy = "createdAt";
+        next.sortOrder = "desc";
+      }
+      return next;
+    });
+  };
+
+  // Facets apply straight away so their counts stay in step with the results
+  const handleFacetToggle = (key, value) => {
+    const selected = safeFilters[key] || [];
+    const next = selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : [...selected, value];
 
-    handleFilterChange("category", newCategories);
+    navigate(getCollectionUrl({ ...safeFilters, [key]: next }));
+  };
+
+  const handlePriceBucketSelect = (min, max) => {
+    navigate(
+      getCollectionUrl({
+        ...safeFilters,
+        minPrice: String(min),
+        maxPrice: String(max),
+      })
+    );
   };
 
   const handleSortChange = (sortBy) => {
@@ -67,7 +111,7 @@ const ProductFilters = () => {
           : "asc";
     } else if (sortBy === "rating") {
       sortOrder = "desc";
-    } else if (sortBy === "createdAt") {
+    } else if (sortBy === "createdAt" || sortBy === "relevance") {
       sortOrder = "desc";
     } else {
       sortOrder = "asc";
@@ -77,144 +121,142 @@ const ProductFilters = () => {
     handleFilterChange("sortOrder", sortOrder);
   };
 
+  // Filters live in the URL; the collection page fetches when it changes
   const applyFilters = () => {
-    console.log("Applying filters:", localFilters);
-    dispatch(setFilters(localFilters));
-    dispatch(fetchProducts(localFilters));
+    navigate(getCollectionUrl(localFilters));
   };
 
   const handleClearFilters = () => {
-    console.log("Clearing filters");
-    dispatch(clearFilters());
-    dispatch(fetchProducts({
-      q: "",
-      category: [],
-      minPrice: null,
-      maxPrice: null,
-      sortBy: "createdAt",
-      sortOrder: "desc",
-    }));
+    navigate("/collection");
   };
 
-  // Debug logging
-  console.log("ProductFilters render:", {
-    categories,
-    safeCategories,
-    localFilters,
-  });
+  // Every category is listed; counts come from the facets for the current filters
+  const categoryCounts = new Map(
+    (facets?.category || []).map((option) => [option.value, option.count])
+  );
+  const categoryOptions = safeCategories.map((category) => ({
+    value: category.slug,
+    label: category.name,
+    count: categoryCounts.get(category.slug) ?? 0,
+  }));
 
   return (
-    <div className="bg-gray-900 p-6 rounded-lg shadow-md mb-6">
-      <div className="flex flex-wrap gap-4">
-        {/* Search */}
-        <div className="flex-1 min-w-[200px]">
-          <label className="block text-sm font-medium text-gray-50 mb-2">
-            Search
-          </label>
-          <input
-            type="text"
-            placeholder="Search products..."
-            value={localFilters.q || ""}
-            onChange={(e) => handleFilterChange("q", e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-
-        {/* Categories */}
-        <div className="flex-1 min-w-[200px]">
-          <label className="block text-sm font-medium text-gray-50 mb-2">
-            Categories
-          </label>
-          <div className="space-y-2 max-h-32">
-            {safeCategories.length > 0 ? (
-              safeCategories.map((category) => (
-                <label key={category.id} className="flex items-center">
-                  <input
-                    type="checkbox"
-                    checked={
-                      localFilters.category &&
-                      localFilters.category.includes(category.slug)
-                    }
-                    onChange={() => handleCategoryChange(category.slug)}
-                    className="mr-2"
-                  />
-                  <span className="text-sm text-gray-50">{category.name}</span>
-                </label>
-              ))
-            ) : categoriesLoading ? (
-              <div className="text-sm text-gray-50">Loading categories...</div>
-            ) : (
-              <div className="text-sm text-gray-50">No categories found</div>
-            )}
-          </div>
-        </div>
+    <div className="bg-gray-900 p-6 rounded-lg shadow-md space-y-6 lg:sticky lg:top-28">
+      {/* Search */}
+      <div>
+        <label className="block text-sm font-medium text-gray-50 mb-2">
+          Search
+        </label>
+        <input
+          type="text"
+          placeholder="Search products..."
+          value={localFilters.q || ""}
+          onChange={(e) => handleSearchChange(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && applyFilters()}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
 
-        {/* Price Range */}
-        <div className="flex-1 min-w-[200px]">
-          <label className="block text-sm font-medium text-gray-50 mb-2">
-            Price Range
-          </label>
-          <div className="flex gap-2">
-            <input
-              type="number"
-              placeholder="Min"
-              value={localFilters.minPrice || ""}
-              onChange={(e) =>
-                handleFilterChange("minPrice", e.target.value || null)
-              }
-              className="w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-            <input
-              type="number"
-              placeholder="Max"
-              value={localFilters.maxPrice || ""}
-              onChange={(e) =>
-                handleFilterChange("maxPrice", e.target.value || null)
-              }
-              className="w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
+      {/* Sort */}
+      <div>
+        <label className="block text-sm font-medium text-gray-50 mb-2">
+          Sort By
+        </label>
+        <select
+          value={`${localFilters.sortBy || "createdAt"}-${
+            localFilters.sortOrder || "desc"
+          }`}
+          onChange={(e) => {
+            const [sortBy, sortOrder] = e.target.value.split("-");
+            handleSortChange(sortBy);
+          }}
+          className="w-full px-3 py-2 border border-gray-300 bg-slate-900 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {localFilters.q?.trim() && (
+            <option value="relevance-desc">Best Match</option>
+          )}
+          <option value="title-asc">Name</option>
+          <option value="price-asc">Price: Low to High</option>
+          <option value="price-desc">Price: High to Low</option>
+          <option value="rating-desc">Highest Rated</option>
+          <option value="createdAt-desc">Newest</option>
+        </select>
+      </div>
 
-        {/* Sort */}
-        <div className="flex-1 min-w-[200px]">
-          <label className="block text-sm font-medium text-gray-50 mb-2">
-            Sort By
-          </label>
-          <select
-            value={`${localFilters.sortBy || "createdAt"}-${
-              localFilters.sortOrder || "desc"
-            }`}
-            onChange={(e) => {
-              const [sortBy, sortOrder] = e.target.value.split("-");
-              handleSortChange(sortBy);
-            }}
-            className="w-full px-3 py-2 border border-gray-300 bg-slate-900 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-          >
-            <option value="title-asc">Name</option>
-            <option value="price-asc">Price: Low to High</option>
-            <option value="price-desc">Price: High to Low</option>
-            <option value="rating-desc">Highest Rated</option>
-            <option value="createdAt-desc">Newest</option>
-          </select>
+      {/* Price Range */}
+      <div>
+        <label className="block text-sm font-medium text-gray-50 mb-2">
+          Price Range
+        </label>
+        <PriceHistogram
+          buckets={facets?.price || []}
+          minPrice={safeFilters.minPrice}
+          maxPrice={safeFilters.maxPrice}
+          onSelect={handlePriceBucketSelect}
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            placeholder="Min"
+            value={localFilters.minPrice || ""}
+            onChange={(e) =>
+              handleFilterChange("minPrice", e.target.value || null)
+            }
+            className="w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="number"
+            placeholder="Max"
+            value={localFilters.maxPrice || ""}
+            onChange={(e) =>
+              handleFilterChange("maxPrice", e.target.value || null)
+            }
+            className="w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
         </div>
       </div>
 
       {/* Action Buttons */}
-      <div className="flex gap-4 mt-6">
+      <div className="flex gap-4">
         <button
           onClick={applyFilters}
-          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
         >
           Apply Filters
         </button>
         <button
           onClick={handleClearFilters}
-          className="px-4 py-2 bg-gray-600 text-gray-50 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          className="flex-1 px-4 py-2 bg-gray-600 text-gray-50 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
         >
           Clear All
         </button>
       </div>
+
+      {/* Categories */}
+      {safeCategories.length > 0 ? (
+        <FacetGroup
+          title="Categories"
+          options={categoryOptions}
+          selected={safeFilters.category || []}
+          onToggle={(value) => handleFacetToggle("category", value)}
+        />
+      ) : (
+        <div className="text-sm text-gray-50">
+          {categoriesLoading ? "Loading categories..." : "No categories found"}
+        </div>
+      )}
+
+      {/* Facets */}
+      {facets &&
+        FACET_GROUPS.map(({ key, title }) => (
+          <FacetGroup
+            key={key}
+            title={title}
+            options={facets[key] || []}
+            selected={safeFilters[key] || []}
+            onToggle={(value) => handleFacetToggle(key, value)}
+          />
+        ))}
     </div>
   );
 };
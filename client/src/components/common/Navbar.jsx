@@ -4,7 +4,7 @@ import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faUser } from "@fortawesome/free-solid-svg-icons";
 import { faCartShopping } from "@fortawesome/free-solid-svg-icons";
 import { useSelector, useDispatch } from "react-redux";
-import { logout } from "../../features/auth/authSlice";
+import { logoutUser } from "../../features/auth/authSlice";
 import {
   faRightToBracket,
   faArrowRightFromBracket,
@@ -13,6 +13,7 @@ import {
 } from "@fortawesome/free-solid-svg-icons";
 import { useNavigate } from "react-router-dom";
 import CartBadge from "./CartBadge";
+import SearchBar from "./SearchBar";
 
 function Navbar() {
   const dispatch = useDispatch();
@@ -64,7 +65,7 @@ function Navbar() {
   };
 
   const handleLogout = () => {
-    dispatch(logout());
+    dispatch(logoutUser());
     setDropdownOpen(false);
     setMobileMenuOpen(false);
   };
@@ -128,6 +129,7 @@ function Navbar() {
 
         {/* Desktop Icons */}
         <div className="hidden lg:flex items-center gap-6 text-white text-2xl">
+          <SearchBar className="w-64 xl:w-80" />
           <span className="relative" ref={dropdownRef}>
             <span className="cursor-pointer hover:text-cyan-300 transition-colors duration-200" onClick={handleUserClick}>
               <FontAwesomeIcon icon={faUser} />
@@ -252,6 +254,10 @@ function Navbar() {
             </button>
           </div>
 
+          <div className="px-6 pt-6">
+            <SearchBar onNavigate={closeMobileMenu} />
+          </div>
+
           {/* Mobile Navigation Links */}
           <ul className="flex flex-col gap-1 p-6 text-lg font-medium text-white/90 flex-grow overflow-y-auto">
             <li className="hover:bg-white/10 rounded-lg transition-all duration-200">
@@ -0,0 +1,281 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useNavigate } from "react-router-dom";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faMagnifyingGlass,
+  faClockRotateLeft,
+  faTag,
+} from "@fortawesome/free-solid-svg-icons";
+import useSearchSuggestions from "../../hooks/useSearchSuggestions";
+import { getCollectionUrl } from "../../features/products/collectionParams";
+import HighlightedText from "../collection/HighlightedText";
+import {
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches,
+} from "../../utils/recentSearches";
+
+/**
+ * Global product search with autocomplete. Shows recent searches until the
+ * user types, then debounced suggestions: matching products and the
+ * categories they fall in. Arrow keys move through the options, Enter opens
+ * the highlighted one (or searches the collection for the typed text) and
+ * Escape closes the list.
+ */
+const SearchBar = ({ onNavigate, className = "" }) => {
+  const navigate = useNavigate();
+  const listId = useId();
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(getRecentSearches);
+  const { suggestions, loading } = useSearchSuggestions(query);
+  const trimmed = query.trim();
+
+  // One flat list so the keyboard can move across every section
+  const options = trimmed
+    ? [
+      { type: "query", key: "query", query: trimmed },
+      ...(suggestions?.products || []).map((product) => ({
+        type: "product",
+        key: `product-${product.id}`,
+        product,
+      })),
+      ...(suggestions?.categories || []).map((category) => ({
+        type: "category",
+        key: `category-${category.slug}`,
+        category,
+      })),
+    ]
+    : recentSearches.map((recent) => ({
+      type: "recent",
+      key: `recent-${recent}`,
+      query: recent,
+    }));
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  // New suggestions invalidate the highlighted row
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions, trimmed]);
+
+  const finish = (path, searchedFor) => {
+    if (searchedFor) setRecentSearches(addRecentSearch(searchedFor));
+    setIsOpen(false);
+    setActiveIndex(-1);
+    inputRef.current?.blur();
+    navigate(path);
+    onNavigate?.();
+  };
+
+  const selectOption = (option) => {
+    switch (option.type) {
+      case "product":
+        finish(`/product/${option.product.id}`, trimmed);
+        break;
+      case "category":
+        finish(getCollectionUrl({ q: trimmed, category: [option.category.slug] }), trimmed);
+        break;
+      default:
+        setQuery(option.query);
+        finish(getCollectionUrl({ q: option.query }), option.query);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setIsOpen(true);
+      if (options.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // -1 is the input itself, so the list wraps through it
+      setActiveIndex((prev) => ((prev + 1 + step + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (isOpen && activeIndex >= 0 && options[activeIndex]) {
+        selectOption(options[activeIndex]);
+      } else if (trimmed) {
+        finish(getCollectionUrl({ q: trimmed }), trimmed);
+      }
+    } else if (e.key === "Escape") {
+      if (isOpen) {
+        setIsOpen(false);
+        setActiveIndex(-1);
+      } else {
+        setQuery("");
+      }
+    }
+  };
+
+  const handleClearRecent = () => {
+    clearRecentSearches();
+    setRecentSearches([]);
+  };
+
+  const optionId = (index) => `${listId}-option-${index}`;
+  const showList = isOpen && (trimmed || recentSearches.length > 0);
+
+  const renderOption = (option, index) => {
+    const isActive = index === activeIndex;
+    const rowClass = `flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${isActive ? "bg-indigo-600 text-white" : "text-gray-200 hover:bg-gray-800"
+      }`;
+
+    let content;
+    if (option.type === "product") {
+      const { product } = option;
+      content = (
+        <>
+          {product.image ? (
+            <img src={product.image} alt="" className="w-10 h-10 rounded object-cover flex-shrink-0" />
+          ) : (
+            <div className="w-10 h-10 rounded bg-gray-700 flex-shrink-0" />
+          )}
+          <div className="min-w-0 flex-1">
+            <p className="truncate">
+              <HighlightedText segments={product.highlights.title} />
+            </p>
+            <p className={`text-xs ${isActive ? "text-indigo-100" : "text-gray-400"}`}>
+              {product.category}
+            </p>
+          </div>
+          <span className="font-semibold">${product.price}</span>
+        </>
+      );
+    } else if (option.type === "category") {
+      content = (
+        <>
+          <FontAwesomeIcon icon={faTag} className="w-4 text-gray-400" />
+          <span className="flex-1">
+            &ldquo;{trimmed}&rdquo; in <span className="font-semibold">{option.category.name}</span>
+          </span>
+          <span className="text-xs text-gray-400">{option.category.count}</span>
+        </>
+      );
+    } else {
+      content = (
+        <>
+          <FontAwesomeIcon
+            icon={option.type === "recent" ? faClockRotateLeft : faMagnifyingGlass}
+            className="w-4 text-gray-400"
+          />
+          <span className="flex-1 truncate">
+            {option.type === "recent" ? option.query : <>Search for &ldquo;{option.query}&rdquo;</>}
+          </span>
+        </>
+      );
+    }
+
+    return (
+      <li
+        key={option.key}
+        id={optionId(index)}
+        role="option"
+        aria-selected={isActive}
+        className={rowClass}
+        // Keep focus in the input so the click isn't lost to a blur
+        onMouseDown={(e) => e.preventDefault()}
+        onMouseEnter={() => setActiveIndex(index)}
+        onClick={() => selectOption(option)}
+      >
+        {content}
+      </li>
+    );
+  };
+
+  const productOffset = 1;
+  const categoryOffset = productOffset + (suggestions?.products?.length || 0);
+
+  return (
+    <div ref={containerRef} className={`relative ${className}`}>
+      <div className="relative">
+        <FontAwesomeIcon
+          icon={faMagnifyingGlass}
+          className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-white/60 pointer-events-none"
+        />
+        <input
+          ref={inputRef}
+          type="search"
+          role="combobox"
+          aria-expanded={Boolean(showList)}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+          placeholder="Search products..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          className="w-full pl-9 pr-3 py-2 text-base rounded-full bg-white/10 border border-white/20 text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-cyan-300"
+        />
+      </div>
+
+      {showList && (
+        <div className="absolute left-0 right-0 mt-2 bg-gray-900 border border-gray-700 rounded-lg shadow-xl overflow-hidden z-50">
+          <ul id={listId} role="listbox" className="max-h-96 overflow-y-auto py-1">
+            {!trimmed && (
+              <li role="presentation" className="flex items-center justify-between px-4 py-1 text-xs uppercase tracking-wide text-gray-500">
+                <span>Recent searches</span>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={handleClearRecent}
+                  className="normal-case tracking-normal text-cyan-300 hover:underline"
+                >
+                  Clear
+                </button>
+              </li>
+            )}
+
+            {trimmed ? (
+              <>
+                {renderOption(options[0], 0)}
+                {suggestions?.products?.length > 0 && (
+                  <li role="presentation" className="px-4 pt-2 pb-1 text-xs uppercase tracking-wide text-gray-500">Products</li>
+                )}
+                {options
+                  .slice(productOffset, categoryOffset)
+                  .map((option, i) => renderOption(option, productOffset + i))}
+                {suggestions?.categories?.length > 0 && (
+                  <li role="presentation" className="px-4 pt-2 pb-1 text-xs uppercase tracking-wide text-gray-500">Categories</li>
+                )}
+                {options
+                  .slice(categoryOffset)
+                  .map((option, i) => renderOption(option, categoryOffset + i))}
+                {!loading && suggestions && suggestions.products.length === 0 && (
+                  <li role="presentation" className="px-4 py-2 text-sm text-gray-400">No matching products</li>
+                )}
+              </>
+            ) : (
+              options.map(renderOption)
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SearchBar.propTypes = {
+  onNavigate: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default SearchBar;
@@ -1,7 +1,8 @@
 import React, { useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
-import { fetchCategories, setFilters } from "../../features/products/productSlice";
+import { fetchCategories } from "../../features/products/productSlice";
+import { getCollectionUrl } from "../../features/products/collectionParams";
 import { ArrowRight } from "lucide-react";
 
 /**
@@ -67,15 +68,13 @@ const BentoGrid = ({ title, subtitle }) => {
 
     /**
      * Handle category card click
-     * Sets the category filter in Redux store and navigates to collection page
+     * Navigates to the collection page filtered to this category
      * 
      * @param {string} categorySlug - The category slug to filter by (e.g., 'electronics')
      */
     const handleCategoryClick = (categorySlug) => {
-        // Set single category filter (replaces any existing category filters)
-        dispatch(setFilters({ category: [categorySlug] }));
-        // Navigate to collection page where filtered products will be displayed
-        navigate("/collection");
+        // The filter travels in the URL, so the link can be shared or refreshed
+        navigate(getCollectionUrl({ category: [categorySlug] }));
     };
 
     // Loading state
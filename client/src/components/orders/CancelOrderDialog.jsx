@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch } from "react-redux";
+import { toast } from "react-toastify";
+import { cancelOrder } from "../../features/orders/orderSlice";
+import { CANCELLATION_REASONS, isPrepaid } from "../../utils/orderStatus";
+
+/**
+ * Modal for a customer cancelling their own order. Asks why (a comment is
+ * required for "Other"), explains what happens to the payment and asks for
+ * confirmation before calling the API.
+ */
+const CancelOrderDialog = ({ order, isOpen, onClose }) => {
+  const dispatch = useDispatch();
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setReason("");
+      setComment("");
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen || !order) return null;
+
+  const needsComment = reason === "other";
+  const canSubmit = reason && (!needsComment || comment.trim()) && !submitting;
+
+  const handleClose = () => {
+    if (!submitting) onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await dispatch(
+        cancelOrder({ orderId: order.id, reason, comment: comment.trim() })
+      ).unwrap();
+      toast.success(result.message || "Order cancelled");
+      onClose();
+    } catch (err) {
+      setError(typeof err === "string" ? err : "Failed to cancel order");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="cancel-order-title"
+    >
+      <div
+        className="fixed inset-0 bg-black/70"
+        aria-hidden="true"
+        onClick={handleClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-md bg-gray-800 border border-gray-700 rounded-lg shadow-xl p-6"
+      >
+        <h2 id="cancel-order-title" className="text-lg font-semibold text-gray-100">
+          Cancel order #{order.id}?
+        </h2>
+        <p className="mt-1 text-sm text-gray-400">
+          {isPrepaid(order.paymentMethod)
+            ? "Your items will be released and the amount you paid will be refunded to your original payment method."
+            : "Your items will be released. Nothing has been charged for this cash on delivery order."}
+        </p>
+
+        <fieldset className="mt-4">
+          <legend className="text-sm font-medium text-gray-200 mb-2">
+            Why are you cancelling?
+          </legend>
+          <div className="space-y-2">
+            {CANCELLATION_REASONS.map((option) => (
+              <label
+                key={option.value}
+                className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer"
+              >
+                <input
+                  type="radio"
+                  name="cancel-reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={() => setReason(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <label className="block mt-4">
+          <span className="text-sm font-medium text-gray-200">
+            {needsComment ? "Tell us more" : "Anything else? (optional)"}
+          </span>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={3}
+            maxLength={500}
+            required={needsComment}
+            className="mt-1 w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        {error && (
+          <p className="mt-3 text-sm text-red-400" role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className="mt-6 flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+          <button
+            type="button"
+            onClick={handleClose}
+            disabled={submitting}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+          >
+            Keep Order
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? "Cancelling..." : "Cancel Order"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+CancelOrderDialog.propTypes = {
+  order: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    paymentMethod: PropTypes.string,
+  }),
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CancelOrderDialog;
@@ -0,0 +1,117 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { RETURN_REASONS, RETURN_STATUS_LABELS } from "../../utils/returns";
+
+const STATUS_CLASSES = {
+  requested: "bg-yellow-100 text-yellow-800 border-yellow-200",
+  approved: "bg-blue-100 text-blue-800 border-blue-200",
+  rejected: "bg-red-100 text-red-800 border-red-200",
+  received: "bg-purple-100 text-purple-800 border-purple-200",
+  refunded: "bg-green-100 text-green-800 border-green-200",
+};
+
+const STATUS_HINTS = {
+  requested: "We're reviewing your request.",
+  approved: "Approved — please send the items back to us.",
+  rejected: "This return was not approved.",
+  received: "We've received your items. Your refund is on its way.",
+  refunded: "Refunded to your original payment method.",
+};
+
+const formatDate = (dateString) => {
+  try {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  } catch {
+    return "";
+  }
+};
+
+const getReasonLabel = (reason) =>
+  RETURN_REASONS.find((option) => option.value === reason)?.label ?? reason;
+
+/**
+ * The customer's returns for one order, each with its items, status and
+ * the latest note from the store.
+ */
+const OrderReturns = ({ returns }) => {
+  if (returns.length === 0) return null;
+
+  return (
+    <ul className="space-y-4">
+      {returns.map((rma) => {
+        const latest = rma.history?.[rma.history.length - 1];
+        const amount = rma.status === "refunded" ? rma.refundedAmount : rma.refundAmount;
+
+        return (
+          <li
+            key={rma.id}
+            className="pb-4 border-b border-gray-700 last:border-b-0 last:pb-0"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="text-sm">
+                <span className="text-gray-200 font-mono">{rma.id}</span>
+                <span className="text-gray-400"> · requested {formatDate(rma.createdAt)}</span>
+              </div>
+              <span
+                className={`px-3 py-1 rounded-full text-xs font-semibold border ${
+                  STATUS_CLASSES[rma.status] ?? "bg-gray-100 text-gray-800 border-gray-200"
+                }`}
+              >
+                {RETURN_STATUS_LABELS[rma.status] ?? rma.status}
+              </span>
+            </div>
+
+            <ul className="mt-2 text-sm text-gray-300 space-y-1">
+              {rma.items.map((line) => (
+                <li key={line.cartItemId}>
+                  {line.quantity} × {line.title}
+                  {(line.size || line.color) && (
+                    <span className="text-gray-400">
+                      {" "}({[line.size, line.color].filter(Boolean).join(" • ")})
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <p className="mt-2 text-xs text-gray-400">
+              Reason: {getReasonLabel(rma.reason)}
+              {rma.comment && ` — "${rma.comment}"`}
+            </p>
+            <div className="mt-2 flex flex-wrap justify-between gap-2 text-sm">
+              <span className="text-gray-400">
+                {STATUS_HINTS[rma.status]}
+                {latest?.note && latest.status !== "requested" && ` ${latest.note}`}
+              </span>
+              <span className="text-gray-200 font-medium">
+                {rma.status === "refunded" ? "Refunded" : "Refund"} ${Number(amount || 0).toFixed(2)}
+              </span>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+OrderReturns.propTypes = {
+  returns: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      reason: PropTypes.string,
+      comment: PropTypes.string,
+      items: PropTypes.array.isRequired,
+      history: PropTypes.array,
+      refundAmount: PropTypes.number,
+      refundedAmount: PropTypes.number,
+      createdAt: PropTypes.string,
+    })
+  ).isRequired,
+};
+
+export default OrderReturns;
@@ -0,0 +1,137 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {
+  FULFILMENT_STEPS,
+  getOrderStatusLabel,
+  normalizeOrderStatus,
+} from "../../utils/orderStatus";
+
+const formatDateTime = (dateString) => {
+  try {
+    return new Date(dateString).toLocaleString("en-US", {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  } catch {
+    return "";
+  }
+};
+
+const getActorText = (actor) => {
+  if (actor?.type === "customer") return "by you";
+  if (actor?.type === "staff") return "by Buyzzie";
+  return null;
+};
+
+/**
+ * Steps to show: while an order is on its way, every fulfilment step with
+ * the ones still to come greyed out; once it has been cancelled, returned
+ * or refunded, just what actually happened.
+ */
+const buildSteps = (status, history) => {
+  const current = normalizeOrderStatus(status) ?? "pending";
+  const currentIndex = FULFILMENT_STEPS.indexOf(current);
+
+  if (currentIndex === -1) {
+    return history.map((entry, index) => ({
+      ...entry,
+      state: index === history.length - 1 ? "current" : "done",
+    }));
+  }
+
+  return FULFILMENT_STEPS.map((step, index) => {
+    const entry = [...history].reverse().find((e) => e.status === step);
+    return {
+      status: step,
+      at: entry?.at ?? null,
+      note: entry?.note ?? "",
+      actor: entry?.actor ?? null,
+      state: index < currentIndex ? "done" : index === currentIndex ? "current" : "upcoming",
+    };
+  });
+};
+
+const DOT_CLASSES = {
+  done: "bg-green-500 border-green-500",
+  current: "bg-blue-500 border-blue-300 ring-4 ring-blue-500/30",
+  upcoming: "bg-gray-800 border-gray-600",
+};
+
+/**
+ * Tracking timeline for an order, built from its `statusHistory`.
+ * `compact` drops notes and actors for use inside order lists.
+ */
+const OrderTimeline = ({ status, history = [], compact = false }) => {
+  const steps = buildSteps(status, history);
+
+  return (
+    <ol aria-label="Order tracking">
+      {steps.map((step, index) => {
+        const isLast = index === steps.length - 1;
+        const actorText = getActorText(step.actor);
+        return (
+          <li
+            key={`${step.status}-${index}`}
+            className={`relative flex gap-3 ${isLast ? "" : compact ? "pb-2" : "pb-4"}`}
+          >
+            {!isLast && (
+              <span
+                className={`absolute left-[5px] top-4 bottom-0 w-0.5 ${step.state === "done" ? "bg-green-500" : "bg-gray-600"
+                  }`}
+                aria-hidden="true"
+              />
+            )}
+            <span
+              className={`relative mt-1 w-3 h-3 flex-shrink-0 rounded-full border-2 ${DOT_CLASSES[step.state]}`}
+              aria-hidden="true"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="flex flex-wrap items-baseline justify-between gap-x-3">
+                <span
+                  className={`text-sm font-medium ${step.state === "upcoming" ? "text-gray-500" : "text-gray-200"
+                    }`}
+                  aria-current={step.state === "current" ? "step" : undefined}
+                >
+                  {getOrderStatusLabel(step.status)}
+                </span>
+                {step.at && (
+                  <span className="text-xs text-gray-400">
+                    {formatDateTime(step.at)}
+                  </span>
+                )}
+              </div>
+              {!compact && (step.note || actorText) && (
+                <p className="text-xs text-gray-400 mt-0.5">
+                  {step.note}
+                  {step.note && actorText && " · "}
+                  {actorText}
+                </p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+OrderTimeline.propTypes = {
+  status: PropTypes.string,
+  history: PropTypes.arrayOf(
+    PropTypes.shape({
+      status: PropTypes.string.isRequired,
+      at: PropTypes.string,
+      note: PropTypes.string,
+      actor: PropTypes.shape({
+        type: PropTypes.string,
+        id: PropTypes.string,
+        name: PropTypes.string,
+      }),
+    })
+  ),
+  compact: PropTypes.bool,
+};
+
+export default OrderTimeline;
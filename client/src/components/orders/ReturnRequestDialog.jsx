@@ -0,0 +1,229 @@
+import React, { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch } from "react-redux";
+import { toast } from "react-toastify";
+import { requestReturn } from "../../features/returns/returnSlice";
+import {
+  RETURN_REASONS,
+  calculateReturnRefund,
+  getReturnableItems,
+} from "../../utils/returns";
+
+/**
+ * Modal for a customer returning items from a delivered order. Lists each
+ * line with how many units can still be returned, asks why (a comment is
+ * required for "Other") and shows the estimated refund before submitting.
+ */
+const ReturnRequestDialog = ({ order, returns, isOpen, onClose }) => {
+  const dispatch = useDispatch();
+  // cartItemId -> units selected for return
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState("");
+  const [comment, setComment] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuantities({});
+      setReason("");
+      setComment("");
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const returnable = useMemo(
+    () => getReturnableItems(order, returns).filter((entry) => entry.returnable > 0),
+    [order, returns]
+  );
+
+  const lines = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([cartItemId, quantity]) => ({ cartItemId, quantity }));
+
+  if (!isOpen || !order) return null;
+
+  const needsComment = reason === "other";
+  const canSubmit =
+    lines.length > 0 && reason && (!needsComment || comment.trim()) && !submitting;
+  const estimatedRefund = lines.length > 0 ? calculateReturnRefund(order, lines) : 0;
+
+  const setQuantity = (cartItemId, quantity) => {
+    setQuantities((current) => ({ ...current, [cartItemId]: quantity }));
+  };
+
+  const handleClose = () => {
+    if (!submitting) onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await dispatch(
+        requestReturn({ orderId: order.id, items: lines, reason, comment: comment.trim() })
+      ).unwrap();
+      toast.success("Return requested. We'll let you know once it's approved.");
+      onClose();
+    } catch (err) {
+      setError(typeof err === "string" ? err : "Failed to request return");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="return-request-title"
+    >
+      <div
+        className="fixed inset-0 bg-black/70"
+        aria-hidden="true"
+        onClick={handleClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-xl p-6"
+      >
+        <h2 id="return-request-title" className="text-lg font-semibold text-gray-100">
+          Return items from order #{order.id}
+        </h2>
+        <p className="mt-1 text-sm text-gray-400">
+          Choose the items and how many of each you're sending back.
+        </p>
+
+        <fieldset className="mt-4">
+          <legend className="text-sm font-medium text-gray-200 mb-2">Items</legend>
+          <div className="space-y-3">
+            {returnable.map(({ item, returnable: available }) => (
+              <div
+                key={item.cartItemId}
+                className="flex items-center justify-between gap-4 text-sm"
+              >
+                <div className="min-w-0">
+                  <p className="text-gray-200 truncate">{item.title}</p>
+                  {(item.size || item.color) && (
+                    <p className="text-xs text-gray-400">
+                      {[item.size, item.color].filter(Boolean).join(" • ")}
+                    </p>
+                  )}
+                </div>
+                <label className="flex items-center gap-2 text-gray-400 flex-shrink-0">
+                  <span className="sr-only">Quantity to return of {item.title}</span>
+                  <select
+                    value={quantities[item.cartItemId] ?? 0}
+                    onChange={(e) => setQuantity(item.cartItemId, Number(e.target.value))}
+                    className="px-2 py-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Array.from({ length: available + 1 }, (_, units) => (
+                      <option key={units} value={units}>
+                        {units}
+                      </option>
+                    ))}
+                  </select>
+                  <span>of {available}</span>
+                </label>
+              </div>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset className="mt-4">
+          <legend className="text-sm font-medium text-gray-200 mb-2">
+            Why are you returning them?
+          </legend>
+          <div className="space-y-2">
+            {RETURN_REASONS.map((option) => (
+              <label
+                key={option.value}
+                className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer"
+              >
+                <input
+                  type="radio"
+                  name="return-reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={() => setReason(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <label className="block mt-4">
+          <span className="text-sm font-medium text-gray-200">
+            {needsComment ? "Tell us more" : "Anything else? (optional)"}
+          </span>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={3}
+            maxLength={500}
+            required={needsComment}
+            className="mt-1 w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded-md text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <div className="mt-4 flex justify-between text-sm">
+          <span className="text-gray-400">Estimated refund</span>
+          <span className="text-gray-100 font-semibold">
+            ${estimatedRefund.toFixed(2)}
+          </span>
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          Refunded to your original payment method once we receive the items.
+          Shipping is not refundable.
+        </p>
+
+        {error && (
+          <p className="mt-3 text-sm text-red-400" role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className="mt-6 flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+          <button
+            type="button"
+            onClick={handleClose}
+            disabled={submitting}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm font-medium rounded-md transition-colors disabled:opacity-50"
+          >
+            Close
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? "Submitting..." : "Request Return"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+ReturnRequestDialog.propTypes = {
+  order: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    items: PropTypes.array,
+  }),
+  returns: PropTypes.array,
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+ReturnRequestDialog.defaultProps = {
+  returns: [],
+};
+
+export default ReturnRequestDialog;
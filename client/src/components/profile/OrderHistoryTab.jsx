@@ -5,7 +5,7 @@
  * links to detailed order pages. Includes empty state handling.
  */
 
-import React, { useEffect, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link } from 'react-router-dom';
 import {
@@ -13,6 +13,9 @@ import {
     selectOrders,
     selectOrdersLoading,
 } from '../../features/orders/orderSlice';
+import OrderTimeline from '../orders/OrderTimeline';
+import CancelOrderDialog from '../orders/CancelOrderDialog';
+import { canCustomerCancel, getOrderStatusLabel } from '../../utils/orderStatus';
 
 /**
  * Formats currency
@@ -56,6 +59,8 @@ const getStatusColor = (status) => {
             return 'bg-green-900 text-green-200 border-green-500';
         case 'cancelled':
             return 'bg-red-900 text-red-200 border-red-500';
+        case 'returned':
+            return 'bg-orange-900 text-orange-200 border-orange-500';
         default:
             return 'bg-gray-700 text-gray-200 border-gray-500';
     }
@@ -72,6 +77,8 @@ const OrderHistoryTab = () => {
     const dispatch = useDispatch();
     const orders = useSelector(selectOrders);
     const loading = useSelector(selectOrdersLoading);
+    const [trackedOrderId, setTrackedOrderId] = useState(null);
+    const [cancellingOrder, setCancellingOrder] = useState(null);
 
     // Fetch orders on mount
     useEffect(() => {
@@ -173,7 +180,7 @@ const OrderHistoryTab = () => {
                                             #{order.id}
                                         </p>
                                         <span className={`px-2 py-1 text-xs font-semibold rounded-full border ${getStatusColor(order.status)}`}>
-                                            {order.status?.toUpperCase() ?? 'UNKNOWN'}
+                                            {getOrderStatusLabel(order.status).toUpperCase()}
                                         </span>
                                     </div>
                                     <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-400">
@@ -185,15 +192,41 @@ const OrderHistoryTab = () => {
                                     </div>
                                 </div>
 
-                                {/* View Details Button */}
-                                <Link
-                                    to={`/order-confirmation/${order.id}`}
-                                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-800 text-center"
-                                >
-                                    View Details
-                                </Link>
+                                {/* Cancel / Track / View Details Buttons */}
+                                <div className="flex flex-wrap gap-2">
+                                    {canCustomerCancel(order) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setCancellingOrder(order)}
+                                            className="px-4 py-2 bg-red-700 hover:bg-red-600 text-white text-sm font-medium rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 focus:ring-offset-gray-800"
+                                        >
+                                            Cancel
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => setTrackedOrderId(trackedOrderId === order.id ? null : order.id)}
+                                        aria-expanded={trackedOrderId === order.id}
+                                        className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 focus:ring-offset-gray-800"
+                                    >
+                                        {trackedOrderId === order.id ? 'Hide Tracking' : 'Track Order'}
+                                    </button>
+                                    <Link
+                                        to={`/order-confirmation/${order.id}`}
+                                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-800 text-center"
+                                    >
+                                        View Details
+                                    </Link>
+                                </div>
                             </div>
 
+                            {/* Tracking Timeline */}
+                            {trackedOrderId === order.id && (
+                                <div className="border-t border-gray-600 pt-3 mb-4">
+                                    <OrderTimeline status={order.status} history={order.statusHistory} compact />
+                                </div>
+                            )}
+
                             {/* Product Thumbnails List */}
                             {order.items && order.items.length > 0 && (
                                 <div className="border-t border-gray-600 pt-3">
@@ -262,6 +295,12 @@ const OrderHistoryTab = () => {
                     </div>
                 )}
             </div>
+
+            <CancelOrderDialog
+                order={cancellingOrder}
+                isOpen={cancellingOrder !== null}
+                onClose={() => setCancellingOrder(null)}
+            />
         </div>
     );
 };
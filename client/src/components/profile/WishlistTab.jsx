@@ -0,0 +1,98 @@
+/**
+ * WishlistTab Component
+ *
+ * Lists the user's saved products with price-drop and back-in-stock badges,
+ * and lets them move items into the cart or remove them.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+    fetchWishlist,
+    moveToCart,
+    removeFromWishlist,
+    selectWishlistItems,
+    selectWishlistLoading,
+} from '../../features/wishlist/wishlistSlice';
+import WishlistItem from '../wishlist/WishlistItem';
+
+const WishlistTab = () => {
+    const dispatch = useDispatch();
+    const items = useSelector(selectWishlistItems);
+    const loading = useSelector(selectWishlistLoading);
+    const [pendingId, setPendingId] = useState(null);
+
+    // Refresh on mount so badges reflect the current catalog
+    useEffect(() => {
+        dispatch(fetchWishlist());
+    }, [dispatch]);
+
+    const runAction = async (item, thunk, successMessage) => {
+        setPendingId(item.productId);
+        try {
+            await dispatch(thunk).unwrap();
+            toast.success(successMessage);
+        } catch (error) {
+            toast.error(error);
+        } finally {
+            setPendingId(null);
+        }
+    };
+
+    const alerts = items.filter((item) => item.priceDropped || item.backInStock).length;
+
+    if (loading && items.length === 0) {
+        return (
+            <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+            </div>
+        );
+    }
+
+    if (items.length === 0) {
+        return (
+            <div className="bg-gray-800 rounded-lg shadow-md p-8 text-center">
+                <h3 className="text-xl font-semibold text-white mb-2">Your wishlist is empty</h3>
+                <p className="text-gray-400 mb-6">
+                    Tap the heart on any product to save it here.
+                </p>
+                <Link
+                    to="/collection"
+                    className="inline-block bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+                >
+                    Browse Products
+                </Link>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-gray-800 rounded-lg shadow-md p-6">
+                <h2 className="text-2xl font-bold text-white">Wishlist</h2>
+                <p className="text-gray-400 mt-1">
+                    {items.length} saved {items.length === 1 ? 'item' : 'items'}
+                    {alerts > 0 && ` · ${alerts} with price drops or back in stock`}
+                </p>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {items.map((item) => (
+                    <WishlistItem
+                        key={item.productId}
+                        item={item}
+                        disabled={pendingId === item.productId}
+                        onMoveToCart={(saved) => runAction(saved, moveToCart(saved), 'Moved to cart')}
+                        onRemove={(saved) =>
+                            runAction(saved, removeFromWishlist(saved.productId), 'Removed from wishlist')
+                        }
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default WishlistTab;
@@ -0,0 +1,51 @@
+import React from "react";
+import PropTypes from "prop-types";
+import StarRating from "./StarRating";
+
+/**
+ * Average rating with a bar per star level (5 down to 1)
+ */
+const RatingHistogram = ({ summary }) => {
+  const { average, count, histogram } = summary;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-4xl font-bold">{average.toFixed(1)}</span>
+        <div>
+          <StarRating value={average} />
+          <p className="text-sm text-gray-400">
+            {count} {count === 1 ? "review" : "reviews"}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {[5, 4, 3, 2, 1].map((star) => {
+          const starCount = histogram[star] || 0;
+          const percent = count > 0 ? Math.round((starCount / count) * 100) : 0;
+
+          return (
+            <div key={star} className="flex items-center gap-3 text-sm">
+              <span className="w-12 text-gray-400">{star} star</span>
+              <div className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+              </div>
+              <span className="w-10 text-right text-gray-400">{starCount}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+RatingHistogram.propTypes = {
+  summary: PropTypes.shape({
+    average: PropTypes.number.isRequired,
+    count: PropTypes.number.isRequired,
+    histogram: PropTypes.objectOf(PropTypes.number).isRequired,
+  }).isRequired,
+};
+
+export default RatingHistogram;
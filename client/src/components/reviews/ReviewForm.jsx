@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import StarRating from "./StarRating";
+
+/**
+ * Form for writing or editing a review
+ */
+const ReviewForm = ({ initialReview = null, submitting = false, onSubmit, onCancel }) => {
+  const [rating, setRating] = useState(initialReview?.rating ?? 0);
+  const [title, setTitle] = useState(initialReview?.title ?? "");
+  const [body, setBody] = useState(initialReview?.body ?? "");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (rating < 1) {
+      setError("Please choose a star rating");
+      return;
+    }
+    if (body.trim().length < 10) {
+      setError("Review must be at least 10 characters");
+      return;
+    }
+
+    setError(null);
+    try {
+      await onSubmit({ rating, title: title.trim(), body: body.trim() });
+    } catch (submitError) {
+      setError(typeof submitError === "string" ? submitError : "Failed to save review");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Your rating</label>
+        <StarRating value={rating} onChange={setRating} size="w-7 h-7" />
+      </div>
+
+      <div>
+        <label htmlFor="review-title" className="block text-sm font-medium text-gray-300 mb-1">
+          Title (optional)
+        </label>
+        <input
+          id="review-title"
+          type="text"
+          maxLength={120}
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="review-body" className="block text-sm font-medium text-gray-300 mb-1">
+          Review
+        </label>
+        <textarea
+          id="review-body"
+          rows={4}
+          maxLength={2000}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-50"
+        >
+          {submitting ? "Saving..." : initialReview ? "Update Review" : "Post Review"}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-gray-400 hover:text-white py-2 px-4"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+ReviewForm.propTypes = {
+  initialReview: PropTypes.shape({
+    rating: PropTypes.number,
+    title: PropTypes.string,
+    body: PropTypes.string,
+  }),
+  submitting: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+export default ReviewForm;
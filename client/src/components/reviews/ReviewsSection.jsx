@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useLocation } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  fetchReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  clearReviews,
+  selectReviews,
+  selectReviewsMeta,
+  selectReviewSummary,
+  selectReviewViewer,
+  selectReviewsLoading,
+  selectReviewSubmitting,
+  selectReviewsError,
+} from "../../features/reviews/reviewSlice";
+import RatingHistogram from "./RatingHistogram";
+import ReviewForm from "./ReviewForm";
+import StarRating from "./StarRating";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "highest", label: "Highest rated" },
+  { value: "lowest", label: "Lowest rated" },
+];
+
+// Shown on the viewer's own review while it is not public
+const MODERATION_LABELS = {
+  pending: "Awaiting approval",
+  flagged: "Held for review",
+  rejected: "Not published",
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * Reviews block for the product page: histogram, the user's own review
+ * (write / edit / delete) and a sortable, paginated list.
+ */
+const ReviewsSection = ({ productId }) => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const token = useSelector((state) => state.auth.token);
+  const reviews = useSelector(selectReviews);
+  const meta = useSelector(selectReviewsMeta);
+  const summary = useSelector(selectReviewSummary);
+  const viewer = useSelector(selectReviewViewer);
+  const loading = useSelector(selectReviewsLoading);
+  const submitting = useSelector(selectReviewSubmitting);
+  const error = useSelector(selectReviewsError);
+  const [isEditing, setIsEditing] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchReviews({ productId }));
+    setIsEditing(false);
+    return () => {
+      dispatch(clearReviews());
+    };
+  }, [dispatch, productId, token]);
+
+  const loadPage = (page, sort = meta.sort) => {
+    dispatch(fetchReviews({ productId, page, sort }));
+  };
+
+  // After any change, reload from the first page so the new review is in view
+  const handleSubmit = async (review) => {
+    if (viewer?.review) {
+      await dispatch(updateReview({ productId, reviewId: viewer.review.id, review })).unwrap();
+      toast.success("Review updated. It will be visible again once approved.");
+    } else {
+      await dispatch(createReview({ productId, review })).unwrap();
+      toast.success("Thanks for your review! It will appear once approved.");
+    }
+    setIsEditing(false);
+    loadPage(1);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete your review?")) return;
+
+    try {
+      await dispatch(deleteReview({ productId, reviewId: viewer.review.id })).unwrap();
+      toast.success("Review deleted");
+      loadPage(1);
+    } catch (deleteError) {
+      toast.error(deleteError);
+    }
+  };
+
+  const renderViewerPanel = () => {
+    if (!token) {
+      return (
+        <p className="text-gray-400">
+          <Link to="/login" state={{ from: location.pathname }} className="text-indigo-400 hover:text-indigo-300 underline">
+            Log in
+          </Link>{" "}
+          to review this product.
+        </p>
+      );
+    }
+
+    if (viewer?.review && !isEditing) {
+      return (
+        <div className="bg-gray-800 rounded-lg p-4 border border-indigo-700">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-semibold text-indigo-300">
+              Your review
+              {MODERATION_LABELS[viewer.review.status] && (
+                <span className="ml-2 px-2 py-0.5 text-xs font-normal rounded-full bg-gray-700 text-gray-300">
+                  {MODERATION_LABELS[viewer.review.status]}
+                </span>
+              )}
+            </span>
+            <div className="flex gap-3 text-sm">
+              <button onClick={() => setIsEditing(true)} className="text-indigo-400 hover:text-indigo-300">
+                Edit
+              </button>
+              <button onClick={handleDelete} className="text-red-400 hover:text-red-300">
+                Delete
+              </button>
+            </div>
+          </div>
+          <StarRating value={viewer.review.rating} size="w-4 h-4" />
+          {viewer.review.title && <p className="font-semibold mt-1">{viewer.review.title}</p>}
+          <p className="text-gray-300 mt-1">{viewer.review.body}</p>
+        </div>
+      );
+    }
+
+    if (viewer?.review || viewer?.canReview) {
+      return (
+        <ReviewForm
+          key={viewer.review?.id ?? "new"}
+          initialReview={viewer.review}
+          submitting={submitting}
+          onSubmit={handleSubmit}
+          onCancel={viewer.review ? () => setIsEditing(false) : undefined}
+        />
+      );
+    }
+
+    return (
+      <p className="text-gray-400">
+        Reviews are open to customers who have received this product.
+      </p>
+    );
+  };
+
+  return (
+    <section className="max-w-6xl mx-auto mt-16">
+      <h2 className="text-2xl font-bold mb-6">Customer Reviews</h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="space-y-6">
+          <RatingHistogram summary={summary} />
+          {renderViewerPanel()}
+        </div>
+
+        <div className="lg:col-span-2">
+          <div className="flex items-center justify-between mb-4">
+            <span className="text-gray-400 text-sm">
+              {meta.total} {meta.total === 1 ? "review" : "reviews"}
+            </span>
+            <select
+              value={meta.sort}
+              onChange={(e) => loadPage(1, e.target.value)}
+              className="bg-gray-800 border border-gray-600 rounded-md py-1 px-2 text-sm text-gray-200"
+              aria-label="Sort reviews"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error ? (
+            <p className="text-red-400">{error}</p>
+          ) : loading && reviews.length === 0 ? (
+            <p className="text-gray-400">Loading reviews...</p>
+          ) : reviews.length === 0 ? (
+            <p className="text-gray-400">No reviews yet.</p>
+          ) : (
+            <ul className="space-y-4">
+              {reviews.map((review) => (
+                <li key={review.id} className="bg-gray-800 rounded-lg p-4">
+                  <div className="flex items-center justify-between">
+                    <StarRating value={review.rating} size="w-4 h-4" />
+                    <span className="text-xs text-gray-500">{formatDate(review.createdAt)}</span>
+                  </div>
+                  {review.title && <p className="font-semibold mt-2">{review.title}</p>}
+                  <p className="text-gray-300 mt-1 whitespace-pre-line">{review.body}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {review.author}
+                    {review.verifiedPurchase && (
+                      <span className="ml-2 text-green-400">Verified purchase</span>
+                    )}
+                    {review.updatedAt !== review.createdAt && " · edited"}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {meta.totalPages > 1 && (
+            <div className="flex items-center justify-between mt-6 text-sm">
+              <button
+                onClick={() => loadPage(meta.page - 1)}
+                disabled={!meta.hasPrev || loading}
+                className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-gray-400">
+                Page {meta.page} of {meta.totalPages}
+              </span>
+              <button
+                onClick={() => loadPage(meta.page + 1)}
+                disabled={!meta.hasNext || loading}
+                className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+ReviewsSection.propTypes = {
+  productId: PropTypes.number.isRequired,
+};
+
+export default ReviewsSection;
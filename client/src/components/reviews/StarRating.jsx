@@ -0,0 +1,61 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+const STAR_PATH =
+  "M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.286 3.957a1 1 0 00.95.69h4.162c.969 0 1.371 1.24.588 1.81l-3.366 2.445a1 1 0 00-.364 1.118l1.287 3.957c.3.921-.755 1.688-1.539 1.118l-3.365-2.445a1 1 0 00-1.175 0l-3.365 2.445c-.784.57-1.838-.197-1.539-1.118l1.287-3.957a1 1 0 00-.364-1.118L2.35 9.384c-.783-.57-.38-1.81.588-1.81h4.162a1 1 0 00.95-.69L9.049 2.927z";
+
+/**
+ * Five stars showing a rating. Pass `onChange` to make it an input.
+ */
+const StarRating = ({ value, onChange, size = "w-5 h-5" }) => {
+  const stars = [1, 2, 3, 4, 5];
+
+  if (!onChange) {
+    return (
+      <div className="flex items-center" aria-label={`${value} out of 5 stars`}>
+        {stars.map((star) => (
+          <svg
+            key={star}
+            className={`${size} ${star <= Math.round(value) ? "text-yellow-400" : "text-gray-600"}`}
+            fill="currentColor"
+            viewBox="0 0 20 20"
+          >
+            <path d={STAR_PATH} />
+          </svg>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center" role="radiogroup" aria-label="Rating">
+      {stars.map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          aria-label={`${star} star${star > 1 ? "s" : ""}`}
+          onClick={() => onChange(star)}
+          className="focus:outline-none"
+        >
+          <svg
+            className={`${size} ${star <= value ? "text-yellow-400" : "text-gray-600"} hover:text-yellow-300`}
+            fill="currentColor"
+            viewBox="0 0 20 20"
+          >
+            <path d={STAR_PATH} />
+          </svg>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+StarRating.propTypes = {
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func,
+  size: PropTypes.string,
+};
+
+export default StarRating;
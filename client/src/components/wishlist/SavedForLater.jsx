@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  moveToCart,
+  removeFromWishlist,
+  selectWishlistItems,
+} from "../../features/wishlist/wishlistSlice";
+import WishlistItem from "./WishlistItem";
+
+/**
+ * "Saved for later" list shown under the cart. Items here are not part of
+ * the checkout total until they are moved back into the cart.
+ */
+const SavedForLater = () => {
+  const dispatch = useDispatch();
+  const items = useSelector(selectWishlistItems);
+  const [pendingId, setPendingId] = useState(null);
+
+  // A failed move is reported by the cart page's error toast, since the
+  // cart is what refused it
+  const handleMoveToCart = async (item) => {
+    setPendingId(item.productId);
+    await dispatch(moveToCart(item));
+    setPendingId(null);
+  };
+
+  const handleRemove = async (item) => {
+    setPendingId(item.productId);
+    try {
+      await dispatch(removeFromWishlist(item.productId)).unwrap();
+    } catch (error) {
+      toast.error(error);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mt-10">
+      <h2 className="text-2xl font-bold mb-4">Saved for Later ({items.length})</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {items.map((item) => (
+          <WishlistItem
+            key={item.productId}
+            item={item}
+            disabled={pendingId === item.productId}
+            onMoveToCart={handleMoveToCart}
+            onRemove={handleRemove}
+          />
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default SavedForLater;
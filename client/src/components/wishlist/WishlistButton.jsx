@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate, useLocation } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  addToWishlist,
+  removeFromWishlist,
+  selectIsInWishlist,
+} from "../../features/wishlist/wishlistSlice";
+
+/**
+ * Heart toggle that saves a product to (or removes it from) the wishlist.
+ * Guests are sent to login first and brought back afterwards.
+ */
+const WishlistButton = ({ productId, size = null, color = null, className = "" }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = useSelector((state) => state.auth.token);
+  const isSaved = useSelector(selectIsInWishlist(productId));
+  const [isPending, setIsPending] = useState(false);
+
+  const handleClick = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!token) {
+      navigate("/login", { state: { from: location.pathname } });
+      return;
+    }
+
+    setIsPending(true);
+    try {
+      if (isSaved) {
+        await dispatch(removeFromWishlist(productId)).unwrap();
+        toast.info("Removed from wishlist");
+      } else {
+        await dispatch(addToWishlist({ productId, size, color })).unwrap();
+        toast.success("Saved to wishlist");
+      }
+    } catch (error) {
+      toast.error(typeof error === "string" ? error : "Failed to update wishlist");
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending}
+      aria-pressed={isSaved}
+      aria-label={isSaved ? "Remove from wishlist" : "Save to wishlist"}
+      title={isSaved ? "Remove from wishlist" : "Save to wishlist"}
+      className={`flex items-center justify-center rounded-full bg-gray-900 bg-opacity-70 hover:bg-opacity-90 transition-colors disabled:opacity-50 ${className}`}
+    >
+      <svg
+        className={`w-5 h-5 ${isSaved ? "text-red-500" : "text-gray-200"}`}
+        fill={isSaved ? "currentColor" : "none"}
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+        />
+      </svg>
+    </button>
+  );
+};
+
+WishlistButton.propTypes = {
+  productId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  size: PropTypes.string,
+  color: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default WishlistButton;
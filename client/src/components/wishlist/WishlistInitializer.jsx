@@ -0,0 +1,19 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { fetchWishlist } from "../../features/wishlist/wishlistSlice";
+
+const WishlistInitializer = () => {
+  const dispatch = useDispatch();
+  const token = useSelector((state) => state.auth.token);
+
+  useEffect(() => {
+    // Wishlists need an account; logging out clears the slice
+    if (token) {
+      dispatch(fetchWishlist());
+    }
+  }, [dispatch, token]);
+
+  return null; // This component doesn't render anything
+};
+
+export default WishlistInitializer;
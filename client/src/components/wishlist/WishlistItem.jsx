@@ -0,0 +1,105 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+
+/**
+ * One saved product with its price-drop / back-in-stock / sold-out badges
+ * and "Move to cart" / "Remove" actions.
+ */
+const WishlistItem = ({ item, onMoveToCart, onRemove, disabled = false }) => {
+  const isOutOfStock = item.stock < 1;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 flex gap-4">
+      <Link to={`/product/${item.productId}`} className="flex-shrink-0">
+        <img
+          src={item.images?.[0] || "https://via.placeholder.com/150"}
+          alt={item.title}
+          className="w-24 h-24 object-cover rounded-lg"
+          onError={(e) => {
+            e.target.src = "https://via.placeholder.com/150?text=No+Image";
+          }}
+        />
+      </Link>
+
+      <div className="flex-grow min-w-0">
+        <Link to={`/product/${item.productId}`}>
+          <h3 className="font-semibold text-gray-100 hover:text-indigo-400 truncate">
+            {item.title}
+          </h3>
+        </Link>
+        {(item.size || item.color) && (
+          <p className="text-sm text-gray-400">
+            {[item.size, item.color].filter(Boolean).join(" / ")}
+          </p>
+        )}
+
+        <div className="flex items-baseline gap-2 mt-1">
+          <span className="text-lg font-bold text-white">${item.price.toFixed(2)}</span>
+          {item.priceDropped && (
+            <span className="text-sm text-gray-500 line-through">
+              ${item.savedPrice.toFixed(2)}
+            </span>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-2">
+          {item.priceDropped && (
+            <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-900 text-green-200">
+              Price dropped
+            </span>
+          )}
+          {item.backInStock && (
+            <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-900 text-blue-200">
+              Back in stock
+            </span>
+          )}
+          {isOutOfStock && (
+            <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-700 text-gray-300">
+              Out of stock
+            </span>
+          )}
+        </div>
+
+        <div className="flex gap-4 mt-3 text-sm">
+          <button
+            type="button"
+            onClick={() => onMoveToCart(item)}
+            disabled={disabled || isOutOfStock}
+            className="text-indigo-400 hover:text-indigo-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+          >
+            Move to cart
+          </button>
+          <button
+            type="button"
+            onClick={() => onRemove(item)}
+            disabled={disabled}
+            className="text-red-400 hover:text-red-300 disabled:text-gray-500"
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+WishlistItem.propTypes = {
+  item: PropTypes.shape({
+    productId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    title: PropTypes.string.isRequired,
+    price: PropTypes.number.isRequired,
+    images: PropTypes.arrayOf(PropTypes.string),
+    stock: PropTypes.number,
+    size: PropTypes.string,
+    color: PropTypes.string,
+    savedPrice: PropTypes.number,
+    priceDropped: PropTypes.bool,
+    backInStock: PropTypes.bool,
+  }).isRequired,
+  onMoveToCart: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default WishlistItem;
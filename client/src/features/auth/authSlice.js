@@ -26,6 +26,24 @@ export const login = createAsyncThunk(
   }
 );
 
+// Revoke the refresh token server-side, then clear the local session.
+// The local logout happens even if the request fails.
+export const logoutUser = createAsyncThunk(
+  "auth/logoutUser",
+  async (_, { dispatch }) => {
+    const refreshToken = localStorage.getItem("buyzzie_refresh_token");
+    try {
+      if (refreshToken) {
+        await api.post("/auth/logout", { refreshToken });
+      }
+    } catch (err) {
+      console.error("Failed to revoke refresh token:", err);
+    } finally {
+      dispatch(logout());
+    }
+  }
+);
+
 const initialState = {
   user: JSON.parse(localStorage.getItem("buyzzie_user")) || null,
   token: localStorage.getItem("buyzzie_token") || null,
@@ -42,6 +60,15 @@ const authSlice = createSlice({
       state.token = null;
       localStorage.removeItem("buyzzie_user");
       localStorage.removeItem("buyzzie_token");
+      localStorage.removeItem("buyzzie_refresh_token");
+    },
+    // A renewed session (the interceptor has already saved it to storage);
+    // the user carries their current role and permissions
+    sessionRefreshed(state, action) {
+      state.token = action.payload.token;
+      if (action.payload.user) {
+        state.user = action.payload.user;
+      }
     },
   },
   extraReducers: (builder) => {
@@ -51,6 +78,7 @@ const authSlice = createSlice({
         state.token = action.payload.token;
         state.error = null;
         localStorage.setItem("buyzzie_token", action.payload.token);
+        localStorage.setItem("buyzzie_refresh_token", action.payload.refreshToken);
         localStorage.setItem(
           "buyzzie_user",
           JSON.stringify(action.payload.user)
@@ -61,6 +89,7 @@ const authSlice = createSlice({
         state.token = action.payload.token;
         state.error = null;
         localStorage.setItem("buyzzie_token", action.payload.token);
+        localStorage.setItem("buyzzie_refresh_token", action.payload.refreshToken);
         localStorage.setItem(
           "buyzzie_user",
           JSON.stringify(action.payload.user)
@@ -75,5 +104,5 @@ const authSlice = createSlice({
   },
 });
 
-export const { logout } = authSlice.actions;
+export const { logout, sessionRefreshed } = authSlice.actions;
 export default authSlice.reducer;
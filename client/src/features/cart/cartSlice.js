@@ -1,43 +1,171 @@
-import { createSlice } from '@reduxjs/toolkit';
-import { calculateCartTotals, generateCartItemId } from './cartUtils';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  calculateCartTotals,
+  isUserAuthenticated,
+  getGuestCartId,
+  getOrCreateGuestCartId,
+  clearGuestCartId,
+} from './cartUtils';
+import api from '../../services/axios';
 
-// Load cart from localStorage on initialization
-const loadCartFromStorage = () => {
+/**
+ * Cart Redux Slice
+ *
+ * The cart lives on the server (`/api/cart`, keyed by the signed-in user), so
+ * every change is an async thunk that sends it and then replaces local state
+ * with the cart the server returns. Reducers stay free of side effects.
+ *
+ * Guests shop with a cart identified by a generated id instead of a token;
+ * `mergeGuestCart` folds it into the user's cart after login or signup.
+ */
+
+// Request config identifying a guest's cart; signed-in users are identified
+// by the token the axios instance attaches
+const cartRequestConfig = () =>
+  isUserAuthenticated() ? {} : { headers: { 'X-Guest-Cart-Id': getOrCreateGuestCartId() } };
+
+const EMPTY_CART = { items: [], couponCode: null };
+
+// Shared error handling for all cart requests
+const cartRequest = (request, fallbackMessage) => async (arg, thunkApi) => {
   try {
-    const token = localStorage.getItem('buyzzie_token');
-    if (!token) {
-      return { items: [], total: 0, subtotal: 0, itemCount: 0 };
-    }
-    
-    const storedCart = localStorage.getItem(`buyzzie_cart_${token}`);
-    if (storedCart) {
-      const parsedCart = JSON.parse(storedCart);
-      const totals = calculateCartTotals(parsedCart.items);
-      return {
-        items: parsedCart.items || [],
-        ...totals,
-      };
-    }
+    const response = await request(arg, thunkApi);
+    return response.data;
   } catch (error) {
-    console.error('Error loading cart from localStorage:', error);
+    const errorMessage = error.response?.data?.error || error.message || fallbackMessage;
+    return thunkApi.rejectWithValue(errorMessage);
   }
-  return { items: [], total: 0, subtotal: 0, itemCount: 0 };
 };
 
-// Save cart to localStorage
-const saveCartToStorage = (items, token) => {
-  try {
-    if (token) {
-      localStorage.setItem(`buyzzie_cart_${token}`, JSON.stringify({ items }));
-      console.log('Cart saved to localStorage');
-    }
-  } catch (error) {
-    console.error('Error saving cart to localStorage:', error);
-  }
+/**
+ * Async thunk to load the current cart (the signed-in user's or the guest's)
+ */
+export const fetchCart = createAsyncThunk(
+  'cart/fetchCart',
+  cartRequest(
+    // A guest who has not added anything yet has no cart to load
+    () =>
+      isUserAuthenticated() || getGuestCartId()
+        ? api.get('/api/cart', cartRequestConfig())
+        : { data: EMPTY_CART },
+    'Failed to load cart'
+  )
+);
+
+/**
+ * Async thunk to add a product (with its chosen variations) to the cart
+ */
+export const addToCart = createAsyncThunk(
+  'cart/addToCart',
+  cartRequest(
+    ({ product, size = null, color = null, quantity = 1 }) =>
+      api.post('/api/cart/items', { productId: product.id, size, color, quantity }, cartRequestConfig()),
+    'Failed to add item to cart'
+  )
+);
+
+/**
+ * Async thunk to set a line's quantity
+ */
+export const updateQuantity = createAsyncThunk(
+  'cart/updateQuantity',
+  cartRequest(
+    ({ cartItemId, quantity }) =>
+      api.patch(`/api/cart/items/${encodeURIComponent(cartItemId)}`, { quantity }, cartRequestConfig()),
+    'Failed to update quantity'
+  )
+);
+
+/**
+ * Async thunk to remove a line
+ */
+export const removeFromCart = createAsyncThunk(
+  'cart/removeFromCart',
+  cartRequest(
+    (cartItemId) =>
+      api.delete(`/api/cart/items/${encodeURIComponent(cartItemId)}`, cartRequestConfig()),
+    'Failed to remove item'
+  )
+);
+
+/**
+ * Async thunk to empty the cart
+ */
+export const clearCart = createAsyncThunk(
+  'cart/clearCart',
+  cartRequest(() => api.delete('/api/cart', cartRequestConfig()), 'Failed to clear cart')
+);
+
+/**
+ * Async thunk to apply a promo code
+ * The server checks the code against the cart before keeping it
+ */
+export const applyCoupon = createAsyncThunk(
+  'cart/applyCoupon',
+  cartRequest(
+    (code) => api.put('/api/cart/coupon', { code }, cartRequestConfig()),
+    'Failed to apply promo code'
+  )
+);
+
+/**
+ * Async thunk to remove the applied promo code
+ */
+export const removeCoupon = createAsyncThunk(
+  'cart/removeCoupon',
+  cartRequest(
+    () => api.delete('/api/cart/coupon', cartRequestConfig()),
+    'Failed to remove promo code'
+  )
+);
+
+/**
+ * Async thunk to merge this browser's guest cart into the user's cart
+ * Resolves with `{ cart, merged, dropped }` so the caller can tell the user
+ * which lines came across, which were capped at stock and which were dropped.
+ */
+export const mergeGuestCart = createAsyncThunk(
+  'cart/mergeGuestCart',
+  cartRequest(async () => {
+    const response = await api.post('/api/cart/merge', { guestId: getGuestCartId() });
+    clearGuestCartId();
+    return response;
+  }, 'Failed to merge guest cart')
+);
+
+// Stock is checked by the server; the client only avoids obviously
+// pointless requests
+export const incrementQuantity = (cartItemId) => (dispatch, getState) => {
+  const item = getState().cart.items.find((item) => item.cartItemId === cartItemId);
+  if (!item) return undefined;
+  return dispatch(updateQuantity({ cartItemId, quantity: item.quantity + 1 }));
+};
+
+// Decrement quantity (minimum 1, then remove)
+export const decrementQuantity = (cartItemId) => (dispatch, getState) => {
+  const item = getState().cart.items.find((item) => item.cartItemId === cartItemId);
+  if (!item) return undefined;
+  return item.quantity > 1
+    ? dispatch(updateQuantity({ cartItemId, quantity: item.quantity - 1 }))
+    : dispatch(removeFromCart(cartItemId));
+};
+
+// Replace local state with the cart returned by the server
+const setCartFromServer = (state, cart) => {
+  const totals = calculateCartTotals(cart.items);
+  state.items = cart.items;
+  state.couponCode = cart.couponCode;
+  state.total = totals.total;
+  state.subtotal = totals.subtotal;
+  state.itemCount = totals.itemCount;
+  state.error = null;
 };
 
 const initialState = {
   items: [],
+  couponCode: null,
+  couponLoading: false,
+  couponError: null,
   total: 0,
   subtotal: 0,
   itemCount: 0,
@@ -49,242 +177,9 @@ const cartSlice = createSlice({
   name: 'cart',
   initialState,
   reducers: {
-    // Initialize cart from localStorage
-    initializeCart: (state) => {
-      const loadedCart = loadCartFromStorage();
-      state.items = loadedCart.items;
-      state.total = loadedCart.total;
-      state.subtotal = loadedCart.subtotal;
-      state.itemCount = loadedCart.itemCount;
-      console.log('Cart initialized from localStorage:', state.items.length, 'items');
-    },
-
-    // Add item to cart with product variations support
-    addToCart: (state, action) => {
-      const { product, size, color, quantity = 1 } = action.payload;
-      
-      // Validate required fields
-      if (!product || !product.id) {
-        state.error = 'Invalid product data';
-        console.error('addToCart: Invalid product data', product);
-        return;
-      }
-
-      // Validate stock availability
-      if (product.stock < quantity) {
-        state.error = `Only ${product.stock} items available in stock`;
-        console.error('addToCart: Insufficient stock', { requested: quantity, available: product.stock });
-        return;
-      }
-
-      // Generate unique cart item ID based on product ID and variations
-      const cartItemId = generateCartItemId(product.id, size, color);
-      
-      // Check if item with same variations already exists
-      const existingItemIndex = state.items.findIndex(
-        (item) => item.cartItemId === cartItemId
-      );
-
-      if (existingItemIndex >= 0) {
-        const existingItem = state.items[existingItemIndex];
-        const newQuantity = existingItem.quantity + quantity;
-        
-        // Check stock availability for new quantity
-        if (newQuantity > product.stock) {
-          state.error = `Cannot add more items. Only ${product.stock} items available in stock`;
-          console.error('addToCart: Insufficient stock for quantity increase', {
-            current: existingItem.quantity,
-            requested: quantity,
-            total: newQuantity,
-            available: product.stock,
-          });
-          return;
-        }
-        
-        existingItem.quantity = newQuantity;
-        console.log('Cart item quantity updated:', cartItemId, 'new quantity:', newQuantity);
-      } else {
-        // Create new cart item with all necessary product data
-        const newCartItem = {
-          cartItemId,
-          id: product.id,
-          title: product.title,
-          price: product.price,
-          images: product.images || [],
-          stock: product.stock,
-          size: size || null,
-          color: color || null,
-          quantity: quantity,
-          // Store additional product data for display
-          category: product.category?.name || '',
-          rating: product.rating || 0,
-        };
-        
-        state.items.push(newCartItem);
-        console.log('New item added to cart:', cartItemId);
-      }
-
-      // Clear any previous errors
-      state.error = null;
-      
-      // Recalculate totals
-      const totals = calculateCartTotals(state.items);
-      state.total = totals.total;
-      state.subtotal = totals.subtotal;
-      state.itemCount = totals.itemCount;
-
-      console.log('ALL Total listed here:' , 'total=', state.total, 'subtotal=', state.subtotal,'itemCount =', state.itemCount);
-      
-
-      // Save to localStorage
-      const token = localStorage.getItem('buyzzie_token');
-      saveCartToStorage(state.items, token);
-    },
-
-    // Remove item from cart completely
-    removeFromCart: (state, action) => {
-      const cartItemId = action.payload;
-      const itemIndex = state.items.findIndex((item) => item.cartItemId === cartItemId);
-      
-      if (itemIndex >= 0) {
-        state.items.splice(itemIndex, 1);
-        console.log('Item removed from cart:', cartItemId);
-        
-        // Recalculate totals
-        const totals = calculateCartTotals(state.items);
-        state.total = totals.total;
-        state.subtotal = totals.subtotal;
-        state.itemCount = totals.itemCount;
-
-        // Save to localStorage
-        const token = localStorage.getItem('buyzzie_token');
-        saveCartToStorage(state.items, token);
-      } else {
-        console.warn('removeFromCart: Item not found', cartItemId);
-      }
-    },
-
-    // Increment quantity
-    incrementQuantity: (state, action) => {
-      const cartItemId = action.payload;
-      const item = state.items.find((item) => item.cartItemId === cartItemId);
-      
-      if (item) {
-        // Check stock availability
-        if (item.quantity >= item.stock) {
-          state.error = `Maximum ${item.stock} items available in stock`;
-          console.warn('incrementQuantity: Stock limit reached', {
-            current: item.quantity,
-            available: item.stock,
-          });
-          return;
-        }
-        
-        item.quantity += 1;
-        console.log('Quantity incremented:', cartItemId, 'new quantity:', item.quantity);
-        
-        // Recalculate totals
-        const totals = calculateCartTotals(state.items);
-        state.total = totals.total;
-        state.subtotal = totals.subtotal;
-        state.itemCount = totals.itemCount;
-        
-        console.log('Final Cart State', state);
-        
-        // Save to localStorage
-        const token = localStorage.getItem('buyzzie_token');
-        saveCartToStorage(state.items, token);
-        
-      } else {
-        console.warn('incrementQuantity: Item not found', cartItemId);
-      }
-    },
-
-    // Decrement quantity (minimum 1, then remove)
-    decrementQuantity: (state, action) => {
-      const cartItemId = action.payload;
-      const item = state.items.find((item) => item.cartItemId === cartItemId);
-      
-      if (item) {
-        if (item.quantity > 1) {
-          item.quantity -= 1;
-          console.log('Quantity decremented:', cartItemId, 'new quantity:', item.quantity);
-        } else {
-          // Remove item if quantity would be 0
-          state.items = state.items.filter((item) => item.cartItemId !== cartItemId);
-          console.log('Item removed (quantity reached 0):', cartItemId);
-        }
-        
-        // Recalculate totals
-        const totals = calculateCartTotals(state.items);
-        state.total = totals.total;
-        state.subtotal = totals.subtotal;
-        state.itemCount = totals.itemCount;
-
-        // Save to localStorage
-        const token = localStorage.getItem('buyzzie_token');
-        saveCartToStorage(state.items, token);
-      } else {
-        console.warn('decrementQuantity: Item not found', cartItemId);
-      }
-    },
-
-    // Update quantity directly
-    updateQuantity: (state, action) => {
-      const { cartItemId, quantity } = action.payload;
-      
-      // Validate quantity
-      if (!Number.isInteger(quantity) || quantity < 1) {
-        state.error = 'Quantity must be at least 1';
-        console.error('updateQuantity: Invalid quantity', quantity);
-        return;
-      }
-
-      const item = state.items.find((item) => item.cartItemId === cartItemId);
-      
-      if (item) {
-        // Check stock availability
-        if (quantity > item.stock) {
-          state.error = `Only ${item.stock} items available in stock`;
-          console.error('updateQuantity: Insufficient stock', {
-            requested: quantity,
-            available: item.stock,
-          });
-          return;
-        }
-        
-        item.quantity = quantity;
-        console.log('Quantity updated:', cartItemId, 'new quantity:', quantity);
-        
-        // Recalculate totals
-        const totals = calculateCartTotals(state.items);
-        state.total = totals.total;
-        state.subtotal = totals.subtotal;
-        state.itemCount = totals.itemCount;
-
-        // Save to localStorage
-        const token = localStorage.getItem('buyzzie_token');
-        saveCartToStorage(state.items, token);
-      } else {
-        console.warn('updateQuantity: Item not found', cartItemId);
-      }
-    },
-
-    // Clear entire cart
-    clearCart: (state) => {
-      state.items = [];
-      state.total = 0;
-      state.subtotal = 0;
-      state.itemCount = 0;
-      state.error = null;
-      console.log('Cart cleared');
-      
-      // Remove from localStorage
-      const token = localStorage.getItem('buyzzie_token');
-      if (token) {
-        localStorage.removeItem(`buyzzie_cart_${token}`);
-      }
-    },
+    // Drop the local copy without touching the server (after an order is
+    // placed the server has already emptied the cart)
+    resetCart: () => initialState,
 
     // Set loading state
     setLoading: (state, action) => {
@@ -302,16 +197,70 @@ const cartSlice = createSlice({
       state.error = null;
     },
   },
+  extraReducers: (builder) => {
+    const cartMutations = [addToCart, updateQuantity, removeFromCart, clearCart, removeCoupon];
+
+    builder
+      .addCase(fetchCart.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchCart.fulfilled, (state, action) => {
+        state.loading = false;
+        setCartFromServer(state, action.payload);
+      })
+      .addCase(fetchCart.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(mergeGuestCart.fulfilled, (state, action) => {
+        setCartFromServer(state, action.payload.cart);
+      })
+      .addCase(mergeGuestCart.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(applyCoupon.pending, (state) => {
+        state.couponLoading = true;
+        state.couponError = null;
+      })
+      .addCase(applyCoupon.fulfilled, (state, action) => {
+        state.couponLoading = false;
+        setCartFromServer(state, action.payload);
+      })
+      .addCase(applyCoupon.rejected, (state, action) => {
+        state.couponLoading = false;
+        state.couponError = action.payload;
+      });
+
+    cartMutations.forEach((thunk) => {
+      builder
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.couponError = null;
+          setCartFromServer(state, action.payload);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.error = action.payload;
+        });
+    });
+
+    // Matchers have to come after every addCase
+    builder
+      // "Save for later" moves a line to the wishlist and returns the new cart
+      .addMatcher(
+        (action) => action.type === 'wishlist/saveForLater/fulfilled',
+        (state, action) => {
+          setCartFromServer(state, action.payload.cart);
+        }
+      )
+      // Never let one account's cart outlive its session
+      .addMatcher(
+        (action) => action.type === 'auth/logout',
+        () => initialState
+      );
+  },
 });
 
 export const {
-  initializeCart,
-  addToCart,
-  removeFromCart,
-  incrementQuantity,
-  decrementQuantity,
-  updateQuantity,
-  clearCart,
+  resetCart,
   setLoading,
   setError,
   clearError,
@@ -324,6 +273,9 @@ export const selectCartSubtotal = (state) => state.cart.subtotal;
 export const selectCartItemCount = (state) => state.cart.itemCount;
 export const selectCartLoading = (state) => state.cart.loading;
 export const selectCartError = (state) => state.cart.error;
+export const selectCouponCode = (state) => state.cart.couponCode;
+export const selectCouponLoading = (state) => state.cart.couponLoading;
+export const selectCouponError = (state) => state.cart.couponError;
 export const selectIsCartEmpty = (state) => state.cart.items.length === 0;
 
 export default cartSlice.reducer;
\ No newline at end of file
@@ -50,8 +50,8 @@ export const generateCartItemId = (productId, size = null, color = null) => {
       return sum + itemTotal;
     }, 0);
   
-    // For now, total equals subtotal (no taxes/shipping)
-    // This can be extended later for taxes, shipping, discounts, etc.
+    // Shipping, tax and promo discounts are priced by the server's checkout
+    // quote (see utils/pricing.js), so the local total is merchandise only
     const total = subtotal;
   
     const itemCount = items.reduce((sum, item) => {
@@ -121,4 +121,33 @@ export const generateCartItemId = (productId, size = null, color = null) => {
       console.error('Error checking authentication:', error);
       return false;
     }
-  };
\ No newline at end of file
+  };
+  const GUEST_CART_ID_KEY = 'buyzzie_guest_cart_id';
+
+  /**
+   * Gets the id of this browser's guest cart, if one has been started
+   * @returns {string|null} Guest cart id
+   */
+  export const getGuestCartId = () => localStorage.getItem(GUEST_CART_ID_KEY);
+
+  /**
+   * Gets the guest cart id, generating and storing a new one if needed
+   * @returns {string} Guest cart id
+   */
+  export const getOrCreateGuestCartId = () => {
+    let guestId = getGuestCartId();
+    if (!guestId) {
+      const random = globalThis.crypto?.randomUUID?.() ??
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      guestId = `guest_${random}`;
+      localStorage.setItem(GUEST_CART_ID_KEY, guestId);
+    }
+    return guestId;
+  };
+
+  /**
+   * Forgets the guest cart once it has been merged into a user's cart
+   */
+  export const clearGuestCartId = () => {
+    localStorage.removeItem(GUEST_CART_ID_KEY);
+  };
@@ -2,16 +2,21 @@
  * Order Management Redux Slice
  * 
  * Handles order creation, retrieval, and state management.
- * Automatically clears cart after successful order placement.
+ * The server empties the cart when an order is placed, so the local copy is
+ * reset on success. When the server rejects an order for insufficient stock,
+ * the cart is reloaded so the affected items show current stock levels.
+ * Cancelling updates the order wherever it is held (list and current order);
+ * its errors are returned to the caller rather than stored, so a failed
+ * cancel does not replace the order page with an error screen.
  */
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { clearCart } from '../cart/cartSlice';
+import { resetCart, fetchCart } from '../cart/cartSlice';
 import api from '../../services/axios';
 
 /**
  * Async thunk to create a new order
- * POSTs order data to /api/orders and clears cart on success
+ * POSTs order data to /api/orders and resets the local cart on success
  */
 export const createOrder = createAsyncThunk(
   'orders/createOrder',
@@ -19,11 +24,16 @@ export const createOrder = createAsyncThunk(
     try {
       const response = await api.post('/api/orders', orderData);
       
-      // Clear cart after successful order creation
-      dispatch(clearCart());
+      // The server has already emptied the cart
+      dispatch(resetCart());
       
       return response.data;
     } catch (error) {
+      const shortfalls = error.response?.status === 409 ? error.response.data?.shortfalls : null;
+      if (shortfalls?.length) {
+        dispatch(fetchCart());
+      }
+
       const errorMessage = error.response?.data?.error || error.message || 'Failed to place order';
       return rejectWithValue(errorMessage);
     }
@@ -62,6 +72,23 @@ export const fetchOrderById = createAsyncThunk(
   }
 );
 
+/**
+ * Async thunk to cancel one of the customer's orders
+ * POSTs { reason, comment } to /api/orders/:orderId/cancel
+ */
+export const cancelOrder = createAsyncThunk(
+  'orders/cancelOrder',
+  async ({ orderId, reason, comment }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/api/orders/${orderId}/cancel`, { reason, comment });
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.message || 'Failed to cancel order';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
 const initialState = {
   orders: [],
   currentOrder: null,
@@ -129,6 +156,17 @@ const orderSlice = createSlice({
       .addCase(fetchOrderById.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      // Cancel Order
+      .addCase(cancelOrder.fulfilled, (state, action) => {
+        const { order } = action.payload;
+        if (state.currentOrder?.id === order.id) {
+          state.currentOrder = order;
+        }
+        const index = state.orders.findIndex((o) => o.id === order.id);
+        if (index !== -1) {
+          state.orders[index] = order;
+        }
       });
   },
 });
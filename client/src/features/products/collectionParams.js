@@ -0,0 +1,115 @@
+/**
+ * Collection URL <-> filter state
+ *
+ * The collection page keeps its filters and page in the query string
+ * (`/collection?q=&category=&size=&color=&rating=&availability=&minPrice=
+ * &maxPrice=&sortBy=&sortOrder=&page=`) so links can be shared and refresh/back/forward restore the same results.
+ * Values at their defaults are left out to keep links short.
+ */
+
+// Multi-select facets, each a comma-separated list in the URL
+export const FACET_FILTERS = ["category", "size", "color", "rating", "availability"];
+
+export const SORT_FIELDS = ["relevance", "title", "price", "rating", "createdAt"];
+
+// The order each sort field uses unless the URL says otherwise
+const NATURAL_SORT_ORDER = {
+  relevance: "desc",
+  title: "asc",
+  price: "asc",
+  rating: "desc",
+  createdAt: "desc",
+};
+
+/**
+ * Default sort: best match while searching, newest otherwise
+ * @param {string} q
+ * @returns {string}
+ */
+export const getDefaultSortBy = (q) => (q?.trim() ? "relevance" : "createdAt");
+
+const toPrice = (value) => {
+  if (value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? value : null;
+};
+
+/**
+ * Read filters and page from the query string, ignoring anything invalid
+ * @param {URLSearchParams} searchParams
+ * @returns {{ filters: Object, page: number }}
+ */
+export const parseCollectionParams = (searchParams) => {
+  const q = searchParams.get("q") || "";
+  const facets = Object.fromEntries(
+    FACET_FILTERS.map((key) => [
+      key,
+      (searchParams.get(key) || "")
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean),
+    ])
+  );
+
+  const requestedSort = searchParams.get("sortBy");
+  const sortBy = SORT_FIELDS.includes(requestedSort) && (requestedSort !== "relevance" || q)
+    ? requestedSort
+    : getDefaultSortBy(q);
+  const requestedOrder = searchParams.get("sortOrder");
+  const sortOrder = requestedOrder === "asc" || requestedOrder === "desc"
+    ? requestedOrder
+    : NATURAL_SORT_ORDER[sortBy];
+
+  const page = parseInt(searchParams.get("page"), 10);
+
+  return {
+    filters: {
+      q,
+      ...facets,
+      minPrice: toPrice(searchParams.get("minPrice")),
+      maxPrice: toPrice(searchParams.get("maxPrice")),
+      sortBy,
+      sortOrder,
+    },
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+};
+
+/**
+ * Build the query string for a filter state
+ * @param {Object} filters
+ * @param {number} [page]
+ * @returns {URLSearchParams}
+ */
+export const toCollectionParams = (filters = {}, page = 1) => {
+  const params = new URLSearchParams();
+  const q = filters.q?.trim() || "";
+
+  if (q) params.set("q", q);
+  FACET_FILTERS.forEach((key) => {
+    if (filters[key]?.length > 0) params.set(key, filters[key].join(","));
+  });
+  if (filters.minPrice) params.set("minPrice", String(filters.minPrice));
+  if (filters.maxPrice) params.set("maxPrice", String(filters.maxPrice));
+
+  const sortBy = filters.sortBy || getDefaultSortBy(q);
+  if (sortBy !== getDefaultSortBy(q)) params.set("sortBy", sortBy);
+  if (filters.sortOrder && filters.sortOrder !== NATURAL_SORT_ORDER[sortBy]) {
+    params.set("sortOrder", filters.sortOrder);
+  }
+
+  if (page > 1) params.set("page", String(page));
+  return params;
+};
+
+/**
+ * Link to the collection page for a filter state
+ * @param {Object} filters
+ * @param {number} [page]
+ * @returns {string}
+ */
+export const getCollectionUrl = (filters, page) => {
+  // Commas are safe in a query string; keep facet lists readable
+  const search = toCollectionParams(filters, page).toString().replace(/%2C/gi, ",");
+  return search ? `/collection?${search}` : "/collection";
+};
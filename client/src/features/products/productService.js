@@ -1,7 +1,9 @@
 import api from "../../services/axios";
+import { FACET_FILTERS } from "./collectionParams";
 
 export const productService = {
-  // Get products with pagination, filtering, and sorting
+  // Get products with pagination, filtering, and sorting; the response
+  // includes facet counts for the filter sidebar
   getProducts: async (params = {}) => {
     const {
       page = 1,
@@ -9,7 +11,6 @@ export const productService = {
       sortBy = "createdAt",
       sortOrder = "desc",
       q = "",
-      category = [],
       minPrice = null,
       maxPrice = null,
     } = params;
@@ -22,7 +23,9 @@ export const productService = {
     });
 
     if (q) queryParams.append("q", q);
-    if (category.length > 0) queryParams.append("category", category.join(","));
+    FACET_FILTERS.forEach((key) => {
+      if (params[key]?.length > 0) queryParams.append(key, params[key].join(","));
+    });
     if (minPrice) queryParams.append("minPrice", minPrice.toString());
     if (maxPrice) queryParams.append("maxPrice", maxPrice.toString());
 
@@ -62,9 +62,16 @@ const initialState = {
     hasNext: false,
     hasPrev: false,
   },
+  // Facet counts for the current filters: { category, size, color, rating,
+  // availability: [{ value, label, count }], price: [{ min, max, count }] }
+  facets: null,
   filters: {
     q: "",
     category: [],
+    size: [],
+    color: [],
+    rating: [],
+    availability: [],
     minPrice: null,
     maxPrice: null,
     sortBy: "createdAt",
@@ -87,10 +94,19 @@ const productSlice = createSlice({
     setPage: (state, action) => {
       state.meta.page = action.payload;
     },
+    // Replace the whole filter state and page, e.g. from the collection URL
+    hydrateFilters: (state, action) => {
+      state.filters = action.payload.filters;
+      state.meta.page = action.payload.page;
+    },
     clearFilters: (state) => {
       state.filters = {
         q: "",
         category: [],
+        size: [],
+        color: [],
+        rating: [],
+        availability: [],
         minPrice: null,
         maxPrice: null,
         sortBy: "createdAt",
@@ -116,6 +132,7 @@ const productSlice = createSlice({
         state.loading = false;
         state.products = action.payload.data || [];
         state.meta = action.payload.meta || state.meta;
+        state.facets = action.payload.facets || null;
       })
       .addCase(fetchProducts.rejected, (state, action) => {
         state.loading = false;
@@ -151,10 +168,36 @@ const productSlice = createSlice({
         state.categoriesLoading = false;
         state.error = action.payload || action.error?.message;
       });
+
+    // Review changes return the product's recomputed rating
+    builder.addMatcher(
+      (action) =>
+        action.type.startsWith("reviews/") &&
+        action.type.endsWith("/fulfilled") &&
+        action.payload?.product,
+      (state, action) => {
+        const { id, rating, ratingCount } = action.payload.product;
+        if (state.product?.id === id) {
+          state.product.rating = rating;
+          state.product.ratingCount = ratingCount;
+        }
+        const listed = state.products.find((p) => p.id === id);
+        if (listed) {
+          listed.rating = rating;
+          listed.ratingCount = ratingCount;
+        }
+      }
+    );
   },
 });
 
-export const { setFilters, setPage, clearFilters, clearError, clearProduct } =
-  productSlice.actions;
+export const {
+  setFilters,
+  setPage,
+  hydrateFilters,
+  clearFilters,
+  clearError,
+  clearProduct,
+} = productSlice.actions;
 
 export default productSlice.reducer;
@@ -0,0 +1,95 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../services/axios';
+
+/**
+ * Returns Redux Slice
+ *
+ * The signed-in customer's returns for the order currently on screen, and
+ * submitting a new return request for it.
+ */
+
+const getErrorMessage = (error, fallbackMessage) =>
+  error.response?.data?.error || error.message || fallbackMessage;
+
+/**
+ * Async thunk to fetch the customer's returns (optionally for one order)
+ */
+export const fetchReturns = createAsyncThunk(
+  'returns/fetchReturns',
+  async ({ orderId } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/returns', {
+        params: orderId ? { orderId } : {},
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to load returns'));
+    }
+  }
+);
+
+/**
+ * Async thunk to request a return
+ * @param {{ orderId: string, items: Array<{ cartItemId: string, quantity: number }>, reason: string, comment?: string }}
+ */
+export const requestReturn = createAsyncThunk(
+  'returns/requestReturn',
+  async (returnRequest, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/returns', returnRequest);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to request return'));
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  loading: false,
+  submitting: false,
+  error: null,
+};
+
+const returnSlice = createSlice({
+  name: 'returns',
+  initialState,
+  reducers: {
+    clearReturns: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchReturns.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchReturns.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload.returns;
+      })
+      .addCase(fetchReturns.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(requestReturn.pending, (state) => {
+        state.submitting = true;
+      })
+      .addCase(requestReturn.fulfilled, (state, action) => {
+        state.submitting = false;
+        state.items.unshift(action.payload.return);
+      })
+      .addCase(requestReturn.rejected, (state) => {
+        state.submitting = false;
+      });
+  },
+});
+
+export const { clearReturns } = returnSlice.actions;
+
+// Selectors
+export const selectReturns = (state) => state.returns.items;
+export const selectReturnsLoading = (state) => state.returns.loading;
+export const selectReturnSubmitting = (state) => state.returns.submitting;
+export const selectReturnsError = (state) => state.returns.error;
+
+export default returnSlice.reducer;
@@ -0,0 +1,152 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../services/axios';
+
+/**
+ * Reviews Redux Slice
+ *
+ * Reviews for the product currently on screen: one page of reviews, the
+ * star histogram, and whether the signed-in user may write (or already has)
+ * a review. Create/edit/delete respond with the product's new rating, which
+ * the products slice applies to the open product.
+ */
+
+const getErrorMessage = (error, fallbackMessage) =>
+  error.response?.data?.error || error.message || fallbackMessage;
+
+/**
+ * Async thunk to fetch a page of reviews
+ */
+export const fetchReviews = createAsyncThunk(
+  'reviews/fetchReviews',
+  async ({ productId, page = 1, limit = 5, sort = 'newest' }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/api/products/${productId}/reviews`, {
+        params: { page, limit, sort },
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to load reviews'));
+    }
+  }
+);
+
+/**
+ * Async thunk to post a review
+ */
+export const createReview = createAsyncThunk(
+  'reviews/createReview',
+  async ({ productId, review }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/api/products/${productId}/reviews`, review);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to post review'));
+    }
+  }
+);
+
+/**
+ * Async thunk to edit the user's own review
+ */
+export const updateReview = createAsyncThunk(
+  'reviews/updateReview',
+  async ({ productId, reviewId, review }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/api/products/${productId}/reviews/${reviewId}`, review);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update review'));
+    }
+  }
+);
+
+/**
+ * Async thunk to delete the user's own review
+ */
+export const deleteReview = createAsyncThunk(
+  'reviews/deleteReview',
+  async ({ productId, reviewId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/products/${productId}/reviews/${reviewId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete review'));
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  meta: {
+    total: 0,
+    page: 1,
+    limit: 5,
+    totalPages: 0,
+    hasNext: false,
+    hasPrev: false,
+    sort: 'newest',
+  },
+  summary: {
+    average: 0,
+    count: 0,
+    histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+  },
+  viewer: null,
+  loading: false,
+  submitting: false,
+  error: null,
+};
+
+const reviewSlice = createSlice({
+  name: 'reviews',
+  initialState,
+  reducers: {
+    clearReviews: () => initialState,
+  },
+  extraReducers: (builder) => {
+    const mutations = [createReview, updateReview, deleteReview];
+
+    builder
+      .addCase(fetchReviews.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchReviews.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload.data;
+        state.meta = action.payload.meta;
+        state.summary = action.payload.summary;
+        state.viewer = action.payload.viewer;
+      })
+      .addCase(fetchReviews.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+
+    mutations.forEach((thunk) => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.submitting = true;
+        })
+        .addCase(thunk.fulfilled, (state) => {
+          state.submitting = false;
+        })
+        .addCase(thunk.rejected, (state) => {
+          state.submitting = false;
+        });
+    });
+  },
+});
+
+export const { clearReviews } = reviewSlice.actions;
+
+// Selectors
+export const selectReviews = (state) => state.reviews.items;
+export const selectReviewsMeta = (state) => state.reviews.meta;
+export const selectReviewSummary = (state) => state.reviews.summary;
+export const selectReviewViewer = (state) => state.reviews.viewer;
+export const selectReviewsLoading = (state) => state.reviews.loading;
+export const selectReviewSubmitting = (state) => state.reviews.submitting;
+export const selectReviewsError = (state) => state.reviews.error;
+
+export default reviewSlice.reducer;
@@ -0,0 +1,166 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { addToCart } from '../cart/cartSlice';
+import api from '../../services/axios';
+
+/**
+ * Wishlist Redux Slice
+ *
+ * Saved products for the signed-in user, kept on the server at
+ * `/api/wishlist`. Each entry carries `priceDropped` / `backInStock` flags
+ * computed by the server against the price and stock at the time it was saved.
+ */
+
+const getErrorMessage = (error, fallbackMessage) =>
+  error.response?.data?.error || error.message || fallbackMessage;
+
+/**
+ * Async thunk to load the wishlist
+ */
+export const fetchWishlist = createAsyncThunk(
+  'wishlist/fetchWishlist',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/wishlist');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to load wishlist'));
+    }
+  }
+);
+
+/**
+ * Async thunk to save a product
+ */
+export const addToWishlist = createAsyncThunk(
+  'wishlist/addToWishlist',
+  async ({ productId, size = null, color = null }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/wishlist', { productId, size, color });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to save item'));
+    }
+  }
+);
+
+/**
+ * Async thunk to remove a product
+ */
+export const removeFromWishlist = createAsyncThunk(
+  'wishlist/removeFromWishlist',
+  async (productId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/wishlist/${productId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to remove item'));
+    }
+  }
+);
+
+/**
+ * Async thunk to move a cart line to the wishlist
+ * Resolves with `{ wishlist, cart }`; the cart slice picks up the new cart.
+ */
+export const saveForLater = createAsyncThunk(
+  'wishlist/saveForLater',
+  async (cartItemId, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/wishlist/save-for-later', { cartItemId });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to save item for later'));
+    }
+  }
+);
+
+/**
+ * Async thunk to move a saved product back into the cart
+ * The entry is only removed once the cart has accepted it (stock permitting).
+ */
+export const moveToCart = createAsyncThunk(
+  'wishlist/moveToCart',
+  async (item, { dispatch, rejectWithValue }) => {
+    try {
+      await dispatch(
+        addToCart({
+          product: { id: item.productId },
+          size: item.size,
+          color: item.color,
+          quantity: 1,
+        })
+      ).unwrap();
+      return await dispatch(removeFromWishlist(item.productId)).unwrap();
+    } catch (error) {
+      return rejectWithValue(typeof error === 'string' ? error : 'Failed to move item to cart');
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  loading: false,
+  error: null,
+};
+
+const wishlistSlice = createSlice({
+  name: 'wishlist',
+  initialState,
+  reducers: {
+    // Clear error state
+    clearWishlistError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchWishlist.pending, (state) => {
+        state.loading = true;
+      })
+      .addCase(fetchWishlist.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchWishlist.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(saveForLater.fulfilled, (state, action) => {
+        state.items = action.payload.wishlist;
+        state.error = null;
+      })
+      .addMatcher(
+        (action) =>
+          [addToWishlist.fulfilled, removeFromWishlist.fulfilled].some((thunk) => thunk.match(action)),
+        (state, action) => {
+          state.items = action.payload;
+          state.error = null;
+        }
+      )
+      .addMatcher(
+        (action) =>
+          [addToWishlist.rejected, removeFromWishlist.rejected, saveForLater.rejected, moveToCart.rejected]
+            .some((thunk) => thunk.match(action)),
+        (state, action) => {
+          state.error = action.payload;
+        }
+      )
+      // Saved items belong to the account, not the browser
+      .addMatcher(
+        (action) => action.type === 'auth/logout',
+        () => initialState
+      );
+  },
+});
+
+export const { clearWishlistError } = wishlistSlice.actions;
+
+// Selectors
+export const selectWishlistItems = (state) => state.wishlist.items;
+export const selectWishlistLoading = (state) => state.wishlist.loading;
+export const selectWishlistError = (state) => state.wishlist.error;
+export const selectIsInWishlist = (productId) => (state) =>
+  state.wishlist.items.some((item) => String(item.productId) === String(productId));
+
+export default wishlistSlice.reducer;
@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import api from '../services/axios';
+
+/**
+ * Server-priced preview of the cart
+ *
+ * Re-quotes whenever the items or promo code change. Call `refreshQuote`
+ * to force a new quote (e.g. after the server rejected an order).
+ *
+ * @param {Array} cartItems - Cart items from the store
+ * @param {string|null} couponCode - Applied promo code
+ * @returns {{ quote: Object|null, quoteError: string|null, refreshQuote: Function }}
+ */
+const useCheckoutQuote = (cartItems, couponCode) => {
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (cartItems.length === 0) return;
+
+    let isCurrent = true;
+    setQuoteError(null);
+
+    api
+      .post('/api/checkout/quote', {
+        items: cartItems.map(({ cartItemId, id, size, color, quantity }) => ({
+          cartItemId,
+          id,
+          size,
+          color,
+          quantity,
+        })),
+        couponCode: couponCode || undefined,
+      })
+      .then((response) => {
+        if (isCurrent) setQuote(response.data);
+      })
+      .catch((error) => {
+        if (!isCurrent) return;
+        setQuote(null);
+        setQuoteError(
+          error.response?.data?.details?.[0] ||
+            error.response?.data?.error ||
+            'Could not calculate your order total.'
+        );
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [cartItems, couponCode, version]);
+
+  const refreshQuote = () => setVersion((v) => v + 1);
+
+  return { quote, quoteError, refreshQuote };
+};
+
+export default useCheckoutQuote;
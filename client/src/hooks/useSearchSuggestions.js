@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+import api from '../services/axios';
+
+const SUGGEST_DELAY_MS = 250;
+
+/**
+ * Debounced autocomplete suggestions for a search query
+ *
+ * Waits until typing pauses before calling `/products/suggest`, and ignores
+ * responses for queries that have since changed.
+ *
+ * @param {string} query - Current text in the search box
+ * @returns {{ suggestions: Object|null, loading: boolean }}
+ */
+const useSearchSuggestions = (query) => {
+  const [suggestions, setSuggestions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    if (!trimmed) {
+      setSuggestions(null);
+      setLoading(false);
+      return;
+    }
+
+    let isCurrent = true;
+    setLoading(true);
+
+    const timer = setTimeout(() => {
+      api
+        .get('/products/suggest', { params: { q: trimmed } })
+        .then((response) => {
+          if (isCurrent) setSuggestions(response.data);
+        })
+        .catch(() => {
+          if (isCurrent) setSuggestions(null);
+        })
+        .finally(() => {
+          if (isCurrent) setLoading(false);
+        });
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [trimmed]);
+
+  return { suggestions, loading };
+};
+
+export default useSearchSuggestions;
@@ -0,0 +1,92 @@
+import { PROMOTION_TYPES } from "../../utils/pricing";
+
+// Default promo codes seeded into the mock DB.
+// `appliesTo` limits a code to category slugs and/or product ids; leave both
+// empty for an order-wide code. `startsAt: null` means live immediately,
+// `usageLimitPerUser: null` means unlimited.
+export const promotionsData = [
+  {
+    id: "promo_welcome10",
+    code: "WELCOME10",
+    description: "10% off your first order",
+    type: PROMOTION_TYPES.PERCENTAGE,
+    value: 10,
+    appliesTo: { categories: [], productIds: [] },
+    minSpend: 0,
+    startsAt: null,
+    expiresAt: "2027-12-31T23:59:59.000Z",
+    status: "active",
+    usageLimitPerUser: 1,
+    createdAt: "2025-08-08T19:52:17.000Z",
+  },
+  {
+    id: "promo_save15",
+    code: "SAVE15",
+    description: "$15 off orders over $100",
+    type: PROMOTION_TYPES.FIXED,
+    value: 15,
+    appliesTo: { categories: [], productIds: [] },
+    minSpend: 100,
+    startsAt: null,
+    expiresAt: "2027-06-30T23:59:59.000Z",
+    status: "active",
+    usageLimitPerUser: null,
+    createdAt: "2025-08-08T19:52:17.000Z",
+  },
+  {
+    id: "promo_freeship",
+    code: "FREESHIP",
+    description: "Free shipping on orders over $25",
+    type: PROMOTION_TYPES.FREE_SHIPPING,
+    value: 0,
+    appliesTo: { categories: [], productIds: [] },
+    minSpend: 25,
+    startsAt: null,
+    expiresAt: null,
+    status: "active",
+    usageLimitPerUser: null,
+    createdAt: "2025-08-08T19:52:17.000Z",
+  },
+  {
+    id: "promo_clothes20",
+    code: "CLOTHES20",
+    description: "20% off clothing",
+    type: PROMOTION_TYPES.PERCENTAGE,
+    value: 20,
+    appliesTo: { categories: ["clothes"], productIds: [] },
+    minSpend: 0,
+    startsAt: null,
+    expiresAt: "2027-03-31T23:59:59.000Z",
+    status: "active",
+    usageLimitPerUser: 3,
+    createdAt: "2025-08-08T19:52:17.000Z",
+  },
+  {
+    id: "promo_hoodie5",
+    code: "HOODIE5",
+    description: "$5 off the Classic Black Hooded Sweatshirt",
+    type: PROMOTION_TYPES.FIXED,
+    value: 5,
+    appliesTo: { categories: [], productIds: [5] },
+    minSpend: 0,
+    startsAt: null,
+    expiresAt: null,
+    status: "active",
+    usageLimitPerUser: null,
+    createdAt: "2025-08-08T19:52:17.000Z",
+  },
+  {
+    id: "promo_summer25",
+    code: "SUMMER25",
+    description: "25% off the 2025 summer sale",
+    type: PROMOTION_TYPES.PERCENTAGE,
+    value: 25,
+    appliesTo: { categories: [], productIds: [] },
+    minSpend: 0,
+    startsAt: null,
+    expiresAt: "2025-09-01T00:00:00.000Z",
+    status: "active",
+    usageLimitPerUser: null,
+    createdAt: "2025-06-01T00:00:00.000Z",
+  },
+];
@@ -0,0 +1,55 @@
+import { PERMISSIONS } from "../../utils/permissions";
+
+// Default roles seeded into the mock DB
+export const rolesData = [
+  {
+    id: "admin",
+    name: "Administrator",
+    description: "Full access to every part of the admin panel",
+    permissions: Object.values(PERMISSIONS),
+  },
+  {
+    id: "catalog_manager",
+    name: "Catalog Manager",
+    description: "Creates and maintains products, promotions and reviews",
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.PRODUCTS_READ,
+      PERMISSIONS.PRODUCTS_WRITE,
+      PERMISSIONS.PROMOTIONS_READ,
+      PERMISSIONS.PROMOTIONS_WRITE,
+      PERMISSIONS.REVIEWS_READ,
+      PERMISSIONS.REVIEWS_MODERATE,
+    ],
+  },
+  {
+    id: "fulfilment_agent",
+    name: "Fulfilment Agent",
+    description: "Processes and ships orders and handles returns",
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.ORDERS_UPDATE_STATUS,
+      PERMISSIONS.RETURNS_READ,
+      PERMISSIONS.RETURNS_MANAGE,
+    ],
+  },
+  {
+    id: "support",
+    name: "Support",
+    description: "Looks up customers and their orders",
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.CUSTOMERS_READ,
+      PERMISSIONS.REVIEWS_READ,
+      PERMISSIONS.RETURNS_READ,
+    ],
+  },
+  {
+    id: "user",
+    name: "Customer",
+    description: "Storefront access only",
+    permissions: [],
+  },
+];
@@ -1,5 +1,265 @@
+import { productsData } from "./data/products";
+import { rolesData } from "./data/roles";
+import { promotionsData } from "./data/promotions";
+import { PERMISSIONS } from "../utils/permissions";
+import { createDefaultVariants } from "../utils/variants";
+import { isPrepaid, normalizeOrderStatus } from "../utils/orderStatus";
+import { getRemainingRefund } from "../utils/ledger";
+import { getReturnRefundLines } from "../utils/returns";
+
 export const DB_KEY = "buyzzie_mock_db_v1";
+const BACKUP_KEY_PREFIX = "buyzzie_mock_db_backup_v";
+const FAILED_KEY = "buyzzie_mock_db_failed";
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Ordered schema migrations. Entry N upgrades a store from version N to N + 1,
+ * so stores written before versioning existed (version 0) run all of them.
+ * To change the shape: append a migration here AND update `seed` below so
+ * fresh stores start at the latest version without migrating.
+ */
+const migrations = [
+  // v0 -> v1: backfill profile fields added after the first release
+  (db) => {
+    db.users = (db.users || []).map((user) => ({
+      ...user,
+      phone: user.phone ?? "",
+      profilePicture: user.profilePicture ?? null,
+      addresses: user.addresses ?? [],
+      createdAt: user.createdAt ?? new Date().toISOString(),
+    }));
+    db.orders = db.orders || [];
+    return db;
+  },
+  // v1 -> v2: the catalog moved from data/products.js into the DB. Only
+  // seeded when the collection is missing; an empty catalog is kept as-is.
+  (db) => {
+    if (!Array.isArray(db.products)) {
+      db.products = clone(productsData);
+    }
+    return db;
+  },
+  // v2 -> v3: refresh tokens issued by /auth/login and /auth/signup
+  (db) => {
+    db.refreshTokens = db.refreshTokens || [];
+    return db;
+  },
+  // v3 -> v4: role definitions with granular admin permissions
+  (db) => {
+    db.roles = db.roles || clone(rolesData);
+    return db;
+  },
+  // v4 -> v5: promo codes for the promotion engine
+  (db) => {
+    db.promotions = db.promotions || clone(promotionsData);
+    return db;
+  },
+  // v5 -> v6: promotions can be scheduled and paused from the admin panel
+  (db) => {
+    db.promotions = db.promotions.map((promotion) => ({
+      ...promotion,
+      startsAt: promotion.startsAt ?? null,
+      status: promotion.status ?? "active",
+    }));
+    const grants = {
+      admin: [PERMISSIONS.PROMOTIONS_READ, PERMISSIONS.PROMOTIONS_WRITE],
+      catalog_manager: [PERMISSIONS.PROMOTIONS_READ, PERMISSIONS.PROMOTIONS_WRITE],
+    };
+    db.roles = db.roles.map((role) => ({
+      ...role,
+      permissions: [...new Set([...role.permissions, ...(grants[role.id] || [])])],
+    }));
+    return db;
+  },
+  // v6 -> v7: carts move from per-browser localStorage keys into the DB.
+  // Only keys belonging to known user ids are imported, each into its own
+  // user's cart, then removed.
+  (db) => {
+    db.carts = db.carts || [];
+    db.users.forEach((user) => {
+      const keys = [`buyzzie_cart_${user.id}`, `buyzzie_cart_fake-jwt-${user.id}`];
+      keys.forEach((key) => {
+        try {
+          const stored = JSON.parse(localStorage.getItem(key) || "null");
+          if (stored?.items?.length && !db.carts.some((c) => c.userId === user.id)) {
+            db.carts.push({
+              userId: user.id,
+              items: stored.items.map(({ cartItemId, id, size, color, quantity }) => ({
+                cartItemId,
+                id,
+                size: size ?? null,
+                color: color ?? null,
+                quantity,
+              })),
+              couponCode: stored.couponCode ?? null,
+              updatedAt: new Date().toISOString(),
+            });
+          }
+        } catch (error) {
+          console.error(`Skipping unreadable cart ${key}:`, error);
+        }
+        localStorage.removeItem(key);
+      });
+    });
+    return db;
+  },
+  // v7 -> v8: wishlists (one per user)
+  (db) => {
+    db.wishlists = db.wishlists || [];
+    return db;
+  },
+  // v8 -> v9: product reviews; ratings gain a count that reviews keep current
+  (db) => {
+    db.reviews = db.reviews || [];
+    db.products = db.products.map((product) => ({
+      ...product,
+      ratingCount: product.ratingCount ?? 0,
+    }));
+    return db;
+  },
+  // v9 -> v10: review moderation. Reviews posted before moderation existed
+  // were already public, so they are approved as-is.
+  (db) => {
+    db.reviews = db.reviews.map((review) => ({
+      ...review,
+      status: review.status ?? "approved",
+      flags: review.flags ?? [],
+    }));
+    const grants = {
+      admin: [PERMISSIONS.REVIEWS_READ, PERMISSIONS.REVIEWS_MODERATE],
+      catalog_manager: [PERMISSIONS.REVIEWS_READ, PERMISSIONS.REVIEWS_MODERATE],
+      support: [PERMISSIONS.REVIEWS_READ],
+    };
+    db.roles = db.roles.map((role) => ({
+      ...role,
+      permissions: [...new Set([...role.permissions, ...(grants[role.id] || [])])],
+    }));
+    return db;
+  },
+  // v10 -> v11: each size/colour combination becomes a variant with its own
+  // SKU and stock; existing stock is split across a product's variants
+  (db) => {
+    db.products = db.products.map((product) => ({
+      ...product,
+      variants: product.variants ?? createDefaultVariants(product),
+    }));
+    return db;
+  },
+  // v11 -> v12: order statuses follow the lifecycle in utils/orderStatus and
+  // keep a history. Older orders get a single entry for when they were placed.
+  (db) => {
+    db.orders = db.orders.map((order) => {
+      const status = normalizeOrderStatus(order.status) ?? "pending";
+      return {
+        ...order,
+        status,
+        statusHistory: order.statusHistory ?? [
+          {
+            status,
+            at: order.updatedAt ?? order.createdAt,
+            actor: { type: "system", id: null, name: "System" },
+            note: "Status recorded before order tracking",
+          },
+        ],
+      };
+    });
+    return db;
+  },
+  // v12 -> v13: orders track whether they have been paid, so cancelling a
+  // prepaid order can mark the money for refund
+  (db) => {
+    db.orders = db.orders.map((order) => {
+      let paymentStatus = isPrepaid(order.paymentMethod) ? "paid" : "unpaid";
+      if (order.status === "delivered" || order.status === "returned") paymentStatus = "paid";
+      if (order.status === "refunded") paymentStatus = "refunded";
+      return { ...order, paymentStatus: order.paymentStatus ?? paymentStatus };
+    });
+    return db;
+  },
+  // v13 -> v14: customer returns (RMAs) and the permissions to handle them
+  (db) => {
+    db.returns = db.returns || [];
+    const grants = {
+      admin: [PERMISSIONS.RETURNS_READ, PERMISSIONS.RETURNS_MANAGE],
+      fulfilment_agent: [PERMISSIONS.RETURNS_READ, PERMISSIONS.RETURNS_MANAGE],
+      support: [PERMISSIONS.RETURNS_READ],
+    };
+    db.roles = db.roles.map((role) => ({
+      ...role,
+      permissions: [...new Set([...role.permissions, ...(grants[role.id] || [])])],
+    }));
+    return db;
+  },
+  // v14 -> v15: a payments/refunds ledger on every order, rebuilt from its
+  // payment status and refunded returns, and a permission for manual refunds
+  (db) => {
+    const system = { type: "system", id: null, name: "System" };
+    db.orders = db.orders.map((order) => {
+      if (order.ledger) return order;
+      const ledger = [];
+      const addEntry = (entry) => ledger.push({ id: `txn_${order.id}_${ledger.length + 1}`, ...entry });
+
+      if (order.paymentStatus !== "unpaid") {
+        const deliveredAt = order.statusHistory?.find((entry) => entry.status === "delivered")?.at;
+        addEntry({
+          type: "capture",
+          amount: order.total,
+          note: "Recorded before the ledger existed",
+          actor: system,
+          at: (isPrepaid(order.paymentMethod) ? null : deliveredAt) ?? order.createdAt,
+        });
+      }
+      db.returns
+        .filter((rma) => rma.orderId === order.id && rma.status === "refunded")
+        .forEach((rma) => {
+          const lines = getReturnRefundLines(order, rma.items);
+          const merchandise = lines.reduce((sum, line) => sum + line.amount, 0);
+          addEntry({
+            type: "refund",
+            amount: rma.refundedAmount,
+            lines,
+            shipping: 0,
+            tax: Math.round((rma.refundedAmount - merchandise) * 100) / 100,
+            source: "return",
+            returnId: rma.id,
+            note: `Return ${rma.id}`,
+            actor: system,
+            at: rma.refundedAt ?? rma.updatedAt,
+          });
+        });
+
+      const migrated = { ...order, ledger };
+      if (order.paymentStatus === "refunded") {
+        const refund = getRemainingRefund(migrated);
+        if (refund.amount > 0) {
+          addEntry({
+            type: "refund",
+            ...refund,
+            source: "order",
+            returnId: null,
+            note: "Recorded before the ledger existed",
+            actor: system,
+            at: order.updatedAt ?? order.createdAt,
+          });
+        }
+      }
+      return migrated;
+    });
+
+    db.roles = db.roles.map((role) =>
+      role.id === "admin"
+        ? { ...role, permissions: [...new Set([...role.permissions, PERMISSIONS.ORDERS_REFUND])] }
+        : role
+    );
+    return db;
+  },
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
 const seed = {
+  schemaVersion: SCHEMA_VERSION,
   users: [
     {
       id: "u_admin",
@@ -13,12 +273,68 @@ const seed = {
       createdAt: "2024-01-15T10:30:00.000Z",
     },
   ],
-  products: [],
+  products: productsData.map((product) => ({
+    ...product,
+    ratingCount: 0,
+    variants: createDefaultVariants(product),
+  })),
   orders: [],
+  refreshTokens: [],
+  roles: rolesData,
+  promotions: promotionsData,
+  carts: [],
+  wishlists: [],
+  reviews: [],
+  returns: [],
 };
+
+/**
+ * Bring a stored snapshot up to SCHEMA_VERSION. The raw pre-migration
+ * snapshot is kept under a backup key so a bad migration never loses data.
+ */
+function migrate(raw) {
+  const db = JSON.parse(raw);
+  const fromVersion = Number(db.schemaVersion) || 0;
+  if (fromVersion >= SCHEMA_VERSION) return db;
+
+  try {
+    localStorage.setItem(`${BACKUP_KEY_PREFIX}${fromVersion}`, raw);
+  } catch (error) {
+    console.error("Error backing up mock DB before migration:", error);
+  }
+
+  let migrated = db;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    migrated = migrations[version](migrated) ?? migrated;
+    migrated.schemaVersion = version + 1;
+  }
+  write(migrated);
+  return migrated;
+}
+
 function read() {
   const raw = localStorage.getItem(DB_KEY);
-  return raw ? JSON.parse(raw) : JSON.parse(JSON.stringify(seed));
+  if (!raw) {
+    // First run: persist the seed so generated ids stay stable across reloads
+    const db = clone(seed);
+    write(db);
+    return db;
+  }
+  try {
+    return migrate(raw);
+  } catch (error) {
+    // Corrupt or not migratable: set the stored data aside and start over
+    // from the seed rather than hand out a snapshot in an older shape
+    console.error("Error migrating mock DB, starting from a fresh seed:", error);
+    try {
+      localStorage.setItem(FAILED_KEY, raw);
+    } catch (backupError) {
+      console.error("Error backing up unreadable mock DB:", backupError);
+    }
+    const db = clone(seed);
+    write(db);
+    return db;
+  }
 }
 function write(db) {
   localStorage.setItem(DB_KEY, JSON.stringify(db));
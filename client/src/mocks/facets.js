@@ -0,0 +1,161 @@
+/**
+ * facets.js
+ *
+ * Faceted filtering for the product listing. Each facet (category, size,
+ * colour, rating bucket, availability) is a multi-select: values within a
+ * facet are OR-ed, facets are AND-ed together, and the price range applies
+ * on top. Counts for a facet are taken over the products matching every
+ * *other* active filter, so picking one category still shows how many
+ * products the other categories would add.
+ */
+
+const SIZE_ORDER = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+const PRICE_BUCKET_TARGET = 6;
+
+/**
+ * Rating buckets, best first. A product falls in the bucket whose `min` is
+ * the highest one at or below its rating.
+ */
+export const RATING_BUCKETS = [
+  { value: '4', label: '4 - 5 stars', min: 4 },
+  { value: '3', label: '3 - 4 stars', min: 3 },
+  { value: '2', label: '2 - 3 stars', min: 2 },
+  { value: '1', label: '1 - 2 stars', min: 1 },
+  { value: '0', label: 'Under 1 star', min: 0 },
+];
+
+export const AVAILABILITY_OPTIONS = [
+  { value: 'in_stock', label: 'In stock' },
+  { value: 'out_of_stock', label: 'Out of stock' },
+];
+
+const getRatingBucket = (product) =>
+  RATING_BUCKETS.find((bucket) => (Number(product.rating) || 0) >= bucket.min).value;
+
+const getAvailability = (product) => (product.stock > 0 ? 'in_stock' : 'out_of_stock');
+
+/**
+ * The facet values a product has, per facet
+ */
+const FACET_VALUES = {
+  category: (product) => [product.category?.slug].filter(Boolean),
+  size: (product) => product.sizes || [],
+  color: (product) => product.colors || [],
+  rating: (product) => [getRatingBucket(product)],
+  availability: (product) => [getAvailability(product)],
+};
+
+export const FACET_KEYS = Object.keys(FACET_VALUES);
+
+const matchesPrice = (product, filters) =>
+  (!filters.minPrice || product.price >= Number(filters.minPrice)) &&
+  (!filters.maxPrice || product.price <= Number(filters.maxPrice));
+
+/**
+ * Whether a product passes the facet and price filters
+ * @param {Object} product
+ * @param {Object} filters - `{ category, size, color, rating, availability }` arrays plus `minPrice`/`maxPrice`
+ * @param {string} [except] - A facet key (or `price`) to ignore, for counting that facet
+ * @returns {boolean}
+ */
+export const matchesFilters = (product, filters, except = null) =>
+  (except === 'price' || matchesPrice(product, filters)) &&
+  FACET_KEYS.every((key) => {
+    const selected = filters[key];
+    if (key === except || !selected || selected.length === 0) return true;
+    return FACET_VALUES[key](product).some((value) => selected.includes(value));
+  });
+
+const countValues = (products, key) => {
+  const counts = new Map();
+  products.forEach((product) => {
+    new Set(FACET_VALUES[key](product)).forEach((value) => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return counts;
+};
+
+const sizeRank = (size) => {
+  const index = SIZE_ORDER.indexOf(size);
+  return index === -1 ? SIZE_ORDER.length : index;
+};
+
+// Round a bucket width up to 1, 2 or 5 times a power of ten
+const niceWidth = (range) => {
+  const rough = range / PRICE_BUCKET_TARGET;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= rough);
+  return step * magnitude;
+};
+
+/**
+ * Price histogram: equal-width buckets across the products' price range
+ * @param {Array} products
+ * @returns {Array<{ min: number, max: number, count: number }>}
+ */
+const buildPriceBuckets = (products) => {
+  if (products.length === 0) return [];
+  const prices = products.map((product) => Number(product.price) || 0);
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  if (low === high) return [{ min: low, max: high, count: prices.length }];
+
+  const width = niceWidth(high - low);
+  const start = Math.floor(low / width) * width;
+  const bucketCount = Math.floor((high - start) / width) + 1;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    min: start + i * width,
+    max: start + (i + 1) * width,
+    count: 0,
+  }));
+  prices.forEach((price) => {
+    buckets[Math.min(bucketCount - 1, Math.floor((price - start) / width))].count += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Facet counts for the current filters
+ * @param {Array} products - Products matching the search query (before any filters)
+ * @param {Object} filters - Active filters
+ * @returns {Object} `{ category, size, color, rating, availability }` as
+ *   `[{ value, label, count }]`, plus `price` histogram buckets
+ */
+export const buildFacets = (products, filters) => {
+  const countsFor = (key) => countValues(products.filter((p) => matchesFilters(p, filters, key)), key);
+
+  // Selected values stay listed even when nothing matches them any more
+  const withSelected = (counts, key) => {
+    (filters[key] || []).forEach((value) => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+    return counts;
+  };
+
+  const categoryNames = new Map(products.map((p) => [p.category?.slug, p.category?.name]));
+  const categories = withSelected(countsFor('category'), 'category');
+  const sizes = withSelected(countsFor('size'), 'size');
+  const colors = withSelected(countsFor('color'), 'color');
+  const ratings = countsFor('rating');
+  const availability = countsFor('availability');
+
+  return {
+    category: [...categories.entries()]
+      .map(([value, count]) => ({ value, label: categoryNames.get(value) || value, count }))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+    size: [...sizes.entries()]
+      .map(([value, count]) => ({ value, label: value, count }))
+      .sort((a, b) => sizeRank(a.value) - sizeRank(b.value) || a.value.localeCompare(b.value)),
+    color: [...colors.entries()]
+      .map(([value, count]) => ({ value, label: value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    rating: RATING_BUCKETS.map(({ value, label }) => ({ value, label, count: ratings.get(value) || 0 })),
+    availability: AVAILABILITY_OPTIONS.map(({ value, label }) => ({
+      value,
+      label,
+      count: availability.get(value) || 0,
+    })),
+    price: buildPriceBuckets(products.filter((p) => matchesFilters(p, filters, 'price'))),
+  };
+};
@@ -0,0 +1,76 @@
+/**
+ * guards.js
+ *
+ * Shared authentication/authorization helpers for the MSW handlers.
+ * The caller is always resolved from the signed access token and then looked
+ * up in the DB, so the stored role and its permissions (not a client-side
+ * copy) are authoritative.
+ */
+
+import { HttpResponse } from 'msw';
+import DB from './db';
+import { verifyToken } from './jwt';
+
+/**
+ * Extract user ID from Authorization token
+ * Token format: "Bearer <header>.<payload>.<signature>" (signed JWT)
+ * Returns null for missing, tampered or expired tokens.
+ */
+export const extractUserIdFromToken = async (request) => {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const claims = await verifyToken(authHeader.replace('Bearer ', ''));
+  return claims?.sub || null;
+};
+
+/**
+ * Resolve the DB user behind the request's token
+ * @returns {Promise<Object|null>} User record, or null if unauthenticated
+ */
+export const getAuthenticatedUser = async (request) => {
+  const userId = await extractUserIdFromToken(request);
+  if (!userId) return null;
+
+  return DB.read().users.find((u) => u.id === userId) ?? null;
+};
+
+/**
+ * Wrap a resolver so it only runs for authenticated callers.
+ * The resolved user is passed to the resolver as `user`.
+ */
+export const withAuth = (resolver) => async (info) => {
+  const user = await getAuthenticatedUser(info.request);
+  if (!user) {
+    return HttpResponse.json(
+      { error: 'Unauthorized. Please log in to continue.' },
+      { status: 401 }
+    );
+  }
+  return resolver({ ...info, user });
+};
+
+/**
+ * Get the permissions granted by a user's role
+ * @param {Object} db - Current DB snapshot
+ * @param {Object} user - User record
+ * @returns {string[]} Permission names
+ */
+export const getUserPermissions = (db, user) =>
+  db.roles?.find((r) => r.id === user?.role)?.permissions ?? [];
+
+/**
+ * Wrap a resolver so it only runs for callers whose role grants `permission`
+ */
+export const withPermission = (permission, resolver) =>
+  withAuth((info) => {
+    if (!getUserPermissions(DB.read(), info.user).includes(permission)) {
+      return HttpResponse.json(
+        { error: `Forbidden. The "${permission}" permission is required.` },
+        { status: 403 }
+      );
+    }
+    return resolver(info);
+  });
@@ -2,106 +2,375 @@
  * handlers.admin.js
  * 
  * MSW handlers for admin panel endpoints.
- * Provides mock API responses for dashboard stats, products, orders, and users.
+ * Provides mock API responses for dashboard stats, products, orders, users,
+ * promotions, review moderation and returns.
+ * Every route is wrapped in `withPermission`: 401 without a valid token, 403 when
+ * the caller's role lacks the permission the route needs.
  */
 
 import { http, HttpResponse } from 'msw';
 import db from './db';
-import { productsData } from './data/products';
+import { getUserPermissions, withPermission } from './guards';
+import { PERMISSIONS } from '../utils/permissions';
+import { PROMOTION_TYPES, roundCurrency } from '../utils/pricing';
+import { getPromotionUsage } from './promotions';
+import { REVIEW_STATUSES, recalculateProductRating } from './reviews';
+import { recordRefund, restockOrderItems, toStatusActor, transitionOrder } from './orders';
+import { transitionReturn } from './returns';
+import { RETURN_STATUSES } from '../utils/returns';
+import { getLedgerSummary, prepareRefund } from '../utils/ledger';
+import { CARRIERS, TRACKING_NUMBER_PATTERN } from '../utils/tracking';
+import {
+  buildVariantMatrix,
+  buildVariantSku,
+  createDefaultVariants,
+  hasVariants,
+  sumVariantStock,
+} from '../utils/variants';
+
+/**
+ * An order with everything the admin order page shows alongside it: the
+ * customer (without credentials) and the returns raised against it
+ */
+const toAdminOrderDetail = (mockDb, order) => {
+  const user = mockDb.users.find(u => u.id === order.userId);
+  return {
+    ...order,
+    internalNotes: order.internalNotes || [],
+    notifications: order.notifications || [],
+    customer: user
+      ? {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone || '',
+        createdAt: user.createdAt,
+        orderCount: mockDb.orders.filter(o => o.userId === user.id).length,
+      }
+      : null,
+    returns: mockDb.returns.filter(r => r.orderId === order.id),
+  };
+};
+
+// Statuses in which an order can be given tracking details
+const TRACKABLE_STATUSES = ['processing', 'shipped', 'delivered'];
+
+/**
+ * Build a URL slug from a product title
+ */
+const toSlug = (title = '') =>
+  title.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Resolve the category sent by ProductForm (a name string) into the
+ * category object the storefront filters on. Reuses an existing product's
+ * category when one matches so ids and images stay consistent.
+ */
+const resolveCategory = (products, category) => {
+  if (category && typeof category === 'object') return category;
+
+  const name = String(category || 'Miscellaneous');
+  const match = products.find(
+    p => p.category?.name?.toLowerCase() === name.toLowerCase()
+  );
+  return match ? match.category : { name, slug: toSlug(name) };
+};
+
+/**
+ * Normalize and validate the variant matrix sent by ProductForm. Rows are
+ * matched to the product's current sizes and colours: rows for options that
+ * were removed are dropped and missing combinations start with no stock.
+ * Products saved without `variants` keep their existing rows, or have their
+ * stock split across new ones. Blank SKUs get a generated one.
+ * @param {Object} product - Product being saved (with its final id)
+ * @param {Array|undefined} submitted - Variants from the request body
+ * @param {Array} products - All products (for the unique SKU check)
+ * @returns {Object} { errors, variants, stock }
+ */
+const parseVariants = (product, submitted, products) => {
+  const errors = [];
+  const sizes = product.sizes || [];
+  const colors = product.colors || [];
+
+  if (!Array.isArray(submitted)) {
+    const variants = hasVariants(product)
+      ? buildVariantMatrix(sizes, colors, product.variants)
+      : createDefaultVariants(product);
+    return {
+      errors,
+      variants,
+      stock: variants.length > 0 ? sumVariantStock(variants) : Number(product.stock) || 0,
+    };
+  }
+
+  const variants = buildVariantMatrix(sizes, colors, submitted).map(v => ({
+    sku: String(v.sku || '').trim().toUpperCase() || buildVariantSku(product.id, v.size, v.color),
+    size: v.size ?? null,
+    color: v.color ?? null,
+    stock: Number(v.stock),
+    price: v.price === null || v.price === undefined || v.price === '' ? null : Number(v.price),
+    image: String(v.image || '').trim() || null,
+  }));
+
+  const otherSkus = new Set(
+    products.filter(p => p.id !== product.id).flatMap(p => (p.variants || []).map(v => v.sku))
+  );
+  const seen = new Set();
+  variants.forEach(v => {
+    const label = [v.size, v.color].filter(Boolean).join(' / ');
+    if (!Number.isInteger(v.stock) || v.stock < 0) {
+      errors.push(`Stock for ${label} must be a whole number of 0 or more`);
+    }
+    if (v.price !== null && !(v.price > 0)) {
+      errors.push(`Price for ${label} must be greater than 0`);
+    }
+    if (seen.has(v.sku) || otherSkus.has(v.sku)) {
+      errors.push(`SKU ${v.sku} is already in use`);
+    }
+    seen.add(v.sku);
+  });
+
+  return {
+    errors,
+    variants,
+    stock: variants.length > 0 ? sumVariantStock(variants) : Number(product.stock) || 0,
+  };
+};
+
+/**
+ * Normalize and validate a promotion sent by PromotionForm
+ * @param {Object} data - Request body
+ * @param {Array} promotions - Existing promotions (for the unique code check)
+ * @param {string} [currentId] - Id of the promotion being edited
+ * @returns {Object} { errors, promotion }
+ */
+const parsePromotion = (data, promotions, currentId) => {
+  const errors = [];
+  const promotion = {
+    code: String(data.code || '').trim().toUpperCase(),
+    description: String(data.description || '').trim(),
+    type: data.type,
+    value: data.type === PROMOTION_TYPES.FREE_SHIPPING ? 0 : Number(data.value),
+    appliesTo: {
+      categories: data.appliesTo?.categories || [],
+      productIds: (data.appliesTo?.productIds || []).map(Number),
+    },
+    minSpend: Number(data.minSpend) || 0,
+    startsAt: data.startsAt || null,
+    expiresAt: data.expiresAt || null,
+    status: data.status === 'paused' ? 'paused' : 'active',
+    usageLimitPerUser: data.usageLimitPerUser ? Number(data.usageLimitPerUser) : null,
+  };
+
+  if (!/^[A-Z0-9_-]{3,20}$/.test(promotion.code)) {
+    errors.push('Code must be 3-20 letters, numbers, dashes or underscores');
+  } else if (promotions.some(p => p.code === promotion.code && p.id !== currentId)) {
+    errors.push(`Code ${promotion.code} is already in use`);
+  }
+  if (!promotion.description) {
+    errors.push('Description is required');
+  }
+  if (!Object.values(PROMOTION_TYPES).includes(promotion.type)) {
+    errors.push('Type must be percentage, fixed or free_shipping');
+  } else if (promotion.type === PROMOTION_TYPES.PERCENTAGE && !(promotion.value > 0 && promotion.value <= 100)) {
+    errors.push('Percentage must be between 0 and 100');
+  } else if (promotion.type === PROMOTION_TYPES.FIXED && !(promotion.value > 0)) {
+    errors.push('Discount amount must be greater than 0');
+  }
+  if (promotion.minSpend < 0) {
+    errors.push('Minimum spend cannot be negative');
+  }
+  if (promotion.appliesTo.productIds.some(id => !Number.isInteger(id))) {
+    errors.push('Product ids must be whole numbers');
+  }
+  if (promotion.usageLimitPerUser !== null &&
+    !(Number.isInteger(promotion.usageLimitPerUser) && promotion.usageLimitPerUser > 0)) {
+    errors.push('Usage limit per customer must be a positive whole number');
+  }
+  if (promotion.startsAt && promotion.expiresAt &&
+    new Date(promotion.expiresAt) <= new Date(promotion.startsAt)) {
+    errors.push('Expiry must be after the start date');
+  }
+
+  return { errors, promotion };
+};
+
+/**
+ * Review as shown in the moderation queue, with the product it belongs to
+ */
+const toModerationReview = (products, review) => {
+  const product = products.find(p => String(p.id) === String(review.productId));
+  return {
+    ...review,
+    product: product
+      ? { id: product.id, title: product.title, image: product.images?.[0] ?? null }
+      : null,
+  };
+};
+
+/**
+ * Apply a moderation decision and recompute the ratings it affects
+ */
+const moderateReviews = (mockDb, reviews, status, moderatorId) => {
+  const now = new Date().toISOString();
+  reviews.forEach(review => {
+    review.status = status;
+    review.moderatedBy = moderatorId;
+    review.moderatedAt = now;
+  });
+  new Set(reviews.map(r => r.productId)).forEach(productId => recalculateProductRating(mockDb, productId));
+};
 
 export const adminHandlers = [
   // GET /api/admin/stats - Dashboard statistics
-  http.get('/api/admin/stats', () => {
+  http.get('/api/admin/stats', withPermission(PERMISSIONS.DASHBOARD_READ, ({ user }) => {
     const mockDb = db.read();
     
-    // Get all products (from productsData)
-    const allProducts = productsData;
+    // Get all products
+    const allProducts = mockDb.products;
     
     // Get all orders
     const allOrders = mockDb.orders || [];
     
-    // Calculate total revenue
-    const totalRevenue = allOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    // Calculate revenue from the order ledgers: money actually captured, net
+    // of everything refunded (unpaid and cancelled orders contribute nothing)
+    const ledgers = allOrders.map(getLedgerSummary);
+    const grossRevenue = ledgers.reduce((sum, ledger) => sum + ledger.captured, 0);
+    const totalRefunded = ledgers.reduce((sum, ledger) => sum + ledger.refunded, 0);
+    const totalRevenue = roundCurrency(grossRevenue - totalRefunded);
     
     // Get low stock products (stock < 10)
     const lowStockProducts = allProducts.filter(product => product.stock < 10);
     
-    // Get recent 5 orders (sorted by date, newest first)
-    const recentOrders = [...allOrders]
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5)
-      .map(order => {
-        // Find user for customer name
-        const user = mockDb.users.find(u => u.id === order.userId);
-        return {
-          ...order,
-          customerName: user?.name || 'Unknown Customer',
-        };
-      });
+    // Get recent 5 orders (sorted by date, newest first). They name customers,
+    // so they are left out for callers who may not read orders.
+    const canReadOrders = getUserPermissions(mockDb, user).includes(PERMISSIONS.ORDERS_READ);
+    const recentOrders = canReadOrders
+      ? [...allOrders]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, 5)
+        .map(order => {
+          // Find user for customer name
+          const customer = mockDb.users.find(u => u.id === order.userId);
+          return {
+            ...order,
+            customerName: customer?.name || 'Unknown Customer',
+          };
+        })
+      : undefined;
     
     return HttpResponse.json({
       totalProducts: allProducts.length,
       totalOrders: allOrders.length,
       totalRevenue,
+      grossRevenue: roundCurrency(grossRevenue),
+      totalRefunded: roundCurrency(totalRefunded),
       lowStockCount: lowStockProducts.length,
       lowStockProducts: lowStockProducts.slice(0, 5), // Show max 5
       recentOrders,
     });
-  }),
+  })),
 
   // GET /api/admin/products - Get all products
-  http.get('/api/admin/products', () => {
-    return HttpResponse.json(productsData);
-  }),
+  http.get('/api/admin/products', withPermission(PERMISSIONS.PRODUCTS_READ, () => {
+    const mockDb = db.read();
+    return HttpResponse.json(mockDb.products);
+  })),
 
   // GET /api/admin/products/:id - Get single product
-  http.get('/api/admin/products/:id', ({ params }) => {
+  http.get('/api/admin/products/:id', withPermission(PERMISSIONS.PRODUCTS_READ, ({ params }) => {
     const { id } = params;
-    const product = productsData.find(p => p.id === Number(id));
+    const mockDb = db.read();
+    const product = mockDb.products.find(p => p.id === Number(id));
     if (!product) return new HttpResponse(null, { status: 404 });
     return HttpResponse.json(product);
-  }),
+  })),
 
   // POST /api/admin/products - Create product
-  http.post('/api/admin/products', async ({ request }) => {
-    const newProduct = await request.json();
-    newProduct.id = Math.max(...productsData.map(p => p.id)) + 1;
-    newProduct.rating = 0; // Default
-    
-    // In a real app we would save to DB. 
-    // For MSW, we can try to push to the array but it resets on reload unless we persist it.
-    // For this session, we'll verify it works in memory.
-    productsData.unshift(newProduct);
-    
+  http.post('/api/admin/products', withPermission(PERMISSIONS.PRODUCTS_WRITE, async ({ request }) => {
+    const productData = await request.json();
+    const mockDb = db.read();
+    const now = new Date().toISOString();
+
+    const newProduct = {
+      ...productData,
+      id: Math.max(0, ...mockDb.products.map(p => p.id)) + 1,
+      slug: toSlug(productData.title),
+      currency: 'USD',
+      category: resolveCategory(mockDb.products, productData.category),
+      tags: productData.tags || [],
+      sizes: productData.sizes || [],
+      colors: productData.colors || [],
+      rating: 0, // Recomputed from reviews
+      ratingCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    delete newProduct.variants;
+
+    const { errors, variants, stock } = parseVariants(newProduct, productData.variants, mockDb.products);
+    if (errors.length > 0) {
+      return HttpResponse.json({ error: errors[0], details: errors }, { status: 400 });
+    }
+    newProduct.variants = variants;
+    newProduct.stock = stock; // Always the sum of variant stock
+
+    mockDb.products.unshift(newProduct);
+    db.write(mockDb);
+
     return HttpResponse.json(newProduct, { status: 201 });
-  }),
+  })),
 
   // PUT /api/admin/products/:id - Update product
-  http.put('/api/admin/products/:id', async ({ params, request }) => {
+  http.put('/api/admin/products/:id', withPermission(PERMISSIONS.PRODUCTS_WRITE, async ({ params, request }) => {
     const { id } = params;
     const updates = await request.json();
-    const index = productsData.findIndex(p => p.id === Number(id));
-    
+    const mockDb = db.read();
+    const index = mockDb.products.findIndex(p => p.id === Number(id));
+
     if (index === -1) return new HttpResponse(null, { status: 404 });
-    
-    productsData[index] = { ...productsData[index], ...updates };
-    return HttpResponse.json(productsData[index]);
-  }),
+
+    const existing = mockDb.products[index];
+    const product = {
+      ...existing,
+      ...updates,
+      id: existing.id, // Preserve ID
+      rating: existing.rating, // Ratings only change through reviews
+      ratingCount: existing.ratingCount,
+      variants: existing.variants,
+      slug: updates.title ? toSlug(updates.title) : existing.slug,
+      category: updates.category
+        ? resolveCategory(mockDb.products, updates.category)
+        : existing.category,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const { errors, variants, stock } = parseVariants(product, updates.variants, mockDb.products);
+    if (errors.length > 0) {
+      return HttpResponse.json({ error: errors[0], details: errors }, { status: 400 });
+    }
+    mockDb.products[index] = { ...product, variants, stock };
+    db.write(mockDb);
+
+    return HttpResponse.json(mockDb.products[index]);
+  })),
 
   // DELETE /api/admin/products/:id - Delete product
-  http.delete('/api/admin/products/:id', ({ params }) => {
+  http.delete('/api/admin/products/:id', withPermission(PERMISSIONS.PRODUCTS_WRITE, ({ params }) => {
     const { id } = params;
-    const index = productsData.findIndex(p => p.id === Number(id));
-    
+    const mockDb = db.read();
+    const index = mockDb.products.findIndex(p => p.id === Number(id));
+
     if (index !== -1) {
-      productsData.splice(index, 1);
+      mockDb.products.splice(index, 1);
+      db.write(mockDb);
     }
-    
+
     return new HttpResponse(null, { status: 204 });
-  }),
+  })),
 
   // GET /api/admin/orders - Get all orders
-  http.get('/api/admin/orders', () => {
+  http.get('/api/admin/orders', withPermission(PERMISSIONS.ORDERS_READ, () => {
     const mockDb = db.read();
     const orders = mockDb.orders || [];
     
@@ -119,30 +388,384 @@ export const adminHandlers = [
     enrichedOrders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     
     return HttpResponse.json(enrichedOrders);
-  }),
+  })),
+
+  // GET /api/admin/orders/:id - One order with its customer and returns
+  http.get('/api/admin/orders/:id', withPermission(PERMISSIONS.ORDERS_READ, ({ params }) => {
+    const mockDb = db.read();
+    const order = mockDb.orders.find(o => o.id === params.id);
+    if (!order) return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+
+    return HttpResponse.json(toAdminOrderDetail(mockDb, order));
+  })),
+
+  // POST /api/admin/orders/:id/notes - Add an internal note (never shown to the customer)
+  // Body: { body }
+  http.post('/api/admin/orders/:id/notes', withPermission(PERMISSIONS.ORDERS_UPDATE_STATUS, async ({ params, request, user }) => {
+    const { body } = await request.json();
+    const mockDb = db.read();
+
+    const order = mockDb.orders.find(o => o.id === params.id);
+    if (!order) return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+
+    const text = String(body ?? '').trim();
+    if (!text) {
+      return HttpResponse.json({ error: 'Note cannot be empty' }, { status: 400 });
+    }
+    if (text.length > 1000) {
+      return HttpResponse.json({ error: 'Notes can be at most 1000 characters' }, { status: 400 });
+    }
+
+    const at = new Date().toISOString();
+    order.internalNotes = [
+      ...(order.internalNotes || []),
+      { id: `note_${Date.now()}`, body: text, author: toStatusActor(user), at },
+    ];
+    order.updatedAt = at;
+    db.write(mockDb);
 
-  // PUT /api/admin/orders/:id/status - Update order status
-  http.put('/api/admin/orders/:id/status', async ({ params, request }) => {
+    return HttpResponse.json(toAdminOrderDetail(mockDb, order), { status: 201 });
+  })),
+
+  // PUT /api/admin/orders/:id/tracking - Set the carrier and tracking number
+  // Body: { carrier, trackingNumber }. Only for orders being processed or later.
+  http.put('/api/admin/orders/:id/tracking', withPermission(PERMISSIONS.ORDERS_UPDATE_STATUS, async ({ params, request, user }) => {
+    const { carrier, trackingNumber } = await request.json();
+    const mockDb = db.read();
+
+    const order = mockDb.orders.find(o => o.id === params.id);
+    if (!order) return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+
+    if (!TRACKABLE_STATUSES.includes(order.status)) {
+      return HttpResponse.json(
+        { error: 'Tracking can only be added to orders that are processing, shipped or delivered' },
+        { status: 409 }
+      );
+    }
+    if (!CARRIERS.some(c => c.value === carrier)) {
+      return HttpResponse.json({ error: `Carrier must be one of: ${CARRIERS.map(c => c.value).join(', ')}` }, { status: 400 });
+    }
+    const number = String(trackingNumber ?? '').trim();
+    if (!TRACKING_NUMBER_PATTERN.test(number)) {
+      return HttpResponse.json({ error: 'Tracking number must be 6-40 letters or digits' }, { status: 400 });
+    }
+
+    const at = new Date().toISOString();
+    order.tracking = { carrier, trackingNumber: number, updatedAt: at, updatedBy: toStatusActor(user) };
+    order.updatedAt = at;
+    db.write(mockDb);
+
+    return HttpResponse.json(toAdminOrderDetail(mockDb, order));
+  })),
+
+  // POST /api/admin/orders/:id/resend-confirmation - Send the order confirmation email again
+  // The mock API has no mail server; the send is recorded on the order instead.
+  http.post('/api/admin/orders/:id/resend-confirmation', withPermission(PERMISSIONS.ORDERS_UPDATE_STATUS, ({ params, user }) => {
+    const mockDb = db.read();
+
+    const order = mockDb.orders.find(o => o.id === params.id);
+    if (!order) return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+
+    const customer = mockDb.users.find(u => u.id === order.userId);
+    const to = order.shippingAddress?.email || customer?.email;
+    if (!to) {
+      return HttpResponse.json({ error: 'This order has no email address to send to' }, { status: 400 });
+    }
+
+    const at = new Date().toISOString();
+    order.notifications = [
+      ...(order.notifications || []),
+      { type: 'order_confirmation', to, actor: toStatusActor(user), at },
+    ];
+    db.write(mockDb);
+
+    return HttpResponse.json({
+      message: `Order confirmation sent to ${to}`,
+      order: toAdminOrderDetail(mockDb, order),
+    });
+  })),
+
+  // PUT /api/admin/orders/:id/status - Move an order along its lifecycle
+  // Body: { status, note? }. Moves the state machine doesn't allow get a 409.
+  http.put('/api/admin/orders/:id/status', withPermission(PERMISSIONS.ORDERS_UPDATE_STATUS, async ({ params, request, user }) => {
     const { id } = params;
-    const { status } = await request.json();
+    const { status, note } = await request.json();
     const mockDb = db.read();
     
     const orderIndex = mockDb.orders.findIndex(o => o.id === id);
     if (orderIndex === -1) return new HttpResponse(null, { status: 404 });
     
-    // Update status
-    mockDb.orders[orderIndex].status = status;
+    const order = mockDb.orders[orderIndex];
+    const result = transitionOrder(order, status, { actor: toStatusActor(user), note });
+    if (result.error) {
+      return HttpResponse.json({ error: result.error }, { status: result.code });
+    }
+    if (order.status === 'cancelled') restockOrderItems(mockDb.products, order);
     db.write(mockDb);
     
     return HttpResponse.json(mockDb.orders[orderIndex]);
-  }),
+  })),
+
+  // POST /api/admin/orders/:id/refunds - Refund part of what was paid
+  // Body: { lines?: [{ cartItemId, amount }], shipping?, note? }. Tax on the
+  // refunded merchandise is added automatically; nothing beyond what was
+  // captured (and not yet refunded) can go back.
+  http.post('/api/admin/orders/:id/refunds', withPermission(PERMISSIONS.ORDERS_REFUND, async ({ params, request, user }) => {
+    const { lines = [], shipping = 0, note = '' } = await request.json();
+    const mockDb = db.read();
+
+    const order = mockDb.orders.find(o => o.id === params.id);
+    if (!order) return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+
+    const { error, refund } = prepareRefund(order, { lines, shipping });
+    if (error) {
+      return HttpResponse.json({ error }, { status: 400 });
+    }
+    const entry = recordRefund(order, refund, { actor: toStatusActor(user), source: 'manual', note });
+    db.write(mockDb);
+
+    return HttpResponse.json({ refund: entry, order }, { status: 201 });
+  })),
 
   // GET /api/admin/users - Get all registered users
-  http.get('/api/admin/users', () => {
+  http.get('/api/admin/users', withPermission(PERMISSIONS.CUSTOMERS_READ, () => {
     const mockDb = db.read();
     // Rule 20: Security Hygiene - Exclude sensitive data
     const users = mockDb.users.map(({ password, ...user }) => user);
     
     return HttpResponse.json(users);
-  }),
+  })),
+
+  // GET /api/admin/roles - Get role definitions and their permissions
+  http.get('/api/admin/roles', withPermission(PERMISSIONS.CUSTOMERS_READ, () => {
+    const mockDb = db.read();
+    return HttpResponse.json(mockDb.roles);
+  })),
+
+  // PUT /api/admin/users/:id/role - Assign a role to a user
+  http.put('/api/admin/users/:id/role', withPermission(PERMISSIONS.ROLES_ASSIGN, async ({ params, request, user: caller }) => {
+    const { id } = params;
+    const { role } = await request.json();
+    const mockDb = db.read();
+
+    if (!mockDb.roles.some(r => r.id === role)) {
+      return HttpResponse.json({ error: `Unknown role "${role}"` }, { status: 400 });
+    }
+
+    // Prevent admins from locking themselves out of the panel
+    if (id === caller.id) {
+      return HttpResponse.json({ error: 'You cannot change your own role' }, { status: 400 });
+    }
+
+    const userIndex = mockDb.users.findIndex(u => u.id === id);
+    if (userIndex === -1) {
+      return HttpResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    mockDb.users[userIndex].role = role;
+    db.write(mockDb);
+
+    const { password: _password, ...updatedUser } = mockDb.users[userIndex];
+    return HttpResponse.json(updatedUser);
+  })),
+
+  // GET /api/admin/promotions - Get all promotions with usage counters
+  http.get('/api/admin/promotions', withPermission(PERMISSIONS.PROMOTIONS_READ, () => {
+    const mockDb = db.read();
+    const promotions = mockDb.promotions.map(promotion => ({
+      ...promotion,
+      usage: getPromotionUsage(mockDb.orders, promotion.id),
+    }));
+    return HttpResponse.json(promotions);
+  })),
+
+  // GET /api/admin/promotions/:id - Get single promotion
+  http.get('/api/admin/promotions/:id', withPermission(PERMISSIONS.PROMOTIONS_READ, ({ params }) => {
+    const mockDb = db.read();
+    const promotion = mockDb.promotions.find(p => p.id === params.id);
+    if (!promotion) return new HttpResponse(null, { status: 404 });
+    return HttpResponse.json({
+      ...promotion,
+      usage: getPromotionUsage(mockDb.orders, promotion.id),
+    });
+  })),
+
+  // POST /api/admin/promotions - Create promotion
+  http.post('/api/admin/promotions', withPermission(PERMISSIONS.PROMOTIONS_WRITE, async ({ request }) => {
+    const mockDb = db.read();
+    const { errors, promotion } = parsePromotion(await request.json(), mockDb.promotions);
+
+    if (errors.length > 0) {
+      return HttpResponse.json({ error: errors[0], details: errors }, { status: 400 });
+    }
+
+    const newPromotion = {
+      ...promotion,
+      id: `promo_${Date.now()}`,
+      createdAt: new Date().toISOString(),
+    };
+
+    mockDb.promotions.unshift(newPromotion);
+    db.write(mockDb);
+
+    return HttpResponse.json(
+      { ...newPromotion, usage: getPromotionUsage(mockDb.orders, newPromotion.id) },
+      { status: 201 }
+    );
+  })),
+
+  // PUT /api/admin/promotions/:id - Update promotion (also used to pause/resume)
+  http.put('/api/admin/promotions/:id', withPermission(PERMISSIONS.PROMOTIONS_WRITE, async ({ params, request }) => {
+    const mockDb = db.read();
+    const index = mockDb.promotions.findIndex(p => p.id === params.id);
+
+    if (index === -1) return new HttpResponse(null, { status: 404 });
+
+    const existing = mockDb.promotions[index];
+    const { errors, promotion } = parsePromotion(
+      { ...existing, ...(await request.json()) },
+      mockDb.promotions,
+      existing.id
+    );
+
+    if (errors.length > 0) {
+      return HttpResponse.json({ error: errors[0], details: errors }, { status: 400 });
+    }
+
+    mockDb.promotions[index] = {
+      ...existing,
+      ...promotion,
+      updatedAt: new Date().toISOString(),
+    };
+    db.write(mockDb);
+
+    return HttpResponse.json({
+      ...mockDb.promotions[index],
+      usage: getPromotionUsage(mockDb.orders, existing.id),
+    });
+  })),
+
+  // DELETE /api/admin/promotions/:id - Delete promotion
+  // Orders keep their own copy of the promotion, so history is unaffected
+  http.delete('/api/admin/promotions/:id', withPermission(PERMISSIONS.PROMOTIONS_WRITE, ({ params }) => {
+    const mockDb = db.read();
+    const index = mockDb.promotions.findIndex(p => p.id === params.id);
+
+    if (index !== -1) {
+      mockDb.promotions.splice(index, 1);
+      db.write(mockDb);
+    }
+
+    return new HttpResponse(null, { status: 204 });
+  })),
+
+  // GET /api/admin/reviews - Moderation queue
+  // Query: status (one of REVIEW_STATUSES), q (matches text, author or product)
+  http.get('/api/admin/reviews', withPermission(PERMISSIONS.REVIEWS_READ, ({ request }) => {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status') || '';
+    const term = (url.searchParams.get('q') || '').trim().toLowerCase();
+    const mockDb = db.read();
+
+    const counts = { all: mockDb.reviews.length };
+    REVIEW_STATUSES.forEach(reviewStatus => {
+      counts[reviewStatus] = mockDb.reviews.filter(r => r.status === reviewStatus).length;
+    });
+
+    const reviews = mockDb.reviews
+      .map(review => toModerationReview(mockDb.products, review))
+      .filter(review => !status || review.status === status)
+      .filter(review => !term ||
+        [review.title, review.body, review.author, review.product?.title]
+          .some(field => field?.toLowerCase().includes(term)))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return HttpResponse.json({ data: reviews, counts });
+  })),
+
+  // PUT /api/admin/reviews/:id/status - Approve, reject or flag one review
+  http.put('/api/admin/reviews/:id/status', withPermission(PERMISSIONS.REVIEWS_MODERATE, async ({ params, request, user }) => {
+    const { status } = await request.json();
+    if (!REVIEW_STATUSES.includes(status)) {
+      return HttpResponse.json({ error: 'Invalid review status' }, { status: 400 });
+    }
+
+    const mockDb = db.read();
+    const review = mockDb.reviews.find(r => r.id === params.id);
+    if (!review) return HttpResponse.json({ error: 'Review not found' }, { status: 404 });
+
+    moderateReviews(mockDb, [review], status, user.id);
+    db.write(mockDb);
+
+    return HttpResponse.json(toModerationReview(mockDb.products, review));
+  })),
+
+  // POST /api/admin/reviews/bulk - Moderate or delete several reviews at once
+  // Body: { ids: string[], action: 'approved' | 'rejected' | 'flagged' | 'delete' }
+  http.post('/api/admin/reviews/bulk', withPermission(PERMISSIONS.REVIEWS_MODERATE, async ({ request, user }) => {
+    const { ids, action } = await request.json();
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return HttpResponse.json({ error: 'Select at least one review' }, { status: 400 });
+    }
+    if (action !== 'delete' && !REVIEW_STATUSES.includes(action)) {
+      return HttpResponse.json({ error: 'Invalid bulk action' }, { status: 400 });
+    }
+
+    const mockDb = db.read();
+    const selected = mockDb.reviews.filter(r => ids.includes(r.id));
+
+    if (action === 'delete') {
+      mockDb.reviews = mockDb.reviews.filter(r => !ids.includes(r.id));
+      new Set(selected.map(r => r.productId)).forEach(productId => recalculateProductRating(mockDb, productId));
+    } else {
+      moderateReviews(mockDb, selected, action, user.id);
+    }
+    db.write(mockDb);
+
+    return HttpResponse.json({ updated: selected.length });
+  })),
+
+  // GET /api/admin/returns - Returns queue
+  // Query: status (one of RETURN_STATUSES)
+  http.get('/api/admin/returns', withPermission(PERMISSIONS.RETURNS_READ, ({ request }) => {
+    const status = new URL(request.url).searchParams.get('status') || '';
+    const mockDb = db.read();
+
+    const counts = { all: mockDb.returns.length };
+    RETURN_STATUSES.forEach(returnStatus => {
+      counts[returnStatus] = mockDb.returns.filter(r => r.status === returnStatus).length;
+    });
+
+    const returns = mockDb.returns
+      .filter(rma => !status || rma.status === status)
+      .map(rma => {
+        const customer = mockDb.users.find(u => u.id === rma.userId);
+        return {
+          ...rma,
+          customerName: customer?.name || 'Unknown Customer',
+          customerEmail: customer?.email || 'N/A',
+        };
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return HttpResponse.json({ data: returns, counts });
+  })),
+
+  // PUT /api/admin/returns/:id/status - Approve, reject, receive or refund a return
+  // Body: { status, note? }. Receiving restocks the items.
+  http.put('/api/admin/returns/:id/status', withPermission(PERMISSIONS.RETURNS_MANAGE, async ({ params, request, user }) => {
+    const { status, note } = await request.json();
+    const mockDb = db.read();
+
+    const rma = mockDb.returns.find(r => r.id === params.id);
+    if (!rma) return HttpResponse.json({ error: 'Return not found' }, { status: 404 });
+
+    const result = transitionReturn(mockDb, rma, status, { actor: toStatusActor(user), note });
+    if (result.error) {
+      return HttpResponse.json({ error: result.error }, { status: result.code });
+    }
+    db.write(mockDb);
+
+    return HttpResponse.json(rma);
+  })),
 ];
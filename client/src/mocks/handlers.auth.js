@@ -1,43 +1,59 @@
 import { http, HttpResponse } from "msw";
 import DB from "./db";
+import { signToken } from "./jwt";
+import { getUserPermissions } from "./guards";
 
-// const randomToken = () => "fake-jwt-" + Math.random().toString(36).slice(2, 10);
+// Issue a signed, expiring access token carrying the user's id and role
+const generateToken = (user) => signToken({ sub: user.id, role: user.role });
 
-// Generate deterministic token based on user ID
-const generateToken = (userId) => `fake-jwt-${userId}`;
+// Refresh tokens are opaque random strings stored server-side (in the DB)
+// so they can be rotated on every use and revoked on logout
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-// Migrate any orphaned carts to the new deterministic token
-const migrateUserCart = (userId) => {
-  try {
-    const newToken = `fake-jwt-${userId}`;
-    const newCartKey = `buyzzie_cart_${newToken}`;
+const createRefreshToken = (db, userId) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const token = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  const now = Date.now();
 
-    // Check if cart already exists for this user
-    if (localStorage.getItem(newCartKey)) {
-      return; // Cart already exists, no migration needed
-    }
+  // Drop expired tokens while we are here
+  db.refreshTokens = (db.refreshTokens || []).filter(
+    (t) => new Date(t.expiresAt).getTime() > now
+  );
+  db.refreshTokens.push({
+    token,
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+  });
+  return token;
+};
 
-    // Search for any orphaned carts in localStorage
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key?.startsWith("buyzzie_cart_fake-jwt-") && key !== newCartKey) {
-        // Found a potential orphaned cart
-        const cartData = localStorage.getItem(key);
-        if (cartData) {
-          // Migrate this cart to the new deterministic key
-          localStorage.setItem(newCartKey, cartData);
-          console.log(`Migrated cart from ${key} to ${newCartKey}`);
-          // Optionally remove old cart key
-          // localStorage.removeItem(key);
-          break; // Only migrate the first found cart
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Error migrating cart:", error);
+// Parse a JSON request body; null when it is missing or malformed
+const readJsonBody = async (request) => {
+  try {
+    return await request.json();
+  } catch {
+    return null;
   }
 };
 
+// Refresh and logout need a refresh token in the body
+const missingRefreshToken = () =>
+  HttpResponse.json({ error: "A refresh token is required" }, { status: 400 });
+
+// The signed-in user as the client keeps it, with the permissions their
+// role currently grants
+const toSessionUser = (db, user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: getUserPermissions(db, user),
+  phone: user.phone ?? "",
+  profilePicture: user.profilePicture ?? null,
+  createdAt: user.createdAt ?? new Date().toISOString(),
+});
+
 export const authHandlers = [
   http.post("/auth/signup", async ({ request }) => {
     const { name, email, password } = await request.json();
@@ -65,22 +81,15 @@ export const authHandlers = [
       createdAt: new Date().toISOString(),
     };
     db.users.push(newUser);
+    const refreshToken = createRefreshToken(db, newUser.id);
     DB.write(db);
 
-    // const token = randomToken();
-    const token = generateToken(newUser.id);
+    const token = await generateToken(newUser);
     return HttpResponse.json(
       {
         token,
-        user: {
-          id: newUser.id,
-          name,
-          email,
-          role: newUser.role,
-          phone: newUser.phone,
-          profilePicture: newUser.profilePicture,
-          createdAt: newUser.createdAt,
-        },
+        refreshToken,
+        user: toSessionUser(db, newUser),
       },
       { status: 201 }
     );
@@ -101,25 +110,65 @@ export const authHandlers = [
       );
     }
 
-    // const token = randomToken();
-    const token = generateToken(user.id);
-    // Migrate any existing cart to the new token format
-    migrateUserCart(user.id);
+    const token = await generateToken(user);
+    const refreshToken = createRefreshToken(db, user.id);
+    DB.write(db);
     
     return HttpResponse.json(
       {
         token,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone ?? "",
-          profilePicture: user.profilePicture ?? null,
-          createdAt: user.createdAt ?? new Date().toISOString(),
-        },
+        refreshToken,
+        user: toSessionUser(db, user),
       },
       { status: 200 }
     );
   }),
+
+  // Exchange a refresh token for a new access token. The refresh token is
+  // rotated: the one presented is revoked and a new one is returned. The
+  // current user comes back too, so role changes reach the client.
+  http.post("/auth/refresh", async ({ request }) => {
+    const refreshToken = (await readJsonBody(request))?.refreshToken;
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return missingRefreshToken();
+    }
+
+    const db = DB.read();
+    const stored = db.refreshTokens.find((t) => t.token === refreshToken);
+    const user = stored && db.users.find((u) => u.id === stored.userId);
+
+    if (!stored || !user || new Date(stored.expiresAt) <= new Date()) {
+      return HttpResponse.json(
+        { error: "Session expired. Please log in again." },
+        { status: 401 }
+      );
+    }
+
+    db.refreshTokens = db.refreshTokens.filter((t) => t.token !== refreshToken);
+    const newRefreshToken = createRefreshToken(db, user.id);
+    DB.write(db);
+
+    return HttpResponse.json(
+      {
+        token: await generateToken(user),
+        refreshToken: newRefreshToken,
+        user: toSessionUser(db, user),
+      },
+      { status: 200 }
+    );
+  }),
+
+  // Revoke the refresh token so the session cannot be renewed
+  http.post("/auth/logout", async ({ request }) => {
+    const refreshToken = (await readJsonBody(request))?.refreshToken;
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return missingRefreshToken();
+    }
+
+    const db = DB.read();
+    db.refreshTokens = db.refreshTokens.filter((t) => t.token !== refreshToken);
+    DB.write(db);
+
+    return HttpResponse.json({ success: true }, { status: 200 });
+  }),
 ];
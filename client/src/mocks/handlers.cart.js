@@ -0,0 +1,332 @@
+/**
+ * MSW Handlers for Cart API
+ *
+ * Carts live in the mock DB keyed by user id, and every route resolves the
+ * user from the signed access token, so one account can never read or change
+ * another's cart. Visitors without an account get a cart keyed by a random
+ * guest id sent in the `X-Guest-Cart-Id` header; it is merged into the user's
+ * cart when they log in or sign up. Lines only store what the customer chose
+ * (product, size, colour, quantity); title, price and stock are filled in from
+ * the catalog on every response so they are never stale. Price, stock and
+ * image come from the chosen variant (see utils/variants.js), so stock is
+ * checked per size/colour rather than per product.
+ */
+
+import { http, HttpResponse } from 'msw';
+import DB from './db';
+import { withAuth, getAuthenticatedUser } from './guards';
+import { buildQuote } from './quote';
+import { applyPromotion } from './promotions';
+import { generateCartItemId } from '../features/cart/cartUtils';
+import { hasVariants, resolveVariant, getDefaultVariant } from '../utils/variants';
+
+const GUEST_CART_HEADER = 'X-Guest-Cart-Id';
+const GUEST_CART_ID_PATTERN = /^guest_[a-z0-9-]{8,64}$/i;
+
+/**
+ * Wrap a resolver so it runs for signed-in users and guests alike.
+ * The resolver gets `owner`: `{ userId }` for a valid access token, otherwise
+ * `{ guestId }` from the guest cart header. A token that fails verification
+ * still answers 401 so the client refreshes it instead of silently switching
+ * to a guest cart.
+ */
+const withCartOwner = (resolver) => async (info) => {
+  const { request } = info;
+
+  if (request.headers.get('Authorization')) {
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return HttpResponse.json(
+        { error: 'Unauthorized. Please log in to continue.' },
+        { status: 401 }
+      );
+    }
+    return resolver({ ...info, owner: { userId: user.id } });
+  }
+
+  const guestId = request.headers.get(GUEST_CART_HEADER);
+  if (!guestId || !GUEST_CART_ID_PATTERN.test(guestId)) {
+    return HttpResponse.json({ error: 'Missing guest cart id' }, { status: 400 });
+  }
+  return resolver({ ...info, owner: { guestId } });
+};
+
+const findCart = (db, owner) =>
+  db.carts.find((c) =>
+    owner.userId ? c.userId === owner.userId : c.guestId === owner.guestId
+  );
+
+/**
+ * Find the owner's cart, creating an empty one in the snapshot if needed
+ */
+const getOrCreateCart = (db, owner) => {
+  let cart = findCart(db, owner);
+  if (!cart) {
+    cart = owner.userId
+      ? { userId: owner.userId, items: [], couponCode: null }
+      : { guestId: owner.guestId, items: [], couponCode: null };
+    cart.updatedAt = new Date().toISOString();
+    db.carts.push(cart);
+  }
+  return cart;
+};
+
+const findProduct = (db, productId) =>
+  db.products.find((p) => String(p.id) === String(productId));
+
+/**
+ * Cart as the client sees it: lines joined with current catalog data.
+ * Lines whose product has been deleted are left out.
+ */
+export const toCartResponse = (db, cart) => ({
+  items: (cart?.items || [])
+    .map((line) => {
+      const product = findProduct(db, line.id);
+      if (!product) return null;
+      const variant = resolveVariant(product, line.size, line.color);
+      const images = product.images || [];
+      return {
+        cartItemId: line.cartItemId,
+        id: product.id,
+        sku: variant.sku,
+        title: product.title,
+        price: variant.price,
+        images: variant.image ? [variant.image, ...images.filter((i) => i !== variant.image)] : images,
+        stock: variant.stock,
+        size: line.size,
+        color: line.color,
+        quantity: line.quantity,
+        category: product.category?.name || '',
+        rating: product.rating || 0,
+      };
+    })
+    .filter(Boolean),
+  couponCode: cart?.couponCode ?? null,
+});
+
+const saveCart = (db, cart) => {
+  cart.updatedAt = new Date().toISOString();
+  DB.write(db);
+  return HttpResponse.json(toCartResponse(db, cart));
+};
+
+const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity >= 1;
+
+export const cartHandlers = [
+  /**
+   * GET /api/cart - Get the current user's (or guest's) cart
+   */
+  http.get('/api/cart', withCartOwner(({ owner }) => {
+    const db = DB.read();
+    return HttpResponse.json(toCartResponse(db, findCart(db, owner)));
+  })),
+
+  /**
+   * POST /api/cart/items - Add a line, or add to the quantity of a matching line
+   * Body: { productId, size?, color?, quantity? }
+   * With neither size nor colour, a product with variants gets its default
+   * (first in-stock) combination.
+   */
+  http.post('/api/cart/items', withCartOwner(async ({ request, owner }) => {
+    const body = await request.json();
+    const { productId, quantity = 1 } = body;
+    let { size = null, color = null } = body;
+
+    if (!isValidQuantity(quantity)) {
+      return HttpResponse.json({ error: 'Quantity must be at least 1' }, { status: 400 });
+    }
+
+    const db = DB.read();
+    const product = findProduct(db, productId);
+    if (!product) {
+      return HttpResponse.json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    if (size === null && color === null && hasVariants(product)) {
+      ({ size, color } = getDefaultVariant(product));
+    }
+    const variant = resolveVariant(product, size, color);
+    if (!variant.available) {
+      return HttpResponse.json(
+        { error: 'This size and colour combination is not available' },
+        { status: 400 }
+      );
+    }
+
+    const cart = getOrCreateCart(db, owner);
+    const cartItemId = generateCartItemId(product.id, size, color);
+    const existing = cart.items.find((line) => line.cartItemId === cartItemId);
+    const newQuantity = (existing?.quantity || 0) + quantity;
+
+    if (newQuantity > variant.stock) {
+      return HttpResponse.json(
+        {
+          error: existing
+            ? `Cannot add more items. Only ${variant.stock} items available in stock`
+            : `Only ${variant.stock} items available in stock`,
+        },
+        { status: 409 }
+      );
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ cartItemId, id: product.id, size, color, quantity });
+    }
+
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * PATCH /api/cart/items/:cartItemId - Set a line's quantity
+   * Body: { quantity }
+   */
+  http.patch('/api/cart/items/:cartItemId', withCartOwner(async ({ request, params, owner }) => {
+    const { quantity } = await request.json();
+
+    if (!isValidQuantity(quantity)) {
+      return HttpResponse.json({ error: 'Quantity must be at least 1' }, { status: 400 });
+    }
+
+    const db = DB.read();
+    const cart = getOrCreateCart(db, owner);
+    const line = cart.items.find((l) => l.cartItemId === params.cartItemId);
+    if (!line) {
+      return HttpResponse.json({ error: 'Item not found in cart' }, { status: 404 });
+    }
+
+    const product = findProduct(db, line.id);
+    const available = product ? resolveVariant(product, line.size, line.color).stock : 0;
+    if (quantity > available) {
+      return HttpResponse.json(
+        { error: `Only ${available} items available in stock` },
+        { status: 409 }
+      );
+    }
+
+    line.quantity = quantity;
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * DELETE /api/cart/items/:cartItemId - Remove a line
+   */
+  http.delete('/api/cart/items/:cartItemId', withCartOwner(({ params, owner }) => {
+    const db = DB.read();
+    const cart = getOrCreateCart(db, owner);
+    cart.items = cart.items.filter((l) => l.cartItemId !== params.cartItemId);
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * DELETE /api/cart - Empty the cart (including any promo code)
+   */
+  http.delete('/api/cart', withCartOwner(({ owner }) => {
+    const db = DB.read();
+    const cart = getOrCreateCart(db, owner);
+    cart.items = [];
+    cart.couponCode = null;
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * PUT /api/cart/coupon - Apply a promo code after checking it against the cart
+   * Body: { code }
+   */
+  http.put('/api/cart/coupon', withCartOwner(async ({ request, owner }) => {
+    const { code } = await request.json();
+
+    if (!code?.trim()) {
+      return HttpResponse.json({ error: 'Promo code is required' }, { status: 400 });
+    }
+
+    const db = DB.read();
+    const cart = getOrCreateCart(db, owner);
+    const { items } = toCartResponse(db, cart);
+    if (items.length === 0) {
+      return HttpResponse.json({ error: 'Your cart is empty' }, { status: 422 });
+    }
+
+    const { quote } = buildQuote(db.products, items);
+    const result = applyPromotion(db, quote, code, owner.userId ?? null);
+    if (result.error) {
+      return HttpResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    cart.couponCode = result.quote.promotion.code;
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * DELETE /api/cart/coupon - Remove the promo code
+   */
+  http.delete('/api/cart/coupon', withCartOwner(({ owner }) => {
+    const db = DB.read();
+    const cart = getOrCreateCart(db, owner);
+    cart.couponCode = null;
+    return saveCart(db, cart);
+  })),
+
+  /**
+   * POST /api/cart/merge - Move a guest cart into the signed-in user's cart
+   * Body: { guestId }
+   * Quantities are summed per cartItemId and capped at the variant's current
+   * stock; lines whose product or variant is gone or sold out are dropped.
+   * Each merged line reports its final `quantity` and how many units the
+   * guest cart `added` to it. The guest cart is deleted.
+   */
+  http.post('/api/cart/merge', withAuth(async ({ request, user }) => {
+    const { guestId } = await request.json();
+
+    if (!guestId || !GUEST_CART_ID_PATTERN.test(guestId)) {
+      return HttpResponse.json({ error: 'Invalid guest cart id' }, { status: 400 });
+    }
+
+    const db = DB.read();
+    const cart = getOrCreateCart(db, { userId: user.id });
+    const guestCart = findCart(db, { guestId });
+    const merged = [];
+    const dropped = [];
+
+    (guestCart?.items || []).forEach((guestLine) => {
+      const product = findProduct(db, guestLine.id);
+      const variant = product && resolveVariant(product, guestLine.size, guestLine.color);
+      if (!variant?.available) {
+        dropped.push({ cartItemId: guestLine.cartItemId, title: product?.title ?? null, reason: 'no longer available' });
+        return;
+      }
+
+      const existing = cart.items.find((line) => line.cartItemId === guestLine.cartItemId);
+      const existingQty = existing?.quantity || 0;
+      const requested = existingQty + guestLine.quantity;
+      const quantity = Math.min(requested, variant.stock);
+
+      if (quantity < 1) {
+        dropped.push({ cartItemId: guestLine.cartItemId, title: product.title, reason: 'out of stock' });
+        return;
+      }
+
+      if (existing) {
+        existing.quantity = quantity;
+      } else {
+        cart.items.push({ ...guestLine, quantity });
+      }
+      merged.push({
+        cartItemId: guestLine.cartItemId,
+        title: product.title,
+        quantity,
+        requested,
+        added: Math.max(0, quantity - existingQty),
+      });
+    });
+
+    // The user's own promo code wins; otherwise keep the one the guest applied
+    cart.couponCode = cart.couponCode ?? guestCart?.couponCode ?? null;
+    db.carts = db.carts.filter((c) => c !== guestCart);
+
+    cart.updatedAt = new Date().toISOString();
+    DB.write(db);
+    return HttpResponse.json({ cart: toCartResponse(db, cart), merged, dropped });
+  })),
+];
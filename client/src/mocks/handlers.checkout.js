@@ -0,0 +1,88 @@
+/**
+ * MSW Handlers for Checkout API
+ *
+ * Gives the cart and checkout pages a server-priced preview of the cart, using
+ * the same pricing and promo code rules the order endpoint applies when the
+ * order is placed.
+ */
+
+import { http, HttpResponse } from 'msw';
+import DB from './db';
+import { buildQuote } from './quote';
+import { applyPromotion } from './promotions';
+import { getAuthenticatedUser, withAuth } from './guards';
+
+export const checkoutHandlers = [
+  /**
+   * POST /api/checkout/quote - Price cart lines
+   * Body: { items: [{ cartItemId, id, size?, color?, quantity }], couponCode? }
+   * A code that no longer applies (e.g. the cart dropped below its minimum
+   * spend) does not fail the quote; it is reported as `couponError` instead.
+   */
+  http.post('/api/checkout/quote', async ({ request }) => {
+    const { items, couponCode } = await request.json();
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return HttpResponse.json(
+        { error: 'Items array is required and must not be empty' },
+        { status: 400 }
+      );
+    }
+
+    const db = DB.read();
+    const { errors, quote } = buildQuote(db.products, items);
+    if (errors.length > 0) {
+      return HttpResponse.json(
+        { error: 'Validation failed', details: errors },
+        { status: 400 }
+      );
+    }
+
+    if (!couponCode) {
+      return HttpResponse.json(quote);
+    }
+
+    const user = await getAuthenticatedUser(request);
+    const result = applyPromotion(db, quote, couponCode, user?.id ?? null);
+    if (result.error) {
+      return HttpResponse.json({ ...quote, couponError: result.error });
+    }
+
+    return HttpResponse.json(result.quote);
+  }),
+
+  /**
+   * POST /api/promotions/validate - Check a promo code against the cart
+   * Body: { code, items: [{ cartItemId, id, size?, color?, quantity }] }
+   * Returns the discounted quote, or 404/422 with the reason it can't be used.
+   */
+  http.post('/api/promotions/validate', withAuth(async ({ request, user }) => {
+    const { code, items } = await request.json();
+
+    if (!code?.trim()) {
+      return HttpResponse.json({ error: 'Promo code is required' }, { status: 400 });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return HttpResponse.json(
+        { error: 'Items array is required and must not be empty' },
+        { status: 400 }
+      );
+    }
+
+    const db = DB.read();
+    const { errors, quote } = buildQuote(db.products, items);
+    if (errors.length > 0) {
+      return HttpResponse.json(
+        { error: 'Validation failed', details: errors },
+        { status: 400 }
+      );
+    }
+
+    const result = applyPromotion(db, quote, code, user.id);
+    if (result.error) {
+      return HttpResponse.json({ error: result.error }, { status: result.status });
+    }
+
+    return HttpResponse.json(result.quote);
+  })),
+];
@@ -1,46 +1,40 @@
 import { http, HttpResponse } from "msw";
-import { productsData } from "./data/products";
+import DB from "./db";
 import { authHandlers } from "./handlers.auth";
 import { orderHandlers } from "./handlers.orders";
 import { userHandlers } from "./handlers.user";
 import { adminHandlers } from "./handlers.admin";
+import { checkoutHandlers } from "./handlers.checkout";
+import { cartHandlers } from "./handlers.cart";
+import { wishlistHandlers } from "./handlers.wishlist";
+import { reviewHandlers } from "./handlers.reviews";
+import { returnHandlers } from "./handlers.returns";
+import { searchProducts } from "./search";
+import { buildFacets, matchesFilters } from "./facets";
 import { assets } from "../assets/assets";
 
-// Helper function to filter products
-const filterProducts = (products, filters) => {
-  let filtered = [...products];
-
-  // Search by title/description
-  if (filters.q) {
-    const searchTerm = filters.q.toLowerCase();
-    filtered = filtered.filter(
-      (product) =>
-        product.title.toLowerCase().includes(searchTerm) ||
-        product.description.toLowerCase().includes(searchTerm)
-    );
-  }
+// Helper function to search products; matches carry a relevance score and
+// highlights. Without a query the whole catalog is returned.
+const searchCatalog = (products, q) => {
+  const matches = q ? searchProducts(products, q) : null;
+  if (!matches) return [...products];
+
+  return matches.map(({ product, score, highlights }) => ({
+    ...product,
+    relevance: score,
+    highlights,
+  }));
+};
 
-  // Filter by category (multi-select)
-  if (filters.category && filters.category.length > 0) {
-    filtered = filtered.filter((product) =>
-      filters.category.includes(product.category.slug)
-    );
-  }
+// Helper function to filter products by facets (multi-select) and price range
+const filterProducts = (products, filters) =>
+  products.filter((product) => matchesFilters(product, filters));
 
-  // Filter by price range
-  if (filters.minPrice) {
-    filtered = filtered.filter(
-      (product) => product.price >= Number(filters.minPrice)
-    );
-  }
-  if (filters.maxPrice) {
-    filtered = filtered.filter(
-      (product) => product.price <= Number(filters.maxPrice)
-    );
-  }
-
-  return filtered;
-};
+// Helper function to read a comma-separated list query parameter
+const getListParam = (searchParams, name) =>
+  searchParams.get(name)
+    ? searchParams.get(name).split(",").map((value) => value.trim()).filter(Boolean)
+    : [];
 
 // Helper function to sort products
 const sortProducts = (products, sortBy, sortOrder) => {
@@ -65,6 +59,14 @@ const sortProducts = (products, sortBy, sortOrder) => {
         return sortOrder === "desc" ? -comparison : comparison;
       });
       break;
+    case "relevance":
+      // Best match first; without a query every score ties and newest wins
+      sorted.sort(
+        (a, b) =>
+          (b.relevance ?? 0) - (a.relevance ?? 0) ||
+          new Date(b.createdAt) - new Date(a.createdAt)
+      );
+      break;
     case "createdAt":
       sorted.sort((a, b) => {
         const comparison = new Date(a.createdAt) - new Date(b.createdAt);
@@ -97,15 +99,21 @@ export const handlers = [
     const sortBy = url.searchParams.get("sortBy") || "createdAt";
     const sortOrder = url.searchParams.get("sortOrder") || "desc";
     const q = url.searchParams.get("q") || "";
-    const category = url.searchParams.get("category")
-      ? url.searchParams.get("category").split(",")
-      : [];
+    const category = getListParam(url.searchParams, "category");
+    const size = getListParam(url.searchParams, "size");
+    const color = getListParam(url.searchParams, "color");
+    const rating = getListParam(url.searchParams, "rating");
+    const availability = getListParam(url.searchParams, "availability");
     const minPrice = url.searchParams.get("minPrice") || null;
     const maxPrice = url.searchParams.get("maxPrice") || null;
 
-    // Apply filters
-    const filters = { q, category, minPrice, maxPrice };
-    let filteredProducts = filterProducts(productsData, filters);
+    // Apply search, then filters
+    const filters = { category, size, color, rating, availability, minPrice, maxPrice };
+    const searchedProducts = searchCatalog(DB.read().products, q);
+    let filteredProducts = filterProducts(searchedProducts, filters);
+
+    // Facet counts for the filter sidebar, over the searched products
+    const facets = buildFacets(searchedProducts, filters);
 
     // Apply sorting
     filteredProducts = sortProducts(filteredProducts, sortBy, sortOrder);
@@ -129,6 +137,41 @@ export const handlers = [
         hasNext,
         hasPrev,
       },
+      facets,
+    });
+  }),
+
+  // GET /products/suggest - Autocomplete for the navbar search box:
+  // the best-matching products plus the categories most of the matches are in
+  http.get("/products/suggest", ({ request }) => {
+    const url = new URL(request.url);
+    const q = (url.searchParams.get("q") || "").trim();
+    const limit = Math.min(parseInt(url.searchParams.get("limit")) || 6, 10);
+
+    const matches = q ? searchProducts(DB.read().products, q) || [] : [];
+
+    const categoryCounts = new Map();
+    matches.forEach(({ product }) => {
+      const { slug, name } = product.category;
+      const entry = categoryCounts.get(slug) || { slug, name, count: 0 };
+      entry.count += 1;
+      categoryCounts.set(slug, entry);
+    });
+
+    return HttpResponse.json({
+      query: q,
+      products: matches.slice(0, limit).map(({ product, highlights }) => ({
+        id: product.id,
+        title: product.title,
+        price: product.price,
+        image: product.images?.[0] || null,
+        category: product.category.name,
+        highlights: { title: highlights.title },
+      })),
+      categories: [...categoryCounts.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3),
+      total: matches.length,
     });
   }),
 
@@ -136,7 +179,7 @@ export const handlers = [
   http.get("/products/:id", ({ params }) => {
     const productId = parseInt(params.id, 10);
 
-    const product = productsData.find((p) => p.id === productId);
+    const product = DB.read().products.find((p) => p.id === productId);
     console.log("MSW returning product:", product);
 
     if (!product) {
@@ -190,6 +233,11 @@ export const handlers = [
   }),
   ...authHandlers,
   ...orderHandlers,
+  ...checkoutHandlers,
+  ...cartHandlers,
+  ...wishlistHandlers,
+  ...reviewHandlers,
+  ...returnHandlers,
   ...userHandlers,
   ...adminHandlers,
 ];
@@ -3,10 +3,34 @@
  * 
  * Handles order creation, retrieval, and validation.
  * Persists orders to localStorage via DB utility.
+ * Placing an order checks every line against the current stock of its
+ * variant (size/colour) and decrements it in the same DB write, so
+ * concurrent carts cannot oversell.
+ * Line prices and totals are recomputed from the catalog; the client only
+ * sends the total it was quoted so a stale preview can be detected.
+ * New orders start `pending` with the placement as their first
+ * `statusHistory` entry (see mocks/orders.js for later changes).
+ * Customers can cancel their own orders until they ship; the items go
+ * back into stock and prepaid payments are marked for refund.
  */
 
 import { http, HttpResponse } from 'msw';
 import DB from './db';
+import { extractUserIdFromToken, getUserPermissions } from './guards';
+import { PERMISSIONS } from '../utils/permissions';
+import { buildQuote } from './quote';
+import { applyPromotion } from './promotions';
+import { resolveVariant, adjustVariantStock } from '../utils/variants';
+import { CANCELLATION_REASONS, canCustomerCancel, getOrderStatusLabel } from '../utils/orderStatus';
+import {
+  createStatusEntry,
+  getInitialPaymentStatus,
+  recordCapture,
+  restockOrderItems,
+  toCustomerOrder,
+  toStatusActor,
+  transitionOrder,
+} from './orders';
 
 /**
  * Calculate estimated delivery date (7 days from now)
@@ -17,29 +41,6 @@ const calculateDeliveryDate = () => {
   return deliveryDate.toISOString();
 };
 
-/**
- * Extract user ID from Authorization token
- * Token format: "Bearer fake-jwt-u_1234567890"
- */
-const extractUserIdFromToken = (request) => {
-  try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return null;
-    }
-    
-    const token = authHeader.replace('Bearer ', '');
-    if (!token.startsWith('fake-jwt-')) {
-      return null;
-    }
-    
-    const userId = token.replace('fake-jwt-', '');
-    return userId || null;
-  } catch (error) {
-    return null;
-  }
-};
-
 /**
  * Validate order data before creation
  */
@@ -68,18 +69,53 @@ const validateOrderData = (orderData) => {
     errors.push('Payment method is required');
   }
   
-  // Validate numeric fields
-  const numericFields = ['subtotal', 'shipping', 'tax', 'total'];
-  numericFields.forEach((field) => {
-    const value = Number(orderData[field]);
-    if (isNaN(value) || value < 0) {
-      errors.push(`${field} must be a valid positive number`);
-    }
-  });
+  // The quoted total is compared against the server's own pricing
+  const quotedTotal = Number(orderData.total);
+  if (orderData.total === undefined || isNaN(quotedTotal) || quotedTotal < 0) {
+    errors.push('total must be a valid positive number');
+  }
   
   return errors;
 };
 
+/**
+ * Check order lines against current variant stock.
+ * Each size/colour combination has its own stock count; lines that resolve
+ * to the same variant draw from it in turn, so each is checked against what
+ * earlier lines left over.
+ * @param {Array} products - Products from the DB
+ * @param {Array} items - Order line items
+ * @returns {Array} Shortfalls: { cartItemId, productId, title, requested, available }
+ */
+const findStockShortfalls = (products, items) => {
+  const remaining = new Map();
+  const shortfalls = [];
+
+  items.forEach((item) => {
+    const product = products.find((p) => String(p.id) === String(item.id));
+    const requested = Number(item.quantity) || 0;
+    const stockKey = `${item.id}|${item.size ?? ''}|${item.color ?? ''}`;
+
+    if (!remaining.has(stockKey)) {
+      remaining.set(stockKey, product ? resolveVariant(product, item.size, item.color).stock : 0);
+    }
+    const available = remaining.get(stockKey);
+
+    if (requested > available) {
+      shortfalls.push({
+        cartItemId: item.cartItemId,
+        productId: item.id,
+        title: product?.title || item.title,
+        requested,
+        available,
+      });
+    }
+    remaining.set(stockKey, Math.max(0, available - requested));
+  });
+
+  return shortfalls;
+};
+
 export const orderHandlers = [
   /**
    * POST /api/orders - Create a new order
@@ -87,7 +123,7 @@ export const orderHandlers = [
   http.post('/api/orders', async ({ request }) => {
     try {
       // Extract user ID from token
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to place an order.' },
@@ -110,29 +146,88 @@ export const orderHandlers = [
       // Read current database state
       const db = DB.read();
       
+      // Price every line from the catalog
+      const { errors: pricingErrors, quote: baseQuote } = buildQuote(db.products, orderData.items);
+      if (pricingErrors.length > 0) {
+        return HttpResponse.json(
+          { error: 'Validation failed', details: pricingErrors },
+          { status: 400 }
+        );
+      }
+      
+      // A promo code the customer applied must still be valid; never drop it silently
+      let quote = baseQuote;
+      if (orderData.couponCode) {
+        const result = applyPromotion(db, baseQuote, orderData.couponCode, userId);
+        if (result.error) {
+          return HttpResponse.json({ error: result.error }, { status: 422 });
+        }
+        quote = result.quote;
+      }
+      
+      // Reject the whole order if any line exceeds current stock
+      const shortfalls = findStockShortfalls(db.products, orderData.items);
+      if (shortfalls.length > 0) {
+        return HttpResponse.json(
+          { error: 'Some items in your cart are no longer available in the requested quantity', shortfalls },
+          { status: 409 }
+        );
+      }
+      
+      // Refuse to charge anything other than what the customer was shown
+      if (Math.abs(Number(orderData.total) - quote.total) > 0.005) {
+        return HttpResponse.json(
+          { error: 'Prices have changed since your order was quoted. Please review the updated total.', quote },
+          { status: 409 }
+        );
+      }
+      
+      // Reserve stock for every line; persisted together with the order below
+      orderData.items.forEach((item) => {
+        const product = db.products.find((p) => String(p.id) === String(item.id));
+        adjustVariantStock(product, item.size ?? null, item.color ?? null, -Number(item.quantity));
+        product.updatedAt = new Date().toISOString();
+      });
+      
       // Generate unique order ID
       const orderId = `order_${Date.now()}`;
+      const placedAt = new Date().toISOString();
+      const user = db.users.find((u) => u.id === userId);
       
       // Create order object
       const newOrder = {
         id: orderId,
         userId: userId,
-        items: orderData.items,
+        items: orderData.items.map((item, index) => ({
+          ...item,
+          sku: quote.items[index].sku,
+          price: quote.items[index].unitPrice,
+          discount: quote.promotion?.lines.find((l) => l.cartItemId === item.cartItemId)?.amount ?? 0,
+        })),
         shippingAddress: orderData.shippingAddress,
         paymentMethod: orderData.paymentMethod,
-        subtotal: Number(orderData.subtotal) || 0,
-        shipping: Number(orderData.shipping) || 0,
-        tax: Number(orderData.tax) || 0,
-        total: Number(orderData.total) || 0,
-        status: 'Pending',
-        createdAt: new Date().toISOString(),
+        paymentStatus: getInitialPaymentStatus(orderData.paymentMethod),
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        promotion: quote.promotion,
+        shipping: quote.shipping,
+        tax: quote.tax,
+        total: quote.total,
+        status: 'pending',
+        statusHistory: [createStatusEntry('pending', toStatusActor(user, 'customer'), 'Order placed', placedAt)],
+        createdAt: placedAt,
         estimatedDelivery: calculateDeliveryDate(),
+        ledger: [],
       };
+      if (newOrder.paymentStatus === 'paid') {
+        recordCapture(newOrder, { actor: toStatusActor(user, 'customer'), note: 'Paid at checkout', at: placedAt });
+      }
       
-      // Add order to database
+      // Add order to database and empty the customer's cart
       db.orders.push(newOrder);
+      db.carts = db.carts.filter((cart) => cart.userId !== userId);
       
-      // Write back to localStorage
+      // Write order and stock changes back to localStorage in one go
       DB.write(db);
       
       // Return success response
@@ -159,7 +254,7 @@ export const orderHandlers = [
   http.get('/api/orders', async ({ request }) => {
     try {
       // Extract user ID from token
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to view orders.' },
@@ -173,7 +268,8 @@ export const orderHandlers = [
       // Filter orders by user ID
       const userOrders = db.orders
         .filter((order) => order.userId === userId)
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(toCustomerOrder);
       
       return HttpResponse.json({
         orders: userOrders,
@@ -193,7 +289,7 @@ export const orderHandlers = [
   http.get('/api/orders/:orderId', async ({ request, params }) => {
     try {
       // Extract user ID from token
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to view order details.' },
@@ -216,11 +312,11 @@ export const orderHandlers = [
         );
       }
       
-      // Verify order belongs to user OR user is admin
+      // Verify order belongs to user OR user's role can read all orders
       const user = db.users.find(u => u.id === userId);
-      const isAdmin = user?.role === 'admin';
+      const canReadAllOrders = getUserPermissions(db, user).includes(PERMISSIONS.ORDERS_READ);
 
-      if (order.userId !== userId && !isAdmin) {
+      if (order.userId !== userId && !canReadAllOrders) {
         return HttpResponse.json(
           { error: 'Unauthorized. You do not have access to this order.' },
           { status: 403 }
@@ -228,7 +324,7 @@ export const orderHandlers = [
       }
       
       return HttpResponse.json({
-        order: order,
+        order: toCustomerOrder(order),
       });
     } catch (error) {
       return HttpResponse.json(
@@ -237,4 +333,86 @@ export const orderHandlers = [
       );
     }
   }),
-];
\ No newline at end of file
+
+  /**
+   * POST /api/orders/:orderId/cancel - Cancel one of the customer's own orders
+   * Body: { reason, comment? } where reason is one of CANCELLATION_REASONS;
+   * a comment is required for 'other'. Only pending and processing orders
+   * can be cancelled this way.
+   */
+  http.post('/api/orders/:orderId/cancel', async ({ request, params }) => {
+    try {
+      const userId = await extractUserIdFromToken(request);
+      if (!userId) {
+        return HttpResponse.json(
+          { error: 'Unauthorized. Please log in to cancel an order.' },
+          { status: 401 }
+        );
+      }
+
+      const { reason, comment = '' } = await request.json();
+      const reasonOption = CANCELLATION_REASONS.find((r) => r.value === reason);
+      if (!reasonOption) {
+        return HttpResponse.json(
+          { error: 'Please choose a reason for cancelling' },
+          { status: 400 }
+        );
+      }
+      if (reason === 'other' && !String(comment).trim()) {
+        return HttpResponse.json(
+          { error: 'Please tell us why you are cancelling' },
+          { status: 400 }
+        );
+      }
+
+      const db = DB.read();
+      const order = db.orders.find((o) => o.id === params.orderId);
+
+      // Other customers' orders are reported as missing, not forbidden
+      if (!order || order.userId !== userId) {
+        return HttpResponse.json(
+          { error: 'Order not found' },
+          { status: 404 }
+        );
+      }
+
+      if (!canCustomerCancel(order)) {
+        return HttpResponse.json(
+          { error: `This order is ${getOrderStatusLabel(order.status).toLowerCase()} and can no longer be cancelled` },
+          { status: 409 }
+        );
+      }
+
+      const user = db.users.find((u) => u.id === userId);
+      const trimmedComment = String(comment).trim();
+      const note = trimmedComment ? `${reasonOption.label}: ${trimmedComment}` : reasonOption.label;
+      const result = transitionOrder(order, 'cancelled', { actor: toStatusActor(user, 'customer'), note });
+      if (result.error) {
+        return HttpResponse.json({ error: result.error }, { status: result.code });
+      }
+
+      order.cancellation = {
+        reason,
+        comment: trimmedComment,
+        cancelledAt: order.updatedAt,
+      };
+      restockOrderItems(db.products, order);
+
+      // Order status, payment status and stock are saved together
+      DB.write(db);
+
+      return HttpResponse.json({
+        success: true,
+        message: order.paymentStatus === 'refund_pending'
+          ? 'Order cancelled. Your payment will be refunded.'
+          : 'Order cancelled.',
+        order: toCustomerOrder(order),
+      });
+    } catch (error) {
+      return HttpResponse.json(
+        { error: 'Internal server error. Failed to cancel order.' },
+        { status: 500 }
+      );
+    }
+  }),
+];
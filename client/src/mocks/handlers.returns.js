@@ -0,0 +1,134 @@
+/**
+ * MSW Handlers for Customer Returns API
+ *
+ * Customers can ask to return items from their own delivered orders within
+ * the return window (RETURN_WINDOW_DAYS after delivery), and follow the
+ * progress of their returns. Staff handle the queue in handlers.admin.js.
+ */
+
+import { http, HttpResponse } from 'msw';
+import DB from './db';
+import { withAuth } from './guards';
+import { toStatusActor, createStatusEntry } from './orders';
+import {
+  RETURN_REASONS,
+  RETURN_WINDOW_DAYS,
+  calculateReturnRefund,
+  getReturnableItems,
+  isWithinReturnWindow,
+} from '../utils/returns';
+
+/**
+ * Validate the requested lines against what can still be returned
+ * @returns {{ error?: string, lines?: Array }}
+ */
+const parseReturnLines = (order, returns, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { error: 'Select at least one item to return' };
+  }
+
+  const returnable = getReturnableItems(order, returns);
+  const lines = [];
+  for (const { cartItemId, quantity } of requested) {
+    const entry = returnable.find(({ item }) => item.cartItemId === cartItemId);
+    const units = Number(quantity);
+    if (!entry) {
+      return { error: 'One of the selected items is not part of this order' };
+    }
+    if (!Number.isInteger(units) || units < 1) {
+      return { error: 'Quantities must be whole numbers of at least 1' };
+    }
+    if (units > entry.returnable) {
+      return { error: `Only ${entry.returnable} of "${entry.item.title}" can be returned` };
+    }
+    if (lines.some((line) => line.cartItemId === cartItemId)) {
+      return { error: 'Each item can only be listed once' };
+    }
+    lines.push({
+      cartItemId,
+      productId: entry.item.id,
+      sku: entry.item.sku ?? null,
+      title: entry.item.title,
+      image: entry.item.image ?? entry.item.images?.[0] ?? null,
+      size: entry.item.size ?? null,
+      color: entry.item.color ?? null,
+      unitPrice: entry.item.price,
+      quantity: units,
+    });
+  }
+  return { lines };
+};
+
+export const returnHandlers = [
+  /**
+   * GET /api/returns - The customer's returns, newest first
+   * Query: orderId (optional) to list the returns for one order
+   */
+  http.get('/api/returns', withAuth(({ request, user }) => {
+    const orderId = new URL(request.url).searchParams.get('orderId');
+    const returns = DB.read().returns
+      .filter((rma) => rma.userId === user.id && (!orderId || rma.orderId === orderId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return HttpResponse.json({ returns, count: returns.length });
+  })),
+
+  /**
+   * POST /api/returns - Request a return
+   * Body: { orderId, items: [{ cartItemId, quantity }], reason, comment? }
+   */
+  http.post('/api/returns', withAuth(async ({ request, user }) => {
+    const { orderId, items, reason, comment = '' } = await request.json();
+    const db = DB.read();
+
+    const order = db.orders.find((o) => o.id === orderId);
+    if (!order || order.userId !== user.id) {
+      return HttpResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+    if (!isWithinReturnWindow(order)) {
+      return HttpResponse.json(
+        {
+          error: order.status === 'delivered'
+            ? `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`
+            : 'Only delivered orders can be returned',
+        },
+        { status: 409 }
+      );
+    }
+
+    const reasonOption = RETURN_REASONS.find((r) => r.value === reason);
+    if (!reasonOption) {
+      return HttpResponse.json({ error: 'Please choose a reason for the return' }, { status: 400 });
+    }
+    const trimmedComment = String(comment).trim();
+    if (reason === 'other' && !trimmedComment) {
+      return HttpResponse.json({ error: 'Please tell us why you are returning these items' }, { status: 400 });
+    }
+
+    const orderReturns = db.returns.filter((rma) => rma.orderId === order.id);
+    const { error, lines } = parseReturnLines(order, orderReturns, items);
+    if (error) {
+      return HttpResponse.json({ error }, { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+    const rma = {
+      id: `rma_${Date.now()}`,
+      orderId: order.id,
+      userId: user.id,
+      items: lines,
+      reason,
+      comment: trimmedComment,
+      refundAmount: calculateReturnRefund(order, lines),
+      refundedAmount: 0,
+      status: 'requested',
+      history: [createStatusEntry('requested', toStatusActor(user, 'customer'), reasonOption.label, now)],
+      createdAt: now,
+      updatedAt: now,
+    };
+    db.returns.push(rma);
+    DB.write(db);
+
+    return HttpResponse.json({ success: true, return: rma }, { status: 201 });
+  })),
+];
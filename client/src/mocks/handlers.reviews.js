@@ -0,0 +1,198 @@
+/**
+ * MSW Handlers for Product Reviews API
+ *
+ * Anyone can read approved reviews; writing one requires a delivered order
+ * that contained the product, and customers can only edit or delete their
+ * own. New and edited reviews go to the moderation queue (see
+ * handlers.admin.js). Every change recomputes the product's rating and
+ * rating count.
+ */
+
+import { http, HttpResponse } from 'msw';
+import DB from './db';
+import { withAuth, getAuthenticatedUser } from './guards';
+import {
+  hasDeliveredPurchase,
+  getProductReviews,
+  getRatedReviews,
+  getInitialModeration,
+  summarizeReviews,
+  recalculateProductRating,
+} from './reviews';
+
+const SORTERS = {
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  highest: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+  lowest: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt),
+};
+
+const findProduct = (db, productId) =>
+  db.products.find((p) => String(p.id) === String(productId));
+
+/**
+ * Validate a review body; returns { error } or { value }
+ */
+const parseReview = ({ rating, title = '', body = '' }) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: 'Rating must be a whole number from 1 to 5' };
+  }
+  if (String(title).trim().length > 120) {
+    return { error: 'Title must be 120 characters or fewer' };
+  }
+  const text = String(body).trim();
+  if (text.length < 10) {
+    return { error: 'Review must be at least 10 characters' };
+  }
+  if (text.length > 2000) {
+    return { error: 'Review must be 2000 characters or fewer' };
+  }
+  return { value: { rating, title: String(title).trim(), body: text } };
+};
+
+/**
+ * Rating fields the client needs to refresh the product after a change
+ */
+const toProductRating = (db, productId) => {
+  const product = findProduct(db, productId);
+  return { id: product.id, rating: product.rating, ratingCount: product.ratingCount };
+};
+
+export const reviewHandlers = [
+  /**
+   * GET /api/products/:id/reviews - List reviews
+   * Query: page, limit, sort (newest | oldest | highest | lowest)
+   * Only approved reviews are listed. Signed-in callers also get `viewer`:
+   * whether they may review, and their own review whatever its status.
+   */
+  http.get('/api/products/:id/reviews', async ({ request, params }) => {
+    const db = DB.read();
+    if (!findProduct(db, params.id)) {
+      return HttpResponse.json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    const url = new URL(request.url);
+    const page = Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 5, 1), 50);
+    const sort = SORTERS[url.searchParams.get('sort')] ? url.searchParams.get('sort') : 'newest';
+
+    const reviews = getProductReviews(db, params.id);
+    const sorted = reviews.filter((r) => r.status === 'approved').sort(SORTERS[sort]);
+    const total = sorted.length;
+    const totalPages = Math.ceil(total / limit);
+
+    const user = await getAuthenticatedUser(request);
+    const viewer = user
+      ? {
+          canReview: hasDeliveredPurchase(db.orders, user.id, params.id),
+          review: reviews.find((r) => r.userId === user.id) ?? null,
+        }
+      : null;
+
+    return HttpResponse.json({
+      data: sorted.slice((page - 1) * limit, page * limit),
+      meta: { total, page, limit, totalPages, hasNext: page < totalPages, hasPrev: page > 1, sort },
+      summary: summarizeReviews(getRatedReviews(db, params.id)),
+      viewer,
+    });
+  }),
+
+  /**
+   * POST /api/products/:id/reviews - Review a product
+   * Body: { rating, title?, body }
+   */
+  http.post('/api/products/:id/reviews', withAuth(async ({ request, params, user }) => {
+    const db = DB.read();
+    const product = findProduct(db, params.id);
+    if (!product) {
+      return HttpResponse.json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    if (!hasDeliveredPurchase(db.orders, user.id, product.id)) {
+      return HttpResponse.json(
+        { error: 'Only customers who have received this product can review it' },
+        { status: 403 }
+      );
+    }
+
+    if (getProductReviews(db, product.id).some((r) => r.userId === user.id)) {
+      return HttpResponse.json(
+        { error: 'You have already reviewed this product. Edit your review instead.' },
+        { status: 409 }
+      );
+    }
+
+    const { error, value } = parseReview(await request.json());
+    if (error) {
+      return HttpResponse.json({ error }, { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+    const review = {
+      id: `review_${Date.now()}`,
+      productId: product.id,
+      userId: user.id,
+      author: user.name,
+      ...value,
+      ...getInitialModeration(value),
+      verifiedPurchase: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    db.reviews.push(review);
+    recalculateProductRating(db, product.id);
+    DB.write(db);
+
+    return HttpResponse.json({ review, product: toProductRating(db, product.id) }, { status: 201 });
+  })),
+
+  /**
+   * PUT /api/products/:id/reviews/:reviewId - Edit own review
+   * Body: { rating, title?, body }
+   */
+  http.put('/api/products/:id/reviews/:reviewId', withAuth(async ({ request, params, user }) => {
+    const db = DB.read();
+    const review = getProductReviews(db, params.id).find((r) => r.id === params.reviewId);
+    if (!review) {
+      return HttpResponse.json({ error: 'Review not found' }, { status: 404 });
+    }
+    if (review.userId !== user.id) {
+      return HttpResponse.json({ error: 'You can only edit your own review' }, { status: 403 });
+    }
+
+    const { error, value } = parseReview(await request.json());
+    if (error) {
+      return HttpResponse.json({ error }, { status: 400 });
+    }
+
+    // Changed text needs moderating again
+    Object.assign(review, value, getInitialModeration(value), {
+      updatedAt: new Date().toISOString(),
+    });
+    recalculateProductRating(db, review.productId);
+    DB.write(db);
+
+    return HttpResponse.json({ review, product: toProductRating(db, review.productId) });
+  })),
+
+  /**
+   * DELETE /api/products/:id/reviews/:reviewId - Delete own review
+   */
+  http.delete('/api/products/:id/reviews/:reviewId', withAuth(({ params, user }) => {
+    const db = DB.read();
+    const review = getProductReviews(db, params.id).find((r) => r.id === params.reviewId);
+    if (!review) {
+      return HttpResponse.json({ error: 'Review not found' }, { status: 404 });
+    }
+    if (review.userId !== user.id) {
+      return HttpResponse.json({ error: 'You can only delete your own review' }, { status: 403 });
+    }
+
+    db.reviews = db.reviews.filter((r) => r.id !== review.id);
+    recalculateProductRating(db, review.productId);
+    DB.write(db);
+
+    return HttpResponse.json({ id: review.id, product: toProductRating(db, review.productId) });
+  })),
+];
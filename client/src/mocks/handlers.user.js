@@ -7,29 +7,7 @@
 
 import { http, HttpResponse } from 'msw';
 import DB from './db';
-
-/**
- * Extract user ID from Authorization token
- * Token format: "Bearer fake-jwt-u_1234567890"
- */
-const extractUserIdFromToken = (request) => {
-  try {
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return null;
-    }
-    
-    const token = authHeader.replace('Bearer ', '');
-    if (!token.startsWith('fake-jwt-')) {
-      return null;
-    }
-    
-    const userId = token.replace('fake-jwt-', '');
-    return userId || null;
-  } catch (error) {
-    return null;
-  }
-};
+import { extractUserIdFromToken } from './guards';
 
 /**
  * Validate email format
@@ -68,7 +46,7 @@ export const userHandlers = [
    */
   http.patch('/api/users/profile', async ({ request }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to update your profile.' },
@@ -160,7 +138,7 @@ export const userHandlers = [
    */
   http.post('/api/users/change-password', async ({ request }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to change your password.' },
@@ -218,7 +196,7 @@ export const userHandlers = [
    */
   http.get('/api/users/addresses', async ({ request }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to view addresses.' },
@@ -252,7 +230,7 @@ export const userHandlers = [
    */
   http.post('/api/users/addresses', async ({ request }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to add an address.' },
@@ -315,7 +293,7 @@ export const userHandlers = [
    */
   http.patch('/api/users/addresses/:addressId', async ({ request, params }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to update address.' },
@@ -370,7 +348,7 @@ export const userHandlers = [
    */
   http.delete('/api/users/addresses/:addressId', async ({ request, params }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to delete address.' },
@@ -418,7 +396,7 @@ export const userHandlers = [
    */
   http.post('/api/users/addresses/:addressId/set-default', async ({ request, params }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to set default address.' },
@@ -470,7 +448,7 @@ export const userHandlers = [
    */
   http.delete('/api/users/account', async ({ request }) => {
     try {
-      const userId = extractUserIdFromToken(request);
+      const userId = await extractUserIdFromToken(request);
       if (!userId) {
         return HttpResponse.json(
           { error: 'Unauthorized. Please log in to delete your account.' },
@@ -0,0 +1,167 @@
+/**
+ * MSW Handlers for Wishlist API
+ *
+ * Each user has one wishlist in the mock DB. Entries remember the price and
+ * stock the product had when it was saved, so responses can flag price drops
+ * and items that have come back into stock since. An entry saved with a size
+ * or colour tracks that variant's price and stock; one saved without tracks
+ * the product as a whole.
+ */
+
+import { http, HttpResponse } from 'msw';
+import DB from './db';
+import { withAuth } from './guards';
+import { toCartResponse } from './handlers.cart';
+import { resolveVariant } from '../utils/variants';
+
+const getOrCreateWishlist = (db, userId) => {
+  let wishlist = db.wishlists.find((w) => w.userId === userId);
+  if (!wishlist) {
+    wishlist = { userId, items: [] };
+    db.wishlists.push(wishlist);
+  }
+  return wishlist;
+};
+
+const findProduct = (db, productId) =>
+  db.products.find((p) => String(p.id) === String(productId));
+
+/**
+ * Current price and stock of what the entry was saved as
+ */
+const getEntryOffer = (product, size, color) =>
+  size || color
+    ? resolveVariant(product, size, color)
+    : { price: product.price, stock: product.stock };
+
+/**
+ * Wishlist as the client sees it: entries joined with current catalog data.
+ * Entries whose product has been deleted are left out.
+ */
+const toWishlistResponse = (db, wishlist) =>
+  (wishlist?.items || [])
+    .map((entry) => {
+      const product = findProduct(db, entry.productId);
+      if (!product) return null;
+      const offer = getEntryOffer(product, entry.size, entry.color);
+      return {
+        productId: product.id,
+        title: product.title,
+        price: offer.price,
+        images: product.images || [],
+        stock: offer.stock,
+        category: product.category?.name || '',
+        size: entry.size,
+        color: entry.color,
+        savedPrice: entry.savedPrice,
+        addedAt: entry.addedAt,
+        priceDropped: offer.price < entry.savedPrice,
+        backInStock: entry.savedStock < 1 && offer.stock > 0,
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * Add or refresh an entry. Re-saving the same variant keeps its original
+ * baseline price and stock so an earlier price drop is not hidden; switching
+ * to another variant starts a new baseline from that variant's offer.
+ */
+const saveEntry = (wishlist, product, size = null, color = null) => {
+  const existing = wishlist.items.find((entry) => String(entry.productId) === String(product.id));
+  if (existing) {
+    const nextSize = size ?? existing.size;
+    const nextColor = color ?? existing.color;
+    if (nextSize !== existing.size || nextColor !== existing.color) {
+      const offer = getEntryOffer(product, nextSize, nextColor);
+      existing.size = nextSize;
+      existing.color = nextColor;
+      existing.savedPrice = offer.price;
+      existing.savedStock = offer.stock;
+    }
+    return;
+  }
+
+  const offer = getEntryOffer(product, size, color);
+  wishlist.items.unshift({
+    productId: product.id,
+    size,
+    color,
+    savedPrice: offer.price,
+    savedStock: offer.stock,
+    addedAt: new Date().toISOString(),
+  });
+};
+
+export const wishlistHandlers = [
+  /**
+   * GET /api/wishlist - Get the current user's wishlist
+   */
+  http.get('/api/wishlist', withAuth(({ user }) => {
+    const db = DB.read();
+    return HttpResponse.json(toWishlistResponse(db, db.wishlists.find((w) => w.userId === user.id)));
+  })),
+
+  /**
+   * POST /api/wishlist - Save a product
+   * Body: { productId, size?, color? }
+   */
+  http.post('/api/wishlist', withAuth(async ({ request, user }) => {
+    const { productId, size = null, color = null } = await request.json();
+
+    const db = DB.read();
+    const product = findProduct(db, productId);
+    if (!product) {
+      return HttpResponse.json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    const wishlist = getOrCreateWishlist(db, user.id);
+    saveEntry(wishlist, product, size, color);
+    DB.write(db);
+
+    return HttpResponse.json(toWishlistResponse(db, wishlist), { status: 201 });
+  })),
+
+  /**
+   * DELETE /api/wishlist/:productId - Remove a product
+   */
+  http.delete('/api/wishlist/:productId', withAuth(({ params, user }) => {
+    const db = DB.read();
+    const wishlist = getOrCreateWishlist(db, user.id);
+    wishlist.items = wishlist.items.filter((entry) => String(entry.productId) !== params.productId);
+    DB.write(db);
+
+    return HttpResponse.json(toWishlistResponse(db, wishlist));
+  })),
+
+  /**
+   * POST /api/wishlist/save-for-later - Move a cart line to the wishlist
+   * Body: { cartItemId }
+   * Both lists are updated in one write and returned together.
+   */
+  http.post('/api/wishlist/save-for-later', withAuth(async ({ request, user }) => {
+    const { cartItemId } = await request.json();
+
+    const db = DB.read();
+    const cart = db.carts.find((c) => c.userId === user.id);
+    const line = cart?.items.find((l) => l.cartItemId === cartItemId);
+    if (!line) {
+      return HttpResponse.json({ error: 'Item not found in cart' }, { status: 404 });
+    }
+
+    const product = findProduct(db, line.id);
+    if (!product) {
+      return HttpResponse.json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    const wishlist = getOrCreateWishlist(db, user.id);
+    saveEntry(wishlist, product, line.size, line.color);
+    cart.items = cart.items.filter((l) => l.cartItemId !== cartItemId);
+    cart.updatedAt = new Date().toISOString();
+    DB.write(db);
+
+    return HttpResponse.json({
+      wishlist: toWishlistResponse(db, wishlist),
+      cart: toCartResponse(db, cart),
+    });
+  })),
+];
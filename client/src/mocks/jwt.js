@@ -0,0 +1,108 @@
+/**
+ * jwt.js
+ *
+ * Minimal HS256 JSON Web Token implementation for the mock API, built on
+ * WebCrypto. Tokens carry `sub`, `role`, `iat` and `exp` claims and are
+ * signed with a per-browser secret, so editing the payload in localStorage
+ * (e.g. swapping in another user id) invalidates the signature.
+ */
+
+const SECRET_STORAGE_KEY = 'buyzzie_mock_jwt_secret';
+
+// Access tokens are short-lived; clients renew them via /auth/refresh
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const base64UrlDecode = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const encodeJson = (value) => base64UrlEncode(encoder.encode(JSON.stringify(value)));
+const decodeJson = (value) => JSON.parse(decoder.decode(base64UrlDecode(value)));
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Get the signing secret, generating and persisting one on first use
+ */
+const getSecret = () => {
+  let secret = localStorage.getItem(SECRET_STORAGE_KEY);
+  if (!secret) {
+    secret = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+    localStorage.setItem(SECRET_STORAGE_KEY, secret);
+  }
+  return secret;
+};
+
+const getSigningKey = () =>
+  crypto.subtle.importKey(
+    'raw',
+    encoder.encode(getSecret()),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+
+/**
+ * Sign a token for the given claims
+ * @param {Object} claims - Custom claims, e.g. { sub: userId, role }
+ * @param {number} ttlSeconds - Lifetime of the token
+ * @returns {Promise<string>} Compact JWT string
+ */
+export const signToken = async (claims, ttlSeconds = ACCESS_TOKEN_TTL_SECONDS) => {
+  const issuedAt = nowInSeconds();
+  const header = encodeJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = encodeJson({ ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds });
+  const signingInput = `${header}.${payload}`;
+
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await getSigningKey(),
+    encoder.encode(signingInput)
+  );
+
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+};
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Compact JWT string
+ * @returns {Promise<Object|null>} Decoded claims, or null if tampered, malformed or expired
+ */
+export const verifyToken = async (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  try {
+    if (decodeJson(header).alg !== 'HS256') return null;
+
+    const isValid = await crypto.subtle.verify(
+      'HMAC',
+      await getSigningKey(),
+      base64UrlDecode(signature),
+      encoder.encode(`${header}.${payload}`)
+    );
+    if (!isValid) return null;
+
+    const claims = decodeJson(payload);
+    if (typeof claims.exp !== 'number' || claims.exp <= nowInSeconds()) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * orders.js
+ *
+ * Order lifecycle rules for the mock API. Every status change goes through
+ * `transitionOrder`, which enforces the state machine from
+ * utils/orderStatus and appends to the order's `statusHistory`, so the
+ * history always explains how an order reached its current status. The
+ * payment status follows along: cash is collected on delivery, and prepaid
+ * money is owed back once an order is cancelled.
+ *
+ * Money itself is tracked in the order's `ledger` (see utils/ledger):
+ * `recordCapture` and `recordRefund` append to it, and moving an order to
+ * refunded pays back whatever is still held.
+ */
+
+import {
+  ORDER_STATUSES,
+  canTransitionOrder,
+  getOrderStatusLabel,
+  isPrepaid,
+  normalizeOrderStatus,
+} from '../utils/orderStatus';
+import { adjustVariantStock } from '../utils/variants';
+import { getLedgerSummary, getRemainingRefund } from '../utils/ledger';
+
+/**
+ * Payment status for a new order
+ * @param {string} paymentMethod
+ * @returns {'paid'|'unpaid'}
+ */
+export const getInitialPaymentStatus = (paymentMethod) => (isPrepaid(paymentMethod) ? 'paid' : 'unpaid');
+
+// Payment status after an order reaches `status`. Refunds set it from
+// the ledger instead (see recordRefund).
+const PAYMENT_EFFECTS = {
+  delivered: { unpaid: 'paid' },
+  cancelled: { paid: 'refund_pending', partially_refunded: 'refund_pending' },
+  returned: { paid: 'refund_pending', partially_refunded: 'refund_pending' },
+};
+
+/**
+ * Who made a status change, as stored on history entries. The type says
+ * in which capacity they acted: staff can also place orders of their own.
+ * @param {Object|null} user - DB user, or null for the system
+ * @param {'customer'|'staff'} [type]
+ * @returns {{ type: 'customer'|'staff'|'system', id: string|null, name: string }}
+ */
+export const toStatusActor = (user, type = 'staff') => {
+  if (!user) return { type: 'system', id: null, name: 'System' };
+  return {
+    type,
+    id: user.id,
+    name: user.name || user.email,
+  };
+};
+
+/**
+ * A `statusHistory` entry
+ * @param {string} status
+ * @param {Object} actor - From toStatusActor
+ * @param {string} [note]
+ * @param {string} [at] - ISO timestamp, defaults to now
+ */
+export const createStatusEntry = (status, actor, note = '', at = new Date().toISOString()) => ({
+  status,
+  at,
+  actor,
+  note: String(note ?? '').trim(),
+});
+
+const appendLedgerEntry = (order, entry) => {
+  const ledger = order.ledger || [];
+  order.ledger = [...ledger, { id: `txn_${order.id}_${ledger.length + 1}`, ...entry }];
+  return order.ledger[ledger.length];
+};
+
+/**
+ * Record money taken from the customer for the whole order total.
+ * Mutates `order`.
+ * @param {Object} order
+ * @param {{ actor: Object, note?: string, at?: string }} options
+ * @returns {Object} The ledger entry
+ */
+export const recordCapture = (order, { actor, note = '', at = new Date().toISOString() }) =>
+  appendLedgerEntry(order, {
+    type: 'capture',
+    amount: order.total,
+    note,
+    actor,
+    at,
+  });
+
+/**
+ * Record money paid back to the customer and update the payment status:
+ * refunded once nothing is held any more, partially refunded until then.
+ * Mutates `order`; validate the refund with prepareRefund first.
+ * @param {Object} order
+ * @param {{ lines: Array, shipping: number, tax: number, amount: number }} refund
+ * @param {{ actor: Object, source: 'manual'|'return'|'order', returnId?: string, note?: string, at?: string }} options
+ * @returns {Object} The ledger entry
+ */
+export const recordRefund = (
+  order,
+  refund,
+  { actor, source, returnId = null, note = '', at = new Date().toISOString() }
+) => {
+  const entry = appendLedgerEntry(order, {
+    type: 'refund',
+    amount: refund.amount,
+    lines: refund.lines,
+    shipping: refund.shipping,
+    tax: refund.tax,
+    source,
+    returnId,
+    note: String(note ?? '').trim(),
+    actor,
+    at,
+  });
+  order.paymentStatus = getLedgerSummary(order).balance <= 0 ? 'refunded' : 'partially_refunded';
+  order.updatedAt = at;
+  return entry;
+};
+
+/**
+ * Move an order to a new status, recording who did it and why.
+ * Mutates `order`; the caller writes the DB.
+ * @param {Object} order
+ * @param {string} status - Target status
+ * @param {{ actor: Object, note?: string }} options
+ * @returns {{ error?: string, code?: number }} An error (with HTTP status) when
+ *   the status is unknown or the move is not allowed
+ */
+export const transitionOrder = (order, status, { actor, note = '' }) => {
+  const to = normalizeOrderStatus(status);
+  if (!to) {
+    return { error: `Status must be one of: ${ORDER_STATUSES.join(', ')}`, code: 400 };
+  }
+
+  const from = normalizeOrderStatus(order.status);
+  if (!canTransitionOrder(from, to)) {
+    return {
+      error: `Cannot change an order from ${getOrderStatusLabel(from)} to ${getOrderStatusLabel(to)}`,
+      code: 409,
+    };
+  }
+
+  const entry = createStatusEntry(to, actor, note);
+  const previousPaymentStatus = order.paymentStatus;
+  order.status = to;
+  order.paymentStatus = PAYMENT_EFFECTS[to]?.[order.paymentStatus] ?? order.paymentStatus;
+  order.statusHistory = [...(order.statusHistory || []), entry];
+  order.updatedAt = entry.at;
+
+  if (previousPaymentStatus === 'unpaid' && order.paymentStatus === 'paid') {
+    recordCapture(order, { actor, note: 'Collected on delivery', at: entry.at });
+  }
+  if (to === 'refunded') {
+    const refund = getRemainingRefund(order);
+    if (refund.amount > 0) {
+      recordRefund(order, refund, { actor, source: 'order', note, at: entry.at });
+    }
+  }
+  return {};
+};
+
+/**
+ * An order as its customer may see it: staff notes and the log of emails
+ * sent for it stay behind
+ * @param {Object} order
+ * @returns {Object}
+ */
+export const toCustomerOrder = (order) => {
+  const customerOrder = { ...order };
+  delete customerOrder.internalNotes;
+  delete customerOrder.notifications;
+  return customerOrder;
+};
+
+/**
+ * Put an order's items back into stock, e.g. after it is cancelled.
+ * Mutates `products`; lines whose product has since been deleted are skipped.
+ * @param {Array} products - Products from the DB
+ * @param {Object} order
+ */
+export const restockOrderItems = (products, order) => {
+  const now = new Date().toISOString();
+  order.items.forEach((item) => {
+    const product = products.find((p) => String(p.id) === String(item.id));
+    if (!product) return;
+    adjustVariantStock(product, item.size ?? null, item.color ?? null, Number(item.quantity) || 0);
+    product.updatedAt = now;
+  });
+};
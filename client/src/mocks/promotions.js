@@ -0,0 +1,188 @@
+/**
+ * promotions.js
+ *
+ * Promo code engine for the mock API. Checks a code's rules (expiry, minimum
+ * spend, per-user usage) against a priced quote and works out the discount,
+ * split per line so the breakdown can be stored on the order.
+ */
+
+import {
+  PROMOTION_TYPES,
+  calculateTotals,
+  getPromotionState,
+  roundCurrency,
+} from '../utils/pricing';
+import { normalizeOrderStatus } from '../utils/orderStatus';
+
+// Orders in these statuses gave their discount back, so they no longer
+// count as a redemption
+const VOIDED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * Find a promotion by code (case-insensitive)
+ * @param {Object} db - Current DB snapshot
+ * @param {string} code - Code entered by the customer
+ * @returns {Object|undefined}
+ */
+export const findPromotionByCode = (db, code) => {
+  const normalized = String(code ?? '').trim().toUpperCase();
+  return db.promotions.find((p) => p.code.toUpperCase() === normalized);
+};
+
+/**
+ * Orders that redeemed a promotion and were not cancelled or refunded,
+ * optionally for one user only
+ */
+const getRedeemedOrders = (orders, promotionId, userId) =>
+  orders.filter(
+    (order) =>
+      order.promotion?.promotionId === promotionId &&
+      (!userId || order.userId === userId) &&
+      !VOIDED_ORDER_STATUSES.includes(normalizeOrderStatus(order.status))
+  );
+
+/**
+ * Count orders that redeemed a promotion, optionally for one user only.
+ * Cancelled and refunded orders do not count.
+ * @param {Array} orders - Orders from the DB
+ * @param {string} promotionId
+ * @param {string} [userId]
+ * @returns {number}
+ */
+export const countRedemptions = (orders, promotionId, userId) =>
+  getRedeemedOrders(orders, promotionId, userId).length;
+
+/**
+ * Usage counters for the admin panel, derived from stored orders that were
+ * not cancelled or refunded
+ * @param {Array} orders - Orders from the DB
+ * @param {string} promotionId
+ * @returns {Object} { redemptions, discountTotal }
+ */
+export const getPromotionUsage = (orders, promotionId) => {
+  const redeemed = getRedeemedOrders(orders, promotionId);
+  return {
+    redemptions: redeemed.length,
+    discountTotal: roundCurrency(
+      redeemed.reduce(
+        (sum, order) =>
+          sum + order.promotion.merchandiseDiscount + order.promotion.shippingDiscount,
+        0
+      )
+    ),
+  };
+};
+
+const isLineEligible = (promotion, line) => {
+  const { categories = [], productIds = [] } = promotion.appliesTo || {};
+  if (categories.length === 0 && productIds.length === 0) return true;
+
+  return (
+    categories.includes(line.category) ||
+    productIds.some((id) => String(id) === String(line.productId))
+  );
+};
+
+/**
+ * Why a promotion cannot be used right now, or null if it can
+ */
+const getIneligibilityReason = (db, promotion, quote, userId, now) => {
+  const state = getPromotionState(promotion, now);
+  if (state === 'expired') {
+    return 'This promo code has expired';
+  }
+  if (state !== 'active') {
+    return 'This promo code is not active';
+  }
+  if (promotion.minSpend && quote.subtotal < promotion.minSpend) {
+    return `Spend at least $${promotion.minSpend.toFixed(2)} to use this promo code`;
+  }
+  if (
+    promotion.usageLimitPerUser &&
+    userId &&
+    countRedemptions(db.orders, promotion.id, userId) >= promotion.usageLimitPerUser
+  ) {
+    return 'You have already used this promo code the maximum number of times';
+  }
+  return null;
+};
+
+/**
+ * Split a promotion's merchandise discount across the lines it applies to.
+ * Fixed amounts are shared in proportion to line totals, with any rounding
+ * remainder on the last line so the parts add up exactly.
+ */
+const allocateLineDiscounts = (promotion, lines) => {
+  if (promotion.type === PROMOTION_TYPES.PERCENTAGE) {
+    return lines.map((line) => ({
+      cartItemId: line.cartItemId,
+      amount: roundCurrency((line.lineTotal * promotion.value) / 100),
+    }));
+  }
+
+  if (promotion.type === PROMOTION_TYPES.FIXED) {
+    const eligibleSubtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const totalDiscount = roundCurrency(Math.min(promotion.value, eligibleSubtotal));
+    let allocated = 0;
+
+    return lines.map((line, index) => {
+      const amount =
+        index === lines.length - 1
+          ? roundCurrency(totalDiscount - allocated)
+          : roundCurrency((totalDiscount * line.lineTotal) / eligibleSubtotal);
+      allocated += amount;
+      return { cartItemId: line.cartItemId, amount };
+    });
+  }
+
+  return [];
+};
+
+/**
+ * Apply a promo code to a priced quote
+ * @param {Object} db - Current DB snapshot
+ * @param {Object} quote - Quote from buildQuote()
+ * @param {string} code - Code entered by the customer
+ * @param {string|null} userId - Customer, for per-user usage limits
+ * @param {Date} [now]
+ * @returns {Object} { quote } on success, or { error, status }
+ */
+export const applyPromotion = (db, quote, code, userId, now = new Date()) => {
+  const promotion = findPromotionByCode(db, code);
+  if (!promotion) {
+    return { error: 'This promo code is not valid', status: 404 };
+  }
+
+  const reason = getIneligibilityReason(db, promotion, quote, userId, now);
+  if (reason) {
+    return { error: reason, status: 422 };
+  }
+
+  const eligibleLines = quote.items.filter((line) => isLineEligible(promotion, line));
+  if (eligibleLines.length === 0) {
+    return { error: 'This promo code does not apply to any items in your cart', status: 422 };
+  }
+
+  const lineDiscounts = allocateLineDiscounts(promotion, eligibleLines);
+  const merchandiseDiscount = roundCurrency(
+    lineDiscounts.reduce((sum, line) => sum + line.amount, 0)
+  );
+  const freeShipping = promotion.type === PROMOTION_TYPES.FREE_SHIPPING;
+  const totals = calculateTotals(quote.items, { merchandiseDiscount, freeShipping });
+
+  return {
+    quote: {
+      ...quote,
+      ...totals,
+      promotion: {
+        promotionId: promotion.id,
+        code: promotion.code,
+        description: promotion.description,
+        type: promotion.type,
+        merchandiseDiscount: totals.discount,
+        shippingDiscount: freeShipping ? quote.shipping : 0,
+        lines: lineDiscounts,
+      },
+    },
+  };
+};
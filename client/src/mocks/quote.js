@@ -0,0 +1,58 @@
+/**
+ * quote.js
+ *
+ * Prices cart lines against the catalog for the checkout quote and for order
+ * creation. Client-sent prices and totals are never used; each line is priced
+ * at its variant's price when the variant overrides the product's.
+ */
+
+import { calculateTotals, roundCurrency } from '../utils/pricing';
+import { resolveVariant } from '../utils/variants';
+
+/**
+ * Build a priced quote for a list of cart lines
+ * @param {Array} products - Products from the DB
+ * @param {Array} items - Lines with `id` (product id), `quantity`, `cartItemId` and optional `size`/`color`
+ * @returns {Object} { errors, quote: { items, subtotal, discount, shipping, tax, total, promotion } }
+ */
+export const buildQuote = (products, items) => {
+  const errors = [];
+  const lines = [];
+
+  items.forEach((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Item ${index + 1} quantity must be a positive whole number`);
+      return;
+    }
+
+    const product = products.find((p) => String(p.id) === String(item.id));
+    if (!product) {
+      errors.push(`Item ${index + 1} is no longer available`);
+      return;
+    }
+
+    const variant = resolveVariant(product, item.size, item.color);
+    if (!variant.available) {
+      errors.push(`Item ${index + 1} is no longer available in the selected size or colour`);
+      return;
+    }
+
+    const unitPrice = roundCurrency(variant.price);
+    lines.push({
+      cartItemId: item.cartItemId,
+      productId: product.id,
+      sku: variant.sku,
+      title: product.title,
+      category: product.category?.slug ?? null,
+      unitPrice,
+      quantity,
+      lineTotal: roundCurrency(unitPrice * quantity),
+    });
+  });
+
+  return {
+    errors,
+    quote: { items: lines, ...calculateTotals(lines), promotion: null },
+  };
+};
@@ -0,0 +1,122 @@
+/**
+ * returns.js
+ *
+ * Return (RMA) lifecycle for the mock API. Status changes go through
+ * `transitionReturn`, which enforces RETURN_TRANSITIONS, keeps the return's
+ * history and applies the side effects: a received parcel goes back into
+ * stock, a refund is recorded in the order's ledger, and once every unit of
+ * an order has come back (and nothing more is held) the order itself moves
+ * to returned (and then refunded).
+ */
+
+import {
+  RETURN_STATUSES,
+  RETURN_STATUS_LABELS,
+  canTransitionReturn,
+  getReturnRefundLines,
+} from '../utils/returns';
+import { adjustVariantStock } from '../utils/variants';
+import { getLedgerSummary, prepareRefund } from '../utils/ledger';
+import { createStatusEntry, recordRefund, transitionOrder } from './orders';
+
+/**
+ * Units of each order line that are back with the store
+ * (returns that were received, including those since refunded)
+ */
+const countReceivedUnits = (returns) => {
+  const received = new Map();
+  returns
+    .filter((rma) => rma.status === 'received' || rma.status === 'refunded')
+    .flatMap((rma) => rma.items)
+    .forEach((line) => {
+      received.set(line.cartItemId, (received.get(line.cartItemId) || 0) + line.quantity);
+    });
+  return received;
+};
+
+const restockReturn = (products, rma) => {
+  const now = new Date().toISOString();
+  rma.items.forEach((line) => {
+    const product = products.find((p) => String(p.id) === String(line.productId));
+    if (!product) return;
+    adjustVariantStock(product, line.size ?? null, line.color ?? null, line.quantity);
+    product.updatedAt = now;
+  });
+};
+
+/**
+ * Pay back the returned lines (and their tax) through the order's ledger,
+ * capped at what is still refundable in case the order was already partly
+ * refunded by hand
+ */
+const refundReturn = (order, rma, actor, at) => {
+  const { refund } = prepareRefund(
+    order,
+    { lines: getReturnRefundLines(order, rma.items) },
+    { clamp: true }
+  );
+  if (refund.amount > 0) {
+    recordRefund(order, refund, { actor, source: 'return', returnId: rma.id, note: `Return ${rma.id}`, at });
+  }
+  return refund.amount;
+};
+
+/**
+ * Move an order along once its returns account for all of it. The order
+ * only counts as refunded once nothing is held for it any more, so a
+ * return that leaves shipping unrefunded keeps it at returned.
+ */
+const syncOrderWithReturns = (db, rma, actor) => {
+  const order = db.orders.find((o) => o.id === rma.orderId);
+  if (!order) return;
+  const returns = db.returns.filter((r) => r.orderId === order.id);
+  const received = countReceivedUnits(returns);
+  const fullyReturned = order.items.every((item) => (received.get(item.cartItemId) || 0) >= item.quantity);
+  if (!fullyReturned) return;
+
+  if (rma.status === 'received' && order.status === 'delivered') {
+    transitionOrder(order, 'returned', { actor, note: 'All items returned' });
+  }
+  const allRefunded = returns.every((r) => r.status === 'refunded' || r.status === 'rejected');
+  const settled = getLedgerSummary(order).balance <= 0;
+  if (rma.status === 'refunded' && order.status === 'returned' && allRefunded && settled) {
+    transitionOrder(order, 'refunded', { actor, note: 'Returned items refunded' });
+  }
+};
+
+/**
+ * Move a return to a new status and apply its side effects.
+ * Mutates the return, products and order in `db`; the caller writes the DB.
+ * @param {Object} db - Current DB snapshot
+ * @param {Object} rma - Return from `db.returns`
+ * @param {string} status - Target status
+ * @param {{ actor: Object, note?: string }} options
+ * @returns {{ error?: string, code?: number }}
+ */
+export const transitionReturn = (db, rma, status, { actor, note = '' }) => {
+  if (!RETURN_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${RETURN_STATUSES.join(', ')}`, code: 400 };
+  }
+  if (!canTransitionReturn(rma.status, status)) {
+    return {
+      error: `Cannot change a return from ${RETURN_STATUS_LABELS[rma.status]} to ${RETURN_STATUS_LABELS[status]}`,
+      code: 409,
+    };
+  }
+
+  const entry = createStatusEntry(status, actor, note);
+  rma.status = status;
+  rma.history = [...rma.history, entry];
+  rma.updatedAt = entry.at;
+
+  if (status === 'received') {
+    restockReturn(db.products, rma);
+  }
+  if (status === 'refunded') {
+    const order = db.orders.find((o) => o.id === rma.orderId);
+    rma.refundedAmount = order ? refundReturn(order, rma, actor, entry.at) : rma.refundAmount;
+    rma.refundedAt = entry.at;
+  }
+  syncOrderWithReturns(db, rma, actor);
+  return {};
+};
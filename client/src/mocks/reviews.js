@@ -0,0 +1,108 @@
+/**
+ * reviews.js
+ *
+ * Review rules for the mock API: who may review a product, how new reviews
+ * enter moderation, and how a product's rating aggregate is derived from its
+ * reviews.
+ */
+
+/**
+ * Moderation states. New and edited reviews start as `pending` (or `flagged`
+ * when the heuristic below finds a problem); only `approved` reviews are
+ * shown publicly, and only they count towards the rating.
+ */
+export const REVIEW_STATUSES = ['pending', 'flagged', 'approved', 'rejected'];
+
+// Deliberately small list; anything it catches still goes to a human
+const PROFANITY = ['damn', 'shit', 'fuck', 'bitch', 'bastard', 'crap', 'asshole', 'dick', 'piss'];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|ed|ing|er)?\\b`, 'i');
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|co|ru|xyz|info|biz)\b)/i;
+
+/**
+ * Reasons a review should be held for a closer look
+ * @param {{ title?: string, body?: string }} review
+ * @returns {string[]} e.g. ['profanity', 'link']; empty when nothing was found
+ */
+export const detectReviewIssues = ({ title = '', body = '' }) => {
+  const text = `${title} ${body}`;
+  const issues = [];
+  if (PROFANITY_PATTERN.test(text)) issues.push('profanity');
+  if (LINK_PATTERN.test(text)) issues.push('link');
+  return issues;
+};
+
+/**
+ * Moderation fields for a new or edited review
+ * @returns {{ status: string, flags: string[] }}
+ */
+export const getInitialModeration = (review) => {
+  const flags = detectReviewIssues(review);
+  return { status: flags.length > 0 ? 'flagged' : 'pending', flags };
+};
+
+/**
+ * Whether the user has a delivered order containing the product
+ * @param {Array} orders - Orders from the DB
+ * @param {string} userId
+ * @param {number|string} productId
+ * @returns {boolean}
+ */
+export const hasDeliveredPurchase = (orders, userId, productId) =>
+  orders.some(
+    (order) =>
+      order.userId === userId &&
+      order.status?.toLowerCase() === 'delivered' &&
+      order.items.some((item) => String(item.id) === String(productId))
+  );
+
+/**
+ * Average, count and 1-5 star histogram for a set of reviews
+ * @param {Array} reviews
+ * @returns {{ average: number, count: number, histogram: Object<number, number> }}
+ */
+export const summarizeReviews = (reviews) => {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach((review) => {
+    histogram[review.rating] += 1;
+  });
+
+  const count = reviews.length;
+  const sum = reviews.reduce((total, review) => total + review.rating, 0);
+  const average = count > 0 ? Math.round((sum / count) * 10) / 10 : 0;
+
+  return { average, count, histogram };
+};
+
+/**
+ * Reviews of one product
+ * @param {Object} db - Current DB snapshot
+ * @param {number|string} productId
+ * @returns {Array}
+ */
+export const getProductReviews = (db, productId) =>
+  db.reviews.filter((review) => String(review.productId) === String(productId));
+
+/**
+ * Reviews that count towards a product's rating: only approved ones, so
+ * nothing moves the public rating before a moderator has seen it
+ * @param {Object} db - Current DB snapshot
+ * @param {number|string} productId
+ * @returns {Array}
+ */
+export const getRatedReviews = (db, productId) =>
+  getProductReviews(db, productId).filter((review) => review.status === 'approved');
+
+/**
+ * Recompute a product's `rating` and `ratingCount` from its approved reviews.
+ * Mutates the product in the snapshot; the caller writes the DB.
+ * @returns {Object} The review summary that was applied
+ */
+export const recalculateProductRating = (db, productId) => {
+  const summary = summarizeReviews(getRatedReviews(db, productId));
+  const product = db.products.find((p) => String(p.id) === String(productId));
+  if (product) {
+    product.rating = summary.average;
+    product.ratingCount = summary.count;
+  }
+  return summary;
+};
@@ -0,0 +1,303 @@
+/**
+ * search.js
+ *
+ * Full-text product search for the mock API. Titles, descriptions, category
+ * names and tags are tokenized, stemmed and kept in an inverted index with a
+ * weight per field, so a title hit outranks a passing mention in the
+ * description. Query terms match index terms exactly, by prefix (for
+ * as-you-type searches) or within a small edit distance (for typos), and a
+ * product must match every query term to be returned.
+ */
+
+// Field weights: how much one occurrence of a term in each field counts
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  category: 2,
+  description: 1,
+};
+
+// How much weaker than an exact hit each kind of fuzzy match scores
+const PREFIX_MATCH_FACTOR = 0.8;
+const TYPO_MATCH_FACTOR = [1, 0.6, 0.35];
+
+const SNIPPET_LENGTH = 140;
+const SNIPPET_LEAD = 40;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'your',
+]);
+
+const WORD_PATTERN = /[a-z0-9]+/gi;
+
+/**
+ * Split text into lowercase words, without stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  (String(text || '').toLowerCase().match(WORD_PATTERN) || []).filter((word) => !STOP_WORDS.has(word));
+
+const endsWithDoubleConsonant = (word) =>
+  word.length > 2 && word.at(-1) === word.at(-2) && !'aeiouslz'.includes(word.at(-1));
+
+/**
+ * Reduce a word to a crude stem so plurals and common verb forms match
+ * (`hoodies` -> `hoody`, `watches` -> `watch`, `running` -> `run`). Index
+ * and query go through the same rules, so consistency matters more than
+ * linguistic accuracy.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (/(ch|sh|x|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  const suffix = ['ing', 'ed', 'ly'].find((s) => result.endsWith(s) && result.length - s.length >= 3);
+  if (suffix) {
+    result = result.slice(0, -suffix.length);
+    if (suffix !== 'ly' && endsWithDoubleConsonant(result)) {
+      result = result.slice(0, -1);
+    }
+  }
+  return result;
+};
+
+/**
+ * Edit distance (with adjacent transpositions) between two words, giving up
+ * once it exceeds `max`
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Short words get no typo allowance, otherwise "hat" would match "cat"
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+const getFieldText = (product, field) => {
+  if (field === 'category') return product.category?.name || '';
+  if (field === 'tags') return (product.tags || []).join(' ');
+  return product[field] || '';
+};
+
+/**
+ * Build an inverted index: stemmed term -> Map(product id -> weighted count).
+ * Only ids are kept, so search results are always read from the current
+ * catalog rather than from the snapshot the index was built from.
+ * @param {Array} products
+ * @returns {{ postings: Map, size: number }}
+ */
+export const buildSearchIndex = (products) => {
+  const postings = new Map();
+
+  products.forEach((product) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(getFieldText(product, field)).forEach((word) => {
+        const term = stem(word);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const entries = postings.get(term);
+        entries.set(product.id, (entries.get(product.id) || 0) + weight);
+      });
+    });
+  });
+
+  return {
+    postings,
+    size: products.length,
+  };
+};
+
+// Rebuilding is cheap for the mock catalog, but every keystroke searches, so
+// the index is reused until a product's text (or the catalog) changes
+let cachedIndex = null;
+let cachedSignature = null;
+
+const getSearchIndex = (products) => {
+  const signature = products
+    .map((p) => `${p.id}:${p.updatedAt}:${p.title}`)
+    .join('|');
+  if (signature !== cachedSignature) {
+    cachedIndex = buildSearchIndex(products);
+    cachedSignature = signature;
+  }
+  return cachedIndex;
+};
+
+/**
+ * Index terms a query term matches, with how strongly each one counts
+ * @returns {Array<{ term: string, factor: number }>}
+ */
+const expandQueryTerm = (index, queryTerm) => {
+  const maxTypos = allowedTypos(queryTerm);
+  const matches = [];
+
+  index.postings.forEach((_, term) => {
+    if (term === queryTerm) {
+      matches.push({ term, factor: 1 });
+    } else if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+      matches.push({ term, factor: PREFIX_MATCH_FACTOR });
+    } else if (maxTypos > 0) {
+      const distance = editDistance(queryTerm, term, maxTypos);
+      if (distance <= maxTypos) {
+        matches.push({ term, factor: TYPO_MATCH_FACTOR[distance] });
+      }
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Split text into plain and matched segments for highlighting
+ * @param {string} text
+ * @param {Set<string>} terms - Stemmed index terms the product matched on
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const highlightText = (text, terms) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  const push = (value, match) => {
+    if (!value) return;
+    const last = segments.at(-1);
+    if (last && last.match === match) {
+      last.text += value;
+    } else {
+      segments.push({ text: value, match });
+    }
+  };
+
+  for (const found of text.matchAll(WORD_PATTERN)) {
+    const word = found[0].toLowerCase();
+    if (!STOP_WORDS.has(word) && terms.has(stem(word))) {
+      push(text.slice(lastIndex, found.index), false);
+      push(found[0], true);
+      lastIndex = found.index + found[0].length;
+    }
+  }
+  push(text.slice(lastIndex), false);
+
+  return segments;
+};
+
+/**
+ * A window of the description around its first matched word, highlighted
+ * @returns {Array|null} Segments, or null when the description didn't match
+ */
+const buildSnippet = (description, terms) => {
+  const segments = highlightText(description, terms);
+  const firstMatch = segments.findIndex((segment) => segment.match);
+  if (firstMatch === -1) return null;
+
+  const matchStart = segments.slice(0, firstMatch).reduce((sum, s) => sum + s.text.length, 0);
+  let start = Math.max(0, matchStart - SNIPPET_LEAD);
+  if (start > 0) {
+    const nextSpace = description.indexOf(' ', start);
+    start = nextSpace !== -1 && nextSpace < matchStart ? nextSpace + 1 : start;
+  }
+  let end = Math.min(description.length, start + SNIPPET_LENGTH);
+  if (end < description.length) {
+    const lastSpace = description.lastIndexOf(' ', end);
+    end = lastSpace > matchStart ? lastSpace : end;
+  }
+
+  const snippet = highlightText(description.slice(start, end), terms);
+  if (start > 0) snippet.unshift({ text: '…', match: false });
+  if (end < description.length) snippet.push({ text: '…', match: false });
+  return snippet;
+};
+
+/**
+ * Search products by relevance
+ * @param {Array} products - The whole catalog
+ * @param {string} query
+ * @returns {Array<{ product, score: number, highlights: { title, description } }>|null}
+ *   Matches, best first; null when the query has no searchable words
+ */
+export const searchProducts = (products, query) => {
+  const queryTerms = [...new Set(tokenize(query).map(stem))];
+  if (queryTerms.length === 0) return null;
+
+  const index = getSearchIndex(products);
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  queryTerms.forEach((queryTerm, position) => {
+    // Best contribution of this query term to each product
+    const best = new Map();
+    expandQueryTerm(index, queryTerm).forEach(({ term, factor }) => {
+      const entries = index.postings.get(term);
+      const idf = Math.log(1 + index.size / entries.size);
+      entries.forEach((weight, productId) => {
+        const hit = best.get(productId) || { score: 0, terms: [] };
+        hit.score = Math.max(hit.score, Math.log(1 + weight) * idf * factor);
+        hit.terms.push(term);
+        best.set(productId, hit);
+      });
+    });
+
+    // Every query term must match, so products drop out as terms are applied
+    const candidates = position === 0 ? [...best.keys()] : [...scores.keys()];
+    candidates.forEach((productId) => {
+      const hit = best.get(productId);
+      if (!hit) {
+        scores.delete(productId);
+        matchedTerms.delete(productId);
+        return;
+      }
+      scores.set(productId, (scores.get(productId) || 0) + hit.score);
+      if (!matchedTerms.has(productId)) matchedTerms.set(productId, new Set());
+      hit.terms.forEach((term) => matchedTerms.get(productId).add(term));
+    });
+  });
+
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  return [...scores.entries()]
+    .filter(([productId]) => productsById.has(productId))
+    .map(([productId, score]) => {
+      const product = productsById.get(productId);
+      const terms = matchedTerms.get(productId);
+      return {
+        product,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: highlightText(product.title, terms),
+          description: buildSnippet(product.description || '', terms),
+        },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
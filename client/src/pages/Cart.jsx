@@ -1,13 +1,16 @@
 import React, { useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { Link, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
 import {
   selectCartItems,
   selectCartTotal,
   selectCartSubtotal,
   selectCartItemCount,
   selectIsCartEmpty,
-  initializeCart,
+  selectCouponCode,
+  selectCartError,
+  clearError,
   incrementQuantity,
   decrementQuantity,
   removeFromCart,
@@ -15,6 +18,10 @@ import {
 } from "../features/cart/cartSlice";
 import { isUserAuthenticated } from "../features/cart/cartUtils";
 import useScrollRestoration from "../hooks/useScrollRestoration";
+import useCheckoutQuote from "../hooks/useCheckoutQuote";
+import CouponField from "../components/cart/CouponField";
+import SavedForLater from "../components/wishlist/SavedForLater";
+import { saveForLater } from "../features/wishlist/wishlistSlice";
 
 const Cart = () => {
   useScrollRestoration();
@@ -26,15 +33,20 @@ const Cart = () => {
   const cartSubtotal = useSelector(selectCartSubtotal);
   const cartItemCount = useSelector(selectCartItemCount);
   const isCartEmpty = useSelector(selectIsCartEmpty);
+  const couponCode = useSelector(selectCouponCode);
+  const cartError = useSelector(selectCartError);
   const isAuthenticated = isUserAuthenticated();
 
-  // Initialize cart from localStorage on mount
+  // Server-priced totals including the promo code; shown once available
+  const { quote } = useCheckoutQuote(cartItems, couponCode);
+
+  // Show errors from failed cart updates (e.g. stock changed meanwhile)
   useEffect(() => {
-    if (isAuthenticated) {
-      dispatch(initializeCart());
-      console.log("Cart page: Cart initialized");
+    if (cartError) {
+      toast.error(cartError);
+      dispatch(clearError());
     }
-  }, [dispatch, isAuthenticated]);
+  }, [cartError, dispatch]);
 
   const handleIncrementQuantity = (cartItemId) => {
     dispatch(incrementQuantity(cartItemId));
@@ -54,49 +66,26 @@ const Cart = () => {
     }
   };
 
+  // Moves the line to the wishlist, taking it out of the checkout total
+  const handleSaveForLater = async (cartItemId) => {
+    try {
+      await dispatch(saveForLater(cartItemId)).unwrap();
+      toast.success("Saved for later");
+    } catch (error) {
+      toast.error(error);
+    }
+  };
+
   const handleClearCart = () => {
     if (window.confirm("Are you sure you want to clear your entire cart?")) {
       dispatch(clearCart());
     }
   };
 
-  // If user is not authenticated, show empty cart message with signup button
-  if (!isAuthenticated) {
-    return (
-      <div className="bg-gray-900 text-white min-h-screen flex items-center justify-center p-8">
-        <div className="max-w-md w-full text-center">
-          <div className="mb-6">
-            <svg
-              className="mx-auto h-24 w-24 text-gray-600"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z"
-              />
-            </svg>
-          </div>
-          <h2 className="text-2xl font-bold mb-4">Cart is empty!</h2>
-          <p className="text-gray-400 mb-6">Add some products to your cart</p>
-          <Link
-            to="/signup"
-            className="inline-block bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
-          >
-            Sign Up to Continue Shopping
-          </Link>
-        </div>
-      </div>
-    );
-  }
-
-  // If cart is empty (but user is authenticated)
+  // If cart is empty
   if (isCartEmpty) {
     return (
-      <div className="bg-gray-900 text-white min-h-screen flex items-center justify-center p-8">
+      <div className="bg-gray-900 text-white min-h-screen flex flex-col items-center justify-center p-8">
         <div className="max-w-md w-full text-center">
           <div className="mb-6">
             <svg
@@ -124,6 +113,11 @@ const Cart = () => {
             Browse Products
           </Link>
         </div>
+        {isAuthenticated && (
+          <div className="max-w-6xl w-full mt-4">
+            <SavedForLater />
+          </div>
+        )}
       </div>
     );
   }
@@ -230,6 +224,15 @@ const Cart = () => {
                       </p>
                     </div>
                   </div>
+
+                  {isAuthenticated && (
+                    <button
+                      onClick={() => handleSaveForLater(item.cartItemId)}
+                      className="mt-3 text-sm text-indigo-400 hover:text-indigo-300"
+                    >
+                      Save for later
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -240,19 +243,41 @@ const Cart = () => {
             <div className="bg-gray-800 rounded-lg p-6 sticky top-8">
               <h2 className="text-xl font-bold mb-4">Order Summary</h2>
 
+              <div className="mb-4">
+                <CouponField couponError={quote?.couponError} />
+              </div>
+
               <div className="space-y-3 mb-6">
                 <div className="flex justify-between text-gray-400">
                   <span>Items ({cartItemCount})</span>
-                  <span>${cartSubtotal.toFixed(2)}</span>
+                  <span>${(quote?.subtotal ?? cartSubtotal).toFixed(2)}</span>
                 </div>
+                {quote?.discount > 0 && (
+                  <div className="flex justify-between text-green-400">
+                    <span>Discount ({quote.promotion.code})</span>
+                    <span>-${quote.discount.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-gray-400">
                   <span>Shipping</span>
-                  <span>Free</span>
+                  <span>
+                    {quote
+                      ? quote.shipping === 0
+                        ? "Free"
+                        : `$${quote.shipping.toFixed(2)}`
+                      : "Calculated at checkout"}
+                  </span>
                 </div>
+                {quote && (
+                  <div className="flex justify-between text-gray-400">
+                    <span>Tax</span>
+                    <span>${quote.tax.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="border-t border-gray-700 pt-3 mt-3">
                   <div className="flex justify-between text-lg font-bold">
                     <span>Total</span>
-                    <span>${cartTotal.toFixed(2)}</span>
+                    <span>${(quote?.total ?? cartTotal).toFixed(2)}</span>
                   </div>
                 </div>
               </div>
@@ -264,6 +289,12 @@ const Cart = () => {
                 Proceed to Checkout
               </Link>
 
+              {!isAuthenticated && (
+                <p className="text-sm text-gray-400 text-center mb-4">
+                  You&apos;ll be asked to log in or sign up. Your cart comes with you.
+                </p>
+              )}
+
               <Link
                 to="/collection"
                 className="block text-center text-indigo-400 hover:text-indigo-300 underline"
@@ -273,6 +304,8 @@ const Cart = () => {
             </div>
           </div>
         </div>
+
+        {isAuthenticated && <SavedForLater />}
       </div>
     </div>
   );
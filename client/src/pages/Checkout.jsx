@@ -3,15 +3,17 @@ import { useSelector, useDispatch } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import {
   selectCartItems,
-  selectCartTotal,
-  selectCartSubtotal,
   selectCartItemCount,
+  selectCouponCode,
+  updateQuantity,
+  removeFromCart,
 } from "../features/cart/cartSlice";
 import { createOrder } from "../features/orders/orderSlice";
 import ShippingForm from "../components/checkout/ShippingForm";
 import PaymentMethodSelector from "../components/checkout/PaymentMethodSelector";
 import OrderSummary from "../components/checkout/OrderSummary";
 import useScrollRestoration from "../hooks/useScrollRestoration";
+import useCheckoutQuote from "../hooks/useCheckoutQuote";
 
 const Checkout = () => {
   useScrollRestoration();
@@ -20,9 +22,8 @@ const Checkout = () => {
   const navigate = useNavigate();
 
   const cartItems = useSelector(selectCartItems);
-  const cartTotal = useSelector(selectCartTotal);
-  const cartSubtotal = useSelector(selectCartSubtotal);
   const itemCount = useSelector(selectCartItemCount);
+  const couponCode = useSelector(selectCouponCode);
 
   // Form state
   const [shippingInfo, setShippingInfo] = useState({
@@ -48,6 +49,9 @@ const Checkout = () => {
   const [formErrors, setFormErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Server-priced preview of the cart, including any promo code
+  const { quote, quoteError, refreshQuote } = useCheckoutQuote(cartItems, couponCode);
+
   // Redirect if cart is empty
   useEffect(() => {
     if (itemCount === 0) {
@@ -55,14 +59,14 @@ const Checkout = () => {
     }
   }, [itemCount, navigate]);
 
-  // Calculate totals
-  const shipping = cartSubtotal >= 50 ? 0 : 5.99;
-  const tax = (cartSubtotal * 0.08).toFixed(2);
-  const total = (
-    parseFloat(cartSubtotal) +
-    parseFloat(shipping) +
-    parseFloat(tax)
-  ).toFixed(2);
+  // Cart lines shown with the quoted (catalog) unit price
+  const quotedItems = cartItems.map((item) => {
+    const line = quote?.items.find((l) => l.cartItemId === item.cartItemId);
+    return line ? { ...item, price: line.unitPrice } : item;
+  });
+
+  // Lines whose quantity exceeds the stock the server last reported
+  const itemsToAdjust = cartItems.filter((item) => item.quantity > item.stock);
 
   // Form validation
   const validateForm = () => {
@@ -114,16 +118,32 @@ const Checkout = () => {
       return;
     }
 
+    if (!quote) {
+      setFormErrors((prev) => ({
+        ...prev,
+        submit: quoteError || "Your order total is still being calculated.",
+      }));
+      return;
+    }
+
+    if (itemsToAdjust.length > 0) {
+      setFormErrors((prev) => ({
+        ...prev,
+        submit: "Please adjust the highlighted items before placing your order.",
+      }));
+      return;
+    }
+
     setIsSubmitting(true);
 
+    // The server prices the order itself; `total` is what the customer was
+    // shown, so a stale quote is rejected rather than silently charged
     const orderData = {
       items: cartItems,
       shippingAddress: shippingInfo,
       paymentMethod,
-      subtotal: cartSubtotal,
-      shipping: parseFloat(shipping),
-      tax: parseFloat(tax),
-      total: parseFloat(total),
+      couponCode: quote.promotion ? couponCode : undefined,
+      total: quote.total,
     };
 
     try {
@@ -132,7 +152,11 @@ const Checkout = () => {
       navigate(`/order-confirmation/${result.orderId}`);
     } catch (error) {
       console.error("Order failed:", error);
-      setFormErrors({ submit: "Failed to place order. Please try again." });
+      setFormErrors({
+        submit: typeof error === "string" ? error : "Failed to place order. Please try again.",
+      });
+      // Prices or stock may have changed; refresh the preview
+      refreshQuote();
     } finally {
       setIsSubmitting(false);
     }
@@ -219,6 +243,57 @@ const Checkout = () => {
                   <p className="text-red-500 text-sm">{formErrors.terms}</p>
                 )}
 
+                {/* Stock Shortfalls */}
+                {itemsToAdjust.length > 0 && (
+                  <div className="p-4 bg-yellow-900 bg-opacity-30 border border-yellow-700 rounded-md">
+                    <p className="text-yellow-200 text-sm font-medium mb-3">
+                      These items don't have enough stock for your order:
+                    </p>
+                    <ul className="space-y-3">
+                      {itemsToAdjust.map((item) => (
+                        <li
+                          key={item.cartItemId}
+                          className="flex items-center justify-between gap-4 text-sm"
+                        >
+                          <div className="text-gray-200">
+                            <p className="font-medium">{item.title}</p>
+                            <p className="text-gray-400">
+                              {item.stock > 0
+                                ? `Only ${item.stock} left (you have ${item.quantity})`
+                                : "Out of stock"}
+                            </p>
+                          </div>
+                          <div className="flex gap-3 shrink-0">
+                            {item.stock > 0 && (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  dispatch(
+                                    updateQuantity({
+                                      cartItemId: item.cartItemId,
+                                      quantity: item.stock,
+                                    })
+                                  )
+                                }
+                                className="text-blue-400 hover:text-blue-300"
+                              >
+                                Set to {item.stock}
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => dispatch(removeFromCart(item.cartItemId))}
+                              className="text-red-400 hover:text-red-300"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Submit Error */}
                 {formErrors.submit && (
                   <div className="p-4 bg-red-50 border border-red-200 rounded-md">
@@ -229,14 +304,18 @@ const Checkout = () => {
                 {/* Place Order Button */}
                 <button
                   onClick={handlePlaceOrder}
-                  disabled={isSubmitting}
+                  disabled={isSubmitting || !quote}
                   className={`w-full py-4 px-6 rounded-lg font-semibold text-white transition-colors ${
-                    isSubmitting
+                    isSubmitting || !quote
                       ? "bg-gray-400 cursor-not-allowed"
                       : "bg-blue-600 hover:bg-blue-700"
                   }`}
                 >
-                  {isSubmitting ? "Processing..." : `Place Order - $${total}`}
+                  {isSubmitting
+                    ? "Processing..."
+                    : quote
+                      ? `Place Order - $${quote.total.toFixed(2)}`
+                      : "Calculating total..."}
                 </button>
 
                 {/* Security Badge */}
@@ -262,12 +341,20 @@ const Checkout = () => {
           <div className="lg:col-span-2">
             {/* 5. ORDER SUMMARY (Sticky on desktop) */}
             <div className="lg:sticky lg:top-8">
+              {quoteError && (
+                <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-md">
+                  <p className="text-red-600 text-sm">{quoteError}</p>
+                </div>
+              )}
               <OrderSummary
-                items={cartItems}
-                subtotal={cartSubtotal}
-                shipping={shipping}
-                tax={tax}
-                total={total}
+                overrideItems={quotedItems}
+                overrideSubtotal={quote?.subtotal}
+                overrideShipping={quote?.shipping}
+                overrideDiscount={quote?.discount}
+                promotion={quote?.promotion}
+                couponError={quote?.couponError}
+                overrideTax={quote?.tax}
+                overrideTotal={quote?.total}
               />
             </div>
           </div>
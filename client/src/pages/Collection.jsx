@@ -1,9 +1,12 @@
 import React, { useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import {
   fetchProducts,
   fetchCategories,
+  hydrateFilters,
 } from "../features/products/productSlice";
+import { parseCollectionParams } from "../features/products/collectionParams";
 import ProductFilters from "../components/collection/ProductFilters";
 import ProductCard from "../components/collection/ProductCard";
 import Pagination from "../components/collection/Pagination";
@@ -15,18 +18,23 @@ function Collection() {
     (state) => state.products
   );
 
+  const [searchParams] = useSearchParams();
+  const search = searchParams.toString();
+
   useScrollRestoration();
 
   useEffect(() => {
     dispatch(fetchCategories());
-    dispatch(fetchProducts(filters));
   }, [dispatch]);
 
+  // The query string is the source of truth for filters and page, so a
+  // refresh, a shared link or back/forward all show the same results.
+  // Filter and pagination controls only change the URL.
   useEffect(() => {
-    if (filters) {
-      dispatch(fetchProducts(filters));
-    }
-  }, [dispatch, filters]);
+    const { filters: urlFilters, page } = parseCollectionParams(new URLSearchParams(search));
+    dispatch(hydrateFilters({ filters: urlFilters, page }));
+    dispatch(fetchProducts({ ...urlFilters, page }));
+  }, [dispatch, search]);
 
   if (loading && (!products || products.length === 0)) {
     return (
@@ -81,35 +89,41 @@ function Collection() {
             </p>
           </div>
 
-          <ProductFilters />
+          <div className="grid grid-cols-1 lg:grid-cols-[16rem_1fr] gap-6 items-start">
+            <aside>
+              <ProductFilters />
+            </aside>
 
-          <div className="mb-6 text-sm text-gray-600">
-            Showing {productsArray.length} of {metaData.total} products
-            {filtersData.q && ` for "${filtersData.q}"`}
-            {filtersData.category &&
-              filtersData.category.length > 0 &&
-              ` in ${filtersData.category.join(", ")}`}
-          </div>
+            <div>
+              <div className="mb-6 text-sm text-gray-600">
+                Showing {productsArray.length} of {metaData.total} products
+                {filtersData.q && ` for "${filtersData.q}"`}
+                {filtersData.category &&
+                  filtersData.category.length > 0 &&
+                  ` in ${filtersData.category.join(", ")}`}
+              </div>
 
-          {productsArray.length > 0 ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-6 gap-6">
-              {productsArray.map((product) => (
-                <ProductCard key={product.id} product={product} />
-              ))}
-            </div>
-          ) : (
-            <div className="text-center py-12">
-              <div className="text-gray-400 text-6xl mb-4">🔍</div>
-              <h3 className="text-xl font-semibold text-gray-600 mb-2">
-                No products found
-              </h3>
-              <p className="text-gray-500">
-                Try adjusting your filters or search terms
-              </p>
-            </div>
-          )}
+              {productsArray.length > 0 ? (
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                  {productsArray.map((product) => (
+                    <ProductCard key={product.id} product={product} />
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-12">
+                  <div className="text-gray-400 text-6xl mb-4">🔍</div>
+                  <h3 className="text-xl font-semibold text-gray-600 mb-2">
+                    No products found
+                  </h3>
+                  <p className="text-gray-500">
+                    Try adjusting your filters or search terms
+                  </p>
+                </div>
+              )}
 
-          <Pagination />
+              <Pagination />
+            </div>
+          </div>
         </div>
       </div>
     </div>
@@ -1,7 +1,7 @@
 import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { login } from '../features/auth/authSlice';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import useForm from '../hooks/useForm';
 import { isValidEmail, isNotEmpty } from '../utils/validators';
 
@@ -9,6 +9,7 @@ const Login = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { error, status } = useSelector(s => s.auth || {});
 
   const validate = (values) => {
@@ -22,7 +23,11 @@ const Login = () => {
   const loginUser = async (values) => {
     const result = await dispatch(login({ email: values.email.trim(), password: values.password }));
     if (result.type === 'auth/login/fulfilled') {
-      navigate(location.state?.from || '/');
+      // `redirect` is set when an expired session bounced the user here;
+      // only accept in-app paths so it cannot be used as an open redirect
+      const redirect = searchParams.get('redirect');
+      const safeRedirect = redirect?.startsWith('/') && !redirect.startsWith('//') ? redirect : null;
+      navigate(location.state?.from || safeRedirect || '/');
     }
   };
 
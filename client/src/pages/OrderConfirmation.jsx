@@ -7,6 +7,7 @@
  * - Mobile-responsive collapsible order summary
  * - Complete order details display
  * - Error handling for 404 and fetch failures
+ * - Return requests and their status for delivered orders
  */
 
 import React, { useEffect, useState } from "react";
@@ -21,6 +22,23 @@ import {
   clearError,
 } from "../features/orders/orderSlice";
 import useScrollRestoration from "../hooks/useScrollRestoration";
+import OrderTimeline from "../components/orders/OrderTimeline";
+import CancelOrderDialog from "../components/orders/CancelOrderDialog";
+import ReturnRequestDialog from "../components/orders/ReturnRequestDialog";
+import OrderReturns from "../components/orders/OrderReturns";
+import { fetchReturns, selectReturns } from "../features/returns/returnSlice";
+import { getLedgerSummary } from "../utils/ledger";
+import { getCarrierLabel, getTrackingUrl } from "../utils/tracking";
+import {
+  PAYMENT_STATUS_LABELS,
+  canCustomerCancel,
+  getOrderStatusLabel,
+} from "../utils/orderStatus";
+import {
+  getReturnDeadline,
+  getReturnableItems,
+  isWithinReturnWindow,
+} from "../utils/returns";
 
 const OrderConfirmation = () => {
 
@@ -32,9 +50,12 @@ const OrderConfirmation = () => {
   const currentOrder = useSelector(selectCurrentOrder);
   const loading = useSelector(selectOrdersLoading);
   const error = useSelector(selectOrdersError);
+  const allReturns = useSelector(selectReturns);
 
   // Mobile collapsible state (default collapsed on mobile)
   const [isOrderSummaryExpanded, setIsOrderSummaryExpanded] = useState(false);
+  const [isCancelDialogOpen, setIsCancelDialogOpen] = useState(false);
+  const [isReturnDialogOpen, setIsReturnDialogOpen] = useState(false);
 
   // Clear errors on mount
   useEffect(() => {
@@ -72,6 +93,16 @@ const OrderConfirmation = () => {
     }
   }, [orderId, currentOrder, error, dispatch, navigate]);
 
+  // Returns only exist for orders that have been delivered
+  const hasBeenDelivered = currentOrder?.statusHistory?.some(
+    (entry) => entry.status === "delivered"
+  );
+  useEffect(() => {
+    if (orderId && currentOrder?.id === orderId && hasBeenDelivered) {
+      dispatch(fetchReturns({ orderId }));
+    }
+  }, [orderId, currentOrder?.id, hasBeenDelivered, dispatch]);
+
   // Format currency helper
   const formatCurrency = (amount) => {
     const num = Number(amount) || 0;
@@ -115,6 +146,10 @@ const OrderConfirmation = () => {
         return "bg-purple-100 text-purple-800 border-purple-200";
       case "delivered":
         return "bg-green-100 text-green-800 border-green-200";
+      case "cancelled":
+        return "bg-red-100 text-red-800 border-red-200";
+      case "returned":
+        return "bg-orange-100 text-orange-800 border-orange-200";
       default:
         return "bg-gray-100 text-gray-800 border-gray-200";
     }
@@ -215,16 +250,29 @@ const OrderConfirmation = () => {
     id,
     createdAt,
     status,
+    statusHistory = [],
     items = [],
     shippingAddress = {},
     paymentMethod,
+    paymentStatus,
     subtotal = 0,
+    discount = 0,
+    promotion,
     shipping = 0,
     tax = 0,
     total = 0,
     estimatedDelivery,
+    tracking,
   } = currentOrder;
 
+  const returns = allReturns.filter((rma) => rma.orderId === id);
+  const { refunded } = getLedgerSummary(currentOrder);
+  const trackingUrl = getTrackingUrl(tracking);
+  const returnDeadline = getReturnDeadline(currentOrder);
+  const canRequestReturn =
+    isWithinReturnWindow(currentOrder) &&
+    getReturnableItems(currentOrder, returns).some((entry) => entry.returnable > 0);
+
   return (
     <div className="min-h-screen bg-gray-900 py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -283,7 +331,7 @@ const OrderConfirmation = () => {
                       status
                     )}`}
                   >
-                    {status ?? "Pending"}
+                    {getOrderStatusLabel(status ?? "pending")}
                   </span>
                 </div>
               </div>
@@ -309,6 +357,14 @@ const OrderConfirmation = () => {
                     {getPaymentMethodDisplay(paymentMethod)}
                   </span>
                 </div>
+                {paymentStatus && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Payment Status:</span>
+                    <span className="text-gray-200">
+                      {PAYMENT_STATUS_LABELS[paymentStatus] ?? paymentStatus}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -342,6 +398,52 @@ const OrderConfirmation = () => {
           </div>
         </div>
 
+        {/* Tracking Timeline */}
+        <div className="bg-gray-800 rounded-lg shadow-sm p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-200 mb-4">
+            Order Tracking
+          </h2>
+          {tracking && (
+            <p className="text-sm text-gray-400 mb-4">
+              Shipped with {getCarrierLabel(tracking.carrier)} ·{" "}
+              {trackingUrl ? (
+                <a
+                  href={trackingUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-mono text-blue-400 hover:text-blue-300"
+                >
+                  {tracking.trackingNumber}
+                </a>
+              ) : (
+                <span className="font-mono text-gray-200">{tracking.trackingNumber}</span>
+              )}
+            </p>
+          )}
+          <OrderTimeline status={status} history={statusHistory} />
+        </div>
+
+        {/* Returns */}
+        {(returns.length > 0 || canRequestReturn) && (
+          <div className="bg-gray-800 rounded-lg shadow-sm p-6 mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h2 className="text-lg font-semibold text-gray-200">Returns</h2>
+              {canRequestReturn && returnDeadline && (
+                <span className="text-sm text-gray-400">
+                  Return by {formatDate(returnDeadline.toISOString())}
+                </span>
+              )}
+            </div>
+            {returns.length > 0 ? (
+              <OrderReturns returns={returns} />
+            ) : (
+              <p className="text-sm text-gray-400">
+                Not quite right? You can send back items from this order for a refund.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Order Items - Collapsible on Mobile */}
         <div className="bg-gray-800 rounded-lg shadow-sm p-6 mb-6">
           <div className="flex items-center justify-between mb-4">
@@ -457,11 +559,23 @@ const OrderConfirmation = () => {
                 {formatCurrency(subtotal)}
               </span>
             </div>
+            {discount > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-400">
+                  Discount{promotion?.code ? ` (${promotion.code})` : ""}
+                </span>
+                <span className="text-green-400 font-medium">
+                  -{formatCurrency(discount)}
+                </span>
+              </div>
+            )}
             <div className="flex justify-between text-sm">
               <span className="text-gray-400">Shipping</span>
               <span className="text-gray-200 font-medium">
                 {shipping === 0 ? (
-                  <span className="text-green-400">Free</span>
+                  <span className="text-green-400">
+                    Free{promotion?.shippingDiscount > 0 ? ` (${promotion.code})` : ""}
+                  </span>
                 ) : (
                   formatCurrency(shipping)
                 )}
@@ -484,11 +598,45 @@ const OrderConfirmation = () => {
                 {formatCurrency(total)}
               </span>
             </div>
+            {refunded > 0 && (
+              <>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-400">Refunded</span>
+                  <span className="text-green-400 font-medium">
+                    -{formatCurrency(refunded)}
+                  </span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-400">Net Paid</span>
+                  <span className="text-gray-200 font-medium">
+                    {formatCurrency(total - refunded)}
+                  </span>
+                </div>
+              </>
+            )}
           </div>
         </div>
 
         {/* Action Buttons */}
         <div className="flex flex-col sm:flex-row gap-4">
+          {canCustomerCancel(currentOrder) && (
+            <button
+              onClick={() => setIsCancelDialogOpen(true)}
+              className="flex-1 py-3 px-6 bg-red-700 hover:bg-red-600 text-white font-semibold rounded-lg transition-colors min-h-[44px]"
+              aria-label="Cancel this order"
+            >
+              Cancel Order
+            </button>
+          )}
+          {canRequestReturn && (
+            <button
+              onClick={() => setIsReturnDialogOpen(true)}
+              className="flex-1 py-3 px-6 bg-gray-700 hover:bg-gray-600 text-white font-semibold rounded-lg transition-colors min-h-[44px]"
+              aria-label="Return items from this order"
+            >
+              Request Return
+            </button>
+          )}
           <button
             onClick={() => navigate("/collection")}
             className="flex-1 py-3 px-6 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition-colors min-h-[44px]"
@@ -505,6 +653,18 @@ const OrderConfirmation = () => {
           </button>
         </div>
       </div>
+
+      <CancelOrderDialog
+        order={currentOrder}
+        isOpen={isCancelDialogOpen}
+        onClose={() => setIsCancelDialogOpen(false)}
+      />
+      <ReturnRequestDialog
+        order={currentOrder}
+        returns={returns}
+        isOpen={isReturnDialogOpen}
+        onClose={() => setIsReturnDialogOpen(false)}
+      />
     </div>
   );
 };
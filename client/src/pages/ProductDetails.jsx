@@ -1,23 +1,30 @@
 import React, { useEffect, useState } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { toast } from "react-toastify";
 import { fetchProductById } from "../features/products/productSlice";
 import { addToCart, selectCartError, clearError } from "../features/cart/cartSlice";
-import { isUserAuthenticated } from "../features/cart/cartUtils";
 import useScrollRestoration from "../hooks/useScrollRestoration";
+import WishlistButton from "../components/wishlist/WishlistButton";
+import ReviewsSection from "../components/reviews/ReviewsSection";
+import {
+  getDefaultVariant,
+  hasVariants,
+  isOptionAvailable,
+  resolveVariant,
+} from "../utils/variants";
 
 const ProductDetails = () => {
   useScrollRestoration();
   const { productId: productIdStr } = useParams();
   const productId = parseInt(productIdStr, 10);
   const dispatch = useDispatch();
-  const navigate = useNavigate();
   const { product, loading, error } = useSelector((state) => state.products);
   const cartError = useSelector(selectCartError);
   const [selectedImage, setSelectedImage] = useState(0);
   const [selectedSize, setSelectedSize] = useState(null);
   const [selectedColor, setSelectedColor] = useState(null);
+  const [selectionProductId, setSelectionProductId] = useState(null);
   const [addToCartLoading, setAddToCartLoading] = useState(false);
 
   useEffect(() => {
@@ -26,20 +33,17 @@ const ProductDetails = () => {
     dispatch(clearError());
   }, [dispatch, productId]);
 
-  // Auto-select first size and color if available
+  // Preselect the first in-stock size/color combination once per product,
+  // so later updates to the same product (e.g. its rating) keep the choice
   useEffect(() => {
-    if (product) {
-      if (product.sizes && product.sizes.length > 0 && !selectedSize) {
-        setSelectedSize(product.sizes[0]);
-      }
-      if (product.colors && product.colors.length > 0 && !selectedColor) {
-        setSelectedColor(product.colors[0]);
-      }
+    if (product && product.id !== selectionProductId) {
+      const { size, color } = getDefaultVariant(product);
+      setSelectedSize(size);
+      setSelectedColor(color);
+      setSelectedImage(0);
+      setSelectionProductId(product.id);
     }
-  }, [product, selectedSize, selectedColor]);
-
-
-
+  }, [product, selectionProductId]);
 
   // Show cart error notification
   useEffect(() => {
@@ -49,31 +53,40 @@ const ProductDetails = () => {
     }
   }, [cartError, dispatch]);
 
+  // Picking a color keeps the size if that combination is in stock,
+  // otherwise moves to the first size that is
+  const handleColorSelect = (color) => {
+    setSelectedColor(color);
+    if (hasVariants(product) && !isOptionAvailable(product, { size: selectedSize, color })) {
+      const variant = product.variants.find((v) => v.color === color && v.stock > 0);
+      if (variant) setSelectedSize(variant.size);
+    }
+    if (resolveVariant(product, selectedSize, color).image) setSelectedImage(-1);
+  };
+
+  const handleSizeSelect = (size) => {
+    setSelectedSize(size);
+    if (resolveVariant(product, size, selectedColor).image) setSelectedImage(-1);
+  };
+
   const handleAddToCart = async () => {
     try {
-      // Check if user is authenticated
-      if (!isUserAuthenticated()) {
-        console.log('User not authenticated, redirecting to signup');
-        navigate('/signup', { state: { from: `/product/${productId}` } });
-        return;
-      }
-
       // Validate product exists
       if (!product) {
         toast.error('Product not available');
         return;
       }
 
-      // Validate stock availability
-      if (product.stock < 1) {
-        toast.error('Product is out of stock');
+      // Validate stock availability of the chosen variant
+      if (selectedVariant.stock < 1) {
+        toast.error('This option is out of stock');
         return;
       }
 
       setAddToCartLoading(true);
 
-      // Dispatch add to cart action
-      dispatch(
+      // Dispatch add to cart action; the server checks stock
+      const result = await dispatch(
         addToCart({
           product,
           size: selectedSize,
@@ -82,6 +95,11 @@ const ProductDetails = () => {
         })
       );
 
+      // Rejections are shown by the cart error effect above
+      if (addToCart.rejected.match(result)) {
+        return;
+      }
+
       // Show success notification
       toast.success('Product added to cart successfully!');
 
@@ -122,6 +140,13 @@ const ProductDetails = () => {
     );
   }
 
+  const selectedVariant = resolveVariant(product, selectedSize, selectedColor);
+  const isSoldOut = selectedVariant.stock < 1;
+  // -1 shows the selected variant's own image
+  const mainImage = selectedImage < 0 && selectedVariant.image
+    ? selectedVariant.image
+    : product.images[Math.max(0, selectedImage)];
+
   return (
     <div className="bg-gray-900 text-white min-h-screen p-8">
 
@@ -129,7 +154,7 @@ const ProductDetails = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
           <div>
             <img
-              src={product.images[selectedImage]}
+              src={mainImage}
               alt={product.title}
               className="w-full rounded-lg mb-4"
             />
@@ -164,16 +189,19 @@ const ProductDetails = () => {
                   </svg>
                 ))}
                 <span className="text-gray-400 ml-2">
-                  ({product.reviews?.length || 0} reviews)
+                  {product.rating?.toFixed(1)} ({product.ratingCount ?? 0} reviews)
                 </span>
               </div>
             </div>
-            <p className="text-3xl font-bold mb-4">${product.price}</p>
+            <p className="text-3xl font-bold mb-4">${selectedVariant.price}</p>
             <p className="text-gray-400 mb-6">{product.description}</p>
 
             <div className="flex items-center justify-between text-sm text-gray-500 mb-3">
-              <span className={product.stock > 0 ? "text-green-400" : "text-red-400"}>
-                Stock: {product.stock}
+              <span className={!isSoldOut ? "text-green-400" : "text-red-400"}>
+                Stock: {selectedVariant.stock}
+                {selectedVariant.sku && (
+                  <span className="ml-3 text-gray-500">SKU: {selectedVariant.sku}</span>
+                )}
               </span>
               <span className="capitalize">{product.category.name}</span>
             </div>
@@ -183,18 +211,25 @@ const ProductDetails = () => {
               <div className="mb-4">
                 <h3 className="text-lg font-semibold mb-2">Select Color</h3>
                 <div className="flex gap-2 flex-wrap">
-                  {product.colors.map((color, index) => (
-                    <button
-                      key={index}
-                      onClick={() => setSelectedColor(color)}
-                      className={`px-4 py-2 rounded-lg text-sm border transition-colors ${selectedColor === color
-                        ? "bg-indigo-600 border-indigo-400 text-white"
-                        : "bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600"
-                        }`}
-                    >
-                      {color}
-                    </button>
-                  ))}
+                  {product.colors.map((color, index) => {
+                    const available = isOptionAvailable(product, { color });
+                    return (
+                      <button
+                        key={index}
+                        onClick={() => handleColorSelect(color)}
+                        disabled={!available}
+                        title={available ? undefined : "Out of stock"}
+                        className={`px-4 py-2 rounded-lg text-sm border transition-colors ${selectedColor === color
+                          ? "bg-indigo-600 border-indigo-400 text-white"
+                          : available
+                            ? "bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600"
+                            : "bg-gray-800 border-gray-700 text-gray-600 line-through cursor-not-allowed"
+                          }`}
+                      >
+                        {color}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
@@ -204,39 +239,60 @@ const ProductDetails = () => {
               <div className="mb-6">
                 <h3 className="text-lg font-semibold mb-2">Select Size</h3>
                 <div className="flex space-x-2 flex-wrap">
-                  {product.sizes.map((size) => (
-                    <button
-                      key={size}
-                      onClick={() => setSelectedSize(size)}
-                      className={`w-12 h-12 border rounded-lg transition-colors ${selectedSize === size
-                        ? "bg-indigo-600 border-indigo-400 text-white"
-                        : "border-gray-600 text-gray-300 hover:bg-gray-700"
-                        }`}
-                    >
-                      {size}
-                    </button>
-                  ))}
+                  {product.sizes.map((size) => {
+                    // Sizes are offered per the selected color
+                    const available = isOptionAvailable(product, { size, color: selectedColor });
+                    return (
+                      <button
+                        key={size}
+                        onClick={() => handleSizeSelect(size)}
+                        disabled={!available}
+                        title={available ? undefined : "Out of stock in this color"}
+                        className={`w-12 h-12 border rounded-lg transition-colors ${selectedSize === size
+                          ? "bg-indigo-600 border-indigo-400 text-white"
+                          : available
+                            ? "border-gray-600 text-gray-300 hover:bg-gray-700"
+                            : "border-gray-700 text-gray-600 line-through cursor-not-allowed"
+                          }`}
+                      >
+                        {size}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
 
-            {/* Add to Cart Button */}
-            <button
-              onClick={handleAddToCart}
-              disabled={addToCartLoading || product.stock < 1}
-              className={`w-full py-3 rounded-lg font-semibold transition-colors ${product.stock < 1
-                ? "bg-gray-600 text-gray-400 cursor-not-allowed"
-                : addToCartLoading
-                  ? "bg-indigo-500 text-white cursor-wait"
-                  : "bg-indigo-600 text-white hover:bg-indigo-700"
-                }`}
-            >
-              {addToCartLoading
-                ? "Adding to Cart..."
-                : product.stock < 1
-                  ? "Out of Stock"
-                  : "Add to Cart"}
-            </button>
+            {/* Add to Cart Button and Wishlist Toggle */}
+            <div className="flex gap-3">
+              <button
+                onClick={handleAddToCart}
+                disabled={addToCartLoading || isSoldOut}
+                className={`flex-1 py-3 rounded-lg font-semibold transition-colors ${isSoldOut
+                  ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                  : addToCartLoading
+                    ? "bg-indigo-500 text-white cursor-wait"
+                    : "bg-indigo-600 text-white hover:bg-indigo-700"
+                  }`}
+              >
+                {addToCartLoading
+                  ? "Adding to Cart..."
+                  : isSoldOut
+                    ? "Out of Stock"
+                    : "Add to Cart"}
+              </button>
+              <WishlistButton
+                productId={product.id}
+                size={selectedSize}
+                color={selectedColor}
+                className="w-12 h-12 border border-gray-600"
+              />
+            </div>
+            {isSoldOut && (
+              <p className="mt-2 text-sm text-gray-400">
+                Save it to your wishlist and we&apos;ll flag it when it&apos;s back in stock.
+              </p>
+            )}
 
             <div className="mt-6 text-sm text-gray-400">
               <p>100% Original product.</p>
@@ -246,6 +302,8 @@ const ProductDetails = () => {
           </div>
         </div>
       </div>
+
+      <ReviewsSection productId={product.id} />
     </div>
   );
 };
@@ -1,7 +1,7 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { logout } from '../features/auth/authSlice';
+import { logoutUser } from '../features/auth/authSlice';
 import {
   clearError,
   clearSuccessMessage,
@@ -12,6 +12,7 @@ import PersonalInfoTab from '../components/profile/PersonalInfoTab';
 import AddressesTab from '../components/profile/AddressesTab';
 import SecurityTab from '../components/profile/SecurityTab';
 import OrderHistoryTab from '../components/profile/OrderHistoryTab';
+import WishlistTab from '../components/profile/WishlistTab';
 import useScrollRestoration from '../hooks/useScrollRestoration';
 
 const TABS = [
@@ -19,6 +20,7 @@ const TABS = [
   { id: 'addresses', label: 'Addresses', icon: 'location' },
   { id: 'security', label: 'Security', icon: 'lock' },
   { id: 'orders', label: 'Order History', icon: 'shopping' },
+  { id: 'wishlist', label: 'Wishlist', icon: 'heart' },
 ];
 
 const Profile = () => {
@@ -55,7 +57,7 @@ const Profile = () => {
    * Handles logout
    */
   const handleLogout = useCallback(() => {
-    dispatch(logout());
+    dispatch(logoutUser());
     navigate('/');
   }, [dispatch, navigate]);
 
@@ -103,6 +105,12 @@ const Profile = () => {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
           </svg>
         );
+      case 'heart':
+        return (
+          <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+          </svg>
+        );
       default:
         return null;
     }
@@ -121,6 +129,8 @@ const Profile = () => {
         return <SecurityTab />;
       case 'orders':
         return <OrderHistoryTab />;
+      case 'wishlist':
+        return <WishlistTab />;
       default:
         return <PersonalInfoTab user={user} />;
     }
@@ -9,11 +9,14 @@ import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import StatsCard from '../../components/admin/StatsCard';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
 
 const AdminDashboard = () => {
     const [stats, setStats] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const user = getStoredUser();
 
     useEffect(() => {
         fetchStats();
@@ -26,7 +29,7 @@ const AdminDashboard = () => {
             const response = await api.get('/api/admin/stats');
             setStats(response.data);
         } catch (err) {
-            setError(err.response?.data?.error || err.message || 'Failed to load dashboard stats');
+            setError(getAdminErrorMessage(err, err.message || 'Failed to load dashboard stats'));
             if (process.env.NODE_ENV === 'development') {
                 console.error('AdminDashboard: Failed to fetch stats', err);
             }
@@ -128,8 +131,9 @@ const AdminDashboard = () => {
                     }
                 />
                 <StatsCard
-                    title="Total Revenue"
+                    title="Net Revenue"
                     value={formatCurrency(stats?.totalRevenue || 0)}
+                    caption={stats?.totalRefunded > 0 ? `${formatCurrency(stats.totalRefunded)} refunded` : undefined}
                     color="green"
                     icon={
                         <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -149,62 +153,69 @@ const AdminDashboard = () => {
                 />
             </div>
 
-            {/* Recent Orders */}
-            <div className="bg-gray-800 rounded-lg shadow-md p-6 border border-gray-700">
-                <div className="flex items-center justify-between mb-4">
-                    <h2 className="text-xl font-semibold text-gray-200">Recent Orders</h2>
-                    <Link
-                        to="/admin/orders"
-                        className="text-sm text-blue-400 hover:text-blue-300 font-medium transition-colors"
-                    >
-                        View All →
-                    </Link>
-                </div>
+            {/* Recent Orders (only for staff who may read orders) */}
+            {hasPermission(user, PERMISSIONS.ORDERS_READ) && (
+                <div className="bg-gray-800 rounded-lg shadow-md p-6 border border-gray-700">
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-xl font-semibold text-gray-200">Recent Orders</h2>
+                        <Link
+                            to="/admin/orders"
+                            className="text-sm text-blue-400 hover:text-blue-300 font-medium transition-colors"
+                        >
+                            View All →
+                        </Link>
+                    </div>
 
-                {stats?.recentOrders && stats.recentOrders.length > 0 ? (
-                    <div className="overflow-x-auto">
-                        <table className="w-full">
-                            <thead>
-                                <tr className="border-b border-gray-700">
-                                    <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Order ID</th>
-                                    <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Customer</th>
-                                    <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Date</th>
-                                    <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Status</th>
-                                    <th className="text-right py-3 px-4 text-sm font-medium text-gray-400">Total</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                {stats.recentOrders.map((order) => (
-                                    <tr key={order.id} className="border-b border-gray-700 hover:bg-gray-750 transition-colors">
-                                        <td className="py-3 px-4 text-sm text-gray-300 font-mono">#{order.id}</td>
-                                        <td className="py-3 px-4 text-sm text-gray-300">{order.customerName || 'N/A'}</td>
-                                        <td className="py-3 px-4 text-sm text-gray-400">{formatDate(order.createdAt)}</td>
-                                        <td className="py-3 px-4">
-                                            <span className={`px-2 py-1 text-xs font-semibold rounded-full ${order.status === 'delivered' ? 'bg-green-900 text-green-200' :
-                                                    order.status === 'shipped' ? 'bg-purple-900 text-purple-200' :
-                                                        order.status === 'processing' ? 'bg-blue-900 text-blue-200' :
-                                                            'bg-yellow-900 text-yellow-200'
-                                                }`}>
-                                                {order.status?.toUpperCase() || 'PENDING'}
-                                            </span>
-                                        </td>
-                                        <td className="py-3 px-4 text-sm text-gray-200 font-semibold text-right">
-                                            {formatCurrency(order.total)}
-                                        </td>
+                    {stats?.recentOrders && stats.recentOrders.length > 0 ? (
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="border-b border-gray-700">
+                                        <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Order ID</th>
+                                        <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Customer</th>
+                                        <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Date</th>
+                                        <th className="text-left py-3 px-4 text-sm font-medium text-gray-400">Status</th>
+                                        <th className="text-right py-3 px-4 text-sm font-medium text-gray-400">Total</th>
                                     </tr>
-                                ))}
-                            </tbody>
-                        </table>
-                    </div>
-                ) : (
-                    <div className="text-center py-8">
-                        <svg className="w-16 h-16 mx-auto text-gray-600 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
-                        </svg>
-                        <p className="text-gray-400">No recent orders</p>
-                    </div>
-                )}
-            </div>
+                                </thead>
+                                <tbody>
+                                    {stats.recentOrders.map((order) => (
+                                        <tr key={order.id} className="border-b border-gray-700 hover:bg-gray-750 transition-colors">
+                                            <td className="py-3 px-4 text-sm text-gray-300 font-mono">
+                                                <Link to={`/admin/orders/${order.id}`} className="hover:text-blue-300">#{order.id}</Link>
+                                            </td>
+                                            <td className="py-3 px-4 text-sm text-gray-300">{order.customerName || 'N/A'}</td>
+                                            <td className="py-3 px-4 text-sm text-gray-400">{formatDate(order.createdAt)}</td>
+                                            <td className="py-3 px-4">
+                                                <span className={`px-2 py-1 text-xs font-semibold rounded-full ${order.status === 'delivered' ? 'bg-green-900 text-green-200' :
+                                                        order.status === 'shipped' ? 'bg-purple-900 text-purple-200' :
+                                                            order.status === 'processing' ? 'bg-blue-900 text-blue-200' :
+                                                                order.status === 'cancelled' ? 'bg-red-900 text-red-200' :
+                                                                    order.status === 'returned' ? 'bg-orange-900 text-orange-200' :
+                                                                        order.status === 'refunded' ? 'bg-gray-700 text-gray-200' :
+                                                                            'bg-yellow-900 text-yellow-200'
+                                                    }`}>
+                                                    {order.status?.toUpperCase() || 'PENDING'}
+                                                </span>
+                                            </td>
+                                            <td className="py-3 px-4 text-sm text-gray-200 font-semibold text-right">
+                                                {formatCurrency(order.total)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <div className="text-center py-8">
+                            <svg className="w-16 h-16 mx-auto text-gray-600 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
+                            </svg>
+                            <p className="text-gray-400">No recent orders</p>
+                        </div>
+                    )}
+                </div>
+            )}
 
             {/* Low Stock Alert */}
             {stats?.lowStockProducts && stats.lowStockProducts.length > 0 && (
@@ -232,12 +243,14 @@ const AdminDashboard = () => {
                             </div>
                         ))}
                     </div>
-                    <Link
-                        to="/admin/products"
-                        className="mt-4 inline-block px-4 py-2 bg-red-700 hover:bg-red-600 text-white font-medium rounded-md transition-colors"
-                    >
-                        Manage Products
-                    </Link>
+                    {hasPermission(user, PERMISSIONS.PRODUCTS_WRITE) && (
+                        <Link
+                            to="/admin/products"
+                            className="mt-4 inline-block px-4 py-2 bg-red-700 hover:bg-red-600 text-white font-medium rounded-md transition-colors"
+                        >
+                            Manage Products
+                        </Link>
+                    )}
                 </div>
             )}
         </div>
@@ -3,10 +3,14 @@
  * 
  * Admin page for managing/viewing registered customers.
  * Follows Rule 12 (Loading States), Rule 6 (Robust Error Handling), and simple pagination.
+ * Users with the roles:assign permission can change a customer's role here.
  */
 import React, { useState, useEffect } from 'react';
 import CustomerTable from '../../components/admin/CustomerTable';
+import AssignRoleDialog from '../../components/admin/AssignRoleDialog';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
 import { toast } from 'react-toastify';
 
 const CustomerList = () => {
@@ -14,6 +18,12 @@ const CustomerList = () => {
     const [customers, setCustomers] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [errorMessage, setErrorMessage] = useState(null);
+    const [roles, setRoles] = useState([]);
+    const [userToEdit, setUserToEdit] = useState(null);
+    const [isSavingRole, setIsSavingRole] = useState(false);
+
+    const currentUser = getStoredUser();
+    const canAssignRoles = hasPermission(currentUser, PERMISSIONS.ROLES_ASSIGN);
 
     // Pagination State
     const [currentPage, setCurrentPage] = useState(1);
@@ -28,11 +38,15 @@ const CustomerList = () => {
         try {
             setIsLoading(true);
             setErrorMessage(null);
-            const response = await api.get('/api/admin/users');
-            setCustomers(response.data);
+            const [usersResponse, rolesResponse] = await Promise.all([
+                api.get('/api/admin/users'),
+                api.get('/api/admin/roles'),
+            ]);
+            setCustomers(usersResponse.data);
+            setRoles(rolesResponse.data);
         } catch (err) {
             // Rule 6: Robust Error Handling
-            const displayedError = err.response?.data?.error || 'Failed to load customers.';
+            const displayedError = getAdminErrorMessage(err, 'Failed to load customers.');
             setErrorMessage(displayedError);
             toast.error(displayedError); // Toast notification
 
@@ -44,6 +58,22 @@ const CustomerList = () => {
         }
     };
 
+    const handleRoleSave = async (roleId) => {
+        if (!userToEdit) return;
+
+        try {
+            setIsSavingRole(true);
+            const response = await api.put(`/api/admin/users/${userToEdit.id}/role`, { role: roleId });
+            setCustomers(prev => prev.map(c => (c.id === response.data.id ? response.data : c)));
+            toast.success(`${response.data.name || response.data.email} is now ${roles.find(r => r.id === roleId)?.name || roleId}`);
+            setUserToEdit(null);
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to update role.'));
+        } finally {
+            setIsSavingRole(false);
+        }
+    };
+
     // Rule 4: KISS - Simple client-side pagination since dataset is small for Phase 4
     const totalPages = Math.ceil(customers.length / itemsPerPage);
     const currentCustomers = customers.slice(
@@ -91,7 +121,12 @@ const CustomerList = () => {
                 </div>
             ) : (
                 <>
-                    <CustomerTable customers={currentCustomers} />
+                    <CustomerTable
+                        customers={currentCustomers}
+                        roles={roles}
+                        currentUserId={currentUser?.id}
+                        onChangeRole={canAssignRoles ? setUserToEdit : undefined}
+                    />
 
                     {/* Pagination Controls */}
                     {customers.length > itemsPerPage && (
@@ -150,6 +185,15 @@ const CustomerList = () => {
                     )}
                 </>
             )}
+
+            <AssignRoleDialog
+                isOpen={!!userToEdit}
+                user={userToEdit}
+                roles={roles}
+                onConfirm={handleRoleSave}
+                onCancel={() => setUserToEdit(null)}
+                isSaving={isSavingRole}
+            />
         </div>
     );
 };
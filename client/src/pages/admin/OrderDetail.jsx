@@ -0,0 +1,511 @@
+/**
+ * OrderDetail.jsx
+ *
+ * Page component for a single order: items, totals and payment, shipping
+ * address, customer, status history and internal notes, with fulfilment
+ * actions (tracking, packing slip, resending the confirmation, refunds).
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Link, useParams } from 'react-router-dom';
+import OrderStatusDropdown from '../../components/admin/OrderStatusDropdown';
+import RefundDialog from '../../components/admin/RefundDialog';
+import PackingSlip from '../../components/admin/PackingSlip';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
+import { CANCELLATION_REASONS, PAYMENT_STATUS_LABELS, getOrderStatusLabel } from '../../utils/orderStatus';
+import { RETURN_STATUS_LABELS } from '../../utils/returns';
+import { getLedgerSummary } from '../../utils/ledger';
+import { CARRIERS, getCarrierLabel, getTrackingUrl } from '../../utils/tracking';
+import { toast } from 'react-toastify';
+
+const PAYMENT_METHOD_LABELS = {
+    COD: 'Cash on Delivery',
+    CARD: 'Credit / Debit Card',
+    UPI: 'UPI',
+};
+
+const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+    }).format(amount || 0);
+};
+
+const formatDate = (dateString) => {
+    try {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    } catch {
+        return 'Invalid Date';
+    }
+};
+
+const Card = ({ title, children, actions }) => (
+    <div className="bg-gray-800 rounded-lg shadow border border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-200">{title}</h2>
+            {actions}
+        </div>
+        {children}
+    </div>
+);
+
+Card.propTypes = {
+    title: PropTypes.string.isRequired,
+    children: PropTypes.node,
+    actions: PropTypes.node,
+};
+
+const OrderDetail = () => {
+    const { id } = useParams();
+    const [order, setOrder] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [noteBody, setNoteBody] = useState('');
+    const [tracking, setTracking] = useState({ carrier: 'ups', trackingNumber: '' });
+    const [savingNote, setSavingNote] = useState(false);
+    const [savingTracking, setSavingTracking] = useState(false);
+    const [resending, setResending] = useState(false);
+    const [isRefundOpen, setIsRefundOpen] = useState(false);
+
+    const user = getStoredUser();
+    const canUpdateStatus = hasPermission(user, PERMISSIONS.ORDERS_UPDATE_STATUS);
+    const canRefund = hasPermission(user, PERMISSIONS.ORDERS_REFUND);
+
+    const fetchOrder = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get(`/api/admin/orders/${id}`);
+            setOrder(response.data);
+            setError(null);
+        } catch (err) {
+            const message = getAdminErrorMessage(err, 'Failed to load order. Please try again.');
+            setError(message);
+            console.error(err);
+        } finally {
+            setLoading(false);
+        }
+    }, [id]);
+
+    useEffect(() => {
+        fetchOrder();
+    }, [fetchOrder]);
+
+    // Start the tracking form from what is already on the order
+    useEffect(() => {
+        if (order?.tracking) {
+            setTracking({ carrier: order.tracking.carrier, trackingNumber: order.tracking.trackingNumber });
+        }
+    }, [order?.tracking]);
+
+    const handleAddNote = async (e) => {
+        e.preventDefault();
+        if (!noteBody.trim()) return;
+        try {
+            setSavingNote(true);
+            const response = await api.post(`/api/admin/orders/${id}/notes`, { body: noteBody });
+            setOrder(response.data);
+            setNoteBody('');
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to add note'));
+        } finally {
+            setSavingNote(false);
+        }
+    };
+
+    const handleSaveTracking = async (e) => {
+        e.preventDefault();
+        try {
+            setSavingTracking(true);
+            const response = await api.put(`/api/admin/orders/${id}/tracking`, tracking);
+            setOrder(response.data);
+            toast.success('Tracking saved');
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to save tracking'));
+        } finally {
+            setSavingTracking(false);
+        }
+    };
+
+    const handleResendConfirmation = async () => {
+        try {
+            setResending(true);
+            const response = await api.post(`/api/admin/orders/${id}/resend-confirmation`);
+            setOrder(response.data.order);
+            toast.success(response.data.message);
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to resend confirmation'));
+        } finally {
+            setResending(false);
+        }
+    };
+
+    if (loading && !order) {
+        return (
+            <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+            </div>
+        );
+    }
+
+    if (error || !order) {
+        return (
+            <div className="space-y-4">
+                <Link to="/admin/orders" className="text-sm text-blue-400 hover:text-blue-300">← Back to orders</Link>
+                <div className="bg-red-900 bg-opacity-50 text-red-200 p-4 rounded-md border border-red-700">
+                    {error || 'Order not found'}
+                </div>
+            </div>
+        );
+    }
+
+    const ledger = getLedgerSummary(order);
+    const address = order.shippingAddress || {};
+    const trackingUrl = getTrackingUrl(order.tracking);
+    const canEditTracking = canUpdateStatus && ['processing', 'shipped', 'delivered'].includes(order.status);
+
+    return (
+        <>
+            <div className="space-y-6 print:hidden">
+                {/* Header */}
+                <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+                    <div>
+                        <Link to="/admin/orders" className="text-sm text-blue-400 hover:text-blue-300">← Back to orders</Link>
+                        <div className="flex items-center gap-3 mt-2">
+                            <h1 className="text-3xl font-bold text-gray-200 font-mono">#{order.id}</h1>
+                            <div className="w-32">
+                                <OrderStatusDropdown
+                                    key={order.status}
+                                    orderId={order.id}
+                                    currentStatus={order.status || 'pending'}
+                                    onStatusChange={fetchOrder}
+                                    disabled={!canUpdateStatus}
+                                />
+                            </div>
+                        </div>
+                        <p className="text-sm text-gray-400 mt-1">Placed {formatDate(order.createdAt)}</p>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => window.print()}
+                            className="px-4 py-2 rounded-md text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 border border-gray-600"
+                        >
+                            Print Packing Slip
+                        </button>
+                        {canUpdateStatus && (
+                            <button
+                                onClick={handleResendConfirmation}
+                                disabled={resending}
+                                className="px-4 py-2 rounded-md text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 border border-gray-600 disabled:opacity-50"
+                            >
+                                {resending ? 'Sending...' : 'Resend Confirmation'}
+                            </button>
+                        )}
+                        {canRefund && (
+                            <button
+                                onClick={() => setIsRefundOpen(true)}
+                                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-700 hover:bg-red-600"
+                            >
+                                Refund
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <div className="lg:col-span-2 space-y-6">
+                        {/* Items */}
+                        <Card title={`Items (${order.items.length})`}>
+                            <ul className="divide-y divide-gray-700">
+                                {order.items.map(item => (
+                                    <li key={item.cartItemId ?? item.id} className="flex gap-4 py-3 first:pt-0 last:pb-0">
+                                        {(item.image || item.images?.[0]) && (
+                                            <img
+                                                src={item.image || item.images[0]}
+                                                alt=""
+                                                className="w-14 h-14 rounded object-cover flex-shrink-0"
+                                            />
+                                        )}
+                                        <div className="flex-1 min-w-0">
+                                            <div className="text-sm font-medium text-gray-200">{item.title}</div>
+                                            <div className="text-xs text-gray-400 mt-1">
+                                                {[item.sku, item.size, item.color].filter(Boolean).join(' · ')}
+                                            </div>
+                                        </div>
+                                        <div className="text-right text-sm">
+                                            <div className="text-gray-300">{item.quantity} × {formatCurrency(item.price)}</div>
+                                            {item.discount > 0 && (
+                                                <div className="text-xs text-green-400">-{formatCurrency(item.discount)}</div>
+                                            )}
+                                            <div className="text-gray-200 font-medium">
+                                                {formatCurrency(item.price * item.quantity - (item.discount || 0))}
+                                            </div>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </Card>
+
+                        {/* Totals & Payment */}
+                        <Card title="Payment">
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 text-sm">
+                                <dl className="space-y-2">
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Subtotal</dt>
+                                        <dd className="text-gray-200">{formatCurrency(order.subtotal)}</dd>
+                                    </div>
+                                    {order.discount > 0 && (
+                                        <div className="flex justify-between">
+                                            <dt className="text-gray-400">Discount{order.promotion?.code ? ` (${order.promotion.code})` : ''}</dt>
+                                            <dd className="text-green-400">-{formatCurrency(order.discount)}</dd>
+                                        </div>
+                                    )}
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Shipping</dt>
+                                        <dd className="text-gray-200">{formatCurrency(order.shipping)}</dd>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Tax</dt>
+                                        <dd className="text-gray-200">{formatCurrency(order.tax)}</dd>
+                                    </div>
+                                    <div className="flex justify-between pt-2 border-t border-gray-700">
+                                        <dt className="font-semibold text-gray-200">Total</dt>
+                                        <dd className="font-semibold text-gray-100">{formatCurrency(order.total)}</dd>
+                                    </div>
+                                </dl>
+                                <dl className="space-y-2">
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Method</dt>
+                                        <dd className="text-gray-200">
+                                            {PAYMENT_METHOD_LABELS[String(order.paymentMethod).toUpperCase()] ?? order.paymentMethod}
+                                        </dd>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Status</dt>
+                                        <dd className="text-gray-200">
+                                            {PAYMENT_STATUS_LABELS[order.paymentStatus] ?? order.paymentStatus ?? 'N/A'}
+                                        </dd>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Captured</dt>
+                                        <dd className="text-gray-200">{formatCurrency(ledger.captured)}</dd>
+                                    </div>
+                                    <div className="flex justify-between">
+                                        <dt className="text-gray-400">Refunded</dt>
+                                        <dd className="text-gray-200">{formatCurrency(ledger.refunded)}</dd>
+                                    </div>
+                                    <div className="flex justify-between pt-2 border-t border-gray-700">
+                                        <dt className="font-semibold text-gray-200">Balance</dt>
+                                        <dd className="font-semibold text-gray-100">{formatCurrency(ledger.balance)}</dd>
+                                    </div>
+                                </dl>
+                            </div>
+                        </Card>
+
+                        {/* Status History */}
+                        <Card title="Status History">
+                            <ol className="space-y-3">
+                                {[...(order.statusHistory || [])].reverse().map((entry, index) => (
+                                    <li key={`${entry.status}-${entry.at}-${index}`} className="flex gap-3 text-sm">
+                                        <span className="mt-1.5 w-2 h-2 rounded-full bg-blue-500 flex-shrink-0" aria-hidden="true"></span>
+                                        <div>
+                                            <div className="text-gray-200">
+                                                {getOrderStatusLabel(entry.status)}
+                                                <span className="text-gray-500"> · {formatDate(entry.at)} · {entry.actor?.name ?? 'System'}</span>
+                                            </div>
+                                            {entry.note && <p className="text-xs text-gray-400 mt-0.5">{entry.note}</p>}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ol>
+                            {order.cancellation && (
+                                <p className="mt-4 text-sm text-gray-400">
+                                    Cancelled by the customer: {CANCELLATION_REASONS.find(r => r.value === order.cancellation.reason)?.label ?? order.cancellation.reason}
+                                    {order.cancellation.comment && ` — "${order.cancellation.comment}"`}
+                                </p>
+                            )}
+                        </Card>
+
+                        {/* Internal Notes */}
+                        <Card title="Internal Notes">
+                            {order.internalNotes.length > 0 ? (
+                                <ul className="space-y-3 mb-4">
+                                    {order.internalNotes.map(note => (
+                                        <li key={note.id} className="bg-gray-900 border border-gray-700 rounded-md p-3">
+                                            <p className="text-sm text-gray-200 whitespace-pre-line break-words">{note.body}</p>
+                                            <p className="text-xs text-gray-500 mt-1">{note.author?.name} · {formatDate(note.at)}</p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="text-sm text-gray-400 mb-4">No notes yet. Notes are only visible to staff.</p>
+                            )}
+                            {canUpdateStatus && (
+                                <form onSubmit={handleAddNote} className="space-y-2">
+                                    <label htmlFor="order-note" className="sr-only">Add a note</label>
+                                    <textarea
+                                        id="order-note"
+                                        rows={3}
+                                        maxLength={1000}
+                                        placeholder="Add a note for the team..."
+                                        className="block w-full px-3 py-2 border border-gray-600 rounded-md bg-gray-700 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-blue-500 sm:text-sm"
+                                        value={noteBody}
+                                        onChange={(e) => setNoteBody(e.target.value)}
+                                    />
+                                    <div className="flex justify-end">
+                                        <button
+                                            type="submit"
+                                            disabled={savingNote || !noteBody.trim()}
+                                            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            {savingNote ? 'Saving...' : 'Add Note'}
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
+                        </Card>
+                    </div>
+
+                    <div className="space-y-6">
+                        {/* Customer */}
+                        <Card title="Customer">
+                            {order.customer ? (
+                                <div className="text-sm space-y-1">
+                                    <p className="text-gray-200 font-medium">{order.customer.name}</p>
+                                    <p className="text-gray-400">{order.customer.email}</p>
+                                    {order.customer.phone && <p className="text-gray-400">{order.customer.phone}</p>}
+                                    <p className="text-gray-500 text-xs pt-2">
+                                        {order.customer.orderCount} {order.customer.orderCount === 1 ? 'order' : 'orders'} · customer since {new Date(order.customer.createdAt).getFullYear()}
+                                    </p>
+                                </div>
+                            ) : (
+                                <p className="text-sm text-gray-400">This customer account no longer exists.</p>
+                            )}
+                        </Card>
+
+                        {/* Shipping Address */}
+                        <Card title="Shipping Address">
+                            <div className="text-sm text-gray-300 space-y-1">
+                                <p className="font-medium text-gray-200">{address.fullName ?? 'N/A'}</p>
+                                <p>{address.address}</p>
+                                <p>{[address.city, address.state, address.zipCode].filter(Boolean).join(', ')}</p>
+                                {address.country && <p>{address.country}</p>}
+                                {address.phone && <p className="text-gray-400 pt-1">{address.phone}</p>}
+                                {address.email && <p className="text-gray-400">{address.email}</p>}
+                            </div>
+                        </Card>
+
+                        {/* Tracking */}
+                        <Card title="Tracking">
+                            {order.tracking ? (
+                                <div className="text-sm mb-4">
+                                    <p className="text-gray-200">{getCarrierLabel(order.tracking.carrier)}</p>
+                                    {trackingUrl ? (
+                                        <a
+                                            href={trackingUrl}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="font-mono text-blue-400 hover:text-blue-300 break-all"
+                                        >
+                                            {order.tracking.trackingNumber}
+                                        </a>
+                                    ) : (
+                                        <p className="font-mono text-gray-300 break-all">{order.tracking.trackingNumber}</p>
+                                    )}
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Updated {formatDate(order.tracking.updatedAt)} by {order.tracking.updatedBy?.name}
+                                    </p>
+                                </div>
+                            ) : (
+                                <p className="text-sm text-gray-400 mb-4">No tracking details yet.</p>
+                            )}
+                            {canEditTracking && (
+                                <form onSubmit={handleSaveTracking} className="space-y-2">
+                                    <label htmlFor="tracking-carrier" className="block text-xs font-medium text-gray-400">Carrier</label>
+                                    <select
+                                        id="tracking-carrier"
+                                        className="block w-full pl-3 pr-10 py-2 border-gray-600 bg-gray-700 text-gray-200 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                                        value={tracking.carrier}
+                                        onChange={(e) => setTracking(prev => ({ ...prev, carrier: e.target.value }))}
+                                    >
+                                        {CARRIERS.map(carrier => (
+                                            <option key={carrier.value} value={carrier.value}>{carrier.label}</option>
+                                        ))}
+                                    </select>
+                                    <label htmlFor="tracking-number" className="block text-xs font-medium text-gray-400">Tracking number</label>
+                                    <input
+                                        id="tracking-number"
+                                        type="text"
+                                        className="block w-full px-3 py-2 border border-gray-600 rounded-md bg-gray-700 text-gray-200 font-mono focus:outline-none focus:border-blue-500 sm:text-sm"
+                                        value={tracking.trackingNumber}
+                                        onChange={(e) => setTracking(prev => ({ ...prev, trackingNumber: e.target.value }))}
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={savingTracking || !tracking.trackingNumber.trim()}
+                                        className="w-full px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {savingTracking ? 'Saving...' : order.tracking ? 'Update Tracking' : 'Add Tracking'}
+                                    </button>
+                                </form>
+                            )}
+                        </Card>
+
+                        {/* Returns */}
+                        {order.returns.length > 0 && (
+                            <Card
+                                title="Returns"
+                                actions={
+                                    <Link to="/admin/returns" className="text-sm text-blue-400 hover:text-blue-300">
+                                        Queue →
+                                    </Link>
+                                }
+                            >
+                                <ul className="space-y-2 text-sm">
+                                    {order.returns.map(rma => (
+                                        <li key={rma.id} className="flex justify-between gap-2">
+                                            <span className="font-mono text-gray-300">{rma.id}</span>
+                                            <span className="text-gray-400">{RETURN_STATUS_LABELS[rma.status] ?? rma.status}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </Card>
+                        )}
+
+                        {/* Emails */}
+                        {order.notifications.length > 0 && (
+                            <Card title="Emails Sent">
+                                <ul className="space-y-2 text-sm">
+                                    {order.notifications.map((notification, index) => (
+                                        <li key={`${notification.at}-${index}`} className="text-gray-400">
+                                            Confirmation to <span className="text-gray-300">{notification.to}</span>
+                                            <div className="text-xs text-gray-500">{formatDate(notification.at)} · {notification.actor?.name}</div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </Card>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <PackingSlip order={order} />
+
+            <RefundDialog
+                order={order}
+                isOpen={isRefundOpen}
+                onClose={() => setIsRefundOpen(false)}
+                onRefunded={fetchOrder}
+            />
+        </>
+    );
+};
+
+export default OrderDetail;
@@ -5,13 +5,20 @@
  */
 import React, { useState, useEffect } from 'react';
 import OrderTable from '../../components/admin/OrderTable';
+import RefundDialog from '../../components/admin/RefundDialog';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
+import { ORDER_STATUSES, ORDER_STATUS_LABELS } from '../../utils/orderStatus';
 import { toast } from 'react-toastify';
 
 const OrderList = () => {
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const canUpdateStatus = hasPermission(getStoredUser(), PERMISSIONS.ORDERS_UPDATE_STATUS);
+    const canRefund = hasPermission(getStoredUser(), PERMISSIONS.ORDERS_REFUND);
+    const [refundOrder, setRefundOrder] = useState(null);
 
     // Filters
     const [statusFilter, setStatusFilter] = useState('');
@@ -32,20 +39,29 @@ const OrderList = () => {
             setOrders(response.data);
             setError(null);
         } catch (err) {
-            setError('Failed to load orders. Please try again.');
-            toast.error('Failed to load orders');
+            const message = getAdminErrorMessage(err, 'Failed to load orders. Please try again.');
+            setError(message);
+            toast.error(message);
             console.error(err);
         } finally {
             setLoading(false);
         }
     };
 
-    const handleStatusChange = (orderId, newStatus) => {
+    const handleStatusChange = (orderId, newStatus, updatedOrder) => {
         // Update local state immediately (optimistic update handled in component, 
         // but we sync page state here to ensure filters work correctly)
         setOrders(prevOrders =>
             prevOrders.map(order =>
-                order.id === orderId ? { ...order, status: newStatus } : order
+                order.id === orderId ? { ...order, ...updatedOrder, status: newStatus } : order
+            )
+        );
+    };
+
+    const handleRefunded = (updatedOrder) => {
+        setOrders(prevOrders =>
+            prevOrders.map(order =>
+                order.id === updatedOrder.id ? { ...order, ...updatedOrder } : order
             )
         );
     };
@@ -102,10 +118,9 @@ const OrderList = () => {
                         onChange={(e) => setStatusFilter(e.target.value)}
                     >
                         <option value="">All Statuses</option>
-                        <option value="pending">Pending</option>
-                        <option value="processing">Processing</option>
-                        <option value="shipped">Shipped</option>
-                        <option value="delivered">Delivered</option>
+                        {ORDER_STATUSES.map(status => (
+                            <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+                        ))}
                     </select>
                 </div>
                 <div className="w-full sm:w-48">
@@ -146,7 +161,13 @@ const OrderList = () => {
                 </div>
             ) : (
                 <>
-                    <OrderTable orders={currentOrders} onStatusChange={handleStatusChange} />
+                    <OrderTable
+                        orders={currentOrders}
+                        onStatusChange={handleStatusChange}
+                        onRefund={setRefundOrder}
+                        canUpdateStatus={canUpdateStatus}
+                        canRefund={canRefund}
+                    />
 
                     {/* Pagination */}
                     {filteredOrders.length > itemsPerPage && (
@@ -205,6 +226,13 @@ const OrderList = () => {
                     )}
                 </>
             )}
+
+            <RefundDialog
+                order={refundOrder}
+                isOpen={Boolean(refundOrder)}
+                onClose={() => setRefundOrder(null)}
+                onRefunded={handleRefunded}
+            />
         </div>
     );
 };
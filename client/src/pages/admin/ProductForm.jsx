@@ -1,11 +1,17 @@
 /**
  * ProductForm.jsx
  * 
- * Form component for adding and editing products.
+ * Form component for adding and editing products. Products with sizes or
+ * colors are stocked per variant through the variant matrix.
  */
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { buildVariantMatrix } from '../../utils/variants';
+import VariantMatrix from '../../components/admin/VariantMatrix';
+
+const parseColors = (colors) => colors.split(',').map(c => c.trim()).filter(Boolean);
 
 const ProductForm = () => {
     const navigate = useNavigate();
@@ -25,6 +31,7 @@ const ProductForm = () => {
         colors: ''
     });
 
+    const [variants, setVariants] = useState([]);
     const [loading, setLoading] = useState(false);
     const [fetching, setFetching] = useState(isEditMode);
     const [error, setError] = useState(null);
@@ -38,6 +45,11 @@ const ProductForm = () => {
         }
     }, [id]);
 
+    // Keep one matrix row per size/color combination as the options change
+    useEffect(() => {
+        setVariants(prev => buildVariantMatrix(formData.sizes, parseColors(formData.colors), prev));
+    }, [formData.sizes, formData.colors]);
+
     const fetchProduct = async () => {
         try {
             setFetching(true);
@@ -57,8 +69,9 @@ const ProductForm = () => {
                 sizes: product.sizes || [],
                 colors: product.colors ? product.colors.join(', ') : ''
             });
+            setVariants(product.variants || []);
         } catch (err) {
-            setError('Failed to fetch product details.');
+            setError(getAdminErrorMessage(err, 'Failed to fetch product details.'));
             console.error(err);
         } finally {
             setFetching(false);
@@ -82,6 +95,12 @@ const ProductForm = () => {
         });
     };
 
+    const handleVariantChange = (index, field, value) => {
+        setVariants(prev => prev.map((variant, i) => (
+            i === index ? { ...variant, [field]: value } : variant
+        )));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -89,14 +108,20 @@ const ProductForm = () => {
 
         // Prepare payload
         const images = [formData.image1, formData.image2, formData.image3].filter(Boolean);
-        const colors = formData.colors.split(',').map(c => c.trim()).filter(Boolean);
+        const colors = parseColors(formData.colors);
 
         const payload = {
             ...formData,
             price: Number(formData.price),
             stock: Number(formData.stock),
             images,
-            colors
+            colors,
+            variants: variants.map(variant => ({
+                ...variant,
+                stock: Number(variant.stock),
+                price: variant.price === null || variant.price === '' ? null : Number(variant.price),
+                image: variant.image || null,
+            }))
         };
 
         // Cleanup temp fields
@@ -112,7 +137,7 @@ const ProductForm = () => {
             }
             navigate('/admin/products');
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to save product.');
+            setError(getAdminErrorMessage(err, 'Failed to save product.'));
             console.error(err);
         } finally {
             setLoading(false);
@@ -188,15 +213,19 @@ const ProductForm = () => {
 
                     <div>
                         <label className="block text-sm font-medium text-gray-300 mb-1">Stock Quantity</label>
-                        <input
-                            type="number"
-                            name="stock"
-                            min="0"
-                            required
-                            className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            value={formData.stock}
-                            onChange={handleChange}
-                        />
+                        {variants.length > 0 ? (
+                            <p className="py-2 text-sm text-gray-400">Stocked per variant below</p>
+                        ) : (
+                            <input
+                                type="number"
+                                name="stock"
+                                min="0"
+                                required
+                                className="w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                value={formData.stock}
+                                onChange={handleChange}
+                            />
+                        )}
                     </div>
 
                     <div>
@@ -244,6 +273,16 @@ const ProductForm = () => {
                     </div>
                 </div>
 
+                {/* Variants */}
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Variants</label>
+                    <VariantMatrix
+                        variants={variants}
+                        basePrice={formData.price}
+                        onChange={handleVariantChange}
+                    />
+                </div>
+
                 {/* Images */}
                 <div className="space-y-4">
                     <label className="block text-sm font-medium text-gray-300">Product Images (URLs)</label>
@@ -8,6 +8,8 @@ import { Link } from 'react-router-dom';
 import ProductTable from '../../components/admin/ProductTable';
 import ConfirmDialog from '../../components/admin/ConfirmDialog';
 import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
 import { toast } from 'react-toastify';
 
 const ProductList = () => {
@@ -16,6 +18,7 @@ const ProductList = () => {
     const [error, setError] = useState(null);
     const [searchTerm, setSearchTerm] = useState('');
     const [categoryFilter, setCategoryFilter] = useState('');
+    const canWriteProducts = hasPermission(getStoredUser(), PERMISSIONS.PRODUCTS_WRITE);
 
     // Pagination state
     const [currentPage, setCurrentPage] = useState(1);
@@ -36,8 +39,9 @@ const ProductList = () => {
             setProducts(response.data);
             setError(null);
         } catch (err) {
-            setError('Failed to load products. Please try again.');
-            toast.error('Failed to load products');
+            const message = getAdminErrorMessage(err, 'Failed to load products. Please try again.');
+            setError(message);
+            toast.error(message);
             console.error(err);
         } finally {
             setLoading(false);
@@ -61,7 +65,7 @@ const ProductList = () => {
             toast.success('Product deleted successfully');
         } catch (err) {
             console.error('Failed to delete product', err);
-            toast.error('Failed to delete product');
+            toast.error(getAdminErrorMessage(err, 'Failed to delete product'));
         }
     };
 
@@ -86,15 +90,17 @@ const ProductList = () => {
         <div className="space-y-6">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
                 <h1 className="text-3xl font-bold text-gray-200">Products</h1>
-                <Link
-                    to="/admin/products/new"
-                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors flex items-center gap-2"
-                >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                    </svg>
-                    Add Product
-                </Link>
+                {canWriteProducts && (
+                    <Link
+                        to="/admin/products/new"
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors flex items-center gap-2"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                        Add Product
+                    </Link>
+                )}
             </div>
 
             {/* Filters */}
@@ -142,7 +148,7 @@ const ProductList = () => {
                 </div>
             ) : (
                 <>
-                    <ProductTable products={currentProducts} onDelete={handleDeleteClick} />
+                    <ProductTable products={currentProducts} onDelete={handleDeleteClick} canEdit={canWriteProducts} />
 
                     {/* Pagination */}
                     {filteredProducts.length > itemsPerPage && (
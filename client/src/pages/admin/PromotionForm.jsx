@@ -0,0 +1,362 @@
+/**
+ * PromotionForm.jsx
+ *
+ * Form component for adding and editing promo codes.
+ */
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PROMOTION_TYPES } from '../../utils/pricing';
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toDateTimeInput = (isoString) => {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const PromotionForm = () => {
+    const navigate = useNavigate();
+    const { id } = useParams();
+    const isEditMode = !!id;
+
+    const [formData, setFormData] = useState({
+        code: '',
+        description: '',
+        type: PROMOTION_TYPES.PERCENTAGE,
+        value: '',
+        minSpend: '',
+        startsAt: '',
+        expiresAt: '',
+        usageLimitPerUser: '',
+        status: 'active',
+        categories: [],
+        productIds: '',
+    });
+
+    const [loading, setLoading] = useState(false);
+    const [fetching, setFetching] = useState(isEditMode);
+    const [error, setError] = useState(null);
+
+    const categories = [
+        { name: 'Clothes', slug: 'clothes' },
+        { name: 'Electronics', slug: 'electronics' },
+        { name: 'Furniture', slug: 'furniture' },
+        { name: 'Shoes', slug: 'shoes' },
+        { name: 'Miscellaneous', slug: 'miscellaneous' },
+    ];
+
+    useEffect(() => {
+        if (isEditMode) {
+            fetchPromotion();
+        }
+    }, [id]);
+
+    const fetchPromotion = async () => {
+        try {
+            setFetching(true);
+            const response = await api.get(`/api/admin/promotions/${id}`);
+            const promotion = response.data;
+
+            // Map properties to form state
+            setFormData({
+                code: promotion.code || '',
+                description: promotion.description || '',
+                type: promotion.type,
+                value: promotion.value || '',
+                minSpend: promotion.minSpend || '',
+                startsAt: toDateTimeInput(promotion.startsAt),
+                expiresAt: toDateTimeInput(promotion.expiresAt),
+                usageLimitPerUser: promotion.usageLimitPerUser || '',
+                status: promotion.status || 'active',
+                categories: promotion.appliesTo?.categories || [],
+                productIds: (promotion.appliesTo?.productIds || []).join(', '),
+            });
+        } catch (err) {
+            setError(getAdminErrorMessage(err, 'Failed to fetch promotion details.'));
+            console.error(err);
+        } finally {
+            setFetching(false);
+        }
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: name === 'code' ? value.toUpperCase() : value
+        }));
+    };
+
+    const handleCategoryChange = (slug) => {
+        setFormData(prev => {
+            const newCategories = prev.categories.includes(slug)
+                ? prev.categories.filter(c => c !== slug)
+                : [...prev.categories, slug];
+            return { ...prev, categories: newCategories };
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+
+        const payload = {
+            code: formData.code,
+            description: formData.description,
+            type: formData.type,
+            value: Number(formData.value) || 0,
+            minSpend: Number(formData.minSpend) || 0,
+            startsAt: fromDateTimeInput(formData.startsAt),
+            expiresAt: fromDateTimeInput(formData.expiresAt),
+            usageLimitPerUser: formData.usageLimitPerUser ? Number(formData.usageLimitPerUser) : null,
+            status: formData.status,
+            appliesTo: {
+                categories: formData.categories,
+                productIds: formData.productIds.split(',').map(p => p.trim()).filter(Boolean).map(Number),
+            },
+        };
+
+        try {
+            if (isEditMode) {
+                await api.put(`/api/admin/promotions/${id}`, payload);
+            } else {
+                await api.post('/api/admin/promotions', payload);
+            }
+            navigate('/admin/promotions');
+        } catch (err) {
+            setError(getAdminErrorMessage(err, 'Failed to save promotion.'));
+            console.error(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (fetching) {
+        return (
+            <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+            </div>
+        );
+    }
+
+    const inputClassName = 'w-full bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="max-w-4xl mx-auto">
+            <div className="flex items-center justify-between mb-6">
+                <h1 className="text-3xl font-bold text-gray-200">{isEditMode ? 'Edit Promotion' : 'Add New Promotion'}</h1>
+                <button
+                    onClick={() => navigate('/admin/promotions')}
+                    className="text-gray-400 hover:text-white"
+                >
+                    Cancel
+                </button>
+            </div>
+
+            {error && (
+                <div className="bg-red-900 bg-opacity-50 text-red-200 p-4 rounded-md border border-red-700 mb-6">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="bg-gray-800 shadow rounded-lg p-6 border border-gray-700 space-y-6">
+                {/* Basic Info */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Code</label>
+                        <input
+                            type="text"
+                            name="code"
+                            required
+                            placeholder="e.g. SUMMER20"
+                            className={`${inputClassName} font-mono`}
+                            value={formData.code}
+                            onChange={handleChange}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Status</label>
+                        <select
+                            name="status"
+                            className={inputClassName}
+                            value={formData.status}
+                            onChange={handleChange}
+                        >
+                            <option value="active">Active</option>
+                            <option value="paused">Paused</option>
+                        </select>
+                    </div>
+
+                    <div className="col-span-2">
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+                        <input
+                            type="text"
+                            name="description"
+                            required
+                            placeholder="Shown to customers when the code is applied"
+                            className={inputClassName}
+                            value={formData.description}
+                            onChange={handleChange}
+                        />
+                    </div>
+                </div>
+
+                {/* Discount */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Discount Type</label>
+                        <select
+                            name="type"
+                            className={inputClassName}
+                            value={formData.type}
+                            onChange={handleChange}
+                        >
+                            <option value={PROMOTION_TYPES.PERCENTAGE}>Percentage off</option>
+                            <option value={PROMOTION_TYPES.FIXED}>Fixed amount off</option>
+                            <option value={PROMOTION_TYPES.FREE_SHIPPING}>Free shipping</option>
+                        </select>
+                    </div>
+
+                    {formData.type !== PROMOTION_TYPES.FREE_SHIPPING && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-1">
+                                {formData.type === PROMOTION_TYPES.PERCENTAGE ? 'Percentage (%)' : 'Amount ($)'}
+                            </label>
+                            <input
+                                type="number"
+                                name="value"
+                                min="0"
+                                max={formData.type === PROMOTION_TYPES.PERCENTAGE ? '100' : undefined}
+                                step="0.01"
+                                required
+                                className={inputClassName}
+                                value={formData.value}
+                                onChange={handleChange}
+                            />
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Minimum Spend ($)</label>
+                        <input
+                            type="number"
+                            name="minSpend"
+                            min="0"
+                            step="0.01"
+                            placeholder="No minimum"
+                            className={inputClassName}
+                            value={formData.minSpend}
+                            onChange={handleChange}
+                        />
+                    </div>
+                </div>
+
+                {/* Schedule & Limits */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Starts</label>
+                        <input
+                            type="datetime-local"
+                            name="startsAt"
+                            className={inputClassName}
+                            value={formData.startsAt}
+                            onChange={handleChange}
+                        />
+                        <p className="mt-1 text-xs text-gray-500">Leave empty to start immediately</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Expires</label>
+                        <input
+                            type="datetime-local"
+                            name="expiresAt"
+                            className={inputClassName}
+                            value={formData.expiresAt}
+                            onChange={handleChange}
+                        />
+                        <p className="mt-1 text-xs text-gray-500">Leave empty to never expire</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Uses per Customer</label>
+                        <input
+                            type="number"
+                            name="usageLimitPerUser"
+                            min="1"
+                            step="1"
+                            placeholder="Unlimited"
+                            className={inputClassName}
+                            value={formData.usageLimitPerUser}
+                            onChange={handleChange}
+                        />
+                    </div>
+                </div>
+
+                {/* Scope */}
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Limit to Categories</label>
+                        <div className="flex flex-wrap gap-4">
+                            {categories.map(category => (
+                                <label key={category.slug} className="inline-flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        className="form-checkbox h-4 w-4 text-blue-600 bg-gray-700 border-gray-500 rounded focus:ring-blue-500"
+                                        checked={formData.categories.includes(category.slug)}
+                                        onChange={() => handleCategoryChange(category.slug)}
+                                    />
+                                    <span className="ml-2 text-gray-300">{category.name}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Limit to Product IDs (comma separated)</label>
+                        <input
+                            type="text"
+                            name="productIds"
+                            placeholder="e.g. 5, 12"
+                            className={inputClassName}
+                            value={formData.productIds}
+                            onChange={handleChange}
+                        />
+                        <p className="mt-1 text-xs text-gray-500">With no categories or products selected, the code applies to the whole order</p>
+                    </div>
+                </div>
+
+                {/* Action Buttons */}
+                <div className="flex justify-end gap-4 pt-4 border-t border-gray-700">
+                    <button
+                        type="button"
+                        onClick={() => navigate('/admin/promotions')}
+                        className="px-4 py-2 border border-gray-600 rounded-md text-gray-300 hover:bg-gray-700 font-medium"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium disabled:opacity-50 flex items-center gap-2"
+                    >
+                        {loading && (
+                            <svg className="animate-spin h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                            </svg>
+                        )}
+                        {isEditMode ? 'Update Promotion' : 'Create Promotion'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PromotionForm;
@@ -0,0 +1,164 @@
+/**
+ * PromotionList.jsx
+ *
+ * Page component for listing, pausing and deleting promo codes.
+ */
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PromotionTable from '../../components/admin/PromotionTable';
+import ConfirmDialog from '../../components/admin/ConfirmDialog';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
+import { getPromotionState } from '../../utils/pricing';
+import { toast } from 'react-toastify';
+
+const PromotionList = () => {
+    const [promotions, setPromotions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [stateFilter, setStateFilter] = useState('');
+    const canWritePromotions = hasPermission(getStoredUser(), PERMISSIONS.PROMOTIONS_WRITE);
+
+    // Delete modal state
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+    const [promotionToDelete, setPromotionToDelete] = useState(null);
+
+    useEffect(() => {
+        fetchPromotions();
+    }, []);
+
+    const fetchPromotions = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/api/admin/promotions');
+            setPromotions(response.data);
+            setError(null);
+        } catch (err) {
+            const message = getAdminErrorMessage(err, 'Failed to load promotions. Please try again.');
+            setError(message);
+            toast.error(message);
+            console.error(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleToggleStatus = async (promotion) => {
+        const status = promotion.status === 'paused' ? 'active' : 'paused';
+
+        try {
+            const response = await api.put(`/api/admin/promotions/${promotion.id}`, { status });
+            setPromotions(promotions.map(p => (p.id === promotion.id ? response.data : p)));
+            toast.success(`${promotion.code} ${status === 'paused' ? 'paused' : 'resumed'}`);
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to update promotion'));
+        }
+    };
+
+    const handleDeleteClick = (promotion) => {
+        setPromotionToDelete(promotion);
+        setIsDeleteOpen(true);
+    };
+
+    const handleConfirmDelete = async () => {
+        if (!promotionToDelete) return;
+
+        try {
+            await api.delete(`/api/admin/promotions/${promotionToDelete.id}`);
+            setPromotions(promotions.filter(p => p.id !== promotionToDelete.id));
+            setIsDeleteOpen(false);
+            setPromotionToDelete(null);
+            toast.success('Promotion deleted successfully');
+        } catch (err) {
+            console.error('Failed to delete promotion', err);
+            toast.error(getAdminErrorMessage(err, 'Failed to delete promotion'));
+        }
+    };
+
+    // Filter logic
+    const filteredPromotions = promotions.filter(promotion => {
+        const term = searchTerm.toLowerCase();
+        const matchesSearch = promotion.code.toLowerCase().includes(term) ||
+            promotion.description.toLowerCase().includes(term);
+        const matchesState = stateFilter === '' || getPromotionState(promotion) === stateFilter;
+        return matchesSearch && matchesState;
+    });
+
+    const states = ['active', 'scheduled', 'paused', 'expired'];
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                <h1 className="text-3xl font-bold text-gray-200">Promotions</h1>
+                {canWritePromotions && (
+                    <Link
+                        to="/admin/promotions/new"
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors flex items-center gap-2"
+                    >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                        Add Promotion
+                    </Link>
+                )}
+            </div>
+
+            {/* Filters */}
+            <div className="bg-gray-800 p-4 rounded-lg shadow border border-gray-700 flex flex-col sm:flex-row gap-4">
+                <div className="flex-1">
+                    <label htmlFor="search" className="sr-only">Search</label>
+                    <input
+                        type="text"
+                        id="search"
+                        className="block w-full px-3 py-2 border border-gray-600 rounded-md leading-5 bg-gray-700 text-gray-200 placeholder-gray-400 focus:outline-none focus:bg-gray-900 focus:border-blue-500 sm:text-sm"
+                        placeholder="Search by code or description..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                </div>
+                <div className="sm:w-48">
+                    <select
+                        className="block w-full pl-3 pr-10 py-2 text-base border-gray-600 bg-gray-700 text-gray-200 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md capitalize"
+                        value={stateFilter}
+                        onChange={(e) => setStateFilter(e.target.value)}
+                    >
+                        <option value="">All Statuses</option>
+                        {states.map(state => (
+                            <option key={state} value={state}>{state}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {/* Loading & Error States */}
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+                </div>
+            ) : error ? (
+                <div className="bg-red-900 bg-opacity-50 text-red-200 p-4 rounded-md border border-red-700">
+                    {error}
+                </div>
+            ) : (
+                <PromotionTable
+                    promotions={filteredPromotions}
+                    onToggleStatus={handleToggleStatus}
+                    onDelete={handleDeleteClick}
+                    canEdit={canWritePromotions}
+                />
+            )}
+
+            <ConfirmDialog
+                isOpen={isDeleteOpen}
+                title="Delete Promotion"
+                message={`Are you sure you want to delete "${promotionToDelete?.code}"? Customers will no longer be able to use it. Past orders keep their discount.`}
+                onConfirm={handleConfirmDelete}
+                onCancel={() => setIsDeleteOpen(false)}
+            />
+        </div>
+    );
+};
+
+export default PromotionList;
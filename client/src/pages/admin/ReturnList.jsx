@@ -0,0 +1,146 @@
+/**
+ * ReturnList.jsx
+ *
+ * Page component for the returns queue: filter by status and move returns
+ * through approve/reject, received (which restocks the items) and refund.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import ReturnTable from '../../components/admin/ReturnTable';
+import ConfirmDialog from '../../components/admin/ConfirmDialog';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
+import { RETURN_STATUSES, RETURN_STATUS_LABELS } from '../../utils/returns';
+import { toast } from 'react-toastify';
+
+const STATUS_TABS = [
+    { value: '', label: 'All', countKey: 'all' },
+    ...RETURN_STATUSES.map(status => ({ value: status, label: RETURN_STATUS_LABELS[status], countKey: status })),
+];
+
+const SUCCESS_MESSAGES = {
+    approved: 'Return approved',
+    rejected: 'Return rejected',
+    received: 'Return received and items restocked',
+    refunded: 'Return refunded',
+};
+
+const ReturnList = () => {
+    const [returns, setReturns] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('requested');
+    // Rejections and refunds are confirmed first: { rma, status }
+    const [pendingAction, setPendingAction] = useState(null);
+    const canManage = hasPermission(getStoredUser(), PERMISSIONS.RETURNS_MANAGE);
+
+    const fetchReturns = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/api/admin/returns', {
+                params: { status: statusFilter || undefined },
+            });
+            setReturns(response.data.data);
+            setCounts(response.data.counts);
+            setError(null);
+        } catch (err) {
+            const message = getAdminErrorMessage(err, 'Failed to load returns. Please try again.');
+            setError(message);
+            toast.error(message);
+            console.error(err);
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter]);
+
+    useEffect(() => {
+        fetchReturns();
+    }, [fetchReturns]);
+
+    const updateStatus = async (rma, status) => {
+        try {
+            await api.put(`/api/admin/returns/${rma.id}/status`, { status });
+            toast.success(SUCCESS_MESSAGES[status]);
+            fetchReturns();
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to update return'));
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    const handleAction = (rma, status) => {
+        if (status === 'rejected' || status === 'refunded') {
+            setPendingAction({ rma, status });
+        } else {
+            updateStatus(rma, status);
+        }
+    };
+
+    const getConfirmMessage = () => {
+        if (!pendingAction) return '';
+        const { rma, status } = pendingAction;
+        if (status === 'refunded') {
+            return `Refund $${Number(rma.refundAmount || 0).toFixed(2)} to ${rma.customerName} for return ${rma.id}?`;
+        }
+        return `Reject return ${rma.id} from ${rma.customerName}? The customer will be able to request a return for these items again.`;
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                <h1 className="text-3xl font-bold text-gray-200">Returns</h1>
+                <p className="text-sm text-gray-400">
+                    Marking a return received puts its items back in stock.
+                </p>
+            </div>
+
+            {/* Status Tabs */}
+            <div className="flex flex-wrap gap-2">
+                {STATUS_TABS.map(tab => (
+                    <button
+                        key={tab.countKey}
+                        onClick={() => setStatusFilter(tab.value)}
+                        className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${statusFilter === tab.value
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-800 text-gray-300 hover:bg-gray-700 border border-gray-700'
+                            }`}
+                    >
+                        {tab.label}
+                        <span className="ml-2 text-xs opacity-75">{counts[tab.countKey] ?? 0}</span>
+                    </button>
+                ))}
+            </div>
+
+            {/* Loading & Error States */}
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+                </div>
+            ) : error ? (
+                <div className="bg-red-900 bg-opacity-50 text-red-200 p-4 rounded-md border border-red-700">
+                    {error}
+                </div>
+            ) : (
+                <ReturnTable
+                    returns={returns}
+                    onAction={handleAction}
+                    canManage={canManage}
+                />
+            )}
+
+            <ConfirmDialog
+                isOpen={Boolean(pendingAction)}
+                title={pendingAction?.status === 'refunded' ? 'Refund Return' : 'Reject Return'}
+                message={getConfirmMessage()}
+                confirmText={pendingAction?.status === 'refunded' ? 'Refund' : 'Reject'}
+                isDangerous={pendingAction?.status === 'rejected'}
+                onConfirm={() => updateStatus(pendingAction.rma, pendingAction.status)}
+                onCancel={() => setPendingAction(null)}
+            />
+        </div>
+    );
+};
+
+export default ReturnList;
@@ -0,0 +1,188 @@
+/**
+ * ReviewList.jsx
+ *
+ * Page component for the review moderation queue: filter by status, search,
+ * and approve/reject/flag/delete reviews one at a time or in bulk.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import ReviewTable from '../../components/admin/ReviewTable';
+import ConfirmDialog from '../../components/admin/ConfirmDialog';
+import api from '../../services/axios';
+import { getAdminErrorMessage } from '../../utils/apiErrors';
+import { PERMISSIONS, getStoredUser, hasPermission } from '../../utils/permissions';
+import { toast } from 'react-toastify';
+
+const STATUS_TABS = [
+    { value: '', label: 'All', countKey: 'all' },
+    { value: 'pending', label: 'Pending', countKey: 'pending' },
+    { value: 'flagged', label: 'Flagged', countKey: 'flagged' },
+    { value: 'approved', label: 'Approved', countKey: 'approved' },
+    { value: 'rejected', label: 'Rejected', countKey: 'rejected' },
+];
+
+const BULK_ACTIONS = [
+    { value: 'approved', label: 'Approve', className: 'bg-green-700 hover:bg-green-600' },
+    { value: 'rejected', label: 'Reject', className: 'bg-red-700 hover:bg-red-600' },
+    { value: 'flagged', label: 'Flag', className: 'bg-orange-700 hover:bg-orange-600' },
+];
+
+const ReviewList = () => {
+    const [reviews, setReviews] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+    const canModerate = hasPermission(getStoredUser(), PERMISSIONS.REVIEWS_MODERATE);
+
+    const fetchReviews = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/api/admin/reviews', {
+                params: { status: statusFilter || undefined, q: searchTerm || undefined },
+            });
+            setReviews(response.data.data);
+            setCounts(response.data.counts);
+            setSelectedIds([]);
+            setError(null);
+        } catch (err) {
+            const message = getAdminErrorMessage(err, 'Failed to load reviews. Please try again.');
+            setError(message);
+            toast.error(message);
+            console.error(err);
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, searchTerm]);
+
+    useEffect(() => {
+        fetchReviews();
+    }, [fetchReviews]);
+
+    const handleModerate = async (review, status) => {
+        try {
+            await api.put(`/api/admin/reviews/${review.id}/status`, { status });
+            toast.success(`Review ${status}`);
+            fetchReviews();
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Failed to update review'));
+        }
+    };
+
+    const runBulkAction = async (action) => {
+        try {
+            const response = await api.post('/api/admin/reviews/bulk', { ids: selectedIds, action });
+            const { updated } = response.data;
+            toast.success(`${updated} ${updated === 1 ? 'review' : 'reviews'} ${action === 'delete' ? 'deleted' : action}`);
+            setIsDeleteOpen(false);
+            fetchReviews();
+        } catch (err) {
+            toast.error(getAdminErrorMessage(err, 'Bulk action failed'));
+        }
+    };
+
+    const handleToggleSelect = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const handleToggleSelectAll = (selectAll) => {
+        setSelectedIds(selectAll ? reviews.map(r => r.id) : []);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                <h1 className="text-3xl font-bold text-gray-200">Reviews</h1>
+                <p className="text-sm text-gray-400">
+                    Reviews with profanity or links are flagged automatically.
+                </p>
+            </div>
+
+            {/* Status Tabs */}
+            <div className="flex flex-wrap gap-2">
+                {STATUS_TABS.map(tab => (
+                    <button
+                        key={tab.countKey}
+                        onClick={() => setStatusFilter(tab.value)}
+                        className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${statusFilter === tab.value
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-800 text-gray-300 hover:bg-gray-700 border border-gray-700'
+                            }`}
+                    >
+                        {tab.label}
+                        <span className="ml-2 text-xs opacity-75">{counts[tab.countKey] ?? 0}</span>
+                    </button>
+                ))}
+            </div>
+
+            {/* Search & Bulk Actions */}
+            <div className="bg-gray-800 p-4 rounded-lg shadow border border-gray-700 flex flex-col lg:flex-row gap-4">
+                <div className="flex-1">
+                    <label htmlFor="search" className="sr-only">Search</label>
+                    <input
+                        type="text"
+                        id="search"
+                        className="block w-full px-3 py-2 border border-gray-600 rounded-md leading-5 bg-gray-700 text-gray-200 placeholder-gray-400 focus:outline-none focus:bg-gray-900 focus:border-blue-500 sm:text-sm"
+                        placeholder="Search by text, author or product..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                </div>
+                {canModerate && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm text-gray-400 mr-2">{selectedIds.length} selected</span>
+                        {BULK_ACTIONS.map(action => (
+                            <button
+                                key={action.value}
+                                onClick={() => runBulkAction(action.value)}
+                                disabled={selectedIds.length === 0}
+                                className={`px-3 py-2 rounded-md text-sm font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed ${action.className}`}
+                            >
+                                {action.label}
+                            </button>
+                        ))}
+                        <button
+                            onClick={() => setIsDeleteOpen(true)}
+                            disabled={selectedIds.length === 0}
+                            className="px-3 py-2 rounded-md text-sm font-medium text-red-300 border border-red-700 hover:bg-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {/* Loading & Error States */}
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+                </div>
+            ) : error ? (
+                <div className="bg-red-900 bg-opacity-50 text-red-200 p-4 rounded-md border border-red-700">
+                    {error}
+                </div>
+            ) : (
+                <ReviewTable
+                    reviews={reviews}
+                    selectedIds={selectedIds}
+                    onToggleSelect={handleToggleSelect}
+                    onToggleSelectAll={handleToggleSelectAll}
+                    onModerate={handleModerate}
+                    canModerate={canModerate}
+                />
+            )}
+
+            <ConfirmDialog
+                isOpen={isDeleteOpen}
+                title="Delete Reviews"
+                message={`Are you sure you want to delete ${selectedIds.length} selected ${selectedIds.length === 1 ? 'review' : 'reviews'}? This cannot be undone.`}
+                onConfirm={() => runBulkAction('delete')}
+                onCancel={() => setIsDeleteOpen(false)}
+            />
+        </div>
+    );
+};
+
+export default ReviewList;
@@ -20,7 +20,13 @@ import ProductList from "../pages/admin/ProductList";
 import ProductForm from "../pages/admin/ProductForm";
 import OrderList from "../pages/admin/OrderList";
 import CustomerList from "../pages/admin/CustomerList";
+import PromotionList from "../pages/admin/PromotionList";
+import PromotionForm from "../pages/admin/PromotionForm";
+import ReviewList from "../pages/admin/ReviewList";
+import ReturnList from "../pages/admin/ReturnList";
+import OrderDetail from "../pages/admin/OrderDetail";
 import Categories from "../pages/Categories";
+import { PERMISSIONS } from "../utils/permissions";
 
 const AppRoutes = () => {
   return (
@@ -62,11 +68,94 @@ const AppRoutes = () => {
         }
       >
         <Route index element={<AdminDashboard />} />
-        <Route path="products" element={<ProductList />} />
-        <Route path="products/new" element={<ProductForm />} />
-        <Route path="products/:id/edit" element={<ProductForm />} />
-        <Route path="orders" element={<OrderList />} />
-        <Route path="customers" element={<CustomerList />} />
+        <Route
+          path="products"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PRODUCTS_READ}>
+              <ProductList />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="products/new"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PRODUCTS_WRITE}>
+              <ProductForm />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="products/:id/edit"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PRODUCTS_WRITE}>
+              <ProductForm />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="orders"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.ORDERS_READ}>
+              <OrderList />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="orders/:id"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.ORDERS_READ}>
+              <OrderDetail />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="customers"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.CUSTOMERS_READ}>
+              <CustomerList />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="promotions"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PROMOTIONS_READ}>
+              <PromotionList />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="promotions/new"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PROMOTIONS_WRITE}>
+              <PromotionForm />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="promotions/:id/edit"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.PROMOTIONS_WRITE}>
+              <PromotionForm />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="reviews"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.REVIEWS_READ}>
+              <ReviewList />
+            </PrivateAdminRoute>
+          }
+        />
+        <Route
+          path="returns"
+          element={
+            <PrivateAdminRoute permission={PERMISSIONS.RETURNS_READ}>
+              <ReturnList />
+            </PrivateAdminRoute>
+          }
+        />
         {/* Additional admin routes will be added in later phases */}
       </Route>
 
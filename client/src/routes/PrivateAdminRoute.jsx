@@ -1,34 +1,41 @@
 /**
  * PrivateAdminRoute.jsx
- * 
+ *
  * Higher-order component to protect admin routes.
- * Checks if user is authenticated AND has admin role.
- * Redirects non-admin users to home page.
+ * Checks if user is authenticated AND their role grants admin panel access.
+ * Redirects customers to home page, and staff lacking the route's
+ * `permission` back to the dashboard.
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
 import { Navigate } from 'react-router-dom';
+import { canAccessAdminPanel, getStoredUser, hasPermission } from '../utils/permissions';
 
-const PrivateAdminRoute = ({ children }) => {
+const PrivateAdminRoute = ({ children, permission }) => {
     // Get user from localStorage
-    const user = JSON.parse(localStorage.getItem('buyzzie_user') || 'null');
+    const user = getStoredUser();
 
-    // Check if user exists and has admin role
-    const isAdmin = user && user.role === 'admin';
+    // Check if user exists and has any admin permission
+    const isStaff = canAccessAdminPanel(user);
 
-    if (!isAdmin) {
+    if (!isStaff) {
         if (process.env.NODE_ENV === 'development') {
             console.warn('PrivateAdminRoute: Access denied. User is not an admin.');
         }
         return <Navigate to="/" replace />;
     }
 
+    if (permission && !hasPermission(user, permission)) {
+        return <Navigate to="/admin" replace />;
+    }
+
     return children;
 };
 
 PrivateAdminRoute.propTypes = {
     children: PropTypes.node.isRequired,
+    permission: PropTypes.string,
 };
 
 export default PrivateAdminRoute;
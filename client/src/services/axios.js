@@ -9,6 +9,61 @@ const api = axios.create({
   },
 });
 
+// Auth endpoints answer 401 for bad credentials; never try to refresh those
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/signup", "/auth/refresh", "/auth/logout"];
+
+// Requests that failed with 401 while a refresh was in flight
+let isRefreshing = false;
+let pendingRequests = [];
+
+const settlePendingRequests = (error, token = null) => {
+  pendingRequests.forEach(({ resolve, reject }) =>
+    error ? reject(error) : resolve(token)
+  );
+  pendingRequests = [];
+};
+
+// Session could not be renewed: clear it and send the user to login,
+// remembering where they were so they can be brought back afterwards
+const redirectToLogin = () => {
+  localStorage.removeItem("buyzzie_token");
+  localStorage.removeItem("buyzzie_refresh_token");
+  localStorage.removeItem("buyzzie_user");
+
+  const returnUrl = window.location.pathname + window.location.search;
+  if (window.location.pathname !== "/login") {
+    window.location.href = `/login?redirect=${encodeURIComponent(returnUrl)}`;
+  }
+};
+
+// Told about every renewed session (set by the store, which this module
+// cannot import without a cycle)
+let sessionRefreshedListener = null;
+
+export const onSessionRefreshed = (listener) => {
+  sessionRefreshedListener = listener;
+};
+
+// Exchange the stored refresh token for a new access token. Uses the bare
+// axios client so the call does not pass back through these interceptors.
+// The response also carries the user with their current role and
+// permissions, which replace the copy saved at login.
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem("buyzzie_refresh_token");
+  if (!refreshToken) {
+    throw new Error("No refresh token available");
+  }
+
+  const response = await axios.post("/auth/refresh", { refreshToken });
+  localStorage.setItem("buyzzie_token", response.data.token);
+  localStorage.setItem("buyzzie_refresh_token", response.data.refreshToken);
+  if (response.data.user) {
+    localStorage.setItem("buyzzie_user", JSON.stringify(response.data.user));
+  }
+  sessionRefreshedListener?.(response.data);
+  return response.data.token;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -23,18 +78,52 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Response interceptor: on 401, refresh the access token once and replay
+// every request that failed in the meantime
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem("authToken");
-      window.location.href = "/login";
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((url) =>
+      originalRequest?.url?.startsWith(url)
+    );
+
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      isAuthEndpoint
+    ) {
+      return Promise.reject(error);
+    }
+
+    if (isRefreshing) {
+      // Wait for the in-flight refresh, then replay with the new token
+      return new Promise((resolve, reject) => {
+        pendingRequests.push({ resolve, reject });
+      }).then((token) => {
+        originalRequest._retry = true;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      });
+    }
+
+    originalRequest._retry = true;
+    isRefreshing = true;
+
+    try {
+      const token = await refreshAccessToken();
+      settlePendingRequests(null, token);
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      settlePendingRequests(refreshError);
+      redirectToLogin();
+      return Promise.reject(error);
+    } finally {
+      isRefreshing = false;
     }
-    return Promise.reject(error);
   }
 );
 
 export default api;
-
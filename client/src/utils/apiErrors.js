@@ -0,0 +1,20 @@
+/**
+ * Turns a failed admin API call into a message for the UI.
+ * 401s are already retried (and redirected to login if the session cannot be
+ * renewed) by the axios interceptor, so pages mainly need to explain 403s.
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message to use when the server gave none
+ * @returns {string} User-facing error message
+ */
+export const getAdminErrorMessage = (error, fallback) => {
+  const status = error?.response?.status;
+  const serverMessage = error?.response?.data?.error;
+
+  if (status === 403) {
+    return serverMessage || 'You do not have permission to perform this action.';
+  }
+  if (status === 401) {
+    return 'Your session has expired. Please log in again.';
+  }
+  return serverMessage || fallback;
+};
@@ -0,0 +1,182 @@
+/**
+ * ledger.js
+ *
+ * Money movements on an order. Each order keeps a `ledger` of entries:
+ * captures (money taken from the customer — at checkout for prepaid orders,
+ * on delivery for cash on delivery) and refunds, which record how much went
+ * back for each line, for shipping and for tax. What can still be refunded
+ * is always derived from the ledger, never stored.
+ */
+
+import { calculateTax, roundCurrency } from './pricing';
+
+// Why a refund was issued
+export const REFUND_SOURCES = {
+  manual: 'Manual refund',
+  return: 'Return',
+  order: 'Order refunded',
+};
+
+const sumBy = (entries, key) => roundCurrency(entries.reduce((sum, entry) => sum + (Number(entry[key]) || 0), 0));
+
+/**
+ * What the customer paid for an order line, after its share of any discount
+ * @param {Object} item - Order line with `price`, `quantity` and `discount`
+ * @returns {number}
+ */
+export const getLinePaid = (item) =>
+  roundCurrency(item.price * item.quantity - (item.discount || 0));
+
+/**
+ * Totals of an order's ledger, overall and per line, with what is still
+ * refundable for each part
+ * @param {Object} order
+ * @returns {{
+ *   captured: number,
+ *   refunded: number,
+ *   balance: number,
+ *   lines: Array<{ cartItemId: string, title: string, paid: number, refunded: number, refundable: number }>,
+ *   shipping: { paid: number, refunded: number, refundable: number },
+ *   tax: { paid: number, refunded: number, refundable: number },
+ * }}
+ */
+export const getLedgerSummary = (order) => {
+  const ledger = order?.ledger || [];
+  const captures = ledger.filter((entry) => entry.type === 'capture');
+  const refunds = ledger.filter((entry) => entry.type === 'refund');
+
+  const refundedByLine = new Map();
+  refunds
+    .flatMap((refund) => refund.lines || [])
+    .forEach((line) => {
+      refundedByLine.set(line.cartItemId, (refundedByLine.get(line.cartItemId) || 0) + line.amount);
+    });
+
+  const lines = (order?.items || []).map((item) => {
+    const paid = getLinePaid(item);
+    const refunded = roundCurrency(refundedByLine.get(item.cartItemId) || 0);
+    return {
+      cartItemId: item.cartItemId,
+      title: item.title,
+      paid,
+      refunded,
+      refundable: roundCurrency(Math.max(0, paid - refunded)),
+    };
+  });
+
+  const part = (paid, refunded) => ({
+    paid: roundCurrency(paid),
+    refunded,
+    refundable: roundCurrency(Math.max(0, paid - refunded)),
+  });
+
+  const captured = sumBy(captures, 'amount');
+  const refunded = sumBy(refunds, 'amount');
+
+  return {
+    captured,
+    refunded,
+    balance: roundCurrency(Math.max(0, captured - refunded)),
+    lines,
+    shipping: part(order?.shipping || 0, sumBy(refunds, 'shipping')),
+    tax: part(order?.tax || 0, sumBy(refunds, 'tax')),
+  };
+};
+
+/**
+ * Work out and check a refund against the order's ledger. Tax is refunded
+ * along with merchandise (shipping is untaxed), up to the tax still held.
+ *
+ * By default any part over what is refundable is an error; with `clamp`
+ * each part is cut down to what is left instead, which may leave nothing
+ * to refund (`amount` of 0).
+ * @param {Object} order
+ * @param {{ lines?: Array<{ cartItemId: string, amount: number }>, shipping?: number }} request
+ * @param {{ clamp?: boolean }} [options]
+ * @returns {{ error?: string, refund?: { lines: Array, shipping: number, tax: number, amount: number } }}
+ */
+export const prepareRefund = (order, { lines = [], shipping = 0 } = {}, { clamp = false } = {}) => {
+  const summary = getLedgerSummary(order);
+  if (summary.balance <= 0 && !clamp) {
+    return {
+      error: summary.captured > 0
+        ? 'This order has already been refunded in full'
+        : 'Nothing has been paid for this order yet',
+    };
+  }
+  if (!Array.isArray(lines)) {
+    return { error: 'Lines must be a list' };
+  }
+
+  const refundLines = [];
+  for (const { cartItemId, amount } of lines) {
+    const line = summary.lines.find((l) => l.cartItemId === cartItemId);
+    const requested = roundCurrency(amount);
+    if (!line) {
+      return { error: 'One of the lines is not part of this order' };
+    }
+    if (!Number.isFinite(Number(amount)) || requested < 0) {
+      return { error: 'Refund amounts must be positive numbers' };
+    }
+    if (refundLines.some((l) => l.cartItemId === cartItemId)) {
+      return { error: 'Each line can only be listed once' };
+    }
+    if (requested > line.refundable && !clamp) {
+      return { error: `Only $${line.refundable.toFixed(2)} of "${line.title}" can be refunded` };
+    }
+    const lineAmount = Math.min(requested, line.refundable);
+    if (lineAmount > 0) refundLines.push({ cartItemId, amount: lineAmount });
+  }
+
+  const requestedShipping = roundCurrency(shipping);
+  if (!Number.isFinite(Number(shipping)) || requestedShipping < 0) {
+    return { error: 'Shipping refund must be a positive number' };
+  }
+  if (requestedShipping > summary.shipping.refundable && !clamp) {
+    return { error: `Only $${summary.shipping.refundable.toFixed(2)} of shipping can be refunded` };
+  }
+  const shippingAmount = Math.min(requestedShipping, summary.shipping.refundable);
+
+  const merchandise = sumBy(refundLines, 'amount');
+  const tax = Math.min(calculateTax(merchandise), summary.tax.refundable);
+  const amount = roundCurrency(merchandise + shippingAmount + tax);
+
+  if (amount > summary.balance) {
+    if (!clamp) {
+      return { error: `Only $${summary.balance.toFixed(2)} has been paid and not yet refunded` };
+    }
+    // Anything over the balance comes off the tax first
+    const overage = roundCurrency(amount - summary.balance);
+    const cappedTax = roundCurrency(Math.max(0, tax - overage));
+    return {
+      refund: {
+        lines: refundLines,
+        shipping: shippingAmount,
+        tax: cappedTax,
+        amount: roundCurrency(Math.min(summary.balance, merchandise + shippingAmount + cappedTax)),
+      },
+    };
+  }
+  if (amount <= 0 && !clamp) {
+    return { error: 'Enter an amount to refund' };
+  }
+
+  return { refund: { lines: refundLines, shipping: shippingAmount, tax, amount } };
+};
+
+/**
+ * A refund of everything still held for the order: every line and the
+ * shipping in full, with the tax taking up whatever is left of the balance
+ * (which also absorbs any rounding from earlier partial refunds)
+ * @param {Object} order
+ * @returns {{ lines: Array, shipping: number, tax: number, amount: number }}
+ */
+export const getRemainingRefund = (order) => {
+  const summary = getLedgerSummary(order);
+  const lines = summary.lines
+    .filter((line) => line.refundable > 0)
+    .map((line) => ({ cartItemId: line.cartItemId, amount: line.refundable }));
+  const shipping = summary.shipping.refundable;
+  const tax = roundCurrency(Math.max(0, summary.balance - sumBy(lines, 'amount') - shipping));
+  return { lines, shipping, tax, amount: summary.balance };
+};
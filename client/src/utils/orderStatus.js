@@ -0,0 +1,120 @@
+/**
+ * orderStatus.js
+ *
+ * The order lifecycle, shared by the storefront, the admin panel and the
+ * mock API. An order moves forward through fulfilment
+ * (pending -> processing -> shipped -> delivered) and can leave that path
+ * by being cancelled before it ships, returned after it ships, or refunded
+ * once cancelled, returned or delivered. Refunded is final.
+ */
+
+export const ORDER_STATUSES = [
+  'pending',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'returned',
+  'refunded',
+];
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  returned: 'Returned',
+  refunded: 'Refunded',
+};
+
+/**
+ * Statuses each status may move to
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  cancelled: ['refunded'],
+  returned: ['refunded'],
+  refunded: [],
+};
+
+// The happy path, shown as the steps of the tracking timeline
+export const FULFILMENT_STEPS = ['pending', 'processing', 'shipped', 'delivered'];
+
+// Customers can cancel an order themselves until it ships
+export const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+export const CANCELLATION_REASONS = [
+  { value: 'changed_mind', label: 'Changed my mind' },
+  { value: 'ordered_by_mistake', label: 'Ordered by mistake' },
+  { value: 'found_cheaper', label: 'Found a better price elsewhere' },
+  { value: 'delivery_too_slow', label: 'Delivery is taking too long' },
+  { value: 'wrong_details', label: 'Wrong address or payment details' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * Payment states. Cash on delivery is `unpaid` until the order is
+ * delivered; prepaid orders are `paid` from the start and go to
+ * `refund_pending` when cancelled, then `refunded` once the money is back
+ * (`partially_refunded` while only some of it is).
+ */
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Due on delivery',
+  paid: 'Paid',
+  refund_pending: 'Refund pending',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+};
+
+/**
+ * Lowercase a stored status; orders placed before the lifecycle existed
+ * were saved as e.g. 'Pending'
+ * @param {string} status
+ * @returns {string|null} One of ORDER_STATUSES, or null if unknown
+ */
+export const normalizeOrderStatus = (status) => {
+  const normalized = String(status ?? '').trim().toLowerCase();
+  return ORDER_STATUSES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Statuses an order can be moved to next
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+export const getNextOrderStatuses = (status) => ORDER_TRANSITIONS[normalizeOrderStatus(status)] || [];
+
+/**
+ * Whether an order may move from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const canTransitionOrder = (from, to) => getNextOrderStatuses(from).includes(to);
+
+/**
+ * Display label for a status
+ * @param {string} status
+ * @returns {string}
+ */
+export const getOrderStatusLabel = (status) =>
+  ORDER_STATUS_LABELS[normalizeOrderStatus(status)] || 'Unknown';
+
+/**
+ * Whether the customer paid when ordering (anything but cash on delivery)
+ * @param {string} paymentMethod
+ * @returns {boolean}
+ */
+export const isPrepaid = (paymentMethod) => String(paymentMethod ?? '').toUpperCase() !== 'COD';
+
+/**
+ * Whether the customer can still cancel an order themselves
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const canCustomerCancel = (order) =>
+  CUSTOMER_CANCELLABLE_STATUSES.includes(normalizeOrderStatus(order?.status));
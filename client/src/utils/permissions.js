@@ -0,0 +1,59 @@
+/**
+ * permissions.js
+ *
+ * Permission names used by the admin panel and enforced by the mock API.
+ * A user's role maps to a set of these; the role definitions themselves live
+ * in the DB (seeded from mocks/data/roles.js) so they can change at runtime.
+ */
+
+export const PERMISSIONS = {
+  DASHBOARD_READ: 'dashboard:read',
+  PRODUCTS_READ: 'products:read',
+  PRODUCTS_WRITE: 'products:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_UPDATE_STATUS: 'orders:update-status',
+  ORDERS_REFUND: 'orders:refund',
+  CUSTOMERS_READ: 'customers:read',
+  PROMOTIONS_READ: 'promotions:read',
+  PROMOTIONS_WRITE: 'promotions:write',
+  REVIEWS_READ: 'reviews:read',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  RETURNS_READ: 'returns:read',
+  RETURNS_MANAGE: 'returns:manage',
+  ROLES_ASSIGN: 'roles:assign',
+};
+
+/**
+ * Get the signed-in user saved at login (and replaced whenever the session
+ * is refreshed, so role changes show up without signing in again)
+ * @returns {Object|null} Stored user (including `permissions`), or null
+ */
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('buyzzie_user') || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether a user holds a permission.
+ * Sessions started before permissions existed only carry `role`, so admins
+ * without a `permissions` array are treated as having everything.
+ * @param {Object|null} user - User object from login
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (!Array.isArray(user.permissions)) return user.role === 'admin';
+  return user.permissions.includes(permission);
+};
+
+/**
+ * Staff are users whose role grants at least one admin permission
+ * @param {Object|null} user - User object from login
+ * @returns {boolean}
+ */
+export const canAccessAdminPanel = (user) =>
+  Object.values(PERMISSIONS).some((permission) => hasPermission(user, permission));
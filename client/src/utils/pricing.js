@@ -0,0 +1,81 @@
+/**
+ * pricing.js
+ *
+ * Shipping, tax and discount rules for orders. The mock API prices every
+ * checkout quote and order with these, so the storefront never submits totals
+ * of its own.
+ */
+
+export const FREE_SHIPPING_THRESHOLD = 50;
+export const FLAT_SHIPPING_FEE = 5.99;
+export const TAX_RATE = 0.08;
+
+// Kinds of promo code the promotion engine understands
+export const PROMOTION_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping',
+};
+
+/**
+ * Where a promotion is in its lifecycle. Admins only set `status` (active or
+ * paused) and the optional `startsAt`/`expiresAt` window; the rest is derived.
+ * @param {Object} promotion
+ * @param {Date} [now]
+ * @returns {'active'|'paused'|'scheduled'|'expired'}
+ */
+export const getPromotionState = (promotion, now = new Date()) => {
+  if (promotion.expiresAt && new Date(promotion.expiresAt) < now) return 'expired';
+  if (promotion.status === 'paused') return 'paused';
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return 'scheduled';
+  return 'active';
+};
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+export const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Shipping is free once the subtotal reaches the threshold
+ * @param {number} subtotal - Merchandise subtotal
+ * @returns {number} Shipping fee
+ */
+export const calculateShipping = (subtotal) =>
+  subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : FLAT_SHIPPING_FEE;
+
+/**
+ * Tax is charged on merchandise only, not on shipping
+ * @param {number} subtotal - Merchandise subtotal
+ * @returns {number} Tax amount
+ */
+export const calculateTax = (subtotal) => roundCurrency(subtotal * TAX_RATE);
+
+/**
+ * Price a set of order lines.
+ * The free-shipping threshold looks at the undiscounted subtotal; tax is
+ * charged on what the customer actually pays for merchandise.
+ * @param {Array} lines - Lines with `unitPrice` and `quantity`
+ * @param {Object} [adjustments]
+ * @param {number} [adjustments.merchandiseDiscount=0] - Amount off merchandise
+ * @param {boolean} [adjustments.freeShipping=false] - Waive the shipping fee
+ * @returns {Object} { subtotal, discount, shipping, tax, total }
+ */
+export const calculateTotals = (lines, { merchandiseDiscount = 0, freeShipping = false } = {}) => {
+  const subtotal = roundCurrency(
+    lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+  );
+  const discount = roundCurrency(Math.min(merchandiseDiscount, subtotal));
+  const shipping = freeShipping ? 0 : calculateShipping(subtotal);
+  const tax = calculateTax(subtotal - discount);
+
+  return {
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    total: roundCurrency(subtotal - discount + shipping + tax),
+  };
+};
@@ -0,0 +1,46 @@
+/**
+ * recentSearches.js
+ *
+ * The last few searches made in this browser, newest first, shown by the
+ * navbar search box before the user starts typing.
+ */
+
+const RECENT_SEARCHES_KEY = 'buyzzie_recent_searches';
+const MAX_RECENT_SEARCHES = 5;
+
+/**
+ * @returns {string[]} Recent queries, newest first
+ */
+export const getRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((q) => typeof q === 'string') : [];
+  } catch (error) {
+    console.error('Error reading recent searches:', error);
+    return [];
+  }
+};
+
+/**
+ * Remember a query, moving it to the front if it was already there
+ * @param {string} query
+ * @returns {string[]} The updated list
+ */
+export const addRecentSearch = (query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return getRecentSearches();
+
+  const searches = [
+    trimmed,
+    ...getRecentSearches().filter((q) => q.toLowerCase() !== trimmed.toLowerCase()),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(searches));
+  return searches;
+};
+
+/**
+ * Forget every recent search
+ */
+export const clearRecentSearches = () => {
+  localStorage.removeItem(RECENT_SEARCHES_KEY);
+};
@@ -0,0 +1,132 @@
+/**
+ * returns.js
+ *
+ * Return (RMA) rules shared by the storefront, the admin panel and the mock
+ * API. A customer asks to send back some items of a delivered order within
+ * the return window; staff approve or reject the request, mark the parcel
+ * received (which restocks it) and then refund it.
+ */
+
+import { calculateTax, roundCurrency } from './pricing';
+import { getLinePaid } from './ledger';
+
+export const RETURN_WINDOW_DAYS = 30;
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+export const RETURN_STATUS_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  received: 'Received',
+  refunded: 'Refunded',
+};
+
+/**
+ * Statuses each return status may move to
+ */
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+export const RETURN_REASONS = [
+  { value: 'wrong_size', label: 'Wrong size or fit' },
+  { value: 'damaged', label: 'Arrived damaged or defective' },
+  { value: 'not_as_described', label: 'Not as described' },
+  { value: 'wrong_item', label: 'Received the wrong item' },
+  { value: 'no_longer_needed', label: 'No longer needed' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * Whether a return may move from one status to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export const canTransitionReturn = (from, to) => (RETURN_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * When the order was delivered, from its status history
+ * @param {Object} order
+ * @returns {Date|null}
+ */
+export const getDeliveredAt = (order) => {
+  const entry = [...(order?.statusHistory || [])].reverse().find((e) => e.status === 'delivered');
+  return entry ? new Date(entry.at) : null;
+};
+
+/**
+ * Last day a return can be requested for an order
+ * @param {Object} order
+ * @returns {Date|null} Null when the order hasn't been delivered
+ */
+export const getReturnDeadline = (order) => {
+  const deliveredAt = getDeliveredAt(order);
+  if (!deliveredAt) return null;
+  const deadline = new Date(deliveredAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+/**
+ * Whether the order is delivered and still inside its return window
+ * @param {Object} order
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isWithinReturnWindow = (order, now = new Date()) => {
+  const deadline = getReturnDeadline(order);
+  return order?.status === 'delivered' && deadline !== null && now <= deadline;
+};
+
+/**
+ * How many units of each order line can still be returned: the quantity
+ * ordered minus units already in returns that weren't rejected
+ * @param {Object} order
+ * @param {Array} returns - Returns for this order
+ * @returns {Array<{ item: Object, returnable: number }>}
+ */
+export const getReturnableItems = (order, returns = []) =>
+  (order?.items || []).map((item) => {
+    const alreadyReturned = returns
+      .filter((rma) => rma.status !== 'rejected')
+      .flatMap((rma) => rma.items)
+      .filter((line) => line.cartItemId === item.cartItemId)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    return { item, returnable: Math.max(0, (Number(item.quantity) || 0) - alreadyReturned) };
+  });
+
+/**
+ * What the customer paid for some units of each returned line: their share
+ * of the line after its discount. Shipping is not refunded.
+ * @param {Object} order
+ * @param {Array<{ cartItemId: string, quantity: number }>} lines
+ * @returns {Array<{ cartItemId: string, amount: number }>} Refund lines for the ledger
+ */
+export const getReturnRefundLines = (order, lines) =>
+  lines
+    .map((line) => {
+      const item = order.items.find((i) => i.cartItemId === line.cartItemId);
+      if (!item) return null;
+      return {
+        cartItemId: line.cartItemId,
+        amount: roundCurrency((getLinePaid(item) * line.quantity) / item.quantity),
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * Refund due for a set of returned lines, tax included
+ * @param {Object} order
+ * @param {Array<{ cartItemId: string, quantity: number }>} lines
+ * @returns {number}
+ */
+export const calculateReturnRefund = (order, lines) => {
+  const merchandise = getReturnRefundLines(order, lines).reduce((sum, line) => sum + line.amount, 0);
+  return roundCurrency(merchandise + calculateTax(merchandise));
+};
@@ -0,0 +1,37 @@
+/**
+ * tracking.js
+ *
+ * Shipment tracking shared by the admin panel, the storefront and the mock
+ * API. Staff attach a carrier and tracking number to an order; customers
+ * get a link to the carrier's tracking page.
+ */
+
+export const CARRIERS = [
+  { value: 'ups', label: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum=' },
+  { value: 'fedex', label: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
+  { value: 'usps', label: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+  { value: 'dhl', label: 'DHL', trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB=' },
+  { value: 'other', label: 'Other', trackingUrl: null },
+];
+
+// Letters and digits, optionally grouped with spaces or dashes
+export const TRACKING_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{4,38}[A-Za-z0-9]$/;
+
+/**
+ * Display name for a carrier
+ * @param {string} carrier
+ * @returns {string}
+ */
+export const getCarrierLabel = (carrier) =>
+  CARRIERS.find((c) => c.value === carrier)?.label ?? carrier;
+
+/**
+ * Link to the carrier's tracking page
+ * @param {{ carrier: string, trackingNumber: string }} tracking
+ * @returns {string|null} Null for carriers without a known tracking page
+ */
+export const getTrackingUrl = (tracking) => {
+  const carrier = CARRIERS.find((c) => c.value === tracking?.carrier);
+  if (!carrier?.trackingUrl || !tracking.trackingNumber) return null;
+  return `${carrier.trackingUrl}${encodeURIComponent(tracking.trackingNumber)}`;
+};
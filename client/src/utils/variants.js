@@ -0,0 +1,194 @@
+/**
+ * variants.js
+ *
+ * Product variants: one SKU per size/colour combination, each with its own
+ * stock and an optional price and image that override the product's. A
+ * product's `stock` is always the sum of its variants' stock. Products with
+ * neither sizes nor colours have no variants and keep a single stock count.
+ * Shared by the mock API (cart, quote and order stock checks) and the
+ * storefront/admin screens.
+ */
+
+const optionKey = (value) => value ?? null;
+
+/**
+ * Default SKU for a combination, e.g. `12-M-BLACK`
+ * @param {number|string} productId
+ * @param {string|null} size
+ * @param {string|null} color
+ * @returns {string}
+ */
+export const buildVariantSku = (productId, size = null, color = null) =>
+  [productId, size, color]
+    .filter((part) => part !== null && part !== undefined && part !== '')
+    .map((part) => String(part).toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+    .join('-');
+
+/**
+ * Every size/colour combination a product offers, as `{ size, color }` pairs.
+ * Empty when the product has no options at all.
+ * @param {string[]} sizes
+ * @param {string[]} colors
+ * @returns {Array<{ size: string|null, color: string|null }>}
+ */
+export const getVariantCombinations = (sizes = [], colors = []) => {
+  if (sizes.length === 0 && colors.length === 0) return [];
+  const sizeOptions = sizes.length > 0 ? sizes : [null];
+  const colorOptions = colors.length > 0 ? colors : [null];
+  return sizeOptions.flatMap((size) => colorOptions.map((color) => ({ size, color })));
+};
+
+/**
+ * Lay out the variant matrix for a set of options, reusing existing rows for
+ * combinations that are still offered and adding empty rows for new ones.
+ * @param {string[]} sizes
+ * @param {string[]} colors
+ * @param {Array} existing - Current variants
+ * @returns {Array} Variants in size-then-colour order
+ */
+export const buildVariantMatrix = (sizes = [], colors = [], existing = []) =>
+  getVariantCombinations(sizes, colors).map(({ size, color }) =>
+    existing.find((v) => optionKey(v.size) === size && optionKey(v.color) === color) ?? {
+      sku: '',
+      size,
+      color,
+      stock: 0,
+      price: null,
+      image: null,
+    }
+  );
+
+/**
+ * Variants for a product that predates them: its stock is split evenly
+ * across every combination, with any remainder going to the first.
+ * @param {Object} product
+ * @returns {Array}
+ */
+export const createDefaultVariants = (product) => {
+  const combinations = getVariantCombinations(product.sizes, product.colors);
+  const total = Math.max(0, Number(product.stock) || 0);
+  const share = combinations.length > 0 ? Math.floor(total / combinations.length) : 0;
+  const remainder = total - share * combinations.length;
+
+  return combinations.map(({ size, color }, index) => ({
+    sku: buildVariantSku(product.id, size, color),
+    size,
+    color,
+    stock: share + (index === 0 ? remainder : 0),
+    price: null,
+    image: null,
+  }));
+};
+
+/**
+ * Total stock across variants
+ * @param {Array} variants
+ * @returns {number}
+ */
+export const sumVariantStock = (variants = []) =>
+  variants.reduce((sum, variant) => sum + (Number(variant.stock) || 0), 0);
+
+/**
+ * Whether the product is sold as separate variants
+ * @param {Object} product
+ * @returns {boolean}
+ */
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+/**
+ * Find the variant for a size/colour choice
+ * @returns {Object|null}
+ */
+export const findVariant = (product, size = null, color = null) =>
+  hasVariants(product)
+    ? product.variants.find(
+      (v) => optionKey(v.size) === optionKey(size) && optionKey(v.color) === optionKey(color)
+    ) ?? null
+    : null;
+
+/**
+ * What a size/colour choice sells as: its price, stock, image and SKU.
+ * A combination the product doesn't offer resolves with `available: false`
+ * and no stock; products without variants resolve to the product itself.
+ * @param {Object} product
+ * @param {string|null} size
+ * @param {string|null} color
+ * @returns {{ available: boolean, sku: string|null, price: number, stock: number, image: string|null }}
+ */
+export const resolveVariant = (product, size = null, color = null) => {
+  if (!hasVariants(product)) {
+    return {
+      available: true,
+      sku: null,
+      price: product.price,
+      stock: Number(product.stock) || 0,
+      image: null,
+    };
+  }
+
+  const variant = findVariant(product, size, color);
+  if (!variant) {
+    return { available: false, sku: null, price: product.price, stock: 0, image: null };
+  }
+  return {
+    available: true,
+    sku: variant.sku,
+    price: variant.price ?? product.price,
+    stock: Number(variant.stock) || 0,
+    image: variant.image || null,
+  };
+};
+
+/**
+ * The combination to preselect: the first one in stock, else the first one
+ * @param {Object} product
+ * @returns {{ size: string|null, color: string|null }}
+ */
+export const getDefaultVariant = (product) => {
+  if (!hasVariants(product)) {
+    return {
+      size: product?.sizes?.[0] ?? null,
+      color: product?.colors?.[0] ?? null,
+    };
+  }
+  const variant = product.variants.find((v) => v.stock > 0) ?? product.variants[0];
+  return { size: optionKey(variant.size), color: optionKey(variant.color) };
+};
+
+/**
+ * Whether any in-stock variant matches the given options. Pass `undefined`
+ * for an option to match any value.
+ * @param {Object} product
+ * @param {{ size?: string|null, color?: string|null }} options
+ * @returns {boolean}
+ */
+export const isOptionAvailable = (product, { size, color } = {}) => {
+  if (!hasVariants(product)) return Number(product?.stock) > 0;
+  return product.variants.some(
+    (v) =>
+      v.stock > 0 &&
+      (size === undefined || optionKey(v.size) === optionKey(size)) &&
+      (color === undefined || optionKey(v.color) === optionKey(color))
+  );
+};
+
+/**
+ * Add `delta` units to a variant's stock (negative to take stock) and keep
+ * the product total in step. Combinations the product no longer offers are
+ * ignored. Mutates `product`.
+ * @param {Object} product
+ * @param {string|null} size
+ * @param {string|null} color
+ * @param {number} delta
+ */
+export const adjustVariantStock = (product, size, color, delta) => {
+  if (!hasVariants(product)) {
+    product.stock = Math.max(0, (Number(product.stock) || 0) + delta);
+    return;
+  }
+  const variant = findVariant(product, size, color);
+  if (variant) {
+    variant.stock = Math.max(0, (Number(variant.stock) || 0) + delta);
+    product.stock = sumVariantStock(product.variants);
+  }
+};